@@ -1,6 +1,6 @@
 import React from 'react'
 import { createStackNavigator } from '@react-navigation/stack'
-import { ExaminerDashboard, CreateExam, ManageExams, EditExam, ExamSubmissions, ResearchAnalytics } from '../../screens'
+import { ExaminerDashboard, CreateExam, ManageExams, EditExam, ExamSubmissions, GradeSubmission, ResearchAnalytics, StudentAccommodations, ImportExam, QuestionBank, ExamVersions, RegradeExam, ExportData } from '../../screens'
 
 const Stack = createStackNavigator()
 
@@ -27,6 +27,20 @@ const ExaminerNav = () => {
           title: 'Create New Exam'
         }}
       />
+      <Stack.Screen 
+        name="ImportExam" 
+        component={ImportExam}
+        options={{
+          title: 'Import Exam'
+        }}
+      />
+      <Stack.Screen 
+        name="QuestionBank" 
+        component={QuestionBank}
+        options={{
+          title: 'Question Bank'
+        }}
+      />
       <Stack.Screen 
         name="ManageExams" 
         component={ManageExams}
@@ -41,6 +55,13 @@ const ExaminerNav = () => {
           title: 'Edit Exam'
         }}
       />
+      <Stack.Screen 
+        name="ExamVersions" 
+        component={ExamVersions}
+        options={{
+          title: 'Version History'
+        }}
+      />
       <Stack.Screen 
         name="ExamSubmissions" 
         component={ExamSubmissions}
@@ -48,6 +69,20 @@ const ExaminerNav = () => {
           title: 'Exam Submissions'
         }}
       />
+      <Stack.Screen 
+        name="RegradeExam" 
+        component={RegradeExam}
+        options={{
+          title: 'Regrade Submissions'
+        }}
+      />
+      <Stack.Screen 
+        name="GradeSubmission" 
+        component={GradeSubmission}
+        options={{
+          title: 'Grade Submission'
+        }}
+      />
       <Stack.Screen 
         name="ResearchAnalytics" 
         component={ResearchAnalytics}
@@ -55,6 +90,20 @@ const ExaminerNav = () => {
           title: 'Research Analytics'
         }}
       />
+      <Stack.Screen 
+        name="ExportData" 
+        component={ExportData}
+        options={{
+          title: 'Export Data'
+        }}
+      />
+      <Stack.Screen 
+        name="StudentAccommodations" 
+        component={StudentAccommodations}
+        options={{
+          title: 'Student Accommodations'
+        }}
+      />
     </Stack.Navigator>
   )
 }
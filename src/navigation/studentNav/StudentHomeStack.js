@@ -1,10 +1,63 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 import { createStackNavigator } from '@react-navigation/stack'
-import { HomePage, ExamPage, ViewResults, AccessibilitySettings, UsabilitySurvey } from '../../screens'
+import { HomePage, ExamPage, ViewResults, MyResults, AccessibilitySettings, UsabilitySurvey } from '../../screens'
+import { subscribeToNetworkChanges, syncPendingSubmissions } from '../../services/offlineService'
+import { submitExam } from '../../services/examService'
+import speechService from '../../services/speechService'
+import screenContextService from '../../services/screenContextService'
 
 const Stack = createStackNavigator()
 
 const StudentHomeStack = () => {
+  // Upload exams that were submitted offline as soon as the connection returns
+  useEffect(() => {
+    // Held back during an exam so it never talks over a question being read
+    let pendingAnnouncement = null
+
+    const announce = async (message) => {
+      if (screenContextService.getContext() === 'EXAM') {
+        pendingAnnouncement = message
+        return
+      }
+      try {
+        await speechService.speak(message)
+      } catch (error) {
+        console.error('[StudentHomeStack] Error announcing synced submissions:', error)
+      }
+    }
+
+    // Announce once the student is on another screen with voice commands
+    const unsubscribeContext = screenContextService.subscribe((context) => {
+      if (!pendingAnnouncement || !context || context === 'EXAM') return
+      const message = pendingAnnouncement
+      pendingAnnouncement = null
+      announce(message)
+    })
+
+    const unsubscribeNetwork = subscribeToNetworkChanges(async (isOnline) => {
+      if (!isOnline) return
+
+      try {
+        const { synced } = await syncPendingSubmissions(submitExam)
+        if (synced > 0) {
+          console.log('[StudentHomeStack] Synced', synced, 'pending submissions')
+          await announce(
+            synced === 1
+              ? 'You are back online. Your saved exam has been uploaded.'
+              : `You are back online. ${synced} saved exams have been uploaded.`
+          )
+        }
+      } catch (error) {
+        console.error('[StudentHomeStack] Error syncing pending submissions:', error)
+      }
+    })
+
+    return () => {
+      unsubscribeNetwork()
+      unsubscribeContext()
+    }
+  }, [])
+
   return (
     <Stack.Navigator
       initialRouteName="HomePage"
@@ -34,6 +87,13 @@ const StudentHomeStack = () => {
           title: 'Exam Results'
         }}
       />
+      <Stack.Screen 
+        name="MyResults" 
+        component={MyResults}
+        options={{
+          title: 'My Results'
+        }}
+      />
       <Stack.Screen 
         name="AccessibilitySettings" 
         component={AccessibilitySettings}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import {
   View,
@@ -14,6 +14,48 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { createExam as createExamInFirebase } from '../../services/examService';
+import {
+  createGradingConfig,
+  validateGradingConfig,
+  getGradingInput,
+} from '../../utils/grading';
+import {
+  validateSchedule,
+  formatDateTimeLabel,
+  shiftDateTime,
+  nextWholeHour,
+} from '../../utils/schedule';
+import {
+  GRADE_SCHEME_PRESETS,
+  createGradeScheme,
+  validateGradeScheme,
+  describeGradeScheme,
+} from '../../utils/gradeScheme';
+import { getSchoolSettings, saveDefaultGradeScheme } from '../../services/settingsService';
+import {
+  QUESTION_TYPES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  TRUE_FALSE_OPTIONS,
+  isChoiceType,
+  getOptionLetter,
+  countBlanks,
+  createQuestion,
+  validateQuestion,
+  getQuestionInput,
+  describeCorrectAnswer,
+} from '../../utils/questionTypes';
+import {
+  createSection,
+  createSectionId,
+  validateSection,
+  validateSections,
+  orderQuestionsBySection,
+  getQuestionSection,
+  getSectionQuestions,
+  splitParagraphs,
+} from '../../utils/examSections';
+import { describeDrawRule, countDrawnQuestions } from '../../utils/questionBank';
 
 const CARD_BG = '#FFFFFF';
 const BORDER = '#E5E7EB';
@@ -21,9 +63,26 @@ const TEXT_DARK = '#0F172A';
 const TEXT_MUTED = '#64748B';
 const PRIMARY = '#2563EB';
 
-const TYPES = ['Multiple Choice', 'Written Answer'];
+const TYPES = QUESTION_TYPES;
 
-export default function CreateExamScreen({ navigation }) {
+// Section form; answerCount blank = every question must be answered
+const EMPTY_SECTION_INPUT = { title: '', instructions: '', passage: '', answerCount: '' };
+
+// Steps offered by the availability window pickers
+const SCHEDULE_STEPS = [
+  { label: 'Day', days: 1, minutes: 0 },
+  { label: 'Hour', days: 0, minutes: 60 },
+  { label: 'Quarter Hour', days: 0, minutes: 15 },
+];
+
+// Grade scheme options: the school default or a preset with editable cut-offs
+const GRADE_SCHEME_CHOICES = [
+  { id: 'default', label: 'School Default' },
+  { id: 'letter', label: GRADE_SCHEME_PRESETS.letter.name },
+  { id: 'ecz', label: GRADE_SCHEME_PRESETS.ecz.name },
+];
+
+export default function CreateExamScreen({ navigation, route }) {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
 
@@ -37,6 +96,15 @@ export default function CreateExamScreen({ navigation }) {
   const [shuffleQuestions, setShuffleQuestions] = useState(false);
   const [shuffleOptions, setShuffleOptions] = useState(false);
 
+  // Availability window (null = not set)
+  const [opensAt, setOpensAt] = useState(null);
+  const [closesAt, setClosesAt] = useState(null);
+
+  // Grade scheme ('default' = use the school default)
+  const [gradeSchemeChoice, setGradeSchemeChoice] = useState('default');
+  const [gradeCutoffs, setGradeCutoffs] = useState([]);
+  const [schoolGradeScheme, setSchoolGradeScheme] = useState(GRADE_SCHEME_PRESETS.letter);
+
   // Dropdown state
   const [questionType, setQuestionType] = useState('Written Answer'); // default like your screenshot
   const [showTypeMenu, setShowTypeMenu] = useState(false);
@@ -44,22 +112,211 @@ export default function CreateExamScreen({ navigation }) {
   // Question form (shared)
   const [questionText, setQuestionText] = useState('');
 
-  // Multiple choice state
-  const [options, setOptions] = useState(['', '', '', '']); // A-D
-  const [correctIndex, setCorrectIndex] = useState(null);
+  // Answer state for the automatically graded types: options (A-H), blanks, numeric answer
+  const [answerInput, setAnswerInput] = useState(getQuestionInput(null));
 
   // Written answer state
   const [writtenAnswer, setWrittenAnswer] = useState('');
+  const [gradingInput, setGradingInput] = useState(getGradingInput(null));
+
+  // Marks state
+  const [questionMarks, setQuestionMarks] = useState('1');
+  const [negativeMarks, setNegativeMarks] = useState('');
 
   // Questions list
   const [questions, setQuestions] = useState([]);
 
+  // Sections: title, instructions, shared passage and "answer N of M" rule
+  const [sections, setSections] = useState([]);
+  const [sectionInput, setSectionInput] = useState(EMPTY_SECTION_INPUT);
+  const [editingSectionId, setEditingSectionId] = useState(null);
+  // Section new questions are added to (null = no section)
+  const [questionSectionId, setQuestionSectionId] = useState(null);
+
+  // Per-student random draws from the question bank (empty = every student gets the same questions)
+  const [drawRules, setDrawRules] = useState([]);
+  const [questionPool, setQuestionPool] = useState([]);
+
   const goBack = () => (navigation?.goBack ? navigation.goBack() : null);
 
+  // Show which scheme "School Default" currently means
+  useEffect(() => {
+    getSchoolSettings().then(settings => setSchoolGradeScheme(settings.defaultGradeScheme));
+  }, []);
+
+  // Questions or draw rules picked in the question bank
+  useEffect(() => {
+    const bankSelection = route?.params?.bankSelection;
+    if (!bankSelection) return;
+    if (bankSelection.questions?.length) {
+      setQuestions(prev => [
+        ...prev,
+        ...bankSelection.questions.map(q => ({ ...q, sectionId: questionSectionId })),
+      ]);
+    }
+    if (bankSelection.drawRules) {
+      setDrawRules(bankSelection.drawRules);
+      setQuestionPool(bankSelection.questionPool);
+    }
+    navigation?.setParams?.({ bankSelection: undefined });
+  }, [route?.params?.bankSelection]);
+
+  const openQuestionBank = () =>
+    navigation?.navigate('QuestionBank', { returnTo: 'CreateExam', subject: subject.trim() });
+
+  const saveToQuestionBank = (bankQuestions) =>
+    navigation?.navigate('QuestionBank', { saveQuestions: bankQuestions, subject: subject.trim() });
+
+  const removeDrawRules = () => {
+    setDrawRules([]);
+    setQuestionPool([]);
+  };
+
+  // Marks for the question being added; returns null after alerting when invalid
+  const readQuestionMarks = () => {
+    const marks = Number(questionMarks || 1);
+    const negative = Number(negativeMarks || 0);
+    if (!Number.isFinite(marks) || marks <= 0) {
+      Alert.alert('Validation Error', 'Marks must be a number greater than zero');
+      return null;
+    }
+    if (isChoiceType(questionType) && (!Number.isFinite(negative) || negative < 0)) {
+      Alert.alert('Validation Error', 'Negative marks must be zero or a positive number');
+      return null;
+    }
+    return isChoiceType(questionType)
+      ? { marks, negativeMarks: negative }
+      : { marks };
+  };
+
+  const selectGradeScheme = (choiceId) => {
+    setGradeSchemeChoice(choiceId);
+    const preset = GRADE_SCHEME_PRESETS[choiceId];
+    if (preset) {
+      setGradeCutoffs(preset.boundaries.map(b => String(b.minScore)));
+    }
+  };
+
+  const updateGradeCutoff = (idx, val) => {
+    const next = [...gradeCutoffs];
+    next[idx] = val;
+    setGradeCutoffs(next);
+  };
+
+  // null = graded with the school default
+  const getSelectedGradeScheme = () =>
+    GRADE_SCHEME_PRESETS[gradeSchemeChoice]
+      ? createGradeScheme(gradeSchemeChoice, gradeCutoffs)
+      : null;
+
+  const saveAsSchoolDefault = async () => {
+    const scheme = getSelectedGradeScheme();
+    const error = validateGradeScheme(scheme);
+    if (error) {
+      Alert.alert('Validation Error', error);
+      return;
+    }
+    try {
+      await saveDefaultGradeScheme(scheme, user?.uid);
+      setSchoolGradeScheme(scheme);
+      Alert.alert('Saved', `${scheme.name} (${describeGradeScheme(scheme)}) is now the school default.`);
+    } catch (err) {
+      console.error('Error saving school default grade scheme:', err);
+      Alert.alert('Error', 'Failed to save the school default. Please try again.');
+    }
+  };
+
+  const updateGradingInput = (changes) => {
+    setGradingInput(prev => ({ ...prev, ...changes }));
+  };
+
+  const updateSectionInput = (changes) => {
+    setSectionInput(prev => ({ ...prev, ...changes }));
+  };
+
+  const resetSectionForm = () => {
+    setSectionInput(EMPTY_SECTION_INPUT);
+    setEditingSectionId(null);
+  };
+
+  const startEditingSection = (section) => {
+    setSectionInput({
+      title: section.title,
+      instructions: section.instructions || '',
+      passage: section.passage || '',
+      answerCount: section.answerCount ? String(section.answerCount) : '',
+    });
+    setEditingSectionId(section.id);
+  };
+
+  const saveSection = () => {
+    const section = createSection(sectionInput, editingSectionId || createSectionId(sections));
+    const sectionError = validateSection(
+      section,
+      getSectionQuestions(questions, section.id).length
+    );
+    if (sectionError) {
+      Alert.alert('Validation Error', sectionError);
+      return;
+    }
+
+    if (editingSectionId) {
+      setSections(prev => prev.map(s => (s.id === editingSectionId ? section : s)));
+    } else {
+      setSections(prev => [...prev, section]);
+      // New questions go into the section just added
+      setQuestionSectionId(section.id);
+    }
+    resetSectionForm();
+  };
+
+  // Questions in a removed section stay in the exam without a section
+  const removeSection = (sectionId) => {
+    setSections(prev => prev.filter(s => s.id !== sectionId));
+    setQuestions(prev =>
+      prev.map(q => (q.sectionId === sectionId ? { ...q, sectionId: null } : q))
+    );
+    if (questionSectionId === sectionId) setQuestionSectionId(null);
+    if (editingSectionId === sectionId) resetSectionForm();
+  };
+
+  const updateAnswerInput = (changes) => {
+    setAnswerInput(prev => ({ ...prev, ...changes }));
+  };
+
   const updateOption = (idx, val) => {
-    const next = [...options];
+    const next = [...answerInput.options];
     next[idx] = val;
-    setOptions(next);
+    updateAnswerInput({ options: next });
+  };
+
+  const addOption = () => {
+    if (answerInput.options.length < MAX_OPTIONS) {
+      updateAnswerInput({ options: [...answerInput.options, ''] });
+    }
+  };
+
+  const removeOption = (idx) => {
+    updateAnswerInput({
+      options: answerInput.options.filter((_, i) => i !== idx),
+      correctIndexes: answerInput.correctIndexes
+        .filter(i => i !== idx)
+        .map(i => (i > idx ? i - 1 : i)),
+    });
+  };
+
+  // Multiple select keeps every option marked correct; the other types keep one
+  const toggleCorrect = (idx) => {
+    const selected = answerInput.correctIndexes;
+    if (questionType !== 'Multiple Select') {
+      updateAnswerInput({ correctIndexes: [idx] });
+      return;
+    }
+    updateAnswerInput({
+      correctIndexes: selected.includes(idx)
+        ? selected.filter(i => i !== idx)
+        : [...selected, idx].sort((a, b) => a - b),
+    });
   };
 
   const addQuestion = () => {
@@ -68,39 +325,50 @@ export default function CreateExamScreen({ navigation }) {
       return;
     }
 
-    if (questionType === 'Multiple Choice') {
-      const filled = options.map(o => o.trim());
-      const nonEmpty = filled.filter(Boolean);
-      if (nonEmpty.length < 2) {
-        Alert.alert('Validation Error', 'Please provide at least two answer options');
-        return;
-      }
-      if (correctIndex === null) {
-        Alert.alert('Validation Error', 'Please select the correct answer');
+    const marks = readQuestionMarks();
+    if (!marks) return;
+
+    if (questionType !== 'Written Answer') {
+      const question = createQuestion(questionType, questionText, answerInput);
+      const questionError = validateQuestion(question);
+      if (questionError) {
+        Alert.alert('Validation Error', questionError);
         return;
       }
-      setQuestions(prev => [
-        ...prev,
-        { type: 'Multiple Choice', text: questionText.trim(), options: filled, correctIndex },
-      ]);
-      // reset MC fields
-      setOptions(['', '', '', '']);
-      setCorrectIndex(null);
+      setQuestions(prev => [...prev, { ...question, ...marks, sectionId: questionSectionId }]);
+      // reset options, blanks and numeric answer
+      setAnswerInput(getQuestionInput(null));
     } else {
       if (!writtenAnswer.trim()) {
         Alert.alert('Validation Error', 'Please provide the expected written answer or guidance');
         return;
       }
+      const grading = createGradingConfig(gradingInput);
+      const gradingError = validateGradingConfig(grading);
+      if (gradingError) {
+        Alert.alert('Validation Error', gradingError);
+        return;
+      }
       setQuestions(prev => [
         ...prev,
-        { type: 'Written Answer', text: questionText.trim(), expectedAnswer: writtenAnswer.trim() },
+        {
+          type: 'Written Answer',
+          text: questionText.trim(),
+          expectedAnswer: writtenAnswer.trim(),
+          ...marks,
+          ...(grading ? { grading } : {}),
+          sectionId: questionSectionId,
+        },
       ]);
-      // reset written answer field
+      // reset written answer fields
       setWrittenAnswer('');
+      setGradingInput(getGradingInput(null));
     }
 
     // reset shared
     setQuestionText('');
+    setQuestionMarks('1');
+    setNegativeMarks('');
   };
 
   const createExam = async () => {
@@ -125,10 +393,21 @@ export default function CreateExamScreen({ navigation }) {
       Alert.alert('Validation Error', 'Please enter a subject');
       return;
     }
-    if (questions.length === 0) {
+    if (questions.length === 0 && drawRules.length === 0) {
       Alert.alert('Validation Error', 'Please add at least one question');
       return;
     }
+    const scheduleError = validateSchedule(opensAt, closesAt);
+    if (scheduleError) {
+      Alert.alert('Validation Error', scheduleError);
+      return;
+    }
+    const gradeScheme = getSelectedGradeScheme();
+    const gradeSchemeError = gradeScheme && validateGradeScheme(gradeScheme);
+    if (gradeSchemeError) {
+      Alert.alert('Validation Error', gradeSchemeError);
+      return;
+    }
 
     setLoading(true);
     try {
@@ -138,20 +417,19 @@ export default function CreateExamScreen({ navigation }) {
           throw new Error(`Question ${index + 1} is missing required fields`);
         }
 
-        if (q.type === 'Multiple Choice') {
-          if (!q.options || q.options.length < 2) {
-            throw new Error(`Question ${index + 1}: Multiple choice needs at least 2 options`);
-          }
-          if (q.correctIndex === null || q.correctIndex === undefined) {
-            throw new Error(`Question ${index + 1}: Please select the correct answer`);
+        if (q.type !== 'Written Answer') {
+          const question = createQuestion(q.type, q.text, getQuestionInput(q));
+          const questionError = validateQuestion(question);
+          if (questionError) {
+            throw new Error(`Question ${index + 1}: ${questionError}`);
           }
           return {
-            type: 'Multiple Choice',
-            text: q.text.trim(),
-            options: q.options.map(opt => opt.trim()).filter(opt => opt.length > 0),
-            correctIndex: q.correctIndex,
+            ...question,
+            marks: Number(q.marks) || 1,
+            ...(isChoiceType(q.type) ? { negativeMarks: Number(q.negativeMarks) || 0 } : {}),
+            ...(q.sectionId ? { sectionId: q.sectionId } : {}),
           };
-        } else if (q.type === 'Written Answer') {
+        } else {
           if (!q.expectedAnswer || !q.expectedAnswer.trim()) {
             throw new Error(`Question ${index + 1}: Written answer requires expected answer text`);
           }
@@ -159,12 +437,20 @@ export default function CreateExamScreen({ navigation }) {
             type: 'Written Answer',
             text: q.text.trim(),
             expectedAnswer: q.expectedAnswer.trim(),
+            marks: Number(q.marks) || 1,
+            ...(q.grading ? { grading: q.grading } : {}),
+            ...(q.sectionId ? { sectionId: q.sectionId } : {}),
           };
-        } else {
-          throw new Error(`Question ${index + 1}: Unknown question type`);
         }
       });
 
+      // Keep each section's questions together, in section order
+      const orderedQuestions = orderQuestionsBySection(validatedQuestions, sections);
+      const sectionsError = validateSections(sections, orderedQuestions);
+      if (sectionsError) {
+        throw new Error(sectionsError);
+      }
+
       console.log('Validated questions:', validatedQuestions);
       console.log(`Total questions to save: ${validatedQuestions.length}`);
 
@@ -175,7 +461,13 @@ export default function CreateExamScreen({ navigation }) {
         maxAttempts: Number(maxAttempts) || 1,
         shuffleQuestions,
         shuffleOptions,
-        questions: validatedQuestions,
+        opensAt,
+        closesAt,
+        gradeScheme,
+        sections,
+        questions: orderedQuestions,
+        drawRules,
+        questionPool,
       };
 
       console.log('Creating exam with payload:', {
@@ -192,7 +484,9 @@ export default function CreateExamScreen({ navigation }) {
       
       Alert.alert(
         'Success',
-        `Exam created successfully!\n\n${validatedQuestions.length} question${validatedQuestions.length !== 1 ? 's' : ''} saved to Firestore.`,
+        `Exam created successfully!\n\n${validatedQuestions.length} question${validatedQuestions.length !== 1 ? 's' : ''} saved to Firestore.${
+          drawRules.length ? ` Each student also draws ${countDrawnQuestions(drawRules)} from the question bank.` : ''
+        }`,
         [
           {
             text: 'OK',
@@ -216,6 +510,516 @@ export default function CreateExamScreen({ navigation }) {
   };
 
   // Renders
+  // Grading options for written answers: accepted answers, rubric, numeric answer, matching rules
+  const renderGradingFields = () => {
+    const renderOption = (key, label, hint) => {
+      const enabled = gradingInput[key];
+      return (
+        <TouchableOpacity
+          style={[styles.toggleRow, enabled && styles.toggleRowActive]}
+          onPress={() => updateGradingInput({ [key]: !enabled })}
+          activeOpacity={0.8}
+          accessibilityRole="switch"
+          accessibilityState={{ checked: enabled }}
+          accessibilityLabel={label}
+        >
+          <Ionicons
+            name={enabled ? 'checkbox' : 'square-outline'}
+            size={22}
+            color={enabled ? PRIMARY : TEXT_MUTED}
+          />
+          <View style={styles.toggleContent}>
+            <Text style={[styles.toggleLabel, enabled && styles.toggleLabelActive]}>
+              {label}
+            </Text>
+            <Text style={styles.toggleHint}>{hint}</Text>
+          </View>
+        </TouchableOpacity>
+      );
+    };
+
+    return (
+      <>
+        <Text style={styles.label}>Accepted Alternative Answers (optional)</Text>
+        <TextInput
+          value={gradingInput.alternativeAnswersText}
+          onChangeText={text => updateGradingInput({ alternativeAnswersText: text })}
+          placeholder="One answer per line"
+          style={[styles.input, { minHeight: 44 }]}
+          placeholderTextColor={TEXT_MUTED}
+          multiline
+        />
+
+        <Text style={styles.label}>Rubric Keywords (optional)</Text>
+        <TextInput
+          value={gradingInput.rubricText}
+          onChangeText={text => updateGradingInput({ rubricText: text })}
+          placeholder={'chlorophyll / green pigment : 2\nsunlight'}
+          style={[styles.input, { minHeight: 64 }]}
+          placeholderTextColor={TEXT_MUTED}
+          autoCapitalize="none"
+          multiline
+        />
+        <Text style={styles.hint}>
+          One point per line: keyword / synonyms : weight. Marks are shared by weight; keywords match whole words only.
+        </Text>
+
+        <Text style={styles.label}>Numeric Answer (optional)</Text>
+        <View style={styles.numericRow}>
+          <TextInput
+            value={gradingInput.numericAnswer}
+            onChangeText={text => updateGradingInput({ numericAnswer: text })}
+            placeholder="e.g., 9.81"
+            keyboardType="numeric"
+            style={[styles.input, { flex: 1 }]}
+            placeholderTextColor={TEXT_MUTED}
+          />
+          <TextInput
+            value={gradingInput.numericTolerance}
+            onChangeText={text => updateGradingInput({ numericTolerance: text })}
+            placeholder="± tolerance"
+            keyboardType="numeric"
+            style={[styles.input, { flex: 1 }]}
+            placeholderTextColor={TEXT_MUTED}
+          />
+        </View>
+        <Text style={styles.hint}>When set, the first number in the answer is marked instead of its words.</Text>
+
+        {renderOption('caseSensitive', 'Case Sensitive', 'Capital letters must match')}
+        {renderOption('ignorePunctuation', 'Ignore Punctuation', 'Commas, full stops and symbols are not compared')}
+      </>
+    );
+  };
+
+  // Grade scheme: the school default, or a preset with this exam's own cut-offs
+  const renderGradeSchemeField = () => {
+    const preset = GRADE_SCHEME_PRESETS[gradeSchemeChoice];
+    return (
+      <>
+        <View style={styles.correctRow}>
+          {GRADE_SCHEME_CHOICES.map(choice => {
+            const active = gradeSchemeChoice === choice.id;
+            return (
+              <TouchableOpacity
+                key={choice.id}
+                style={[styles.correctChip, active && styles.correctChipActive]}
+                onPress={() => selectGradeScheme(choice.id)}
+                activeOpacity={0.85}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: active }}
+              >
+                <Text style={[styles.correctChipText, active && styles.correctChipTextActive]}>
+                  {choice.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {preset ? (
+          <>
+            {preset.boundaries.map((boundary, index) => (
+              <View key={boundary.grade} style={styles.cutoffRow}>
+                <Text style={styles.cutoffGrade}>{boundary.grade}</Text>
+                {index === preset.boundaries.length - 1 ? (
+                  <Text style={styles.hint}>Below {gradeCutoffs[index - 1] || '—'}%</Text>
+                ) : (
+                  <>
+                    <Text style={styles.hint}>from</Text>
+                    <TextInput
+                      value={gradeCutoffs[index]}
+                      onChangeText={val => updateGradeCutoff(index, val)}
+                      keyboardType="numeric"
+                      style={[styles.input, styles.cutoffInput]}
+                      placeholderTextColor={TEXT_MUTED}
+                    />
+                    <Text style={styles.hint}>%</Text>
+                  </>
+                )}
+              </View>
+            ))}
+            <TouchableOpacity
+              style={styles.secondaryBtn}
+              onPress={saveAsSchoolDefault}
+              activeOpacity={0.85}
+            >
+              <Ionicons name="school-outline" size={16} color={PRIMARY} />
+              <Text style={styles.secondaryBtnText}>Save as School Default</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Text style={styles.hint}>
+            School default: {describeGradeScheme(schoolGradeScheme)}
+          </Text>
+        )}
+      </>
+    );
+  };
+
+  // Availability window pickers: a toggle plus day / hour / quarter-hour steppers
+  const renderScheduleField = (label, hint, value, onChange, getDefault) => {
+    const enabled = !!value;
+    return (
+      <View>
+        <TouchableOpacity
+          style={[styles.toggleRow, enabled && styles.toggleRowActive]}
+          onPress={() => onChange(enabled ? null : getDefault())}
+          activeOpacity={0.8}
+          accessibilityRole="switch"
+          accessibilityState={{ checked: enabled }}
+          accessibilityLabel={enabled ? `${label}: ${formatDateTimeLabel(value)}` : label}
+        >
+          <Ionicons
+            name={enabled ? 'checkbox' : 'square-outline'}
+            size={22}
+            color={enabled ? PRIMARY : TEXT_MUTED}
+          />
+          <View style={styles.toggleContent}>
+            <Text style={[styles.toggleLabel, enabled && styles.toggleLabelActive]}>
+              {label}
+            </Text>
+            <Text style={styles.toggleHint}>
+              {enabled ? formatDateTimeLabel(value) : hint}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
+        {enabled && (
+          <View style={styles.stepperGroup}>
+            {SCHEDULE_STEPS.map(step => (
+              <View key={step.label} style={styles.stepperRow}>
+                <TouchableOpacity
+                  style={styles.stepperBtn}
+                  onPress={() =>
+                    onChange(shiftDateTime(value, { days: -step.days, minutes: -step.minutes }))
+                  }
+                  activeOpacity={0.85}
+                  accessibilityLabel={`${label}: one ${step.label.toLowerCase()} earlier`}
+                >
+                  <Ionicons name="remove" size={16} color={PRIMARY} />
+                </TouchableOpacity>
+                <Text style={styles.stepperLabel}>{step.label}</Text>
+                <TouchableOpacity
+                  style={styles.stepperBtn}
+                  onPress={() =>
+                    onChange(shiftDateTime(value, { days: step.days, minutes: step.minutes }))
+                  }
+                  activeOpacity={0.85}
+                  accessibilityLabel={`${label}: one ${step.label.toLowerCase()} later`}
+                >
+                  <Ionicons name="add" size={16} color={PRIMARY} />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  // Answer fields for the automatically graded types: options, blank answers or a numeric answer
+  const renderAnswerFields = () => {
+    if (questionType === 'Fill in the Blank') {
+      const blankCount = countBlanks(questionText);
+      return (
+        <>
+          <Text style={styles.label}>Blank Answers</Text>
+          <TextInput
+            value={answerInput.blankAnswersText}
+            onChangeText={text => updateAnswerInput({ blankAnswersText: text })}
+            placeholder={'Paris\nRome / Roma'}
+            style={[styles.input, { minHeight: 64 }]}
+            placeholderTextColor={TEXT_MUTED}
+            multiline
+          />
+          <Text style={styles.hint}>
+            Mark each blank in the question with ___. Give one line per blank, in order, with accepted alternatives separated by /. Blanks found: {blankCount}.
+          </Text>
+        </>
+      );
+    }
+
+    if (questionType === 'Numeric') {
+      return (
+        <>
+          <Text style={styles.label}>Numeric Answer</Text>
+          <View style={styles.numericRow}>
+            <TextInput
+              value={answerInput.numericValue}
+              onChangeText={text => updateAnswerInput({ numericValue: text })}
+              placeholder="e.g. 9.8"
+              keyboardType="numeric"
+              style={[styles.input, { flex: 1 }]}
+              placeholderTextColor={TEXT_MUTED}
+            />
+            <TextInput
+              value={answerInput.numericTolerance}
+              onChangeText={text => updateAnswerInput({ numericTolerance: text })}
+              placeholder="± tolerance"
+              keyboardType="numeric"
+              style={[styles.input, { flex: 1 }]}
+              placeholderTextColor={TEXT_MUTED}
+            />
+          </View>
+          <Text style={styles.label}>Unit (optional)</Text>
+          <View style={styles.numericRow}>
+            <TextInput
+              value={answerInput.numericUnit}
+              onChangeText={text => updateAnswerInput({ numericUnit: text })}
+              placeholder="e.g. m/s"
+              autoCapitalize="none"
+              style={[styles.input, { flex: 1 }]}
+              placeholderTextColor={TEXT_MUTED}
+            />
+            <TextInput
+              value={answerInput.numericUnitAliasesText}
+              onChangeText={text => updateAnswerInput({ numericUnitAliasesText: text })}
+              placeholder="Other spellings, comma separated"
+              autoCapitalize="none"
+              style={[styles.input, { flex: 1 }]}
+              placeholderTextColor={TEXT_MUTED}
+            />
+          </View>
+          <Text style={styles.hint}>
+            Answers within the tolerance are correct. With a unit set, the right number with a missing or wrong unit earns half the marks.
+          </Text>
+        </>
+      );
+    }
+
+    const isTrueFalse = questionType === 'True / False';
+    const isMultiSelect = questionType === 'Multiple Select';
+    const choices = isTrueFalse ? TRUE_FALSE_OPTIONS : answerInput.options;
+    return (
+      <>
+        {!isTrueFalse && (
+          <>
+            <Text style={styles.label}>Answer Options</Text>
+            {answerInput.options.map((option, idx) => {
+              const letter = getOptionLetter(idx);
+              return (
+                <View key={idx} style={styles.optionRow}>
+                  <View style={styles.optionBadge}>
+                    <Text style={styles.optionBadgeText}>{letter}</Text>
+                  </View>
+                  <TextInput
+                    value={option}
+                    onChangeText={(val) => updateOption(idx, val)}
+                    placeholder={`Option ${letter}`}
+                    style={[styles.input, { flex: 1 }]}
+                    placeholderTextColor={TEXT_MUTED}
+                  />
+                  {answerInput.options.length > MIN_OPTIONS && (
+                    <TouchableOpacity
+                      onPress={() => removeOption(idx)}
+                      activeOpacity={0.85}
+                      accessibilityLabel={`Remove option ${letter}`}
+                    >
+                      <Ionicons name="close-circle-outline" size={20} color={TEXT_MUTED} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })}
+            {answerInput.options.length < MAX_OPTIONS && (
+              <TouchableOpacity style={styles.secondaryBtn} onPress={addOption} activeOpacity={0.85}>
+                <Ionicons name="add" size={16} color={PRIMARY} />
+                <Text style={styles.secondaryBtnText}>Add Option</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+
+        <Text style={styles.label}>{isMultiSelect ? 'Correct Answers' : 'Correct Answer'}</Text>
+        <View style={styles.correctRow}>
+          {choices.map((choice, idx) => {
+            const active = answerInput.correctIndexes.includes(idx);
+            return (
+              <TouchableOpacity
+                key={idx}
+                style={[styles.correctChip, active && styles.correctChipActive]}
+                onPress={() => toggleCorrect(idx)}
+                activeOpacity={0.85}
+                accessibilityRole={isMultiSelect ? 'checkbox' : 'radio'}
+                accessibilityState={isMultiSelect ? { checked: active } : { selected: active }}
+              >
+                <Text style={[styles.correctChipText, active && styles.correctChipTextActive]}>
+                  {isTrueFalse ? choice : getOptionLetter(idx)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {isMultiSelect && (
+          <Text style={styles.hint}>
+            Select every correct option. Each correct option a student picks earns its share of the marks; each wrong one takes a share away.
+          </Text>
+        )}
+      </>
+    );
+  };
+
+  // Sections card: existing sections and the add / edit section form
+  const renderSectionsCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="albums-outline" size={18} color={TEXT_DARK} />
+        <Text style={styles.cardTitle}>Sections (optional)</Text>
+      </View>
+      <Text style={styles.hint}>
+        Group questions under a title and instructions, share a reading passage, or let students choose which questions to answer.
+      </Text>
+
+      {sections.map(section => {
+        const questionCount = getSectionQuestions(questions, section.id).length;
+        const paragraphCount = splitParagraphs(section.passage).length;
+        return (
+          <View key={section.id} style={styles.sectionItem}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.sectionItemTitle}>{section.title}</Text>
+              <Text style={styles.sectionItemMeta}>
+                {questionCount} {questionCount === 1 ? 'question' : 'questions'}
+                {section.answerCount ? ` · answer any ${section.answerCount}` : ''}
+                {paragraphCount
+                  ? ` · passage of ${paragraphCount} ${paragraphCount === 1 ? 'paragraph' : 'paragraphs'}`
+                  : ''}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.sectionItemBtn}
+              onPress={() => startEditingSection(section)}
+              accessibilityLabel={`Edit ${section.title}`}
+            >
+              <Ionicons name="create-outline" size={16} color={PRIMARY} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.sectionItemBtn}
+              onPress={() => removeSection(section.id)}
+              accessibilityLabel={`Remove ${section.title}`}
+            >
+              <Ionicons name="trash-outline" size={16} color="#EF4444" />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      <Text style={styles.label}>Section Title</Text>
+      <TextInput
+        value={sectionInput.title}
+        onChangeText={text => updateSectionInput({ title: text })}
+        placeholder="e.g., Section B: Comprehension"
+        style={styles.input}
+        placeholderTextColor={TEXT_MUTED}
+      />
+
+      <Text style={styles.label}>Instructions (optional)</Text>
+      <TextInput
+        value={sectionInput.instructions}
+        onChangeText={text => updateSectionInput({ instructions: text })}
+        placeholder="e.g., Read the passage, then answer the questions."
+        style={[styles.input, { minHeight: 44 }]}
+        placeholderTextColor={TEXT_MUTED}
+        multiline
+      />
+
+      <Text style={styles.label}>Passage (optional)</Text>
+      <TextInput
+        value={sectionInput.passage}
+        onChangeText={text => updateSectionInput({ passage: text })}
+        placeholder="Text shared by every question in this section"
+        style={[styles.input, { minHeight: 96 }]}
+        placeholderTextColor={TEXT_MUTED}
+        multiline
+      />
+      <Text style={styles.hint}>Leave an empty line between paragraphs so students can ask for one by number.</Text>
+
+      <Text style={styles.label}>Questions to Answer (optional)</Text>
+      <TextInput
+        value={sectionInput.answerCount}
+        onChangeText={text => updateSectionInput({ answerCount: text })}
+        placeholder="All"
+        keyboardType="numeric"
+        style={styles.input}
+        placeholderTextColor={TEXT_MUTED}
+      />
+      <Text style={styles.hint}>
+        For "answer any 3", enter 3. Only the student's best answers in the section count towards the total.
+      </Text>
+
+      <View style={styles.correctRow}>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={saveSection} activeOpacity={0.85}>
+          <Ionicons name={editingSectionId ? 'checkmark' : 'add'} size={16} color={PRIMARY} />
+          <Text style={styles.secondaryBtnText}>
+            {editingSectionId ? 'Update Section' : 'Add Section'}
+          </Text>
+        </TouchableOpacity>
+        {editingSectionId && (
+          <TouchableOpacity style={styles.secondaryBtn} onPress={resetSectionForm} activeOpacity={0.85}>
+            <Text style={styles.secondaryBtnText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  // Rules each student's extra questions are drawn by, picked in the question bank
+  const renderDrawRulesCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="shuffle-outline" size={18} color={TEXT_DARK} />
+        <Text style={styles.cardTitle}>Per-Student Draws</Text>
+      </View>
+      <Text style={styles.hint}>
+        Each student also gets {countDrawnQuestions(drawRules)} questions drawn at random from {questionPool.length} in your question bank.
+      </Text>
+      {drawRules.map((rule, index) => (
+        <View key={index} style={styles.sectionItem}>
+          <Text style={[styles.sectionItemTitle, { flex: 1 }]}>{describeDrawRule(rule)}</Text>
+        </View>
+      ))}
+      <View style={styles.correctRow}>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={openQuestionBank} activeOpacity={0.85}>
+          <Ionicons name="create-outline" size={16} color={PRIMARY} />
+          <Text style={styles.secondaryBtnText}>Change Rules</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={removeDrawRules} activeOpacity={0.85}>
+          <Ionicons name="trash-outline" size={16} color={PRIMARY} />
+          <Text style={styles.secondaryBtnText}>Remove Draws</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // Which section the question belongs to; shown once the exam has sections
+  const renderSectionPicker = () => {
+    if (sections.length === 0) return null;
+    const choices = [{ id: null, title: 'No Section' }, ...sections];
+    return (
+      <>
+        <Text style={styles.label}>Section</Text>
+        <View style={styles.correctRow}>
+          {choices.map(choice => {
+            const active = questionSectionId === choice.id;
+            return (
+              <TouchableOpacity
+                key={choice.id || 'none'}
+                style={[styles.correctChip, active && styles.correctChipActive]}
+                onPress={() => setQuestionSectionId(choice.id)}
+                activeOpacity={0.85}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: active }}
+              >
+                <Text style={[styles.correctChipText, active && styles.correctChipTextActive]}>
+                  {choice.title}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </>
+    );
+  };
+
   const renderTypeDropdown = () => (
     <View>
       <Pressable
@@ -240,6 +1044,7 @@ export default function CreateExamScreen({ navigation }) {
                 activeOpacity={0.9}
                 onPress={() => {
                   setQuestionType(t);
+                  updateAnswerInput({ correctIndexes: [] });
                   setShowTypeMenu(false);
                 }}
                 style={[styles.dropdownItem, active && styles.dropdownItemActive]}
@@ -256,7 +1061,7 @@ export default function CreateExamScreen({ navigation }) {
     </View>
   );
 
-  const isMC = questionType === 'Multiple Choice';
+  const hasNegativeMarks = isChoiceType(questionType);
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: '#F8FAFC' }}>
@@ -374,8 +1179,33 @@ export default function CreateExamScreen({ navigation }) {
               <Text style={styles.toggleHint}>Answer choices appear in random order</Text>
             </View>
           </TouchableOpacity>
+
+          {/* Availability Window */}
+          <Text style={[styles.label, { marginTop: 16 }]}>Availability Window</Text>
+          {renderScheduleField(
+            'Opens At',
+            'Available as soon as the exam is active',
+            opensAt,
+            setOpensAt,
+            () => nextWholeHour()
+          )}
+          {renderScheduleField(
+            'Closes At',
+            'No closing time',
+            closesAt,
+            setClosesAt,
+            () => shiftDateTime(opensAt || nextWholeHour(), { days: 7 })
+          )}
+          <Text style={styles.hint}>Students can only start the exam inside this window.</Text>
+
+          {/* Grade Scheme */}
+          <Text style={[styles.label, { marginTop: 16 }]}>Grade Scheme</Text>
+          {renderGradeSchemeField()}
         </View>
 
+        {/* Sections */}
+        {renderSectionsCard()}
+
         {/* Add Question */}
         <View style={styles.card}>
           <View style={styles.cardHeader}>
@@ -383,6 +1213,13 @@ export default function CreateExamScreen({ navigation }) {
             <Text style={styles.cardTitle}>Add Question</Text>
           </View>
 
+          <TouchableOpacity style={styles.secondaryBtn} onPress={openQuestionBank} activeOpacity={0.85}>
+            <Ionicons name="library-outline" size={16} color={PRIMARY} />
+            <Text style={styles.secondaryBtnText}>Add from Question Bank</Text>
+          </TouchableOpacity>
+
+          {renderSectionPicker()}
+
           <Text style={styles.label}>Question Type</Text>
           {renderTypeDropdown()}
 
@@ -390,49 +1227,48 @@ export default function CreateExamScreen({ navigation }) {
           <TextInput
             value={questionText}
             onChangeText={setQuestionText}
-            placeholder="Enter your question here..."
+            placeholder={
+              questionType === 'Fill in the Blank'
+                ? 'e.g., The capital of France is ___.'
+                : 'Enter your question here...'
+            }
             style={[styles.input, { minHeight: 44 }]}
             placeholderTextColor={TEXT_MUTED}
           />
 
-          {/* Conditional fields based on type */}
-          {isMC ? (
-            <>
-              <Text style={styles.label}>Answer Options</Text>
-              {['A', 'B', 'C', 'D'].map((letter, idx) => (
-                <View key={letter} style={styles.optionRow}>
-                  <View style={styles.optionBadge}>
-                    <Text style={styles.optionBadgeText}>{letter}</Text>
-                  </View>
-                  <TextInput
-                    value={options[idx]}
-                    onChangeText={(val) => updateOption(idx, val)}
-                    placeholder={`Option ${letter}`}
-                    style={[styles.input, { flex: 1 }]}
-                    placeholderTextColor={TEXT_MUTED}
-                  />
-                </View>
-              ))}
-
-              <Text style={styles.label}>Correct Answer</Text>
-              <View style={styles.correctRow}>
-                {['A', 'B', 'C', 'D'].map((letter, idx) => {
-                  const active = correctIndex === idx;
-                  return (
-                    <TouchableOpacity
-                      key={letter}
-                      style={[styles.correctChip, active && styles.correctChipActive]}
-                      onPress={() => setCorrectIndex(idx)}
-                      activeOpacity={0.85}
-                    >
-                      <Text style={[styles.correctChipText, active && styles.correctChipTextActive]}>
-                        {letter}
-                      </Text>
-                    </TouchableOpacity>
-                  );
-                })}
+          <View style={styles.numericRow}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.label}>Marks</Text>
+              <TextInput
+                value={questionMarks}
+                onChangeText={setQuestionMarks}
+                placeholder="1"
+                keyboardType="numeric"
+                style={styles.input}
+                placeholderTextColor={TEXT_MUTED}
+              />
+            </View>
+            {hasNegativeMarks && (
+              <View style={{ flex: 1 }}>
+                <Text style={styles.label}>Negative Marks</Text>
+                <TextInput
+                  value={negativeMarks}
+                  onChangeText={setNegativeMarks}
+                  placeholder="0"
+                  keyboardType="numeric"
+                  style={styles.input}
+                  placeholderTextColor={TEXT_MUTED}
+                />
               </View>
-            </>
+            )}
+          </View>
+          {hasNegativeMarks && (
+            <Text style={styles.hint}>Negative marks are deducted for a wrong answer; unanswered questions score zero.</Text>
+          )}
+
+          {/* Conditional fields based on type */}
+          {questionType !== 'Written Answer' ? (
+            renderAnswerFields()
           ) : (
             <>
               <Text style={styles.label}>Written Answer</Text>
@@ -444,6 +1280,7 @@ export default function CreateExamScreen({ navigation }) {
                 placeholderTextColor={TEXT_MUTED}
                 multiline
               />
+              {renderGradingFields()}
             </>
           )}
 
@@ -453,10 +1290,17 @@ export default function CreateExamScreen({ navigation }) {
           </TouchableOpacity>
         </View>
 
+        {drawRules.length > 0 && renderDrawRulesCard()}
+
         {/* Optional summary */}
         {questions.length > 0 && (
           <View style={styles.card}>
-            <Text style={styles.cardTitle}>Questions Added</Text>
+            <View style={styles.cardHeader}>
+              <Text style={[styles.cardTitle, { flex: 1 }]}>Questions Added</Text>
+              <TouchableOpacity onPress={() => saveToQuestionBank(questions)} activeOpacity={0.85}>
+                <Text style={styles.secondaryBtnText}>Save All to Bank</Text>
+              </TouchableOpacity>
+            </View>
             {questions.map((q, i) => (
               <View key={i} style={styles.qItem}>
                 <Text style={styles.qIndex}>Q{i + 1}</Text>
@@ -464,11 +1308,23 @@ export default function CreateExamScreen({ navigation }) {
                   <Text style={styles.qText} numberOfLines={2}>{q.text}</Text>
                   <Text style={styles.qMeta}>
                     Type: {q.type}{' '}
-                    {q.type === 'Multiple Choice' && q.correctIndex !== null
-                      ? `(Correct: ${String.fromCharCode(65 + q.correctIndex)})`
+                    {getQuestionSection(sections, q) ? `· ${getQuestionSection(sections, q).title} ` : ''}
+                    {describeCorrectAnswer(q) ? `(${describeCorrectAnswer(q)}) ` : ''}
+                    {`· ${q.marks} ${q.marks === 1 ? 'mark' : 'marks'} `}
+                    {q.negativeMarks ? `(−${q.negativeMarks} if wrong) ` : ''}
+                    {q.grading?.numeric ? '(Numeric answer)' : ''}
+                    {q.grading?.keywords?.length
+                      ? `(Rubric: ${q.grading.keywords.length} points)`
                       : ''}
                   </Text>
                 </View>
+                <TouchableOpacity
+                  style={styles.sectionItemBtn}
+                  onPress={() => saveToQuestionBank([q])}
+                  accessibilityLabel={`Save question ${i + 1} to the question bank`}
+                >
+                  <Ionicons name="bookmark-outline" size={16} color={PRIMARY} />
+                </TouchableOpacity>
               </View>
             ))}
           </View>
@@ -622,7 +1478,7 @@ const styles = StyleSheet.create({
   },
   optionBadgeText: { color: PRIMARY, fontWeight: '700' },
 
-  correctRow: { flexDirection: 'row', gap: 10, marginTop: 4 },
+  correctRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 10, marginTop: 4 },
   correctChip: {
     paddingHorizontal: 12,
     paddingVertical: 8,
@@ -654,6 +1510,22 @@ const styles = StyleSheet.create({
   qText: { fontSize: 13.5, color: TEXT_DARK },
   qMeta: { fontSize: 12, color: TEXT_MUTED, marginTop: 2 },
 
+  // Sections
+  sectionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 10,
+    marginTop: 8,
+    backgroundColor: '#F9FAFB',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: BORDER,
+  },
+  sectionItemTitle: { fontSize: 14, fontWeight: '600', color: TEXT_DARK },
+  sectionItemMeta: { fontSize: 12, color: TEXT_MUTED, marginTop: 2 },
+  sectionItemBtn: { padding: 4 },
+
   // Footer
   footer: {
     position: 'absolute',
@@ -687,6 +1559,39 @@ const styles = StyleSheet.create({
   },
 
   // Toggle row styles
+  cutoffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  cutoffGrade: {
+    width: 90,
+    fontSize: 14,
+    fontWeight: '600',
+    color: TEXT_DARK,
+  },
+  cutoffInput: {
+    width: 64,
+    textAlign: 'center',
+  },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: PRIMARY,
+  },
+  secondaryBtnText: { fontSize: 13, fontWeight: '600', color: PRIMARY },
+  numericRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
   toggleRow: {
     flexDirection: 'row',
     alignItems: 'flex-start',
@@ -718,4 +1623,31 @@ const styles = StyleSheet.create({
     color: TEXT_MUTED,
     marginTop: 2,
   },
+
+  // Schedule stepper styles
+  stepperGroup: {
+    marginTop: 8,
+    gap: 6,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 12,
+  },
+  stepperBtn: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: BORDER,
+    backgroundColor: CARD_BG,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: TEXT_DARK,
+  },
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import {
   View,
@@ -10,7 +10,13 @@ import {
   Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import { getExamSubmissions, getExam } from '../../services/examService';
+import { formatMarks } from '../../utils/grading';
+import { getGrade } from '../../utils/gradeScheme';
+import { resolveGradeScheme } from '../../services/settingsService';
+import { shareReport } from '../../services/reportService';
+import { buildClassReportHtml, getReportFileName } from '../../utils/resultReport';
 import { db } from '../../config/firebase';
 import { doc, getDoc } from 'firebase/firestore';
 
@@ -31,10 +37,15 @@ export default function ExamSubmissions({ route, navigation }) {
   const [submissions, setSubmissions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [exam, setExam] = useState(null);
+  const [gradeScheme, setGradeScheme] = useState(null);
+  const [downloading, setDownloading] = useState(false);
 
-  useEffect(() => {
-    loadData();
-  }, [examId]);
+  // Reload when returning from grading a submission
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [examId])
+  );
 
   const loadData = async () => {
     if (!examId) {
@@ -49,6 +60,7 @@ export default function ExamSubmissions({ route, navigation }) {
       // Load exam data
       const examData = await getExam(examId);
       setExam(examData);
+      setGradeScheme(await resolveGradeScheme(examData));
 
       // Load submissions
       const submissionsData = await getExamSubmissions(examId);
@@ -110,6 +122,61 @@ export default function ExamSubmissions({ route, navigation }) {
 
   const goBack = () => navigation?.goBack?.();
 
+  const openSubmission = (submission) => {
+    navigation?.navigate('GradeSubmission', {
+      submissionId: submission.id,
+      studentName: submission.studentName,
+    });
+  };
+
+  const openRegrade = () => {
+    navigation?.navigate('RegradeExam', {
+      examId,
+      examTitle: examTitle || exam?.title,
+    });
+  };
+
+  const downloadClassReport = async (format) => {
+    const title = examTitle || exam?.title;
+    setDownloading(true);
+    try {
+      const { uri, shared } = await shareReport(
+        {
+          html: buildClassReportHtml({ exam: { ...exam, title }, submissions, gradeScheme }),
+          fileName: getReportFileName(title, 'class report'),
+          title: `${title} class report`,
+        },
+        format
+      );
+      if (!shared) {
+        Alert.alert('Report Saved', `Sharing isn't available on this device. The report was saved as ${uri}`);
+      }
+    } catch (error) {
+      console.error('Error creating class report:', error);
+      Alert.alert('Error', 'Failed to create the class report. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const onClassReport = () => {
+    Alert.alert(
+      'Class Report',
+      'Scores, grades and how the class did on each question.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Web Page', onPress: () => downloadClassReport('html') },
+        { text: 'PDF', onPress: () => downloadClassReport('pdf') },
+      ]
+    );
+  };
+
+  const openExport = () => {
+    navigation?.navigate('ExportData', { examId });
+  };
+
+  const pendingCount = submissions.filter(s => s.status === 'pending').length;
+
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
       {/* Header */}
@@ -124,6 +191,17 @@ export default function ExamSubmissions({ route, navigation }) {
             {examTitle || exam?.title || 'Viewing submissions'}
           </Text>
         </View>
+        {!loading && submissions.length > 0 && (
+          <TouchableOpacity
+            style={styles.headerBtn}
+            onPress={openRegrade}
+            activeOpacity={0.85}
+            accessibilityLabel="Regrade all submissions"
+          >
+            <Ionicons name="refresh-outline" size={16} color={COLORS.primary} />
+            <Text style={styles.headerBtnText}>Regrade</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {loading ? (
@@ -164,8 +242,40 @@ export default function ExamSubmissions({ route, navigation }) {
                 </View>
               </View>
             )}
+            <View style={styles.summaryRow}>
+              <Ionicons name="create" size={24} color={COLORS.warning} />
+              <View style={{ flex: 1, marginLeft: 12 }}>
+                <Text style={styles.summaryValue}>{pendingCount}</Text>
+                <Text style={styles.summaryLabel}>Need Grading</Text>
+              </View>
+            </View>
           </View>
 
+          <TouchableOpacity
+            style={[styles.reportBtn, downloading && { opacity: 0.6 }]}
+            onPress={onClassReport}
+            disabled={downloading}
+            activeOpacity={0.85}
+          >
+            {downloading ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Ionicons name="document-text-outline" size={18} color={COLORS.primary} />
+            )}
+            <Text style={styles.reportBtnText}>
+              {downloading ? 'Preparing report...' : 'Download Class Report'}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.reportBtn}
+            onPress={openExport}
+            activeOpacity={0.85}
+            accessibilityLabel="Export submissions and answers as CSV or JSON"
+          >
+            <Ionicons name="grid-outline" size={18} color={COLORS.primary} />
+            <Text style={styles.reportBtnText}>Export Data (CSV / JSON)</Text>
+          </TouchableOpacity>
+
           {/* Submissions List */}
           {submissions.map((submission) => {
             const overallScore = submission.gradingResults?.summary?.overallScore || 0;
@@ -173,9 +283,21 @@ export default function ExamSubmissions({ route, navigation }) {
             const writtenScore = submission.gradingResults?.summary?.writtenScore || 0;
             const totalQuestions = submission.gradingResults?.summary?.totalQuestions || 0;
             const answeredQuestions = submission.gradingResults?.summary?.answeredQuestions || 0;
+            const totalMarks = submission.gradingResults?.summary?.totalScore || 0;
+            const totalPossibleMarks = submission.gradingResults?.summary?.totalPossible || 0;
+            const grade =
+              submission.gradingResults?.summary?.grade ?? getGrade(overallScore, gradeScheme);
+
+            const needsGrading = submission.status === 'pending';
 
             return (
-              <View key={submission.id} style={styles.submissionCard}>
+              <TouchableOpacity
+                key={submission.id}
+                style={styles.submissionCard}
+                onPress={() => openSubmission(submission)}
+                activeOpacity={0.85}
+                accessibilityLabel={`${submission.studentName}, ${overallScore} percent${needsGrading ? ', needs grading' : ''}`}
+              >
                 <View style={styles.submissionHeader}>
                   <View style={styles.studentInfo}>
                     <View style={styles.avatar}>
@@ -190,6 +312,11 @@ export default function ExamSubmissions({ route, navigation }) {
                     <Text style={[styles.scoreText, { color: getScoreColor(overallScore) }]}>
                       {overallScore}%
                     </Text>
+                    {totalPossibleMarks > 0 && (
+                      <Text style={[styles.marksText, { color: getScoreColor(overallScore) }]}>
+                        {formatMarks(totalMarks, totalPossibleMarks)}
+                      </Text>
+                    )}
                   </View>
                 </View>
 
@@ -206,6 +333,23 @@ export default function ExamSubmissions({ route, navigation }) {
                       {answeredQuestions} of {totalQuestions} questions answered
                     </Text>
                   </View>
+                  <View style={styles.detailRow}>
+                    <Ionicons
+                      name={needsGrading ? 'create-outline' : 'ribbon-outline'}
+                      size={16}
+                      color={needsGrading ? COLORS.warning : COLORS.success}
+                    />
+                    <Text
+                      style={[
+                        styles.detailText,
+                        { color: needsGrading ? COLORS.warning : COLORS.success, fontWeight: '600' },
+                      ]}
+                    >
+                      {needsGrading
+                        ? 'Written answers need grading - tap to review'
+                        : 'Graded - tap to review'}
+                    </Text>
+                  </View>
                   <View style={styles.scoreRow}>
                     <View style={styles.scoreItem}>
                       <Text style={styles.scoreLabel}>MC Score</Text>
@@ -225,9 +369,19 @@ export default function ExamSubmissions({ route, navigation }) {
                         {overallScore}%
                       </Text>
                     </View>
+                    <View style={styles.scoreItem}>
+                      <Text style={styles.scoreLabel}>Grade</Text>
+                      <Text
+                        style={[styles.scoreValue, { color: getScoreColor(overallScore) }]}
+                        numberOfLines={1}
+                        adjustsFontSizeToFit
+                      >
+                        {grade}
+                      </Text>
+                    </View>
                   </View>
                 </View>
-              </View>
+              </TouchableOpacity>
             );
           })}
           <View style={{ height: 24 }} />
@@ -261,6 +415,29 @@ const styles = StyleSheet.create({
     gap: 6,
   },
   backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  headerBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  headerBtnText: { fontSize: 13, color: COLORS.primary, fontWeight: '600' },
+  reportBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: 10,
+    paddingVertical: 10,
+    backgroundColor: COLORS.card,
+  },
+  reportBtnText: { fontSize: 14, color: COLORS.primary, fontWeight: '600' },
   title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
   subtitle: { fontSize: 12.5, color: COLORS.muted },
   container: { padding: 16, gap: 16 },
@@ -360,6 +537,12 @@ const styles = StyleSheet.create({
   scoreText: {
     fontSize: 16,
     fontWeight: '700',
+    textAlign: 'center',
+  },
+  marksText: {
+    fontSize: 11.5,
+    fontWeight: '600',
+    marginTop: 2,
   },
   submissionDetails: {
     gap: 8,
@@ -0,0 +1,402 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { getExamVersions, getExamSubmissions } from '../../services/examService';
+import { diffExamVersions, describeAnswerKey } from '../../utils/examVersions';
+import { formatDateTimeLabel } from '../../utils/schedule';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+  warning: '#D97706',
+  error: '#DC2626',
+};
+
+const STATUS_LABELS = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+const STATUS_COLORS = { added: COLORS.success, removed: COLORS.error, changed: COLORS.warning };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function ExamVersions({ navigation, route }) {
+  const { examId, examTitle } = route?.params || {};
+  const [loading, setLoading] = useState(true);
+  const [versions, setVersions] = useState([]);
+  // Submissions per version number
+  const [submissionCounts, setSubmissionCounts] = useState({});
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+
+  const goBack = () => navigation?.goBack?.();
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true);
+      const [versionList, submissions] = await Promise.all([
+        getExamVersions(examId),
+        getExamSubmissions(examId),
+      ]);
+      const counts = {};
+      submissions.forEach((submission) => {
+        const version = submission.examVersion || 1;
+        counts[version] = (counts[version] || 0) + 1;
+      });
+
+      setVersions(versionList);
+      setSubmissionCounts(counts);
+      // Start with what changed in the latest version
+      const latest = versionList[versionList.length - 1].version;
+      setToVersion(latest);
+      setFromVersion(versionList.length > 1 ? versionList[versionList.length - 2].version : latest);
+    } catch (error) {
+      console.error('Error loading exam versions:', error);
+      Alert.alert('Error', 'Failed to load the exam versions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload when returning from a regrade
+  useFocusEffect(
+    useCallback(() => {
+      loadVersions();
+    }, [examId])
+  );
+
+  const currentVersion = versions[versions.length - 1]?.version;
+
+  const diff = useMemo(() => {
+    const older = versions.find(v => v.version === fromVersion);
+    const newer = versions.find(v => v.version === toVersion);
+    return older && newer && older !== newer ? diffExamVersions(older, newer) : null;
+  }, [versions, fromVersion, toVersion]);
+
+  // Preview the regrade of this version's submissions with the current answer key
+  const openRegrade = (version) => {
+    navigation?.navigate('RegradeExam', { examId, examTitle, fromVersion: version });
+  };
+
+  const renderVersionsCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="git-branch-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Versions</Text>
+      </View>
+      <Text style={styles.hint}>
+        Each submission is marked against the version the student took. Changing the questions of
+        an exam students have taken saves a new version.
+      </Text>
+
+      {[...versions].reverse().map((version) => {
+        const count = submissionCounts[version.version] || 0;
+        const saved = formatDateTimeLabel(version.createdAt);
+        return (
+          <View key={version.version} style={styles.versionRow}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.versionTitle}>
+                Version {version.version}
+                {version.current ? ' (current)' : ''}
+              </Text>
+              <Text style={styles.versionMeta}>
+                {saved ? `Saved ${saved} · ` : ''}
+                {plural(version.questions.length, 'question')} · {plural(count, 'submission')}
+              </Text>
+            </View>
+            {!version.current && count > 0 && (
+              <TouchableOpacity
+                style={styles.secondaryBtn}
+                onPress={() => openRegrade(version.version)}
+                activeOpacity={0.85}
+                accessibilityLabel={`Regrade version ${version.version} submissions with version ${currentVersion}`}
+              >
+                <Ionicons name="refresh-outline" size={16} color={COLORS.primary} />
+                <Text style={styles.secondaryBtnText}>Regrade</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+
+  const renderVersionChips = (selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {versions.map((version) => {
+        const active = version.version === selected;
+        return (
+          <TouchableOpacity
+            key={version.version}
+            style={[styles.chip, active && styles.chipActive]}
+            onPress={() => onSelect(version.version)}
+            activeOpacity={0.85}
+            accessibilityRole="button"
+            accessibilityState={{ selected: active }}
+          >
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>v{version.version}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderBeforeAfter = (label, before, after) => (
+    <View style={styles.compareBlock}>
+      <Text style={styles.compareLabel}>{label}</Text>
+      <Text style={styles.beforeText}>Before: {before || '—'}</Text>
+      <Text style={styles.afterText}>After: {after || '—'}</Text>
+    </View>
+  );
+
+  const renderQuestionChange = (change) => {
+    const question = change.after || change.before;
+    return (
+      <View key={`${change.status}-${change.id}`} style={styles.changeItem}>
+        <View style={styles.changeHeader}>
+          <Text style={styles.changeNumber}>Q{change.number}</Text>
+          <Text style={[styles.changeStatus, { color: STATUS_COLORS[change.status] }]}>
+            {STATUS_LABELS[change.status]}
+          </Text>
+          {change.affectsGrading && <Text style={styles.gradingTag}>Affects marks</Text>}
+        </View>
+
+        {change.status === 'changed' ? (
+          <>
+            <Text style={styles.changeFields}>{change.changes.join(' · ')}</Text>
+            {change.changes.includes('Question text') &&
+              renderBeforeAfter('Question', change.before.text, change.after.text)}
+            {change.changes.includes('Options') &&
+              renderBeforeAfter(
+                'Options',
+                (change.before.options || []).join(' · '),
+                (change.after.options || []).join(' · ')
+              )}
+            {change.affectsGrading &&
+              renderBeforeAfter(
+                'Answer key',
+                `${change.before.type} · ${describeAnswerKey(change.before)}`,
+                `${change.after.type} · ${describeAnswerKey(change.after)}`
+              )}
+          </>
+        ) : (
+          <>
+            <Text style={styles.changeText}>{question.text}</Text>
+            <Text style={styles.changeFields}>
+              {question.type} · {describeAnswerKey(question)}
+            </Text>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderDiffCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="git-compare-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Compare Versions</Text>
+      </View>
+
+      <Text style={styles.label}>From</Text>
+      {renderVersionChips(fromVersion, setFromVersion)}
+      <Text style={styles.label}>To</Text>
+      {renderVersionChips(toVersion, setToVersion)}
+
+      {!diff ? (
+        <Text style={[styles.hint, { marginTop: 12 }]}>Choose two different versions to compare.</Text>
+      ) : (
+        <>
+          <Text style={styles.summary}>
+            {diff.counts.changed} changed · {diff.counts.added} added · {diff.counts.removed} removed
+          </Text>
+          {diff.gradingChanged && (
+            <Text style={styles.warningText}>
+              These changes can change students' marks.
+            </Text>
+          )}
+          {diff.questions.length === 0 && diff.sections.length === 0 && !diff.drawRulesChanged && (
+            <Text style={styles.hint}>The questions are the same, only their order changed.</Text>
+          )}
+
+          {diff.questions.map(renderQuestionChange)}
+
+          {diff.sections.map((change) => (
+            <View key={`section-${change.status}-${change.id}`} style={styles.changeItem}>
+              <View style={styles.changeHeader}>
+                <Text style={styles.changeNumber}>Section</Text>
+                <Text style={[styles.changeStatus, { color: STATUS_COLORS[change.status] }]}>
+                  {STATUS_LABELS[change.status]}
+                </Text>
+              </View>
+              <Text style={styles.changeText}>{change.title || 'Untitled section'}</Text>
+              {change.changes.length > 0 && (
+                <Text style={styles.changeFields}>{change.changes.join(' · ')}</Text>
+              )}
+            </View>
+          ))}
+
+          {diff.drawRulesChanged && (
+            <View style={styles.changeItem}>
+              <View style={styles.changeHeader}>
+                <Text style={styles.changeNumber}>Question bank draws</Text>
+                <Text style={[styles.changeStatus, { color: STATUS_COLORS.changed }]}>Changed</Text>
+              </View>
+              <Text style={styles.changeFields}>
+                The draw rules or the questions they draw from changed.
+              </Text>
+            </View>
+          )}
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Version History</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>{examTitle || 'Exam'}</Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.hint}>Loading versions...</Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+          {renderVersionsCard()}
+          {versions.length > 1 && renderDiffCard()}
+          <View style={{ height: 24 }} />
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  loadingContainer: { flex: 1, alignItems: 'center', justifyContent: 'center', gap: 8 },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cardHeader: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+  cardTitle: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  hint: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  versionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  versionTitle: { fontSize: 14, fontWeight: '700', color: COLORS.text },
+  versionMeta: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  secondaryBtnText: { fontSize: 13, fontWeight: '600', color: COLORS.primary },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F9FAFB',
+  },
+  chipActive: { backgroundColor: '#EFF6FF', borderColor: COLORS.primary },
+  chipText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  chipTextActive: { color: COLORS.primary },
+  summary: { fontSize: 14, fontWeight: '600', color: COLORS.text, marginTop: 14 },
+  warningText: { fontSize: 12.5, color: COLORS.warning, fontWeight: '600', marginTop: 4 },
+  changeItem: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  changeHeader: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  changeNumber: { fontWeight: '700', color: COLORS.primary },
+  changeStatus: { fontSize: 12.5, fontWeight: '700' },
+  gradingTag: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.warning,
+    backgroundColor: '#FEF3C7',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  changeText: { fontSize: 13.5, color: COLORS.text, marginTop: 4 },
+  changeFields: { fontSize: 12, color: COLORS.muted, marginTop: 4 },
+  compareBlock: {
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#F1F5F9',
+  },
+  compareLabel: { fontSize: 12, fontWeight: '700', color: COLORS.muted, marginBottom: 4 },
+  beforeText: { fontSize: 13, color: COLORS.error },
+  afterText: { fontSize: 13, color: COLORS.success, marginTop: 2 },
+});
@@ -75,7 +75,7 @@ export default function App({ navigation }) {
     await logout();
   };
   const handleUploadExam = () => {
-    navigation?.navigate('CreateExam');
+    navigation?.navigate('ImportExam');
   };
   const handleManageExams = () => {
     navigation?.navigate('ManageExams');
@@ -88,9 +88,15 @@ export default function App({ navigation }) {
   const handleViewAllExams = () => {
     navigation?.navigate('ManageExams');
   };
+  const handleQuestionBank = () => {
+    navigation?.navigate('QuestionBank');
+  };
   const handleResearchAnalytics = () => {
     navigation?.navigate('ResearchAnalytics');
   };
+  const handleStudentAccommodations = () => {
+    navigation?.navigate('StudentAccommodations');
+  };
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: '#F8FAFC' }}>
@@ -118,13 +124,13 @@ export default function App({ navigation }) {
             label="Total Students"
             value={totalStudents}
             iconName="people-outline"
-            onPress={() => console.log('View Students')}
+            onPress={handleStudentAccommodations}
           />
         </View>
 
         <ActionCard
           title="Upload New Exam"
-          desc="Create and upload a new exam with questions"
+          desc="Import questions from a JSON, CSV or text file, or type them in"
           iconName="cloud-upload-outline"
           ctaText="Get Started"
           onPress={handleUploadExam}
@@ -172,6 +178,17 @@ export default function App({ navigation }) {
             <Text style={styles.quickActionText}>View All Exams</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.quickActionBtn}
+            activeOpacity={0.85}
+            onPress={handleQuestionBank}
+          >
+            <View style={styles.quickIconWrap}>
+              <Ionicons name="library-outline" size={18} color="#2563EB" />
+            </View>
+            <Text style={styles.quickActionText}>Question Bank</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.quickActionBtn}
             activeOpacity={0.85}
@@ -182,6 +199,17 @@ export default function App({ navigation }) {
             </View>
             <Text style={styles.quickActionText}>Research Analytics</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.quickActionBtn}
+            activeOpacity={0.85}
+            onPress={handleStudentAccommodations}
+          >
+            <View style={styles.quickIconWrap}>
+              <Ionicons name="accessibility-outline" size={18} color="#2563EB" />
+            </View>
+            <Text style={styles.quickActionText}>Student Accommodations</Text>
+          </TouchableOpacity>
         </View>
       </ScrollView>
     </SafeAreaView>
@@ -0,0 +1,556 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { getExamsByExaminer, getExamSubmissions } from '../../services/examService';
+import { getResearchMetrics, getUsabilitySurveys } from '../../services/evaluationMetrics';
+import { shareDataExport } from '../../services/reportService';
+import {
+  EXPORT_DATASETS,
+  EXPORT_DATE_RANGES,
+  getPresetDateRange,
+  toDayRange,
+  filterRecords,
+  buildExport,
+  buildCodebookCsv,
+  getExportFileName,
+} from '../../utils/dataExport';
+import { shiftDateTime } from '../../utils/schedule';
+import { db } from '../../config/firebase';
+import { doc, getDoc } from 'firebase/firestore';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  primarySoft: '#EFF6FF',
+  success: '#16A34A',
+};
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', hint: 'Opens in Excel and SPSS' },
+  { id: 'json', label: 'JSON', hint: 'Includes the column definitions' },
+];
+
+const DAY_STEPS = [
+  { label: '-1 week', days: -7 },
+  { label: '-1 day', days: -1 },
+  { label: '+1 day', days: 1 },
+  { label: '+1 week', days: 7 },
+];
+
+// Datasets read from submissions; the rest come from the evaluation metrics
+const SUBMISSION_DATASETS = ['submissions', 'responses'];
+
+const formatDay = (date) =>
+  date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function ExportData({ route, navigation }) {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [exams, setExams] = useState([]);
+  // null = all of the examiner's exams
+  const [examId, setExamId] = useState(route?.params?.examId || null);
+  const [datasetId, setDatasetId] = useState(route?.params?.examId ? 'submissions' : 'sessions');
+  const [format, setFormat] = useState('csv');
+  const [rangeId, setRangeId] = useState('all');
+  const [customFrom, setCustomFrom] = useState(() => shiftDateTime(new Date(), { days: -30 }));
+  const [customTo, setCustomTo] = useState(() => new Date());
+  const [includeNames, setIncludeNames] = useState(false);
+  const [lastExport, setLastExport] = useState(null);
+
+  const goBack = () => navigation?.goBack?.();
+
+  useEffect(() => {
+    const loadExams = async () => {
+      try {
+        setExams(await getExamsByExaminer(user.uid));
+      } catch (error) {
+        console.error('Error loading exams:', error);
+        Alert.alert('Error', 'Failed to load your exams. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (user?.uid) loadExams();
+  }, [user?.uid]);
+
+  const selectedExam = exams.find(exam => exam.id === examId);
+  const usesSubmissions = SUBMISSION_DATASETS.includes(datasetId);
+
+  const getDateRange = () =>
+    rangeId === 'custom'
+      ? toDayRange(customFrom, customTo)
+      : getPresetDateRange(EXPORT_DATE_RANGES.find(range => range.id === rangeId).days);
+
+  const getStudentNames = async (studentIds) => {
+    const names = {};
+    await Promise.all(
+      studentIds.map(async (studentId) => {
+        try {
+          const userDoc = await getDoc(doc(db, 'users', studentId));
+          const userData = userDoc.data();
+          names[studentId] =
+            userData?.name ||
+            [userData?.firstName, userData?.lastName].filter(Boolean).join(' ') ||
+            userData?.email ||
+            '';
+        } catch (error) {
+          console.error('Error fetching user data:', error);
+          names[studentId] = '';
+        }
+      })
+    );
+    return names;
+  };
+
+  // Submissions, sessions and surveys for the chosen exams and dates
+  const loadExportData = async (filters) => {
+    if (usesSubmissions) {
+      const submissions = filterRecords(
+        (await Promise.all(filters.examIds.map(getExamSubmissions))).flat(),
+        filters,
+        submission => submission.submittedAt
+      );
+      if (includeNames) {
+        const names = await getStudentNames([...new Set(submissions.map(s => s.studentId))]);
+        submissions.forEach((submission) => {
+          submission.studentName = names[submission.studentId];
+        });
+      }
+      return { submissions, sessions: [], surveys: [] };
+    }
+
+    if (datasetId === 'surveys') {
+      const surveys = filterRecords(await getUsabilitySurveys(), filters, survey => survey.completedAt);
+      return { submissions: [], sessions: [], surveys };
+    }
+
+    const sessions = filterRecords(
+      await getResearchMetrics(),
+      filters,
+      session => session.startTime || session.createdAt
+    );
+    return { submissions: [], sessions, surveys: [] };
+  };
+
+  const showShareResult = ({ uri, shared }) => {
+    if (!shared) {
+      Alert.alert('Export Saved', `Sharing isn't available on this device. The file was saved as ${uri}`);
+    }
+  };
+
+  const runExport = async () => {
+    const { from, to } = getDateRange();
+    if (from && to && from > to) {
+      Alert.alert('Check Dates', 'The start date is after the end date.');
+      return;
+    }
+
+    setExporting(true);
+    try {
+      const examIds = examId ? [examId] : exams.map(exam => exam.id);
+      const data = await loadExportData({ examIds, from, to });
+      const { content, rowCount } = buildExport(datasetId, data, format, {
+        exam: selectedExam?.title,
+        from,
+        to,
+      });
+      if (rowCount === 0) {
+        Alert.alert('Nothing to Export', 'No records match these filters.');
+        return;
+      }
+
+      const dataset = EXPORT_DATASETS[datasetId];
+      setLastExport(`${dataset.label}: ${plural(rowCount, 'row')} exported as ${format.toUpperCase()}`);
+      showShareResult(
+        await shareDataExport(
+          {
+            content,
+            fileName: getExportFileName(datasetId, selectedExam?.title),
+            title: `${dataset.label} export`,
+          },
+          format
+        )
+      );
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', 'Failed to export the data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportCodebook = async () => {
+    try {
+      showShareResult(
+        await shareDataExport(
+          {
+            content: buildCodebookCsv(),
+            fileName: 'export-column-definitions',
+            title: 'Column definitions',
+          },
+          'csv'
+        )
+      );
+    } catch (error) {
+      console.error('Error exporting column definitions:', error);
+      Alert.alert('Error', 'Failed to export the column definitions. Please try again.');
+    }
+  };
+
+  const renderOption = ({ key, label, hint, selected, onPress }) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.optionRow, selected && styles.optionRowActive]}
+      onPress={onPress}
+      activeOpacity={0.85}
+      accessibilityRole="radio"
+      accessibilityState={{ checked: selected }}
+      accessibilityLabel={hint ? `${label}. ${hint}` : label}
+    >
+      <Ionicons
+        name={selected ? 'radio-button-on' : 'radio-button-off'}
+        size={20}
+        color={selected ? COLORS.primary : COLORS.muted}
+      />
+      <View style={{ flex: 1 }}>
+        <Text style={[styles.optionLabel, selected && styles.optionLabelActive]}>{label}</Text>
+        {hint ? <Text style={styles.hint}>{hint}</Text> : null}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderChip = ({ key, label, selected, onPress }) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+      activeOpacity={0.85}
+      accessibilityRole="radio"
+      accessibilityState={{ checked: selected }}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderDayField = (label, value, onChange) => (
+    <View style={styles.dayField}>
+      <Text style={styles.dayLabel}>
+        {label}: <Text style={styles.dayValue}>{formatDay(value)}</Text>
+      </Text>
+      <View style={styles.stepperRow}>
+        {DAY_STEPS.map(step => (
+          <TouchableOpacity
+            key={step.label}
+            style={styles.stepperBtn}
+            onPress={() => onChange(shiftDateTime(value, { days: step.days }))}
+            activeOpacity={0.85}
+            accessibilityLabel={`${label}: ${step.label}`}
+          >
+            <Text style={styles.stepperText}>{step.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderCardTitle = (icon, title) => (
+    <View style={styles.cardHeader}>
+      <Ionicons name={icon} size={18} color={COLORS.primary} />
+      <Text style={styles.cardTitle}>{title}</Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Export Data</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>
+            CSV or JSON for SPSS, Excel and other analysis tools
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.loadingText}>Loading your exams...</Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+          <View style={styles.card}>
+            {renderCardTitle('layers-outline', 'Data')}
+            {Object.entries(EXPORT_DATASETS).map(([id, dataset]) =>
+              renderOption({
+                key: id,
+                label: dataset.label,
+                hint: dataset.description,
+                selected: datasetId === id,
+                onPress: () => setDatasetId(id),
+              })
+            )}
+          </View>
+
+          <View style={styles.card}>
+            {renderCardTitle('document-text-outline', 'Exam')}
+            {renderOption({
+              key: 'all',
+              label: 'All My Exams',
+              hint: plural(exams.length, 'exam'),
+              selected: !examId,
+              onPress: () => setExamId(null),
+            })}
+            {exams.map(exam =>
+              renderOption({
+                key: exam.id,
+                label: exam.title || 'Untitled Exam',
+                hint: exam.subject,
+                selected: examId === exam.id,
+                onPress: () => setExamId(exam.id),
+              })
+            )}
+          </View>
+
+          <View style={styles.card}>
+            {renderCardTitle('calendar-outline', 'Dates')}
+            <Text style={styles.hint}>
+              {usesSubmissions
+                ? 'By when the exam was submitted.'
+                : datasetId === 'surveys'
+                  ? 'By when the survey was completed.'
+                  : 'By when the exam was started.'}
+            </Text>
+            <View style={styles.chipRow}>
+              {EXPORT_DATE_RANGES.map(range =>
+                renderChip({
+                  key: range.id,
+                  label: range.label,
+                  selected: rangeId === range.id,
+                  onPress: () => setRangeId(range.id),
+                })
+              )}
+              {renderChip({
+                key: 'custom',
+                label: 'Custom',
+                selected: rangeId === 'custom',
+                onPress: () => setRangeId('custom'),
+              })}
+            </View>
+            {rangeId === 'custom' && (
+              <>
+                {renderDayField('From', customFrom, setCustomFrom)}
+                {renderDayField('To', customTo, setCustomTo)}
+              </>
+            )}
+          </View>
+
+          <View style={styles.card}>
+            {renderCardTitle('options-outline', 'Format')}
+            {FORMATS.map(option =>
+              renderOption({
+                key: option.id,
+                label: option.label,
+                hint: option.hint,
+                selected: format === option.id,
+                onPress: () => setFormat(option.id),
+              })
+            )}
+            {usesSubmissions && (
+              <TouchableOpacity
+                style={[styles.optionRow, includeNames && styles.optionRowActive]}
+                onPress={() => setIncludeNames(!includeNames)}
+                activeOpacity={0.85}
+                accessibilityRole="switch"
+                accessibilityState={{ checked: includeNames }}
+              >
+                <Ionicons
+                  name={includeNames ? 'checkbox' : 'square-outline'}
+                  size={20}
+                  color={includeNames ? COLORS.primary : COLORS.muted}
+                />
+                <View style={{ flex: 1 }}>
+                  <Text style={[styles.optionLabel, includeNames && styles.optionLabelActive]}>
+                    Include student names
+                  </Text>
+                  <Text style={styles.hint}>
+                    Leave off for research data; students are identified by their user ID.
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.linkBtn}
+              onPress={exportCodebook}
+              activeOpacity={0.85}
+              accessibilityLabel="Export the column definitions for every dataset as CSV"
+            >
+              <Ionicons name="book-outline" size={16} color={COLORS.primary} />
+              <Text style={styles.linkBtnText}>Export Column Definitions</Text>
+            </TouchableOpacity>
+          </View>
+
+          {lastExport && (
+            <Text style={styles.lastExport} accessibilityLiveRegion="polite">
+              {lastExport}
+            </Text>
+          )}
+          <View style={{ height: 84 }} />
+        </ScrollView>
+      )}
+
+      {!loading && (
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.exportBtn, exporting && { opacity: 0.6 }]}
+            onPress={runExport}
+            disabled={exporting}
+            activeOpacity={0.9}
+          >
+            {exporting ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <Ionicons name="share-outline" size={18} color="#FFFFFF" />
+            )}
+            <Text style={styles.exportBtnText}>
+              {exporting ? 'Exporting...' : `Export ${EXPORT_DATASETS[datasetId].label}`}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: { marginTop: 12, fontSize: 14, color: COLORS.muted },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cardHeader: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+  cardTitle: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  hint: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    padding: 10,
+    marginTop: 6,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  optionRowActive: { borderColor: COLORS.primary, backgroundColor: COLORS.primarySoft },
+  optionLabel: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  optionLabelActive: { color: COLORS.primary },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 10 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+  },
+  chipActive: { borderColor: COLORS.primary, backgroundColor: COLORS.primarySoft },
+  chipText: { fontSize: 13, fontWeight: '600', color: COLORS.muted },
+  chipTextActive: { color: COLORS.primary },
+  dayField: { marginTop: 12 },
+  dayLabel: { fontSize: 13, color: COLORS.muted },
+  dayValue: { fontWeight: '700', color: COLORS.text },
+  stepperRow: { flexDirection: 'row', gap: 6, marginTop: 6 },
+  stepperBtn: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.primarySoft,
+  },
+  stepperText: { fontSize: 12.5, fontWeight: '600', color: COLORS.primary },
+  linkBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 14,
+  },
+  linkBtnText: { fontSize: 13.5, fontWeight: '600', color: COLORS.primary },
+  lastExport: { fontSize: 13, color: COLORS.success, fontWeight: '600', textAlign: 'center' },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    padding: 12,
+    backgroundColor: COLORS.card,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  exportBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: COLORS.primary,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  exportBtnText: { color: '#FFFFFF', fontWeight: '700', fontSize: 15 },
+});
@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { getSubmission, saveManualGrades } from '../../services/examService';
+import { applyManualGrades, formatMarks, getQuestionMarks } from '../../utils/grading';
+import { formatAnswer, getQuestionTypeId } from '../../utils/questionTypes';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+  warning: '#F59E0B',
+  danger: '#EF4444',
+};
+
+// Marks the examiner can give a written answer, as a fraction of the question
+const SCORE_OPTIONS = [0, 0.25, 0.5, 0.75, 1];
+
+const isWrittenQuestion = (gradedQuestion) =>
+  getQuestionTypeId(gradedQuestion.questionType) === 'written';
+
+const formatPercent = (score) =>
+  score === null || score === undefined ? '—' : `${Math.round(score * 100)}%`;
+
+export default function GradeSubmission({ route, navigation }) {
+  const { submissionId, studentName } = route?.params || {};
+  const { user } = useAuth();
+  const [submission, setSubmission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // questionId -> { score, feedback } for each written answer
+  const [grades, setGrades] = useState({});
+
+  useEffect(() => {
+    loadSubmission();
+  }, [submissionId]);
+
+  const loadSubmission = async () => {
+    if (!submissionId) {
+      Alert.alert('Error', 'No submission ID provided');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const data = await getSubmission(submissionId);
+      setSubmission(data);
+
+      // Start from the current marks: the examiner's, or the auto-score awaiting review
+      const initialGrades = {};
+      (data.gradingResults?.gradedQuestions || [])
+        .filter(isWrittenQuestion)
+        .forEach(gradedQuestion => {
+          initialGrades[gradedQuestion.questionId] = {
+            score: gradedQuestion.score ?? null,
+            feedback: gradedQuestion.manuallyGraded ? gradedQuestion.feedback || '' : '',
+          };
+        });
+      setGrades(initialGrades);
+    } catch (error) {
+      console.error('Error loading submission:', error);
+      Alert.alert('Error', 'Failed to load submission. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const gradedQuestions = submission?.gradingResults?.gradedQuestions || [];
+
+  // Scores as they will be once the current marks are saved
+  const previewSummary = useMemo(() => {
+    if (!submission?.gradingResults) return null;
+    return applyManualGrades(submission.gradingResults, grades).summary;
+  }, [submission, grades]);
+
+  const updateGrade = (questionId, changes) => {
+    setGrades(prev => ({
+      ...prev,
+      [questionId]: { ...prev[questionId], ...changes },
+    }));
+  };
+
+  const handleSave = async () => {
+    const ungraded = gradedQuestions.findIndex(
+      gradedQuestion =>
+        isWrittenQuestion(gradedQuestion) &&
+        grades[gradedQuestion.questionId]?.score === null
+    );
+    if (ungraded !== -1) {
+      Alert.alert('Validation Error', `Please give a score for question ${ungraded + 1}`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await saveManualGrades(submissionId, grades, user?.uid);
+      Alert.alert(
+        'Grades Saved',
+        `Overall score is now ${result.overallScore}%.`,
+        [{ text: 'OK', onPress: () => navigation?.goBack?.() }]
+      );
+    } catch (error) {
+      console.error('Error saving grades:', error);
+      Alert.alert('Error', 'Failed to save grades. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const goBack = () => navigation?.goBack?.();
+
+  // Auto-graded question types: multiple choice, true/false, multiple select, fill-in-the-blank, numeric
+  const renderAutoGraded = (gradedQuestion) => (
+    <>
+      <Text style={styles.label}>Student's Answer</Text>
+      <View style={styles.answerBox}>
+        <Text style={styles.answerText}>
+          {formatAnswer(gradedQuestion.studentAnswer, gradedQuestion.questionType) ||
+            'No answer provided'}
+        </Text>
+      </View>
+      <Text style={styles.label}>Correct Answer</Text>
+      <View style={styles.answerBox}>
+        <Text style={styles.answerText}>
+          {formatAnswer(gradedQuestion.correctAnswer, gradedQuestion.questionType) || 'Not set'}
+        </Text>
+      </View>
+      {gradedQuestion.score > 0 && gradedQuestion.score < 1 && (
+        <View style={styles.detailRow}>
+          <Ionicons name="flash-outline" size={16} color={COLORS.muted} />
+          <Text style={styles.detailText}>{gradedQuestion.feedback}</Text>
+        </View>
+      )}
+    </>
+  );
+
+  const renderWritten = (gradedQuestion) => {
+    const grade = grades[gradedQuestion.questionId] || {};
+    return (
+      <>
+        <Text style={styles.label}>Student's Answer</Text>
+        <View style={styles.answerBox}>
+          <Text style={styles.answerText}>{gradedQuestion.studentAnswer || 'No answer provided'}</Text>
+        </View>
+
+        <Text style={styles.label}>Expected Answer</Text>
+        <View style={[styles.answerBox, styles.expectedBox]}>
+          <Text style={styles.answerText}>
+            {gradedQuestion.correctAnswer || 'No expected answer provided'}
+          </Text>
+        </View>
+
+        {(gradedQuestion.autoScore !== undefined || !gradedQuestion.manuallyGraded) && (
+          <View style={styles.detailRow}>
+            <Ionicons name="flash-outline" size={16} color={COLORS.muted} />
+            <Text style={styles.detailText}>
+              Auto-score: {formatPercent(gradedQuestion.autoScore ?? gradedQuestion.score)} (
+              {gradedQuestion.autoFeedback ?? gradedQuestion.feedback})
+            </Text>
+          </View>
+        )}
+        {gradedQuestion.rubricItems?.map(item => (
+          <View key={item.term} style={styles.detailRow}>
+            <Ionicons
+              name={item.matched ? 'checkmark-circle' : 'close-circle'}
+              size={16}
+              color={item.matched ? COLORS.success : COLORS.danger}
+            />
+            <Text style={styles.detailText}>
+              {item.term}
+              {item.weight !== 1 ? ` (${item.weight} pts)` : ''}
+              {item.matched && item.matchedText && item.matchedText !== item.term
+                ? ` - matched "${item.matchedText}"`
+                : ''}
+            </Text>
+          </View>
+        ))}
+
+        <Text style={styles.label}>
+          Score: {formatPercent(grade.score)}
+          {grade.score !== null && grade.score !== undefined
+            ? ` (${formatMarks(grade.score * getQuestionMarks(gradedQuestion), getQuestionMarks(gradedQuestion))})`
+            : ''}
+        </Text>
+        <View style={styles.chipRow}>
+          {SCORE_OPTIONS.map(option => {
+            const active = grade.score === option;
+            return (
+              <TouchableOpacity
+                key={option}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => updateGrade(gradedQuestion.questionId, { score: option })}
+                activeOpacity={0.85}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: active }}
+                accessibilityLabel={`Score ${formatPercent(option)}`}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                  {formatPercent(option)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <Text style={styles.label}>Feedback</Text>
+        <TextInput
+          value={grade.feedback}
+          onChangeText={(text) => updateGrade(gradedQuestion.questionId, { feedback: text })}
+          placeholder="Optional feedback for the student"
+          style={[styles.input, styles.textArea]}
+          placeholderTextColor={COLORS.muted}
+          multiline
+        />
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Grade Submission</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>
+            {studentName || submission?.examTitle || 'Review written answers'}
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.loadingText}>Loading submission...</Text>
+        </View>
+      ) : !submission ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="alert-circle-outline" size={48} color={COLORS.muted} />
+          <Text style={styles.emptyTitle}>Submission not found</Text>
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.container}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          {/* Score preview */}
+          {previewSummary && (
+            <View style={styles.summaryCard}>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryValue}>{previewSummary.overallScore}%</Text>
+                <Text style={styles.summaryLabel}>
+                  {formatMarks(previewSummary.totalScore, previewSummary.totalPossible)}
+                </Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryValue}>{previewSummary.writtenScore}%</Text>
+                <Text style={styles.summaryLabel}>Written</Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryValue}>{previewSummary.multipleChoiceScore}%</Text>
+                <Text style={styles.summaryLabel}>MC</Text>
+              </View>
+            </View>
+          )}
+
+          {gradedQuestions.map((gradedQuestion, index) => {
+            const written = isWrittenQuestion(gradedQuestion);
+            const needsReview = written && gradedQuestion.requiresManualGrading;
+            return (
+              <View key={gradedQuestion.questionId} style={styles.questionCard}>
+                <View style={styles.questionHeader}>
+                  <Text style={styles.questionNumber}>
+                    Question {index + 1} · {getQuestionMarks(gradedQuestion)}{' '}
+                    {getQuestionMarks(gradedQuestion) === 1 ? 'mark' : 'marks'}
+                    {gradedQuestion.notCounted ? ' · not counted' : ''}
+                  </Text>
+                  <View
+                    style={[
+                      styles.statusBadge,
+                      { backgroundColor: (needsReview ? COLORS.warning : COLORS.success) + '20' },
+                    ]}
+                  >
+                    <Text
+                      style={[
+                        styles.statusText,
+                        { color: needsReview ? COLORS.warning : COLORS.success },
+                      ]}
+                    >
+                      {needsReview
+                        ? 'Needs review'
+                        : gradedQuestion.manuallyGraded
+                        ? 'Reviewed'
+                        : gradedQuestion.isCorrect
+                        ? 'Correct'
+                        : 'Auto-graded'}
+                    </Text>
+                  </View>
+                </View>
+                <Text style={styles.questionText}>{gradedQuestion.questionText}</Text>
+
+                {written ? renderWritten(gradedQuestion) : renderAutoGraded(gradedQuestion)}
+              </View>
+            );
+          })}
+
+          <TouchableOpacity
+            style={[styles.saveBtn, saving && { opacity: 0.6 }]}
+            onPress={handleSave}
+            disabled={saving}
+            activeOpacity={0.85}
+          >
+            {saving ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <>
+                <Ionicons name="checkmark-done" size={18} color="#FFFFFF" />
+                <Text style={styles.saveText}>Save Grades</Text>
+              </>
+            )}
+          </TouchableOpacity>
+          <View style={{ height: 24 }} />
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 16 },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: COLORS.muted,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginTop: 16,
+  },
+  summaryCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    flexDirection: 'row',
+    gap: 12,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 22,
+    fontWeight: '800',
+    color: COLORS.text,
+  },
+  summaryLabel: {
+    fontSize: 12.5,
+    color: COLORS.muted,
+    marginTop: 4,
+  },
+  questionCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  questionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  questionNumber: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: COLORS.primary,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 8,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  questionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  answerBox: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: 12,
+  },
+  expectedBox: {
+    backgroundColor: '#F0FDF4',
+    borderColor: '#BBF7D0',
+  },
+  answerText: {
+    fontSize: 14,
+    color: COLORS.text,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 10,
+  },
+  detailText: {
+    fontSize: 13,
+    color: COLORS.muted,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F9FAFB',
+  },
+  chipActive: {
+    backgroundColor: '#EFF6FF',
+    borderColor: COLORS.primary,
+  },
+  chipText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  chipTextActive: { color: COLORS.primary },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    backgroundColor: '#FFFFFF',
+  },
+  textArea: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+  },
+  saveBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: COLORS.primary,
+  },
+  saveText: { fontSize: 15, fontWeight: '700', color: '#FFFFFF' },
+});
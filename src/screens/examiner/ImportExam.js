@@ -0,0 +1,587 @@
+import React, { useState } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { useAuth } from '../../context/AuthContext';
+import { createExam } from '../../services/examService';
+import { IMPORT_FORMATS, IMPORT_EXAMPLES, importQuestions } from '../../utils/examImport';
+import { describeCorrectAnswer } from '../../utils/questionTypes';
+import { countDrawnQuestions, describeDrawRule } from '../../utils/questionBank';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+  error: '#DC2626',
+};
+
+// File types offered by the picker; some Android file managers report CSV as plain text
+const IMPORT_FILE_TYPES = [
+  'application/json',
+  'text/csv',
+  'text/comma-separated-values',
+  'text/plain',
+];
+
+// File name without its extension, used as the default exam title
+const titleFromFileName = (fileName) =>
+  (fileName || '').replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+
+export default function ImportExam({ navigation }) {
+  const { user } = useAuth();
+  const [fileName, setFileName] = useState('');
+  const [pastedText, setPastedText] = useState('');
+  const [showPaste, setShowPaste] = useState(false);
+  const [exampleFormat, setExampleFormat] = useState('csv');
+  const [reading, setReading] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  // Result of the last file read (see importQuestions)
+  const [result, setResult] = useState(null);
+
+  // Exam details, filled in from the file where it has them
+  const [title, setTitle] = useState('');
+  const [subject, setSubject] = useState('');
+  const [duration, setDuration] = useState('60');
+
+  // Exam packages can also draw questions for each student from a question pool
+  const drawRules = result?.exam?.drawRules || [];
+  const questionCount = (result?.questions.length || 0) + countDrawnQuestions(drawRules);
+
+  const goBack = () => navigation?.goBack?.();
+
+  const applyResult = (imported, name) => {
+    setResult(imported);
+    setFileName(name);
+    setTitle(imported.exam.title || titleFromFileName(name));
+    setSubject(imported.exam.subject);
+    setDuration(String(imported.exam.duration || 60));
+  };
+
+  const chooseFile = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: IMPORT_FILE_TYPES,
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled || !picked.assets?.length) return;
+
+      setReading(true);
+      const asset = picked.assets[0];
+      const response = await fetch(asset.uri);
+      const text = await response.text();
+      applyResult(importQuestions(text, asset.name), asset.name);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      Alert.alert('Error', 'Failed to read the file. Please try again.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const checkPastedText = () => {
+    if (!pastedText.trim()) {
+      Alert.alert('Validation Error', 'Paste the questions to import first');
+      return;
+    }
+    applyResult(importQuestions(pastedText), '');
+  };
+
+  const saveExam = async () => {
+    if (!user?.uid) {
+      Alert.alert('Authentication Error', 'You must be logged in to create an exam. Please log in and try again.');
+      return;
+    }
+    if (!title.trim()) {
+      Alert.alert('Validation Error', 'Please enter an exam title');
+      return;
+    }
+    if (!subject.trim()) {
+      Alert.alert('Validation Error', 'Please enter a subject');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const examId = await createExam(
+        {
+          ...result.exam, // Exam packages also carry settings and sections
+          title: title.trim(),
+          subject: subject.trim(),
+          duration: Number(duration) || 60,
+          questions: result.questions,
+        },
+        user.uid
+      );
+      console.log('Imported exam created with ID:', examId);
+      Alert.alert(
+        'Success',
+        `Exam created as a draft with ${questionCount} question${questionCount !== 1 ? 's' : ''}. Review it in Manage Exams before activating it.`,
+        [{ text: 'OK', onPress: () => navigation?.replace?.('ManageExams') }]
+      );
+    } catch (error) {
+      console.error('Error creating imported exam:', error);
+      Alert.alert('Error', error.message || 'Failed to create exam. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Rows that can't be imported are skipped, so confirm before creating the exam
+  const confirmCreate = () => {
+    if (result.problems.length === 0) {
+      saveExam();
+      return;
+    }
+    const skipped = result.problems.length;
+    Alert.alert(
+      'Skip Invalid Rows?',
+      `${skipped} ${skipped === 1 ? 'row has' : 'rows have'} problems and will not be imported. Create the exam with the other ${result.questions.length} questions?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Create Exam', onPress: saveExam },
+      ]
+    );
+  };
+
+  const renderSourceCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="document-attach-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Question File</Text>
+      </View>
+      <Text style={styles.hint}>
+        JSON, CSV or plain text. Each question needs its text and correct answer; type, options and marks are optional. Exam packages exported from Manage Exams are imported with their settings and sections.
+      </Text>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.primaryBtn, reading && { opacity: 0.6 }]}
+          onPress={chooseFile}
+          disabled={reading}
+          activeOpacity={0.85}
+        >
+          {reading ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Ionicons name="folder-open-outline" size={16} color="#FFFFFF" />
+          )}
+          <Text style={styles.primaryBtnText}>Choose File</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.secondaryBtn}
+          onPress={() => setShowPaste(!showPaste)}
+          activeOpacity={0.85}
+        >
+          <Ionicons name="clipboard-outline" size={16} color={COLORS.primary} />
+          <Text style={styles.secondaryBtnText}>Paste Text</Text>
+        </TouchableOpacity>
+      </View>
+
+      {fileName ? <Text style={styles.fileName}>{fileName}</Text> : null}
+
+      {showPaste && (
+        <>
+          <TextInput
+            value={pastedText}
+            onChangeText={setPastedText}
+            placeholder="Paste JSON, CSV or plain text questions"
+            style={[styles.input, styles.pasteInput]}
+            placeholderTextColor={COLORS.muted}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TouchableOpacity style={styles.secondaryBtn} onPress={checkPastedText} activeOpacity={0.85}>
+            <Ionicons name="checkmark-done-outline" size={16} color={COLORS.primary} />
+            <Text style={styles.secondaryBtnText}>Check Questions</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      <Text style={styles.label}>Example</Text>
+      <View style={styles.chipRow}>
+        {Object.keys(IMPORT_FORMATS).map(format => {
+          const active = format === exampleFormat;
+          return (
+            <TouchableOpacity
+              key={format}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => setExampleFormat(format)}
+              activeOpacity={0.85}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: active }}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {IMPORT_FORMATS[format]}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.example} selectable>{IMPORT_EXAMPLES[exampleFormat]}</Text>
+    </View>
+  );
+
+  const renderProblems = () =>
+    result.problems.map((problem, index) => (
+      <View key={index} style={styles.problemRow}>
+        <Text style={styles.problemLabel}>{problem.label}</Text>
+        <Text style={styles.problemText}>{problem.message}</Text>
+      </View>
+    ));
+
+  const describeSource = () => {
+    const { examPackage } = result;
+    if (!examPackage) return IMPORT_FORMATS[result.format];
+    return examPackage.migratedFrom
+      ? `Exam package v${examPackage.formatVersion} (upgraded from v${examPackage.migratedFrom})`
+      : `Exam package v${examPackage.formatVersion}`;
+  };
+
+  const renderReport = () => {
+    if (result.fatalError) {
+      return (
+        <View style={[styles.card, styles.errorCard]}>
+          <View style={styles.cardHeader}>
+            <Ionicons name="alert-circle-outline" size={18} color={COLORS.error} />
+            <Text style={styles.cardTitle}>Could Not Read File</Text>
+          </View>
+          <Text style={styles.problemText}>{result.fatalError}</Text>
+          {renderProblems()}
+        </View>
+      );
+    }
+
+    const problemCount = result.problems.length;
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Ionicons
+            name={problemCount ? 'warning-outline' : 'checkmark-circle-outline'}
+            size={18}
+            color={problemCount ? COLORS.error : COLORS.success}
+          />
+          <Text style={styles.cardTitle}>Validation Report</Text>
+        </View>
+        <Text style={styles.reportSummary}>
+          {describeSource()} · {result.questions.length} of {result.rowCount} questions ready
+          {problemCount ? ` · ${problemCount} with problems` : ''}
+        </Text>
+        {renderProblems()}
+        {problemCount > 0 && (
+          <Text style={styles.hint}>Fix these rows in the file and choose it again, or import without them.</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderPreview = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="eye-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Preview</Text>
+      </View>
+
+      <Text style={styles.label}>Exam Title</Text>
+      <TextInput
+        value={title}
+        onChangeText={setTitle}
+        placeholder="e.g., Mathematics Final Exam"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+      <Text style={styles.label}>Subject</Text>
+      <TextInput
+        value={subject}
+        onChangeText={setSubject}
+        placeholder="e.g., Mathematics"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+      <Text style={styles.label}>Duration (minutes)</Text>
+      <TextInput
+        value={duration}
+        onChangeText={setDuration}
+        keyboardType="numeric"
+        placeholder="60"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+
+      {result.examPackage && (
+        <Text style={[styles.hint, { marginTop: 10 }]}>
+          Settings from the package: {result.exam.maxAttempts} attempt{result.exam.maxAttempts !== 1 ? 's' : ''}
+          {result.exam.shuffleQuestions ? ' · shuffled questions' : ''}
+          {result.exam.shuffleOptions ? ' · shuffled options' : ''}
+          {result.exam.gradeScheme ? ` · ${result.exam.gradeScheme.name || 'custom'} grade scheme` : ''}
+          {result.exam.sections.length ? ` · ${result.exam.sections.length} section${result.exam.sections.length !== 1 ? 's' : ''}` : ''}
+        </Text>
+      )}
+
+      {drawRules.length > 0 && (
+        <>
+          <Text style={styles.label}>
+            Drawn for Each Student ({countDrawnQuestions(drawRules)} from a pool of {result.exam.questionPool.length})
+          </Text>
+          {drawRules.map((rule, index) => (
+            <Text key={index} style={styles.questionMeta}>
+              • {describeDrawRule(rule)}
+            </Text>
+          ))}
+        </>
+      )}
+
+      <Text style={styles.label}>Questions ({result.questions.length})</Text>
+      {result.questions.map((question, index) => (
+        <View key={index} style={styles.questionItem}>
+          <Text style={styles.questionIndex}>Q{index + 1}</Text>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.questionText}>{question.text}</Text>
+            {question.options && question.type !== 'True / False' && (
+              <Text style={styles.questionMeta}>Options: {question.options.join(' · ')}</Text>
+            )}
+            <Text style={styles.questionMeta}>
+              {question.type} · {question.marks} {question.marks === 1 ? 'mark' : 'marks'}
+              {question.negativeMarks ? ` (−${question.negativeMarks} if wrong)` : ''}
+              {describeCorrectAnswer(question) ? ` · ${describeCorrectAnswer(question)}` : ''}
+            </Text>
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+
+  const canCreate = result && !result.fatalError && questionCount > 0;
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Import Exam</Text>
+          <Text style={styles.subtitle}>Import questions from a file</Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.container}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {renderSourceCard()}
+        {result && renderReport()}
+        {canCreate && renderPreview()}
+
+        <TouchableOpacity
+          style={styles.linkBtn}
+          onPress={() => navigation?.navigate('CreateExam')}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.linkText}>Type the questions instead</Text>
+        </TouchableOpacity>
+        <View style={{ height: canCreate ? 84 : 24 }} />
+      </ScrollView>
+
+      {canCreate && (
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.createBtn, creating && { opacity: 0.6 }]}
+            onPress={confirmCreate}
+            disabled={creating}
+            activeOpacity={0.9}
+          >
+            {creating ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <Ionicons name="cloud-upload-outline" size={18} color="#FFFFFF" />
+            )}
+            <Text style={styles.createBtnText}>
+              {creating ? 'Creating...' : `Create Exam (${questionCount} questions)`}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  errorCard: { borderColor: COLORS.error },
+  cardHeader: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+  cardTitle: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  hint: {
+    fontSize: 12,
+    color: COLORS.muted,
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    backgroundColor: '#FFFFFF',
+  },
+  pasteInput: {
+    minHeight: 140,
+    marginTop: 12,
+    textAlignVertical: 'top',
+    fontFamily: 'monospace',
+    fontSize: 12.5,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginTop: 12,
+  },
+  primaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 9,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  primaryBtnText: { fontSize: 13, fontWeight: '700', color: '#FFFFFF' },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 0,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  secondaryBtnText: { fontSize: 13, fontWeight: '600', color: COLORS.primary },
+  fileName: { fontSize: 13, color: COLORS.text, fontWeight: '600', marginTop: 10 },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F9FAFB',
+  },
+  chipActive: {
+    backgroundColor: '#EFF6FF',
+    borderColor: COLORS.primary,
+  },
+  chipText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  chipTextActive: { color: COLORS.primary },
+  example: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#F1F5F9',
+    fontFamily: 'monospace',
+    fontSize: 11.5,
+    color: COLORS.text,
+  },
+  reportSummary: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  problemRow: {
+    marginTop: 10,
+    paddingLeft: 10,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.error,
+  },
+  problemLabel: { fontSize: 13, fontWeight: '700', color: COLORS.text },
+  problemText: { fontSize: 13, color: COLORS.error, marginTop: 2 },
+  questionItem: {
+    flexDirection: 'row',
+    gap: 12,
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  questionIndex: { width: 32, fontWeight: '700', color: COLORS.primary },
+  questionText: { fontSize: 13.5, color: COLORS.text },
+  questionMeta: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  linkBtn: { alignSelf: 'center', paddingVertical: 8 },
+  linkText: { fontSize: 13, fontWeight: '600', color: COLORS.primary },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    padding: 12,
+    backgroundColor: COLORS.card,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  createBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: COLORS.primary,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  createBtnText: { color: '#FFFFFF', fontWeight: '700', fontSize: 15 },
+});
@@ -6,6 +6,9 @@ import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { getExamsByExaminer, updateExamStatus, deleteExam, getExamSubmissions } from '../../services/examService';
+import { shareDataExport } from '../../services/reportService';
+import { isChoiceType, getOptionLetter, formatNumericAnswer } from '../../utils/questionTypes';
+import { createExamPackage, getExamPackageFileName } from '../../utils/examPackage';
 
 const COLORS = {
   bg: '#F8FAFC',
@@ -127,6 +130,31 @@ export default function ManageExams({ navigation }) {
   const onEdit = (exam) => {
     navigation?.navigate('EditExam', { examId: exam.id });
   };
+  const onViewVersions = (exam) => {
+    navigation?.navigate('ExamVersions', { examId: exam.id, examTitle: exam.title });
+  };
+  const onRegrade = (exam) => {
+    navigation?.navigate('RegradeExam', { examId: exam.id, examTitle: exam.title });
+  };
+  // Write the exam package to the cache and hand it to the share sheet (Drive, email, Files...)
+  const onExport = async (exam) => {
+    try {
+      const { uri, shared } = await shareDataExport(
+        {
+          content: JSON.stringify(createExamPackage(exam), null, 2),
+          fileName: getExamPackageFileName(exam),
+          title: `Export "${exam.title}"`,
+        },
+        'json'
+      );
+      if (!shared) {
+        Alert.alert('Export Saved', `Sharing isn't available on this device. The package was saved as ${uri}`);
+      }
+    } catch (error) {
+      console.error('Error exporting exam:', error);
+      Alert.alert('Error', 'Failed to export exam. Please try again.');
+    }
+  };
   const onDeactivate = async (exam) => {
     Alert.alert(
       'Deactivate Exam',
@@ -246,6 +274,9 @@ export default function ManageExams({ navigation }) {
                 exam={exam}
                 onViewDetails={() => onViewDetails(exam)}
                 onEdit={() => onEdit(exam)}
+                onViewVersions={() => onViewVersions(exam)}
+                onRegrade={() => onRegrade(exam)}
+                onExport={() => onExport(exam)}
                 onDeactivate={() => onDeactivate(exam)}
                 onDelete={() => onDelete(exam)}
               />
@@ -342,7 +373,7 @@ function StatCard({ label, value, icon, iconColor }) {
   );
 }
 
-function ExamCard({ exam, onViewDetails, onEdit, onDeactivate, onDelete }) {
+function ExamCard({ exam, onViewDetails, onEdit, onViewVersions, onRegrade, onExport, onDeactivate, onDelete }) {
   const statusColor =
     exam.status === 'active' ? COLORS.success : exam.status === 'inactive' ? COLORS.inactive : COLORS.warning;
 
@@ -376,6 +407,13 @@ function ExamCard({ exam, onViewDetails, onEdit, onDeactivate, onDelete }) {
       <View style={styles.actionsRow}>
         <GhostButton icon="eye-outline" text="View Details" onPress={onViewDetails} />
         <GhostButton icon="create-outline" text="Edit" onPress={onEdit} />
+        <GhostButton icon="share-outline" text="Export" onPress={onExport} />
+        {exam.version > 1 && (
+          <GhostButton icon="git-compare-outline" text="Versions" onPress={onViewVersions} />
+        )}
+        {exam.attempts > 0 && (
+          <GhostButton icon="refresh-outline" text="Regrade" onPress={onRegrade} />
+        )}
       </View>
 
       <View style={styles.actionsRow}>
@@ -420,6 +458,11 @@ function DangerButton({ text, onPress }) {
 }
 
 function QuestionCard({ question, index }) {
+  const isCorrectOption = (optIndex) =>
+    Array.isArray(question.correctIndexes)
+      ? question.correctIndexes.includes(optIndex)
+      : question.correctIndex === optIndex;
+
   return (
     <View style={styles.questionCard}>
       <View style={styles.questionHeader}>
@@ -433,7 +476,7 @@ function QuestionCard({ question, index }) {
       
       <Text style={styles.questionText}>{question.text}</Text>
       
-      {question.type === 'Multiple Choice' && question.options ? (
+      {isChoiceType(question.type) && question.options ? (
         <View style={styles.optionsContainer}>
           <Text style={styles.optionsTitle}>Options:</Text>
           {question.options.map((option, optIndex) => (
@@ -441,29 +484,43 @@ function QuestionCard({ question, index }) {
               key={optIndex}
               style={[
                 styles.optionItem,
-                question.correctIndex === optIndex && styles.correctOption
+                isCorrectOption(optIndex) && styles.correctOption
               ]}
             >
               <View style={styles.optionLetter}>
                 <Text style={[
                   styles.optionLetterText,
-                  question.correctIndex === optIndex && styles.correctOptionText
+                  isCorrectOption(optIndex) && styles.correctOptionText
                 ]}>
-                  {String.fromCharCode(65 + optIndex)}
+                  {getOptionLetter(optIndex)}
                 </Text>
               </View>
               <Text style={[
                 styles.optionText,
-                question.correctIndex === optIndex && styles.correctOptionText
+                isCorrectOption(optIndex) && styles.correctOptionText
               ]}>
                 {option || '(Empty)'}
               </Text>
-              {question.correctIndex === optIndex && (
+              {isCorrectOption(optIndex) && (
                 <Ionicons name="checkmark-circle" size={20} color={COLORS.success} />
               )}
             </View>
           ))}
         </View>
+      ) : question.type === 'Fill in the Blank' && question.blanks ? (
+        <View style={styles.writtenAnswerContainer}>
+          <Text style={styles.expectedAnswerTitle}>Blank Answers:</Text>
+          {question.blanks.map((blank, blankIndex) => (
+            <Text key={blankIndex} style={styles.expectedAnswerText}>
+              {blankIndex + 1}. {(blank.answers || []).join(' / ')}
+            </Text>
+          ))}
+        </View>
+      ) : question.type === 'Numeric' && question.numeric ? (
+        <View style={styles.writtenAnswerContainer}>
+          <Text style={styles.expectedAnswerTitle}>Expected Answer:</Text>
+          <Text style={styles.expectedAnswerText}>{formatNumericAnswer(question.numeric)}</Text>
+        </View>
       ) : question.type === 'Written Answer' && question.expectedAnswer ? (
         <View style={styles.writtenAnswerContainer}>
           <Text style={styles.expectedAnswerTitle}>Expected Answer:</Text>
@@ -546,7 +603,7 @@ const styles = StyleSheet.create({
   metaRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
   metaText: { fontSize: 13, color: COLORS.muted },
 
-  actionsRow: { flexDirection: 'row', gap: 10 },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 10 },
   ghostBtn: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,812 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import {
+  addToQuestionBank,
+  getQuestionBank,
+  updateBankQuestionDetails,
+  deleteBankQuestion,
+} from '../../services/questionBankService';
+import {
+  DIFFICULTY_LEVELS,
+  filterBankQuestions,
+  getBankFacets,
+  drawQuestions,
+  validateDrawRules,
+  describeDrawRule,
+  getDrawPool,
+  countDrawnQuestions,
+} from '../../utils/questionBank';
+import { describeCorrectAnswer } from '../../utils/questionTypes';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+  danger: '#EF4444',
+};
+
+const DIFFICULTY_COLORS = {
+  easy: '#16A34A',
+  medium: '#F59E0B',
+  hard: '#DC2626',
+};
+
+const EMPTY_FILTERS = { subject: '', topic: '', difficulty: '', tag: '' };
+
+const EMPTY_RULE_INPUT = { count: '5', subject: '', topic: '', difficulty: '', tag: '' };
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Tag form values for a bank entry (or defaults for new questions)
+const getDetailsInput = (entry, subject = '') => ({
+  subject: entry?.subject || subject,
+  topic: entry?.topic || '',
+  difficulty: entry?.difficulty || 'medium',
+  tags: (entry?.tags || []).join(', '),
+});
+
+/**
+ * Browse, search and tag the examiner's question bank
+ * Opened from CreateExam/EditExam with { returnTo } to pick questions or draw rules for the exam,
+ * or with { saveQuestions } to add exam questions to the bank
+ */
+export default function QuestionBank({ navigation, route }) {
+  const { user } = useAuth();
+  const returnTo = route?.params?.returnTo || null;
+  const examSubject = route?.params?.subject || '';
+  const [questionsToSave, setQuestionsToSave] = useState(route?.params?.saveQuestions || []);
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Search and filters
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  // Picking for an exam
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [drawRules, setDrawRules] = useState([]);
+  const [ruleInput, setRuleInput] = useState({ ...EMPTY_RULE_INPUT, subject: examSubject });
+
+  // Tags being edited: an entry id, or 'new' for questionsToSave
+  const [editingId, setEditingId] = useState(questionsToSave.length > 0 ? 'new' : null);
+  const [detailsInput, setDetailsInput] = useState(getDetailsInput(null, examSubject));
+
+  useEffect(() => {
+    loadBank();
+  }, [user?.uid]);
+
+  const loadBank = async () => {
+    if (!user?.uid) return;
+    try {
+      setLoading(true);
+      setEntries(await getQuestionBank(user.uid));
+    } catch (error) {
+      console.error('Error loading question bank:', error);
+      Alert.alert('Error', 'Failed to load the question bank. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const facets = useMemo(() => getBankFacets(entries), [entries]);
+  const visibleEntries = useMemo(
+    () => filterBankQuestions(entries, { ...filters, search }),
+    [entries, filters, search]
+  );
+
+  const goBack = () => navigation?.goBack?.();
+
+  const updateFilter = (key, value) =>
+    setFilters(prev => ({ ...prev, [key]: prev[key] === value ? '' : value }));
+
+  const updateDetailsInput = (changes) => setDetailsInput(prev => ({ ...prev, ...changes }));
+
+  const updateRuleInput = (changes) => setRuleInput(prev => ({ ...prev, ...changes }));
+
+  const toggleSelected = (entryId) =>
+    setSelectedIds(prev =>
+      prev.includes(entryId) ? prev.filter(id => id !== entryId) : [...prev, entryId]
+    );
+
+  const startEditing = (entry) => {
+    setEditingId(entry.id);
+    setDetailsInput(getDetailsInput(entry));
+  };
+
+  const cancelEditing = () => {
+    if (editingId === 'new') setQuestionsToSave([]);
+    setEditingId(null);
+  };
+
+  const saveDetails = async () => {
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await addToQuestionBank(questionsToSave, detailsInput, user.uid);
+        Alert.alert(
+          'Saved',
+          `${questionsToSave.length} question${questionsToSave.length !== 1 ? 's' : ''} added to your question bank.`
+        );
+        setQuestionsToSave([]);
+      } else {
+        await updateBankQuestionDetails(editingId, detailsInput);
+      }
+      setEditingId(null);
+      loadBank();
+    } catch (error) {
+      console.error('Error saving question bank details:', error);
+      Alert.alert('Error', error.message || 'Failed to save. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onDelete = (entry) => {
+    Alert.alert(
+      'Delete Question',
+      'Remove this question from your bank? Exams that already use it keep their copy.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBankQuestion(entry.id);
+              setEntries(prev => prev.filter(e => e.id !== entry.id));
+            } catch (error) {
+              console.error('Error deleting bank question:', error);
+              Alert.alert('Error', 'Failed to delete the question. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const addRule = () => {
+    const rule = {
+      count: Number(ruleInput.count),
+      subject: ruleInput.subject.trim(),
+      topic: ruleInput.topic.trim(),
+      difficulty: ruleInput.difficulty,
+      tag: ruleInput.tag.trim().toLowerCase(),
+    };
+    const ruleError = validateDrawRules([...drawRules, rule], entries);
+    if (ruleError) {
+      Alert.alert('Validation Error', ruleError);
+      return;
+    }
+    setDrawRules(prev => [...prev, rule]);
+    updateRuleInput({ count: EMPTY_RULE_INPUT.count, topic: '', difficulty: '', tag: '' });
+  };
+
+  // Hand the selection back to the exam being written
+  const returnSelection = (bankSelection) => {
+    navigation?.popTo?.(returnTo, { bankSelection }, { merge: true });
+  };
+
+  const addSelected = () => {
+    const selected = entries.filter(entry => selectedIds.includes(entry.id));
+    returnSelection({ questions: selected.map(entry => entry.question) });
+  };
+
+  const addDrawnQuestions = () => {
+    const { entries: drawn } = drawQuestions(entries, drawRules);
+    returnSelection({ questions: drawn.map(entry => entry.question) });
+  };
+
+  const drawPerStudent = () => {
+    returnSelection({ drawRules, questionPool: getDrawPool(entries, drawRules) });
+  };
+
+  const renderChips = (values, selected, onPress, format = (value) => value) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+      {values.map(value => {
+        const active = value === selected;
+        return (
+          <TouchableOpacity
+            key={value}
+            style={[styles.chip, active && styles.chipActive]}
+            onPress={() => onPress(value)}
+            activeOpacity={0.85}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: active }}
+          >
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>{format(value)}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  const renderDetailsEditor = () => (
+    <View style={styles.editor}>
+      <Text style={styles.label}>Subject</Text>
+      <TextInput
+        value={detailsInput.subject}
+        onChangeText={text => updateDetailsInput({ subject: text })}
+        placeholder="e.g., Mathematics"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+      <Text style={styles.label}>Topic</Text>
+      <TextInput
+        value={detailsInput.topic}
+        onChangeText={text => updateDetailsInput({ topic: text })}
+        placeholder="e.g., Algebra"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+      <Text style={styles.label}>Difficulty</Text>
+      <View style={styles.chipRow}>
+        {DIFFICULTY_LEVELS.map(level => {
+          const active = detailsInput.difficulty === level;
+          return (
+            <TouchableOpacity
+              key={level}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => updateDetailsInput({ difficulty: level })}
+              activeOpacity={0.85}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: active }}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>{capitalize(level)}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.label}>Tags</Text>
+      <TextInput
+        value={detailsInput.tags}
+        onChangeText={text => updateDetailsInput({ tags: text })}
+        placeholder="e.g., term 1, revision"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+        autoCapitalize="none"
+      />
+      <Text style={styles.hint}>Separate tags with commas.</Text>
+
+      <View style={styles.editorActions}>
+        <TouchableOpacity style={styles.cancelBtn} onPress={cancelEditing} activeOpacity={0.85}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.saveBtn, saving && { opacity: 0.6 }]}
+          onPress={saveDetails}
+          disabled={saving}
+          activeOpacity={0.85}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveText}>Save</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderSaveCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="bookmark-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>
+          Save {questionsToSave.length} Question{questionsToSave.length !== 1 ? 's' : ''} to Bank
+        </Text>
+      </View>
+      {questionsToSave.map((question, index) => (
+        <Text key={index} style={styles.saveQuestionText} numberOfLines={2}>
+          {question.text}
+        </Text>
+      ))}
+      {renderDetailsEditor()}
+    </View>
+  );
+
+  const renderFilters = () => (
+    <View style={styles.card}>
+      <View style={styles.searchRow}>
+        <Ionicons name="search-outline" size={18} color={COLORS.muted} />
+        <TextInput
+          value={search}
+          onChangeText={setSearch}
+          placeholder="Search questions, topics and tags"
+          style={styles.searchInput}
+          placeholderTextColor={COLORS.muted}
+          autoCapitalize="none"
+        />
+      </View>
+      {facets.subjects.length > 0 && (
+        <>
+          <Text style={styles.label}>Subject</Text>
+          {renderChips(facets.subjects, filters.subject, value => updateFilter('subject', value))}
+        </>
+      )}
+      {facets.topics.length > 0 && (
+        <>
+          <Text style={styles.label}>Topic</Text>
+          {renderChips(facets.topics, filters.topic, value => updateFilter('topic', value))}
+        </>
+      )}
+      <Text style={styles.label}>Difficulty</Text>
+      {renderChips(DIFFICULTY_LEVELS, filters.difficulty, value => updateFilter('difficulty', value), capitalize)}
+      {facets.tags.length > 0 && (
+        <>
+          <Text style={styles.label}>Tag</Text>
+          {renderChips(facets.tags, filters.tag, value => updateFilter('tag', value))}
+        </>
+      )}
+    </View>
+  );
+
+  const renderRulesCard = () => {
+    const ruleMatches = filterBankQuestions(entries, {
+      subject: ruleInput.subject.trim(),
+      topic: ruleInput.topic.trim(),
+      difficulty: ruleInput.difficulty,
+      tag: ruleInput.tag.trim().toLowerCase(),
+    }).length;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Ionicons name="shuffle-outline" size={18} color={COLORS.primary} />
+          <Text style={styles.cardTitle}>Generate by Rules</Text>
+        </View>
+        <Text style={styles.hint}>
+          e.g. 10 easy Algebra + 5 hard Geometry. Add the drawn questions now, or give every student their own random draw.
+        </Text>
+
+        {drawRules.map((rule, index) => (
+          <View key={index} style={styles.ruleItem}>
+            <Text style={styles.ruleText}>{describeDrawRule(rule)}</Text>
+            <TouchableOpacity
+              onPress={() => setDrawRules(prev => prev.filter((_, i) => i !== index))}
+              accessibilityLabel={`Remove rule ${describeDrawRule(rule)}`}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="close-circle-outline" size={20} color={COLORS.danger} />
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        <View style={styles.ruleRow}>
+          <View style={{ width: 72 }}>
+            <Text style={styles.label}>Count</Text>
+            <TextInput
+              value={ruleInput.count}
+              onChangeText={text => updateRuleInput({ count: text })}
+              keyboardType="numeric"
+              style={styles.input}
+              placeholderTextColor={COLORS.muted}
+            />
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Topic</Text>
+            <TextInput
+              value={ruleInput.topic}
+              onChangeText={text => updateRuleInput({ topic: text })}
+              placeholder="Any topic"
+              style={styles.input}
+              placeholderTextColor={COLORS.muted}
+            />
+          </View>
+        </View>
+        <View style={styles.ruleRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Subject</Text>
+            <TextInput
+              value={ruleInput.subject}
+              onChangeText={text => updateRuleInput({ subject: text })}
+              placeholder="Any subject"
+              style={styles.input}
+              placeholderTextColor={COLORS.muted}
+            />
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.label}>Tag</Text>
+            <TextInput
+              value={ruleInput.tag}
+              onChangeText={text => updateRuleInput({ tag: text })}
+              placeholder="Any tag"
+              style={styles.input}
+              placeholderTextColor={COLORS.muted}
+              autoCapitalize="none"
+            />
+          </View>
+        </View>
+        <Text style={styles.label}>Difficulty</Text>
+        {renderChips(
+          DIFFICULTY_LEVELS,
+          ruleInput.difficulty,
+          value => updateRuleInput({ difficulty: ruleInput.difficulty === value ? '' : value }),
+          capitalize
+        )}
+        <Text style={styles.hint}>{ruleMatches} matching question{ruleMatches !== 1 ? 's' : ''} in the bank</Text>
+
+        <TouchableOpacity style={styles.secondaryBtn} onPress={addRule} activeOpacity={0.85}>
+          <Ionicons name="add-outline" size={16} color={COLORS.primary} />
+          <Text style={styles.secondaryBtnText}>Add Rule</Text>
+        </TouchableOpacity>
+
+        {drawRules.length > 0 && (
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.primaryBtn} onPress={addDrawnQuestions} activeOpacity={0.85}>
+              <Ionicons name="add-circle-outline" size={16} color="#FFFFFF" />
+              <Text style={styles.primaryBtnText}>Add {countDrawnQuestions(drawRules)} Now</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.primaryBtn} onPress={drawPerStudent} activeOpacity={0.85}>
+              <Ionicons name="people-outline" size={16} color="#FFFFFF" />
+              <Text style={styles.primaryBtnText}>Draw Per Student</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderEntry = (entry) => {
+    const selected = selectedIds.includes(entry.id);
+    const correctAnswer = describeCorrectAnswer(entry.question);
+    return (
+      <View key={entry.id} style={[styles.entryCard, selected && styles.entryCardSelected]}>
+        <View style={styles.entryRow}>
+          {returnTo && (
+            <TouchableOpacity
+              onPress={() => toggleSelected(entry.id)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: selected }}
+              accessibilityLabel={`Select question: ${entry.question.text}`}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons
+                name={selected ? 'checkbox' : 'square-outline'}
+                size={22}
+                color={selected ? COLORS.primary : COLORS.muted}
+              />
+            </TouchableOpacity>
+          )}
+          <View style={{ flex: 1 }}>
+            <Text style={styles.entryText}>{entry.question.text}</Text>
+            <Text style={styles.entryMeta}>
+              {entry.question.type} · {entry.question.marks || 1} {entry.question.marks === 1 || !entry.question.marks ? 'mark' : 'marks'}
+              {correctAnswer ? ` · ${correctAnswer}` : ''}
+            </Text>
+            <View style={styles.tagRow}>
+              <View style={[styles.badge, { borderColor: DIFFICULTY_COLORS[entry.difficulty] || COLORS.border }]}>
+                <Text style={[styles.badgeText, { color: DIFFICULTY_COLORS[entry.difficulty] || COLORS.muted }]}>
+                  {capitalize(entry.difficulty || 'medium')}
+                </Text>
+              </View>
+              <Text style={styles.entryMeta}>
+                {[entry.subject, entry.topic].filter(Boolean).join(' · ')}
+                {entry.tags.length ? `  #${entry.tags.join('  #')}` : ''}
+              </Text>
+            </View>
+          </View>
+          {!returnTo && (
+            <View style={styles.entryActions}>
+              <TouchableOpacity
+                onPress={() => startEditing(entry)}
+                accessibilityLabel="Edit tags"
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Ionicons name="pricetags-outline" size={20} color={COLORS.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => onDelete(entry)}
+                accessibilityLabel="Delete question"
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Ionicons name="trash-outline" size={20} color={COLORS.danger} />
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+        {editingId === entry.id && renderDetailsEditor()}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Question Bank</Text>
+          <Text style={styles.subtitle}>
+            {returnTo ? 'Pick questions or rules for your exam' : `${entries.length} saved question${entries.length !== 1 ? 's' : ''}`}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.container}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {editingId === 'new' && questionsToSave.length > 0 && renderSaveCard()}
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color={COLORS.primary} />
+            <Text style={styles.loadingText}>Loading question bank...</Text>
+          </View>
+        ) : entries.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="library-outline" size={48} color={COLORS.muted} />
+            <Text style={styles.emptyTitle}>Your question bank is empty</Text>
+            <Text style={styles.emptyText}>
+              Save questions from Create Exam or Edit Exam to reuse them in later exams.
+            </Text>
+          </View>
+        ) : (
+          <>
+            {returnTo && renderRulesCard()}
+            {renderFilters()}
+            <Text style={styles.resultCount}>
+              {visibleEntries.length} of {entries.length} questions
+            </Text>
+            {visibleEntries.map(renderEntry)}
+          </>
+        )}
+        <View style={{ height: returnTo && selectedIds.length > 0 ? 84 : 24 }} />
+      </ScrollView>
+
+      {returnTo && selectedIds.length > 0 && (
+        <View style={styles.footer}>
+          <TouchableOpacity style={styles.footerBtn} onPress={addSelected} activeOpacity={0.9}>
+            <Ionicons name="add-circle-outline" size={18} color="#FFFFFF" />
+            <Text style={styles.footerBtnText}>
+              Add {selectedIds.length} Question{selectedIds.length !== 1 ? 's' : ''} to Exam
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: COLORS.muted,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.muted,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cardHeader: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+  cardTitle: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  saveQuestionText: { fontSize: 13, color: COLORS.text, marginTop: 4 },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+  },
+  searchInput: { flex: 1, paddingVertical: 10, fontSize: 14, color: COLORS.text },
+  resultCount: { fontSize: 12.5, color: COLORS.muted },
+  entryCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  entryCardSelected: { borderColor: COLORS.primary, backgroundColor: '#F5F9FF' },
+  entryRow: { flexDirection: 'row', alignItems: 'flex-start', gap: 12 },
+  entryText: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  entryMeta: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  entryActions: { flexDirection: 'row', gap: 14 },
+  tagRow: { flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginTop: 6 },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  badgeText: { fontSize: 11.5, fontWeight: '700' },
+  ruleItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  ruleText: { fontSize: 14, color: COLORS.text, fontWeight: '600' },
+  ruleRow: { flexDirection: 'row', gap: 10 },
+  editor: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    backgroundColor: '#FFFFFF',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F9FAFB',
+  },
+  chipActive: {
+    backgroundColor: '#EFF6FF',
+    borderColor: COLORS.primary,
+  },
+  chipText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  chipTextActive: { color: COLORS.primary },
+  hint: {
+    fontSize: 12,
+    color: COLORS.muted,
+    marginTop: 6,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginTop: 12,
+  },
+  primaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 9,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  primaryBtnText: { fontSize: 13, fontWeight: '700', color: '#FFFFFF' },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  secondaryBtnText: { fontSize: 13, fontWeight: '600', color: COLORS.primary },
+  editorActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+  },
+  cancelText: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  saveBtn: {
+    minWidth: 80,
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  saveText: { fontSize: 14, fontWeight: '700', color: '#FFFFFF' },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    padding: 12,
+    backgroundColor: COLORS.card,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  footerBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: COLORS.primary,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  footerBtnText: { color: '#FFFFFF', fontWeight: '700', fontSize: 15 },
+});
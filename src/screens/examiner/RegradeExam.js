@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { previewRegrade, applyRegrade, getRegradeAudits } from '../../services/examService';
+import { formatMarks, formatScoreChange } from '../../utils/grading';
+import { formatDateTimeLabel } from '../../utils/schedule';
+import { db } from '../../config/firebase';
+import { doc, getDoc } from 'firebase/firestore';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+  warning: '#F59E0B',
+  danger: '#EF4444',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function RegradeExam({ route, navigation }) {
+  const { user } = useAuth();
+  const { examId, examTitle, fromVersion } = route?.params || {};
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  // Student names by UID
+  const [studentNames, setStudentNames] = useState({});
+  const [audits, setAudits] = useState([]);
+  const [reason, setReason] = useState('');
+
+  const goBack = () => navigation?.goBack?.();
+
+  const loadPreview = async () => {
+    try {
+      setLoading(true);
+      const [previewData, auditData] = await Promise.all([
+        previewRegrade(examId, { fromVersion }),
+        getRegradeAudits(examId),
+      ]);
+
+      const names = {};
+      await Promise.all(
+        [...new Set(previewData.results.map(result => result.studentId))].map(async (studentId) => {
+          try {
+            const userDoc = await getDoc(doc(db, 'users', studentId));
+            const userData = userDoc.data();
+            names[studentId] =
+              userData?.name ||
+              [userData?.firstName, userData?.lastName].filter(Boolean).join(' ') ||
+              userData?.email ||
+              'Unknown Student';
+          } catch (error) {
+            console.error('Error fetching user data:', error);
+            names[studentId] = 'Unknown Student';
+          }
+        })
+      );
+
+      setPreview(previewData);
+      setStudentNames(names);
+      setAudits(auditData);
+    } catch (error) {
+      console.error('Error previewing regrade:', error);
+      Alert.alert('Error', 'Failed to work out the regrade. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPreview();
+  }, [examId, fromVersion]);
+
+  const changed = preview?.results.filter(result => result.changed) || [];
+  const unchangedCount = (preview?.results.length || 0) - changed.length;
+  const versionMoves =
+    preview?.results.filter(result => result.fromVersion !== preview.examVersion).length || 0;
+  const hasWork = changed.length > 0 || versionMoves > 0;
+
+  const saveRegrade = async () => {
+    setSaving(true);
+    try {
+      const { regraded, notified } = await applyRegrade(preview, user.uid, reason);
+      Alert.alert(
+        'Regrade Saved',
+        `${plural(regraded, 'submission')} regraded. ${plural(notified, 'student')} will be told about their new result.`,
+        [{ text: 'OK', onPress: goBack }]
+      );
+    } catch (error) {
+      console.error('Error saving regrade:', error);
+      Alert.alert('Error', 'Failed to save the regrade. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmRegrade = () => {
+    Alert.alert(
+      'Apply Regrade',
+      `Update ${plural(changed.length, 'result')} and notify the students affected? This is recorded in the regrade history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Apply', onPress: saveRegrade },
+      ]
+    );
+  };
+
+  const renderScore = (snapshot) =>
+    `${snapshot.overallScore}%${snapshot.totalPossible ? ` · ${formatMarks(snapshot.totalScore, snapshot.totalPossible)}` : ''}${snapshot.grade ? ` · ${snapshot.grade}` : ''}`;
+
+  const renderSummaryCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="refresh-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Regrade Preview</Text>
+      </View>
+      <Text style={styles.hint}>
+        Every {fromVersion ? `version ${fromVersion} ` : ''}submission is marked again with the
+        current answer key{preview.examVersion > 1 ? ` (version ${preview.examVersion})` : ''}.
+        Students keep the questions they were given, and your marks for written answers stand.
+        Nothing is saved until you apply it.
+      </Text>
+      <Text style={styles.summary}>
+        {plural(preview.results.length, 'submission')} · {plural(changed.length, 'change')} ·{' '}
+        {unchangedCount} unchanged
+      </Text>
+      {versionMoves > 0 && (
+        <Text style={styles.hint}>
+          {plural(versionMoves, 'submission')} will move to version {preview.examVersion}.
+        </Text>
+      )}
+
+      {changed.length > 0 && (
+        <>
+          <Text style={styles.label}>What was corrected? (optional, shown to students)</Text>
+          <TextInput
+            value={reason}
+            onChangeText={setReason}
+            placeholder="e.g., Question 4 had the wrong answer marked as correct"
+            style={styles.input}
+            placeholderTextColor={COLORS.muted}
+            multiline
+          />
+        </>
+      )}
+    </View>
+  );
+
+  const renderChange = (result) => {
+    const went = result.after.overallScore - result.before.overallScore;
+    const color = went > 0 ? COLORS.success : went < 0 ? COLORS.danger : COLORS.warning;
+    return (
+      <View
+        key={result.submissionId}
+        style={styles.changeRow}
+        accessible
+        accessibilityLabel={`${studentNames[result.studentId]}: ${formatScoreChange(result.before, result.after)}`}
+      >
+        <View style={{ flex: 1 }}>
+          <Text style={styles.studentName}>{studentNames[result.studentId]}</Text>
+          {result.fromVersion !== preview.examVersion && (
+            <Text style={styles.hint}>Taken on version {result.fromVersion}</Text>
+          )}
+        </View>
+        <View style={styles.scoreColumn}>
+          <Text style={styles.beforeText}>{renderScore(result.before)}</Text>
+          <Ionicons name="arrow-down" size={14} color={color} />
+          <Text style={[styles.afterText, { color }]}>{renderScore(result.after)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderHistoryCard = () => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="time-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.cardTitle}>Regrade History</Text>
+      </View>
+      {audits.map((audit) => (
+        <View key={audit.id} style={styles.auditRow}>
+          <Text style={styles.auditTitle}>
+            {formatDateTimeLabel(audit.createdAt) || 'Just now'} · version {audit.examVersion}
+          </Text>
+          <Text style={styles.hint}>
+            {plural(audit.regradedCount, 'submission')} regraded · {audit.changedCount} changed
+            {audit.examinerId === user?.uid ? ' · by you' : ''}
+          </Text>
+          {audit.reason ? <Text style={styles.auditReason}>{audit.reason}</Text> : null}
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Regrade Submissions</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>
+            {examTitle || preview?.examTitle || 'Exam'}
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.loadingText}>Marking submissions again...</Text>
+        </View>
+      ) : !preview ? null : (
+        <ScrollView
+          contentContainerStyle={styles.container}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {renderSummaryCard()}
+
+          {changed.length > 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Results That Change</Text>
+              {changed.map(renderChange)}
+            </View>
+          ) : (
+            <View style={styles.card}>
+              <Text style={styles.hint}>
+                No results change with the current answer key.
+              </Text>
+            </View>
+          )}
+
+          {audits.length > 0 && renderHistoryCard()}
+          <View style={{ height: hasWork ? 84 : 24 }} />
+        </ScrollView>
+      )}
+
+      {!loading && hasWork && (
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.applyBtn, saving && { opacity: 0.6 }]}
+            onPress={confirmRegrade}
+            disabled={saving}
+            activeOpacity={0.9}
+          >
+            {saving ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <Ionicons name="checkmark-done-outline" size={18} color="#FFFFFF" />
+            )}
+            <Text style={styles.applyBtnText}>
+              {saving
+                ? 'Saving...'
+                : changed.length > 0
+                  ? `Apply Regrade (${plural(changed.length, 'change')})`
+                  : 'Move to Current Version'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: { marginTop: 12, fontSize: 14, color: COLORS.muted },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cardHeader: { flexDirection: 'row', alignItems: 'center', gap: 10, marginBottom: 8 },
+  cardTitle: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  hint: { fontSize: 12, color: COLORS.muted, marginTop: 2 },
+  summary: { fontSize: 14, fontWeight: '600', color: COLORS.text, marginTop: 12 },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    backgroundColor: '#FFFFFF',
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  changeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  studentName: { fontSize: 14, fontWeight: '700', color: COLORS.text },
+  scoreColumn: { alignItems: 'flex-end', gap: 2 },
+  beforeText: { fontSize: 12.5, color: COLORS.muted, textDecorationLine: 'line-through' },
+  afterText: { fontSize: 13.5, fontWeight: '700' },
+  auditRow: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  auditTitle: { fontSize: 13, fontWeight: '600', color: COLORS.text },
+  auditReason: { fontSize: 12.5, color: COLORS.text, marginTop: 4, fontStyle: 'italic' },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    padding: 12,
+    backgroundColor: COLORS.card,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  applyBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: COLORS.primary,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  applyBtnText: { color: '#FFFFFF', fontWeight: '700', fontSize: 15 },
+});
@@ -266,10 +266,20 @@ const ResearchAnalytics = ({ navigation }) => {
     <SafeAreaView style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.title}>Research Analytics</Text>
-        <Text style={styles.subtitle}>
-          Smart AI Exam System Evaluation Data
-        </Text>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Research Analytics</Text>
+          <Text style={styles.subtitle}>
+            Smart AI Exam System Evaluation Data
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.exportButton}
+          onPress={() => navigation.navigate('ExportData')}
+          accessibilityRole="button"
+          accessibilityLabel="Export data as CSV or JSON"
+        >
+          <Text style={styles.exportButtonText}>Export</Text>
+        </TouchableOpacity>
       </View>
 
       {/* Tabs */}
@@ -357,9 +367,24 @@ const styles = StyleSheet.create({
     fontSize: 16,
   },
   header: {
+    flexDirection: 'row',
+    alignItems: 'center',
     padding: 20,
     paddingBottom: 10,
   },
+  exportButton: {
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 12,
+  },
+  exportButtonText: {
+    color: '#4CAF50',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
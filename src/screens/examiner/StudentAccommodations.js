@@ -0,0 +1,458 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import {
+  EXTRA_TIME_OPTIONS,
+  getStudentsWithAccommodations,
+  saveStudentAccommodation,
+} from '../../services/accommodationService';
+
+const COLORS = {
+  bg: '#F8FAFC',
+  card: '#FFFFFF',
+  border: '#E5E7EB',
+  text: '#0F172A',
+  muted: '#64748B',
+  primary: '#2563EB',
+  success: '#16A34A',
+};
+
+const formatExtraTime = (multiplier) =>
+  multiplier > 1 ? `+${Math.round((multiplier - 1) * 100)}%` : 'None';
+
+// One-line summary of a profile for the student list
+const summarizeAccommodation = (accommodation) => {
+  const parts = [];
+  if (accommodation.extraTimeMultiplier > 1) {
+    parts.push(`${formatExtraTime(accommodation.extraTimeMultiplier)} time`);
+  }
+  if (accommodation.restBreaksAllowed) {
+    parts.push(`${accommodation.maxBreakMinutes} min breaks`);
+  }
+  if (accommodation.maxAttempts) {
+    parts.push(`${accommodation.maxAttempts} attempts`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'No accommodations';
+};
+
+export default function StudentAccommodations({ navigation }) {
+  const { user } = useAuth();
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Profile being edited
+  const [editingId, setEditingId] = useState(null);
+  const [extraTimeMultiplier, setExtraTimeMultiplier] = useState(1);
+  const [restBreaksAllowed, setRestBreaksAllowed] = useState(false);
+  const [maxBreakMinutes, setMaxBreakMinutes] = useState('');
+  const [maxAttempts, setMaxAttempts] = useState('');
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    loadStudents();
+  }, []);
+
+  const loadStudents = async () => {
+    try {
+      setLoading(true);
+      const data = await getStudentsWithAccommodations();
+      setStudents(data);
+    } catch (error) {
+      console.error('Error loading students:', error);
+      Alert.alert('Error', 'Failed to load students. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (student) => {
+    const { accommodation } = student;
+    setEditingId(student.id);
+    setExtraTimeMultiplier(accommodation.extraTimeMultiplier);
+    setRestBreaksAllowed(accommodation.restBreaksAllowed);
+    setMaxBreakMinutes(accommodation.maxBreakMinutes ? String(accommodation.maxBreakMinutes) : '');
+    setMaxAttempts(accommodation.maxAttempts ? String(accommodation.maxAttempts) : '');
+    setNotes(accommodation.notes || '');
+  };
+
+  const saveAccommodation = async () => {
+    if (restBreaksAllowed && !(Number(maxBreakMinutes) > 0)) {
+      Alert.alert('Validation Error', 'Please enter the total break time allowed in minutes');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveStudentAccommodation(
+        editingId,
+        {
+          extraTimeMultiplier,
+          restBreaksAllowed,
+          maxBreakMinutes: restBreaksAllowed ? Number(maxBreakMinutes) : 0,
+          maxAttempts: maxAttempts.trim() ? Number(maxAttempts) : null,
+          notes: notes.trim(),
+        },
+        user?.uid
+      );
+
+      setStudents(prev =>
+        prev.map(s => (s.id === editingId ? { ...s, accommodation: saved } : s))
+      );
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error saving accommodation:', error);
+      Alert.alert('Error', 'Failed to save accommodations. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const goBack = () => navigation?.goBack?.();
+
+  const renderEditor = () => (
+    <View style={styles.editor}>
+      <Text style={styles.label}>Extra Time</Text>
+      <View style={styles.chipRow}>
+        {EXTRA_TIME_OPTIONS.map(option => {
+          const active = option === extraTimeMultiplier;
+          return (
+            <TouchableOpacity
+              key={option}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => setExtraTimeMultiplier(option)}
+              activeOpacity={0.85}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: active }}
+              accessibilityLabel={`Extra time ${formatExtraTime(option)}`}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {formatExtraTime(option)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.toggleRow, restBreaksAllowed && styles.toggleRowActive]}
+        onPress={() => setRestBreaksAllowed(!restBreaksAllowed)}
+        activeOpacity={0.8}
+        accessibilityRole="switch"
+        accessibilityState={{ checked: restBreaksAllowed }}
+        accessibilityLabel="Allow rest breaks"
+      >
+        <Ionicons
+          name={restBreaksAllowed ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={restBreaksAllowed ? COLORS.primary : COLORS.muted}
+        />
+        <View style={{ flex: 1 }}>
+          <Text style={styles.toggleLabel}>Rest Breaks</Text>
+          <Text style={styles.hint}>The student can pause the clock by saying "pause for a break"</Text>
+        </View>
+      </TouchableOpacity>
+
+      {restBreaksAllowed && (
+        <>
+          <Text style={styles.label}>Total Break Time (minutes per attempt)</Text>
+          <TextInput
+            value={maxBreakMinutes}
+            onChangeText={setMaxBreakMinutes}
+            keyboardType="numeric"
+            placeholder="e.g., 10"
+            style={styles.input}
+            placeholderTextColor={COLORS.muted}
+          />
+        </>
+      )}
+
+      <Text style={styles.label}>Alternative Attempt Limit</Text>
+      <TextInput
+        value={maxAttempts}
+        onChangeText={setMaxAttempts}
+        keyboardType="numeric"
+        placeholder="Leave blank to use each exam's limit"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+
+      <Text style={styles.label}>Notes</Text>
+      <TextInput
+        value={notes}
+        onChangeText={setNotes}
+        placeholder="e.g., Approved by exams office"
+        style={styles.input}
+        placeholderTextColor={COLORS.muted}
+      />
+
+      <View style={styles.editorActions}>
+        <TouchableOpacity
+          style={styles.cancelBtn}
+          onPress={() => setEditingId(null)}
+          activeOpacity={0.85}
+        >
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.saveBtn, saving && { opacity: 0.6 }]}
+          onPress={saveAccommodation}
+          disabled={saving}
+          activeOpacity={0.85}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.saveText}>Save</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.bg }}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backBtn} onPress={goBack} activeOpacity={0.85}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.text} />
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Student Accommodations</Text>
+          <Text style={styles.subtitle}>Extra time, rest breaks and attempt limits</Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+          <Text style={styles.loadingText}>Loading students...</Text>
+        </View>
+      ) : students.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="people-outline" size={48} color={COLORS.muted} />
+          <Text style={styles.emptyTitle}>No students yet</Text>
+          <Text style={styles.emptyText}>Students appear here once they register</Text>
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.container}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          {students.map(student => (
+            <View key={student.id} style={styles.studentCard}>
+              <TouchableOpacity
+                style={styles.studentRow}
+                onPress={() => (editingId === student.id ? setEditingId(null) : startEditing(student))}
+                activeOpacity={0.85}
+                accessibilityLabel={`${student.name}: ${summarizeAccommodation(student.accommodation)}`}
+              >
+                <View style={styles.avatar}>
+                  <Ionicons name="person" size={20} color={COLORS.primary} />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.studentName}>{student.name}</Text>
+                  <Text style={styles.studentSummary}>
+                    {summarizeAccommodation(student.accommodation)}
+                  </Text>
+                </View>
+                <Ionicons
+                  name={editingId === student.id ? 'chevron-up' : 'create-outline'}
+                  size={18}
+                  color={COLORS.muted}
+                />
+              </TouchableOpacity>
+
+              {editingId === student.id && renderEditor()}
+            </View>
+          ))}
+          <View style={{ height: 24 }} />
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 6,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.card,
+  },
+  backBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  backText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.text, marginBottom: 2 },
+  subtitle: { fontSize: 12.5, color: COLORS.muted },
+  container: { padding: 16, gap: 12 },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: COLORS.muted,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.muted,
+    textAlign: 'center',
+  },
+  studentCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  studentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#EBF2FF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  studentName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  studentSummary: {
+    fontSize: 13,
+    color: COLORS.muted,
+    marginTop: 2,
+  },
+  editor: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  label: { fontSize: 12.5, color: COLORS.muted, marginBottom: 6, marginTop: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    backgroundColor: '#FFFFFF',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F9FAFB',
+  },
+  chipActive: {
+    backgroundColor: '#EFF6FF',
+    borderColor: COLORS.primary,
+  },
+  chipText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  chipTextActive: { color: COLORS.primary },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 12,
+    backgroundColor: '#F9FAFB',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginTop: 16,
+    gap: 12,
+  },
+  toggleRowActive: {
+    backgroundColor: '#EFF6FF',
+    borderColor: COLORS.primary,
+  },
+  toggleLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: COLORS.muted,
+    marginTop: 2,
+  },
+  editorActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: '#F1F5F9',
+  },
+  cancelText: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  saveBtn: {
+    minWidth: 80,
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  saveText: { fontSize: 14, fontWeight: '700', color: '#FFFFFF' },
+});
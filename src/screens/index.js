@@ -5,15 +5,23 @@ export {default as Register} from './auth/Register'
 //Examiners Screens
 export {default as ExaminerDashboard} from './examiner/ExaminerDashboard'
 export {default as CreateExam} from './examiner/CreateExam'
+export {default as ImportExam} from './examiner/ImportExam'
+export {default as QuestionBank} from './examiner/QuestionBank'
 export {default as ManageExams} from './examiner/ManageExams'
 export {default as EditExam} from './examiner/EditExam'
+export {default as ExamVersions} from './examiner/ExamVersions'
 export {default as ExamSubmissions} from './examiner/ExamSubmissions'
+export {default as RegradeExam} from './examiner/RegradeExam'
+export {default as GradeSubmission} from './examiner/GradeSubmission'
 export {default as ResearchAnalytics} from './examiner/ResearchAnalytics'
+export {default as ExportData} from './examiner/ExportData'
+export {default as StudentAccommodations} from './examiner/StudentAccommodations'
 
 //Students Screens
 export {default as HomePage} from './student/HomePage'
 export {default as ExamPage} from './student/ExamPage'
 export {default as ViewResults} from './student/ViewResults'
+export {default as MyResults} from './student/MyResults'
 export {default as AccessibilitySettings} from './student/AccessibilitySettings'
 export {default as UsabilitySurvey} from './student/UsabilitySurvey'
 
@@ -28,8 +28,13 @@ const defaultSettings = {
   audioFeedback: true,
   announceProgress: true,
   doubleConfirmSubmit: true,
+  announceTimeWarnings: true,
+  timeWarningMinutes: [30, 10, 5, 1],
 };
 
+// Minutes-remaining marks the student can choose to hear
+const TIME_WARNING_OPTIONS = [30, 15, 10, 5, 1];
+
 const AccessibilitySettings = ({ navigation }) => {
   const [settings, setSettings] = useState(defaultSettings);
   const [isLoaded, setIsLoaded] = useState(false);
@@ -77,6 +82,15 @@ const AccessibilitySettings = ({ navigation }) => {
     await updateSetting(key, newValue);
   };
 
+  // Add or remove a time warning mark
+  const toggleTimeWarning = async (minutes) => {
+    const current = settings.timeWarningMinutes || [];
+    const updated = current.includes(minutes)
+      ? current.filter((m) => m !== minutes)
+      : [...current, minutes].sort((a, b) => b - a);
+    await updateSetting('timeWarningMinutes', updated);
+  };
+
   // Go back
   const handleGoBack = () => {
     navigation?.goBack();
@@ -172,6 +186,35 @@ const AccessibilitySettings = ({ navigation }) => {
             value={settings.doubleConfirmSubmit}
             onToggle={() => toggleSetting('doubleConfirmSubmit', 'Submit confirmation')}
           />
+
+          <SettingToggle
+            label="Announce Time Warnings"
+            description="Tells you how much time is left at the marks below"
+            value={settings.announceTimeWarnings}
+            onToggle={() => toggleSetting('announceTimeWarnings', 'Time warnings')}
+          />
+
+          {settings.announceTimeWarnings && (
+            <View style={styles.warningChips}>
+              {TIME_WARNING_OPTIONS.map((minutes) => {
+                const selected = (settings.timeWarningMinutes || []).includes(minutes);
+                return (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[styles.warningChip, selected && styles.warningChipSelected]}
+                    onPress={() => toggleTimeWarning(minutes)}
+                    accessibilityRole="checkbox"
+                    accessibilityState={{ checked: selected }}
+                    accessibilityLabel={`Warn at ${minutes} minute${minutes > 1 ? 's' : ''} remaining`}
+                  >
+                    <Text style={[styles.warningChipText, selected && styles.warningChipTextSelected]}>
+                      {minutes} min
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
         </View>
 
 
@@ -340,6 +383,34 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: AppColors.textMedium,
   },
+  warningChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingTop: 16,
+  },
+  warningChip: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: AppColors.border,
+    backgroundColor: AppColors.white,
+    minHeight: 44,
+    justifyContent: 'center',
+  },
+  warningChipSelected: {
+    borderColor: AppColors.primary,
+    backgroundColor: AppColors.primaryLight || '#eff6ff',
+  },
+  warningChipText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: AppColors.textMedium,
+  },
+  warningChipTextSelected: {
+    color: AppColors.primary,
+  },
   helpButton: {
     backgroundColor: AppColors.success || '#22c55e',
     paddingVertical: 14,
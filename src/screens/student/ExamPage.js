@@ -17,12 +17,53 @@ import {
   View,
   ActivityIndicator,
   Vibration,
+  AppState,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import { AppColors } from "../../constants/AppColors";
 import { globalStyles } from "../../constants/GlobalStyles";
-import { getExam, submitExam } from "../../services/examService";
+import {
+  getExamWithRandomization,
+  submitExam,
+  createAttemptId,
+  canAttemptExam,
+  getActiveAttempt,
+  startExamAttempt,
+  extendAttemptDeadline,
+} from "../../services/examService";
+import {
+  getStudentAccommodation,
+  getAdjustedDuration,
+} from "../../services/accommodationService";
+import {
+  saveAnswersLocally,
+  getLocalAnswers,
+  clearLocalAnswers,
+  submitOrQueue,
+} from "../../services/offlineService";
 import { gradeExam } from "../../utils/grading";
+import {
+  toExamQuestion,
+  isAnswered,
+  formatAnswer,
+  countBlanks,
+  numberBlanks,
+  getOptionLetter,
+} from "../../utils/questionTypes";
+import {
+  getQuestionSection,
+  getSectionQuestions,
+  describeSection,
+  describeAnswerRule,
+  splitParagraphs,
+} from "../../utils/examSections";
+import { resolveGradeScheme } from "../../services/settingsService";
+import {
+  appendSentence,
+  replaceLastSentence,
+  splitSentences,
+} from "../../utils/dictation";
 import { useAuth } from "../../context/AuthContext";
 import {
   startEvaluationSession,
@@ -30,9 +71,300 @@ import {
 } from "../../services/evaluationMetrics";
 import speechService from "../../services/speechService";
 import screenContextService from "../../services/screenContextService";
+import voiceCommandRegistry from "../../services/voiceCommandService";
 
 const { width: screenWidth } = Dimensions.get("window");
 
+// Continuous recognition so pauses while composing an answer don't end it
+const DICTATION_LISTENING_OPTIONS = { continuous: true };
+
+// Accessibility settings (saved by AccessibilitySettings)
+const SETTINGS_KEY = "@accessibility_settings";
+const DEFAULT_TIME_WARNING_MINUTES = [30, 10, 5, 1];
+
+// How often progress is saved on the device, on top of saving on every change
+const AUTOSAVE_INTERVAL_MS = 15000;
+
+// Whole seconds left before a deadline (ms timestamp)
+const secondsUntil = (deadline) =>
+  Math.max(0, Math.round((deadline - Date.now()) / 1000));
+
+const EXAM_INSTRUCTIONS = "Say next to go to the next question. Say repeat to hear the question again. Say go to question followed by a number to jump to a question, or next unanswered to find questions you skipped. Say flag this question to come back to it later. For written and numeric questions, say start answer to dictate your answer. For true or false questions, say true or false. When more than one option can be right, say select followed by the letters, such as select A and C. For fill in the blank questions, say blank, the blank number, then your answer. In a section with a passage, say read passage, or read paragraph followed by a number. Say section instructions to hear the section's instructions again. Say time to hear how much time is left. Say submit to submit the exam. Say exit to leave the exam.";
+
+// Voice command grammars used by this screen
+const EXAM_DICTATION_GRAMMAR = "EXAM_DICTATION";
+const EXAM_CONFIRM_GRAMMAR = "EXAM_CONFIRM";
+
+const EXAM_VOICE_COMMANDS = [
+  {
+    id: "select-option",
+    phrases: [
+      "{letter}",
+      "option {letter}",
+      "select {letter}",
+      "select option {letter}",
+      "choose {letter}",
+      "choose option {letter}",
+      "pick {letter}",
+      "pick option {letter}",
+      "answer {letter}",
+    ],
+  },
+  {
+    id: "select-options",
+    phrases: [
+      "{choices:letters}",
+      "options {choices:letters}",
+      "select {choices:letters}",
+      "select options {choices:letters}",
+      "choose {choices:letters}",
+      "pick {choices:letters}",
+      "answer {choices:letters}",
+    ],
+  },
+  {
+    id: "deselect-option",
+    phrases: [
+      "remove {letter}",
+      "remove option {letter}",
+      "deselect {letter}",
+      "unselect {letter}",
+      "remove {choices:letters}",
+      "deselect {choices:letters}",
+      "unselect {choices:letters}",
+    ],
+  },
+  {
+    id: "answer-true",
+    phrases: ["true", "answer true", "select true", "that is true"],
+  },
+  {
+    id: "answer-false",
+    phrases: ["false", "answer false", "select false", "that is false"],
+  },
+  {
+    id: "fill-blank",
+    phrases: [
+      "blank {number} {text}",
+      "blank {number} is {text}",
+      "fill blank {number} with {text}",
+      "answer blank {number} {text}",
+    ],
+  },
+  { id: "clear-blank", phrases: ["clear blank {number}"] },
+  {
+    id: "read-passage",
+    phrases: ["read passage", "read the passage", "passage", "read the text"],
+  },
+  {
+    id: "read-paragraph",
+    phrases: [
+      "read paragraph {number}",
+      "read the paragraph {number}",
+      "paragraph {number}",
+    ],
+  },
+  {
+    id: "read-section",
+    phrases: [
+      "section instructions",
+      "read section instructions",
+      "read instructions",
+      "which section",
+      "what section",
+    ],
+  },
+  {
+    id: "next",
+    phrases: ["next", "next question", "go next", "go forward", "continue"],
+  },
+  {
+    id: "previous",
+    phrases: ["previous", "previous question", "back", "go back"],
+  },
+  {
+    id: "repeat",
+    phrases: [
+      "repeat",
+      "repeat question",
+      "read",
+      "read question",
+      "read again",
+      "again",
+      "say again",
+    ],
+  },
+  {
+    id: "go-to-question",
+    phrases: [
+      "question {number}",
+      "question number {number}",
+      "go to question {number}",
+      "go to question number {number}",
+      "jump to question {number}",
+      "open question {number}",
+    ],
+  },
+  {
+    id: "first-question",
+    phrases: ["first question", "go to first question", "jump to first question"],
+  },
+  {
+    id: "last-question",
+    phrases: [
+      "last question",
+      "final question",
+      "go to last question",
+      "jump to last question",
+    ],
+  },
+  {
+    id: "next-unanswered",
+    phrases: [
+      "next unanswered",
+      "next unanswered question",
+      "go to next unanswered",
+      "go to next unanswered question",
+      "skip to unanswered",
+    ],
+  },
+  {
+    id: "list-unanswered",
+    phrases: [
+      "list unanswered",
+      "list unanswered questions",
+      "unanswered questions",
+      "which questions are unanswered",
+      "which questions have i not answered",
+    ],
+  },
+  {
+    id: "answered-count",
+    phrases: [
+      "how many answered",
+      "how many questions answered",
+      "how many have i answered",
+      "how many questions have i answered",
+      "progress",
+    ],
+  },
+  {
+    id: "time-remaining",
+    phrases: [
+      "time",
+      "time left",
+      "time remaining",
+      "how much time",
+      "how much time left",
+      "how much time is left",
+      "how much time do i have",
+      "how long left",
+    ],
+  },
+  {
+    id: "flag-question",
+    phrases: [
+      "flag",
+      "flag question",
+      "flag this question",
+      "mark for review",
+      "come back later",
+    ],
+  },
+  {
+    id: "unflag-question",
+    phrases: ["unflag", "unflag question", "unflag this question", "remove flag"],
+  },
+  {
+    id: "list-flagged",
+    phrases: ["list flagged", "list flagged questions", "flagged questions"],
+  },
+  { id: "stop-review", phrases: ["stop review", "end review", "finish review"] },
+  {
+    id: "pause-break",
+    phrases: [
+      "pause for a break",
+      "pause for break",
+      "take a break",
+      "i need a break",
+      "pause exam",
+    ],
+  },
+  { id: "submit", phrases: ["submit", "submit exam", "finish", "finish exam"] },
+  {
+    id: "exit",
+    phrases: ["exit", "exit exam", "quit", "leave", "leave exam"],
+  },
+  { id: "start-answer", phrases: ["start answer", "start dictation"] },
+  {
+    id: "append-answer",
+    phrases: ["append", "append answer", "add to answer"],
+  },
+  { id: "clear-answer", phrases: ["clear answer"] },
+  { id: "read-answer", phrases: ["read answer", "read my answer"] },
+  { id: "replace-last-sentence", phrases: ["replace last sentence"] },
+];
+
+// While dictating, only the whole transcript counts as a command
+const EXAM_DICTATION_COMMANDS = [
+  { id: "stop-answer", phrases: ["stop answer", "stop dictation"] },
+  { id: "read-answer", phrases: ["read answer", "read my answer"] },
+  { id: "clear-answer", phrases: ["clear answer"] },
+  { id: "replace-last-sentence", phrases: ["replace last sentence"] },
+].map((command) => ({ ...command, minConfidence: 1 }));
+
+// During a rest break only these commands are accepted
+const EXAM_BREAK_GRAMMAR = "EXAM_BREAK";
+
+const EXAM_BREAK_COMMANDS = [
+  {
+    id: "resume-break",
+    phrases: [
+      "resume",
+      "resume exam",
+      "end break",
+      "continue exam",
+      "i am ready",
+    ],
+  },
+  {
+    id: "break-time",
+    phrases: ["time", "break time", "how much break time", "how long"],
+  },
+];
+
+const EXAM_RESUME_CHOICE_GRAMMAR = "EXAM_RESUME_CHOICE";
+
+const EXAM_RESUME_CHOICE_COMMANDS = [
+  {
+    id: "resume",
+    phrases: ["resume", "resume exam", "continue", "yes", "yes resume"],
+  },
+  {
+    id: "start-over",
+    phrases: ["start over", "start again", "begin again", "restart", "no"],
+  },
+];
+
+const EXAM_REVIEW_CHOICE_GRAMMAR = "EXAM_REVIEW_CHOICE";
+
+const EXAM_REVIEW_CHOICE_COMMANDS = [
+  {
+    id: "review-start",
+    phrases: ["review", "review them", "yes review", "go through them"],
+  },
+  {
+    id: "review-skip",
+    phrases: ["submit anyway", "skip review", "no review", "skip", "submit"],
+  },
+  { id: "review-cancel", phrases: ["cancel", "not now", "go back", "no"] },
+];
+
+const EXAM_CONFIRM_COMMANDS = [
+  { id: "confirm-yes", phrases: ["yes", "yes submit", "confirm"] },
+  { id: "confirm-no", phrases: ["no", "cancel", "no cancel"] },
+].map((command) => ({ ...command, minConfidence: 1 }));
+
 const ExamPage = ({ route, navigation }) => {
   // Get examId from route params
   const examId = route?.params?.examId;
@@ -49,6 +381,10 @@ const ExamPage = ({ route, navigation }) => {
   const [accessibilityMode, setAccessibilityMode] = useState(true); // Enable by default for VI users
   const [isWaitingForSubmitConfirmation, setIsWaitingForSubmitConfirmation] =
     useState(false);
+  const [isDictating, setIsDictating] = useState(false);
+  const [flaggedIds, setFlaggedIds] = useState([]);
+  const [resumePrompt, setResumePrompt] = useState(null); // Saved progress awaiting a resume choice
+  const [isOnBreak, setIsOnBreak] = useState(false);
 
   // Use refs to track state and prevent multiple loads
   const loadedExamIdRef = useRef(null);
@@ -64,6 +400,53 @@ const ExamPage = ({ route, navigation }) => {
   const isProcessingCommandRef = useRef(false);
   const isWaitingForConfirmationRef = useRef(false);
 
+  // Dictation refs for written answers
+  const isDictatingRef = useRef(false);
+  const dictationEditRef = useRef("append"); // "replace-all" | "append" | "replace-last"
+
+  // Register voice commands for this screen
+  useEffect(() => {
+    const unregisterCommands = [
+      voiceCommandRegistry.register("EXAM", EXAM_VOICE_COMMANDS),
+      voiceCommandRegistry.register(
+        EXAM_DICTATION_GRAMMAR,
+        EXAM_DICTATION_COMMANDS
+      ),
+      voiceCommandRegistry.register(
+        EXAM_CONFIRM_GRAMMAR,
+        EXAM_CONFIRM_COMMANDS
+      ),
+      voiceCommandRegistry.register(
+        EXAM_REVIEW_CHOICE_GRAMMAR,
+        EXAM_REVIEW_CHOICE_COMMANDS
+      ),
+      voiceCommandRegistry.register(
+        EXAM_RESUME_CHOICE_GRAMMAR,
+        EXAM_RESUME_CHOICE_COMMANDS
+      ),
+      voiceCommandRegistry.register(EXAM_BREAK_GRAMMAR, EXAM_BREAK_COMMANDS),
+    ];
+    return () => unregisterCommands.forEach((unregister) => unregister());
+  }, []);
+
+  // Load time warning preferences
+  useEffect(() => {
+    const loadTimeWarningSettings = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+        const parsed = stored ? JSON.parse(stored) : {};
+        if (parsed.announceTimeWarnings === false) {
+          timeWarningMinutesRef.current = [];
+        } else if (Array.isArray(parsed.timeWarningMinutes)) {
+          timeWarningMinutesRef.current = parsed.timeWarningMinutes;
+        }
+      } catch (error) {
+        console.error("[ExamPage] Failed to load time warning settings:", error);
+      }
+    };
+    loadTimeWarningSettings();
+  }, []);
+
   // Update examId ref when it changes
   useEffect(() => {
     examIdRef.current = examId;
@@ -72,48 +455,48 @@ const ExamPage = ({ route, navigation }) => {
   // Ref for accessing current question in callbacks
   const currentQuestionRef = useRef(null);
   const saveAnswerRef = useRef(null);
+  const clearAnswerRef = useRef(null);
   const getCurrentAnswerRef = useRef(null);
   const examRef = useRef(null); // Ref to access current exam state in callbacks
   const currentQuestionIndexRef = useRef(0); // Ref to track current question index
   const totalQuestionsRef = useRef(0); // Ref to track total number of questions
   const answersRef = useRef([]); // Ref to track latest answers for submission
+  const timeRemainingRef = useRef(0); // Ref to track remaining seconds in callbacks
+  const flaggedIdsRef = useRef([]); // Ref to track questions flagged for review
+
+  // Autosave and resume refs
+  const autosaveEnabledRef = useRef(false); // Off until a saved attempt is resumed or discarded
+  const savedProgressRef = useRef(null);
+  const isWaitingForResumeChoiceRef = useRef(false);
+  const attemptIdRef = useRef(null); // Identifies this attempt's submission document
+  const deadlineRef = useRef(null); // Attempt deadline (ms) from the attempt record
+  const expiredProgressRef = useRef(null); // Saved progress whose deadline has passed
+  const isContinuingAttemptRef = useRef(false); // Attempt started earlier, nothing saved here
+  const submitExamAnswersRef = useRef(null);
+
+  // Accommodation refs (extra time and rest breaks)
+  const accommodationRef = useRef(null);
+  const isOnBreakRef = useRef(false);
+  const breakStartedAtRef = useRef(null);
+  const breakSecondsUsedRef = useRef(0); // Break time taken in this attempt
+
+  // Review pass refs (walk through flagged and unanswered questions before submitting)
+  const isWaitingForReviewChoiceRef = useRef(false);
+  const isReviewingRef = useRef(false);
+  const reviewQueueRef = useRef([]);
+  const reviewPositionRef = useRef(0);
+
+  // Time warning refs
+  const timeWarningMinutesRef = useRef(DEFAULT_TIME_WARNING_MINUTES);
+  const previousTimeRemainingRef = useRef(null);
+  const pendingAnnouncementsRef = useRef([]);
+  const isReadingQuestionRef = useRef(false);
+  const announcedSectionIdRef = useRef(null); // Section last announced, so it's announced on entry only
 
   // Transform Firebase question format to ExamPage format
   const transformQuestions = (firebaseQuestions) => {
     if (!Array.isArray(firebaseQuestions)) return [];
-
-    return firebaseQuestions.map((q, index) => {
-      // Handle different question type formats
-      const questionType = q.type?.toLowerCase();
-      const isMultipleChoice =
-        questionType === "multiple choice" ||
-        questionType === "multiple-choice" ||
-        (q.options && Array.isArray(q.options));
-
-      if (isMultipleChoice && q.options) {
-        // Get correct answer from options array using correctIndex
-        const correctAnswer =
-          q.correctIndex !== undefined && q.options[q.correctIndex]
-            ? q.options[q.correctIndex]
-            : q.correctAnswer || q.options[0];
-
-        return {
-          id: q.id || `q${index + 1}`,
-          question: q.text || q.question || "",
-          type: "multiple-choice",
-          options: q.options || [],
-          correctAnswer,
-        };
-      } else {
-        // Written answer question
-        return {
-          id: q.id || `q${index + 1}`,
-          question: q.text || q.question || "",
-          type: "written",
-          expectedAnswer: q.expectedAnswer || q.correctAnswer || null,
-        };
-      }
-    });
+    return firebaseQuestions.map(toExamQuestion);
   };
 
   // Load exam from Firebase - only run once per examId
@@ -147,8 +530,11 @@ const ExamPage = ({ route, navigation }) => {
       loadedExamIdRef.current = null;
       setExam(null);
       examRef.current = null; // Clear exam ref
+      announcedSectionIdRef.current = null;
       setAnswers([]);
       answersRef.current = []; // Clear answers ref
+      setFlaggedIds([]);
+      flaggedIdsRef.current = []; // Clear flags ref
       setCurrentQuestionIndex(0);
       currentQuestionIndexRef.current = 0; // Reset index ref
       totalQuestionsRef.current = 0; // Reset total questions ref
@@ -170,7 +556,64 @@ const ExamPage = ({ route, navigation }) => {
 
       try {
         console.log("[ExamPage] Loading exam:", currentExamId);
-        const examData = await getExam(currentExamId);
+
+        // Look for progress saved on this device by an interrupted attempt
+        const saved = await getLocalAnswers(currentExamId);
+        let savedProgress =
+          saved &&
+          (!saved.studentId || saved.studentId === user?.uid) &&
+          ((saved.answers || []).length > 0 || saved.currentQuestionIndex > 0)
+            ? saved
+            : null;
+
+        // Continue the attempt in progress, or record a new one
+        let activeAttempt = null;
+        let attemptsChecked = false;
+        try {
+          activeAttempt = await getActiveAttempt(
+            currentExamId,
+            user.uid,
+            savedProgress?.attemptId
+          );
+          attemptsChecked = true;
+        } catch (attemptError) {
+          // Fall back to the device timer if attempts can't be checked
+          console.warn("[ExamPage] Could not check attempts:", attemptError);
+        }
+
+        if (activeAttempt) {
+          // Progress saved for a different attempt is stale
+          if (
+            savedProgress?.attemptId &&
+            savedProgress.attemptId !== activeAttempt.id
+          ) {
+            savedProgress = null;
+          }
+
+          // Time ran out and there is nothing here to submit; the attempt is
+          // recorded as abandoned the next time attempts are checked
+          if (activeAttempt.deadline <= Date.now() && !savedProgress) {
+            activeAttempt = null;
+          }
+        } else if (attemptsChecked && savedProgress?.attemptId) {
+          // That attempt was already submitted or abandoned
+          savedProgress = null;
+        }
+
+        if (saved && !savedProgress) {
+          await clearLocalAnswers(currentExamId);
+        }
+
+        const continuingAttempt = !!activeAttempt;
+        const attemptId =
+          activeAttempt?.id || savedProgress?.attemptId || createAttemptId();
+
+        // Seeded by the attempt, so reopening it gives the same draw and order
+        // while each retake gets a new draw
+        const examData = await getExamWithRandomization(
+          currentExamId,
+          attemptId
+        );
 
         if (!isMounted || !shouldLoad) {
           console.log("[ExamPage] Component unmounted during load, aborting");
@@ -185,6 +628,10 @@ const ExamPage = ({ route, navigation }) => {
           examData.questions || []
         );
 
+        // Extra time and rest breaks this student is entitled to
+        const accommodation = await getStudentAccommodation(user.uid);
+        accommodationRef.current = accommodation;
+
         if (transformedQuestions.length === 0) {
           throw new Error("Exam has no questions");
         }
@@ -192,8 +639,12 @@ const ExamPage = ({ route, navigation }) => {
         const examObj = {
           id: examData.id || currentExamId,
           title: examData.title || "Untitled Exam",
-          duration: examData.duration || 60,
+          duration: getAdjustedDuration(examData.duration || 60, accommodation),
           questions: transformedQuestions,
+          sections: examData.sections || [],
+          gradeScheme: await resolveGradeScheme(examData),
+          // The version this student is taking, kept with their submission
+          version: examData.version || 1,
         };
 
         if (!isMounted || !shouldLoad) {
@@ -203,12 +654,85 @@ const ExamPage = ({ route, navigation }) => {
           return;
         }
 
+        // Keep only the saved answers for questions in this attempt
+        if (savedProgress) {
+          const questionIds = new Set(examObj.questions.map((q) => q.id));
+          savedProgress = {
+            ...savedProgress,
+            answers: (savedProgress.answers || []).filter((entry) =>
+              questionIds.has(entry.questionId)
+            ),
+            currentQuestionIndex: Math.min(
+              Math.max(savedProgress.currentQuestionIndex || 0, 0),
+              examObj.questions.length - 1
+            ),
+            flaggedQuestionIds: (savedProgress.flaggedQuestionIds || []).filter(
+              (id) => questionIds.has(id)
+            ),
+          };
+        }
+
+        if (!activeAttempt && attemptsChecked) {
+          const eligibility = await canAttemptExam(examObj.id, user.uid);
+          if (!eligibility.canAttempt) {
+            throw new Error(eligibility.message);
+          }
+
+          try {
+            // Extra time is added after the closing time cap, so it is never lost
+            const baseDuration = examData.duration || 60;
+            activeAttempt = await startExamAttempt(
+              attemptId,
+              examObj.id,
+              user.uid,
+              baseDuration,
+              examData.closesAt,
+              examObj.duration - baseDuration
+            );
+          } catch (attemptError) {
+            console.warn("[ExamPage] Could not record attempt:", attemptError);
+          }
+        }
+
+        if (!isMounted || !shouldLoad) {
+          console.log("[ExamPage] Component unmounted during attempt setup");
+          return;
+        }
+
+        attemptIdRef.current = attemptId;
+        deadlineRef.current = activeAttempt?.deadline || null;
+        breakSecondsUsedRef.current = activeAttempt?.breakSecondsUsed || 0;
+        const initialTimeRemaining = deadlineRef.current
+          ? secondsUntil(deadlineRef.current)
+          : (examObj.duration || 60) * 60; // Convert to seconds
+
         console.log("[ExamPage] Exam loaded successfully:", examObj.id);
         setExam(examObj);
         examRef.current = examObj; // Update ref for use in callbacks
         totalQuestionsRef.current = examObj.questions?.length || 0; // Store total questions count
         currentQuestionIndexRef.current = 0; // Reset index
-        setTimeRemaining((examObj.duration || 60) * 60); // Convert to seconds
+        timeRemainingRef.current = initialTimeRemaining;
+        setTimeRemaining(initialTimeRemaining);
+
+        isContinuingAttemptRef.current = !savedProgress && continuingAttempt;
+        if (savedProgress) {
+          // The attempt deadline wins over the time saved on the device
+          if (deadlineRef.current) {
+            savedProgress.timeRemaining = initialTimeRemaining;
+          }
+          console.log("[ExamPage] Found saved progress:", savedProgress.savedAt);
+
+          if (deadlineRef.current && initialTimeRemaining <= 0) {
+            expiredProgressRef.current = savedProgress;
+          } else {
+            savedProgressRef.current = savedProgress;
+            isWaitingForResumeChoiceRef.current = true;
+            setResumePrompt(savedProgress);
+          }
+        } else {
+          autosaveEnabledRef.current = true;
+        }
+
         isLoadingRef.current = false;
         setLoading(false);
       } catch (err) {
@@ -231,6 +755,13 @@ const ExamPage = ({ route, navigation }) => {
   }, [examId]);
 
   const currentQuestion = exam?.questions?.[currentQuestionIndex];
+  const currentSection = getQuestionSection(exam?.sections, currentQuestion);
+  const currentSectionRule = currentSection
+    ? describeAnswerRule(
+        currentSection,
+        getSectionQuestions(exam.questions, currentSection.id).length
+      )
+    : "";
   const answeredIds = useMemo(
     () => new Set(answers.map((entry) => entry.questionId)),
     [answers]
@@ -273,7 +804,12 @@ const ExamPage = ({ route, navigation }) => {
       });
 
       // Grade the exam
-      const gradingResults = gradeExam(exam.questions, latestAnswers);
+      const gradingResults = gradeExam(
+        exam.questions,
+        latestAnswers,
+        exam.gradeScheme,
+        exam.sections
+      );
 
       console.log("[ExamPage] Grading results:", {
         overallScore: gradingResults.summary.overallScore,
@@ -281,19 +817,34 @@ const ExamPage = ({ route, navigation }) => {
         totalPossible: gradingResults.summary.totalPossible,
       });
 
-      // Save submission to Firebase
-      const submissionId = await submitExam(
+      // Save submission to Firebase, or queue it on the device when offline
+      const { submissionId, queued } = await submitOrQueue(
+        submitExam,
         exam.id,
         user.uid,
         latestAnswers,
-        gradingResults
+        gradingResults,
+        {
+          attemptId: attemptIdRef.current,
+          flaggedQuestionIds: flaggedIdsRef.current,
+          questionIds: exam.questions.map((q) => q.id),
+          examVersion: exam.version,
+        }
       );
 
-      console.log(
-        "[ExamPage] Exam submitted successfully to Firebase:",
-        submissionId
-      );
-      console.log("[ExamPage] Submission document ID:", submissionId);
+      if (queued) {
+        console.log("[ExamPage] Exam queued for upload when back online");
+      } else {
+        console.log(
+          "[ExamPage] Exam submitted successfully to Firebase:",
+          submissionId
+        );
+        console.log("[ExamPage] Submission document ID:", submissionId);
+      }
+
+      // Submitted or queued, so the saved progress is no longer needed
+      autosaveEnabledRef.current = false;
+      await clearLocalAnswers(exam.id);
 
       // Save evaluation metrics for research
       if (metricsTrackerRef.current) {
@@ -303,16 +854,25 @@ const ExamPage = ({ route, navigation }) => {
         );
         metricsTrackerRef.current.endQuestion(currentAnswerExists, "voice");
 
-        // Save final metrics
-        await metricsTrackerRef.current.save(
+        // Save final metrics (Firestore holds the write until reconnecting when offline)
+        const metricsSaved = metricsTrackerRef.current.save(
           "completed",
           gradingResults.summary.overallScore
         );
-        console.log("[ExamPage] Evaluation metrics saved");
+        if (!queued) {
+          await metricsSaved;
+          console.log("[ExamPage] Evaluation metrics saved");
+        }
       }
 
       // Announce successful submission
-      await speechService.speak("Your exam has been submitted successfully.");
+      if (queued) {
+        await speechService.speak(
+          "You appear to be offline. Your exam has been saved on this device and will be uploaded automatically when you are back online."
+        );
+      } else {
+        await speechService.speak("Your exam has been submitted successfully.");
+      }
 
       // Read the scores to the user
       const summary = gradingResults.summary;
@@ -322,15 +882,6 @@ const ExamPage = ({ route, navigation }) => {
       const totalQuestions = summary.totalQuestions || 0;
       const answeredQuestions = summary.answeredQuestions || 0;
 
-      // Calculate grade
-      const getGrade = (score) => {
-        if (score >= 90) return "A";
-        if (score >= 80) return "B";
-        if (score >= 70) return "C";
-        if (score >= 60) return "D";
-        return "F";
-      };
-
       // Get performance message
       const getPerformanceMessage = (score) => {
         if (score >= 90)
@@ -341,11 +892,15 @@ const ExamPage = ({ route, navigation }) => {
         return "Please review the material and consider retaking the exam.";
       };
 
-      const grade = getGrade(overallScore);
+      const grade = summary.grade;
       const performanceMessage = getPerformanceMessage(overallScore);
 
       // Read scores
-      const scoresMessage = `Exam completed. Overall score: ${overallScore} percent. Grade: ${grade}. ${performanceMessage} You answered ${answeredQuestions} of ${totalQuestions} questions. Multiple choice score: ${mcScore} percent. Written questions score: ${writtenScore} percent.`;
+      const reviewMessage =
+        summary.pendingManualGrading > 0
+          ? " Your written answers will be reviewed by your examiner, so your final score may change."
+          : "";
+      const scoresMessage = `Exam completed. You scored ${summary.totalScore} out of ${summary.totalPossible} marks. Overall score: ${overallScore} percent. Grade: ${grade}. ${performanceMessage} You answered ${answeredQuestions} of ${totalQuestions} questions. Multiple choice score: ${mcScore} percent. Written questions score: ${writtenScore} percent.${reviewMessage}`;
       await speechService.speak(scoresMessage);
 
       // Change context back to HOME
@@ -387,23 +942,100 @@ const ExamPage = ({ route, navigation }) => {
 
   // Timer countdown
   useEffect(() => {
-    if (!exam || timeRemaining <= 0 || submitting) return;
+    if (!exam || timeRemaining <= 0 || submitting || isOnBreak) return;
 
     const timerId = setInterval(() => {
       setTimeRemaining((prev) => {
-        if (prev <= 1) {
+        // Count down to the attempt deadline when there is one, so time
+        // spent with the app closed or in the background still counts
+        const next = deadlineRef.current
+          ? secondsUntil(deadlineRef.current)
+          : prev - 1;
+
+        if (next <= 0) {
           clearInterval(timerId);
           // Auto-submit when time runs out
           handleAutoSubmit();
           return 0;
         }
 
-        return prev - 1;
+        return next;
       });
     }, 1000);
 
     return () => clearInterval(timerId);
-  }, [exam, timeRemaining, submitting, handleAutoSubmit]);
+  }, [exam, timeRemaining, submitting, isOnBreak, handleAutoSubmit]);
+
+  // Spoken form of a duration, e.g. "12 minutes and 30 seconds"
+  const formatTimeForSpeech = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainingSeconds = seconds % 60;
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+    const parts = [];
+    if (hours > 0) parts.push(plural(hours, "hour"));
+    if (minutes > 0) parts.push(plural(minutes, "minute"));
+    // Seconds only matter once under ten minutes
+    if (remainingSeconds > 0 && hours === 0 && minutes < 10) {
+      parts.push(plural(remainingSeconds, "second"));
+    }
+    if (parts.length === 0) return "less than a second";
+    return parts.join(" and ");
+  };
+
+  // Speak an announcement without interrupting a question being read
+  // or a command being answered; deferred messages are spoken when idle
+  const announcePolitely = useCallback(async (message) => {
+    if (
+      isReadingQuestionRef.current ||
+      isProcessingCommandRef.current ||
+      speechService.isSpeaking
+    ) {
+      pendingAnnouncementsRef.current.push(message);
+      return;
+    }
+    await speechService.speak(message);
+  }, []);
+
+  // Automatic time warnings and delivery of deferred announcements
+  useEffect(() => {
+    if (!exam || submitting) return;
+
+    const previous = previousTimeRemainingRef.current;
+    previousTimeRemainingRef.current = timeRemaining;
+
+    if (previous !== null && timeRemaining < previous) {
+      // Only announce the smallest mark crossed since the last tick
+      const crossed = timeWarningMinutesRef.current
+        .filter((minutes) => {
+          const mark = minutes * 60;
+          return previous > mark && timeRemaining <= mark;
+        })
+        .sort((a, b) => a - b);
+
+      if (crossed.length > 0) {
+        const minutes = crossed[0];
+        const message =
+          minutes === 1
+            ? "Time warning: 1 minute remaining. The exam will be submitted automatically when time runs out."
+            : `Time warning: ${minutes} minutes remaining.`;
+        console.log("[ExamPage] Time warning:", minutes, "minutes");
+        announcePolitely(message);
+        return;
+      }
+    }
+
+    if (
+      pendingAnnouncementsRef.current.length > 0 &&
+      !isReadingQuestionRef.current &&
+      !isProcessingCommandRef.current &&
+      !speechService.isSpeaking
+    ) {
+      const message = pendingAnnouncementsRef.current.shift();
+      speechService.speak(message);
+    }
+  }, [exam, timeRemaining, submitting, announcePolitely]);
 
   const formatTime = (seconds) => {
     const hours = Math.floor(seconds / 3600);
@@ -433,8 +1065,16 @@ const ExamPage = ({ route, navigation }) => {
     }
 
     // Ensure answer is a string and trimmed
-    const trimmedAnswer = String(answer || "").trim();
-    if (!trimmedAnswer) {
+    // Multiple select and fill-in-the-blank answers are arrays of strings
+    const trimmedAnswer = Array.isArray(answer)
+      ? answer.map((part) => String(part ?? "").trim())
+      : String(answer || "").trim();
+    if (!isAnswered(trimmedAnswer)) {
+      // Deselecting every option or clearing every blank removes the answer
+      if (Array.isArray(trimmedAnswer)) {
+        clearAnswer();
+        return;
+      }
       console.warn(
         "[ExamPage] Attempted to save empty answer for question:",
         currentQuestion.id
@@ -469,14 +1109,95 @@ const ExamPage = ({ route, navigation }) => {
     });
   };
 
+  // Tap an option of a multiple select question to add or remove it
+  const toggleOption = (option) => {
+    const current = getCurrentAnswer();
+    const selected = Array.isArray(current) ? current : [];
+    saveAnswer(
+      currentQuestion.options.filter((candidate) =>
+        candidate === option
+          ? !selected.includes(candidate)
+          : selected.includes(candidate)
+      )
+    );
+  };
+
+  // Type into one blank of a fill-in-the-blank question
+  const updateBlank = (blankIndex, text) => {
+    const current = getCurrentAnswer();
+    const updated = Array.from(
+      { length: countBlanks(currentQuestion.question) },
+      (_, index) => (Array.isArray(current) ? current[index] ?? "" : "")
+    );
+    updated[blankIndex] = text;
+    saveAnswer(updated);
+  };
+
+  const clearAnswer = () => {
+    if (!currentQuestion) return;
+
+    setAnswers((prev) => {
+      const filtered = prev.filter(
+        (entry) => entry.questionId !== currentQuestion.id
+      );
+      answersRef.current = filtered;
+      console.log("[ExamPage] Answer cleared:", currentQuestion.id);
+      return filtered;
+    });
+  };
+
   // Update refs for use in speech callbacks
   useEffect(() => {
     currentQuestionRef.current = currentQuestion;
     saveAnswerRef.current = saveAnswer;
+    clearAnswerRef.current = clearAnswer;
+    submitExamAnswersRef.current = submitExamAnswers;
     getCurrentAnswerRef.current = getCurrentAnswer;
     answersRef.current = answers; // Keep ref in sync with state
+    timeRemainingRef.current = timeRemaining;
+    currentQuestionIndexRef.current = currentQuestionIndex; // Keep in sync with touch navigation
   });
 
+  // Save progress on the device so a crash or phone call doesn't lose the attempt
+  const persistProgress = useCallback(() => {
+    const currentExam = examRef.current;
+    if (!autosaveEnabledRef.current || !currentExam) return;
+
+    saveAnswersLocally(
+      currentExam.id,
+      answersRef.current,
+      currentQuestionIndexRef.current,
+      {
+        attemptId: attemptIdRef.current,
+        flaggedQuestionIds: flaggedIdsRef.current,
+        timeRemaining: timeRemainingRef.current,
+        studentId: user?.uid,
+      }
+    );
+  }, [user?.uid]);
+
+  // Autosave whenever answers, flags or the current question change
+  useEffect(() => {
+    persistProgress();
+  }, [answers, flaggedIds, currentQuestionIndex, persistProgress]);
+
+  // Autosave the timer periodically and when the app is backgrounded
+  useEffect(() => {
+    if (!exam) return;
+
+    const intervalId = setInterval(persistProgress, AUTOSAVE_INTERVAL_MS);
+    const subscription = AppState.addEventListener("change", (nextState) => {
+      if (nextState !== "active") {
+        persistProgress();
+      }
+    });
+
+    return () => {
+      clearInterval(intervalId);
+      subscription.remove();
+    };
+  }, [exam, persistProgress]);
+
   // TTS/STT removed - speech functions deleted
 
   // TTS/STT removed - speech functions deleted
@@ -588,27 +1309,64 @@ const ExamPage = ({ route, navigation }) => {
       return;
     }
 
+    isReadingQuestionRef.current = true;
     try {
-      // Read question first
+      // Announce the section when moving into it
+      const section = getQuestionSection(currentExam.sections, question);
+      if (section && section.id !== announcedSectionIdRef.current) {
+        await speechService.speak(
+          describeSection(
+            section,
+            getSectionQuestions(currentExam.questions, section.id).length
+          )
+        );
+      }
+      announcedSectionIdRef.current = section?.id || null;
+
+      // Read question first, with blanks read as "blank 1", "blank 2"
       const questionText = `Question ${currentIndex + 1}. ${
-        question.question
+        question.type === "fill-blank"
+          ? numberBlanks(question.question)
+          : question.question
       }. `;
       console.log("[ExamPage] Reading question:", questionText);
       await speechService.speak(questionText);
 
+      if (flaggedIdsRef.current.includes(question.id)) {
+        await speechService.speak("This question is flagged for review.");
+      }
+
       // Wait a bit before reading options to ensure question is fully spoken
       await new Promise((resolve) => setTimeout(resolve, 300));
 
+      if (question.type === "true-false") {
+        await speechService.speak("True or false?");
+      } else if (question.type === "multiple-select") {
+        await speechService.speak("Select all options that apply.");
+      } else if (question.type === "fill-blank") {
+        const blankCount = countBlanks(question.question);
+        await speechService.speak(
+          `This question has ${blankCount} ${
+            blankCount === 1 ? "blank" : "blanks"
+          }. Say blank, the blank number, then your answer.`
+        );
+      } else if (question.type === "numeric") {
+        await speechService.speak(
+          "Answer with a number. Include the unit if there is one."
+        );
+      }
+
       // Read options separately to ensure all are read
       if (
-        question.type === "multiple-choice" &&
+        (question.type === "multiple-choice" ||
+          question.type === "multiple-select") &&
         question.options &&
         question.options.length > 0
       ) {
         console.log("[ExamPage] Reading", question.options.length, "options");
 
         for (let index = 0; index < question.options.length; index++) {
-          const letter = String.fromCharCode(65 + index); // A, B, C, D
+          const letter = getOptionLetter(index); // A to H
           const optionText = `Option ${letter}: ${question.options[index]}. `;
           console.log("[ExamPage] Reading option:", optionText);
           await speechService.speak(optionText);
@@ -623,241 +1381,1093 @@ const ExamPage = ({ route, navigation }) => {
       }
     } catch (error) {
       console.error("[ExamPage] Error reading question:", error);
+    } finally {
+      isReadingQuestionRef.current = false;
     }
   }, [exam]);
 
-  // Handle voice commands for EXAM context
-  const handleVoiceCommand = useCallback(
-    async (transcript) => {
-      console.log(
-        "[ExamPage] handleVoiceCommand called with transcript:",
-        transcript
-      );
+  // Flag or unflag a question for review
+  const setQuestionFlag = (questionId, flagged) => {
+    const updated = flagged
+      ? [...flaggedIdsRef.current.filter((id) => id !== questionId), questionId]
+      : flaggedIdsRef.current.filter((id) => id !== questionId);
+    flaggedIdsRef.current = updated;
+    setFlaggedIds(updated);
+    console.log("[ExamPage] Flagged questions:", updated);
+  };
 
-      if (isProcessingCommandRef.current) {
-        console.log("[ExamPage] Already processing command, ignoring");
-        return;
-      }
+  // Indexes of questions flagged for review
+  const getFlaggedIndexes = () => {
+    const questions = examRef.current?.questions || [];
+    return questions
+      .map((question, index) =>
+        flaggedIdsRef.current.includes(question.id) ? index : null
+      )
+      .filter((index) => index !== null);
+  };
 
-      if (!transcript || typeof transcript !== "string") {
-        console.log("[ExamPage] Invalid transcript:", transcript);
+  // Indexes of questions without a saved answer
+  const getUnansweredIndexes = () => {
+    const questions = examRef.current?.questions || [];
+    const answered = new Set(
+      answersRef.current.map((entry) => entry.questionId)
+    );
+    return questions
+      .map((question, index) => (answered.has(question.id) ? null : index))
+      .filter((index) => index !== null);
+  };
+
+  // Read a list of question numbers, e.g. "3, 5 and 9"
+  const formatQuestionList = (indexes, limit = 15) => {
+    const numbers = indexes.slice(0, limit).map((index) => index + 1);
+    const extra = indexes.length - numbers.length;
+    if (numbers.length === 1) return `${numbers[0]}`;
+
+    const list = `${numbers.slice(0, -1).join(", ")} and ${
+      numbers[numbers.length - 1]
+    }`;
+    return extra > 0 ? `${list}, and ${extra} more` : list;
+  };
+
+  // Jump to a question by index; the question change effect reads it aloud
+  const goToQuestion = useCallback(
+    async (targetIndex) => {
+      const totalQuestions =
+        totalQuestionsRef.current || examRef.current?.questions?.length || 0;
+
+      if (targetIndex < 0 || targetIndex >= totalQuestions) {
+        await speechService.speak(
+          `There is no question ${
+            targetIndex + 1
+          }. This exam has ${totalQuestions} questions.`
+        );
         return;
       }
 
-      const command = transcript.toLowerCase().trim();
-      console.log(
-        "[ExamPage] Voice command received:",
-        command,
-        "Context:",
-        screenContextService.getContext()
-      );
-
-      // Check if we're in EXAM context
-      if (screenContextService.getContext() !== "EXAM") {
-        console.log(
-          "[ExamPage] Not in EXAM context, ignoring command. Current context:",
-          screenContextService.getContext()
+      if (targetIndex === currentQuestionIndexRef.current) {
+        await speechService.speak(
+          `You are already on question ${targetIndex + 1}.`
         );
+        await readCurrentQuestion();
         return;
       }
 
-      // Handle confirmation commands if waiting for submit confirmation
-      if (isWaitingForConfirmationRef.current) {
-        if (command === "yes") {
-          isProcessingCommandRef.current = true;
-          await speechService.stopListening();
-          await speechService.speak("Submitting exam.");
-          isWaitingForConfirmationRef.current = false;
-          await submitExamAnswers();
-          return;
-        } else if (command === "no") {
-          isProcessingCommandRef.current = true;
-          await speechService.stopListening();
-          await speechService.speak("Returning to current question.");
-          isWaitingForConfirmationRef.current = false;
-          // Re-read current question
-          setTimeout(async () => {
-            await readCurrentQuestion();
-            // Start listening after question is read
-            setTimeout(async () => {
-              if (
-                screenContextService.getContext() === "EXAM" &&
-                !speechService.isListening &&
-                !speechService.isSpeaking
-              ) {
-                console.log(
-                  "[ExamPage] Starting listening after canceling submit"
-                );
-                await speechService.startListening();
-              }
-            }, 1000);
-          }, 500);
-          isProcessingCommandRef.current = false;
-          return;
-        }
+      console.log("[ExamPage] Jumping to question", targetIndex + 1);
+      currentQuestionIndexRef.current = targetIndex;
+      setCurrentQuestionIndex(targetIndex);
+
+      // The question change effect skips question 1, so read it here
+      if (targetIndex === 0) {
+        setTimeout(async () => {
+          await readCurrentQuestion();
+        }, 300);
       }
+    },
+    [readCurrentQuestion]
+  );
 
-      isProcessingCommandRef.current = true;
+  // Jump to the next unanswered question, wrapping around to the start
+  const goToNextUnanswered = useCallback(async () => {
+    const unanswered = getUnansweredIndexes();
 
-      try {
-        // Stop listening before processing
-        await speechService.stopListening();
+    if (unanswered.length === 0) {
+      await speechService.speak(
+        "All questions are answered. Say submit to finish the exam."
+      );
+      return;
+    }
 
-        const currentExam = examRef.current || exam;
-        const currentIndex = currentQuestionIndexRef.current;
-        const currentQuestion = currentExam?.questions?.[currentIndex];
-        const totalQuestions =
-          totalQuestionsRef.current || currentExam?.questions?.length || 0;
-        const isLastQuestion = currentIndex === totalQuestions - 1;
+    const currentIndex = currentQuestionIndexRef.current;
+    const nextIndex =
+      unanswered.find((index) => index > currentIndex) ?? unanswered[0];
+
+    if (nextIndex === currentIndex) {
+      await speechService.speak(
+        "This is the only unanswered question. Here it is again."
+      );
+      await readCurrentQuestion();
+      return;
+    }
+
+    await goToQuestion(nextIndex);
+  }, [goToQuestion, readCurrentQuestion]);
+
+  // Read out which questions are still unanswered
+  const listUnanswered = useCallback(async () => {
+    const unanswered = getUnansweredIndexes();
+
+    if (unanswered.length === 0) {
+      await speechService.speak("You have answered every question.");
+      return;
+    }
+
+    const label = unanswered.length === 1 ? "question" : "questions";
+    await speechService.speak(
+      `${unanswered.length} unanswered ${label}: ${formatQuestionList(
+        unanswered
+      )}. Say next unanswered to go to the next one.`
+    );
+  }, []);
+
+  // Read the current section's passage, one paragraph or all of it, or its instructions
+  const readSectionContent = useCallback(async (part, paragraphNumber) => {
+    const currentExam = examRef.current;
+    const section = getQuestionSection(
+      currentExam?.sections,
+      currentExam?.questions?.[currentQuestionIndexRef.current]
+    );
+
+    if (!section) {
+      await speechService.speak("This question is not part of a section.");
+      return;
+    }
+
+    if (part === "instructions") {
+      await speechService.speak(
+        describeSection(
+          section,
+          getSectionQuestions(currentExam.questions, section.id).length
+        )
+      );
+      return;
+    }
+
+    const paragraphs = splitParagraphs(section.passage);
+    if (paragraphs.length === 0) {
+      await speechService.speak(`${section.title} has no passage.`);
+      return;
+    }
+
+    if (part === "paragraph") {
+      const paragraph = paragraphs[paragraphNumber - 1];
+      await speechService.speak(
+        paragraph
+          ? `Paragraph ${paragraphNumber}. ${paragraph}`
+          : `There is no paragraph ${paragraphNumber}. The passage has ${
+              paragraphs.length
+            } ${paragraphs.length === 1 ? "paragraph" : "paragraphs"}.`
+      );
+      return;
+    }
+
+    for (let index = 0; index < paragraphs.length; index++) {
+      await speechService.speak(
+        paragraphs.length > 1
+          ? `Paragraph ${index + 1}. ${paragraphs[index]}`
+          : paragraphs[index]
+      );
+    }
+    await speechService.speak(
+      "End of passage. Say repeat to hear the question again."
+    );
+  }, []);
+
+  // Announce how many questions have been answered
+  const announceAnsweredCount = useCallback(async () => {
+    const totalQuestions =
+      totalQuestionsRef.current || examRef.current?.questions?.length || 0;
+    const remaining = getUnansweredIndexes().length;
+    const answered = totalQuestions - remaining;
+
+    await speechService.speak(
+      `You have answered ${answered} of ${totalQuestions} questions. ${remaining} remaining. You are on question ${
+        currentQuestionIndexRef.current + 1
+      }.`
+    );
+  }, []);
+
+  // Spoken summary of a saved attempt
+  const describeSavedProgress = (saved) => {
+    const answeredCount = saved.answers.length;
+    let message = `You have a saved attempt for this exam with ${answeredCount} answer${
+      answeredCount === 1 ? "" : "s"
+    }, stopped at question ${saved.currentQuestionIndex + 1}.`;
+    if (saved.timeRemaining > 0) {
+      message += ` ${formatTimeForSpeech(saved.timeRemaining)} remaining.`;
+    }
+    return message;
+  };
+
+  // Ask whether to resume a saved attempt
+  const promptResume = useCallback(async () => {
+    const saved = savedProgressRef.current;
+    if (!saved) return;
+
+    await speechService.speak(
+      `${describeSavedProgress(
+        saved
+      )} Say resume to continue where you left off, or start over to begin again.`
+    );
+    setTimeout(async () => {
+      if (
+        screenContextService.getContext() === "EXAM" &&
+        isWaitingForResumeChoiceRef.current &&
+        !speechService.isListening &&
+        !speechService.isSpeaking
+      ) {
+        await speechService.startListening();
+      }
+    }, 1000);
+  }, []);
+
+  // Put saved answers, flags, position and time back into the exam
+  const restoreProgress = (saved) => {
+    answersRef.current = saved.answers;
+    setAnswers(saved.answers);
+    flaggedIdsRef.current = saved.flaggedQuestionIds;
+    setFlaggedIds(saved.flaggedQuestionIds);
+    currentQuestionIndexRef.current = saved.currentQuestionIndex;
+    setCurrentQuestionIndex(saved.currentQuestionIndex);
+    if (!deadlineRef.current && saved.timeRemaining > 0) {
+      timeRemainingRef.current = saved.timeRemaining;
+      setTimeRemaining(saved.timeRemaining);
+    }
+  };
+
+  // Restore or discard the saved attempt, then read the current question
+  const applyResumeChoice = useCallback(
+    async (resume) => {
+      if (!isWaitingForResumeChoiceRef.current) return;
+      isWaitingForResumeChoiceRef.current = false;
+
+      const saved = savedProgressRef.current;
+      savedProgressRef.current = null;
+      setResumePrompt(null);
+      isInitializingRef.current = true;
+
+      if (resume && saved) {
+        restoreProgress(saved);
+        console.log("[ExamPage] Resumed saved progress");
+        autosaveEnabledRef.current = true;
 
-        // Handle answer selection for multiple-choice questions FIRST (before navigation commands)
+        await speechService.speak(
+          `Welcome back. Resuming at question ${
+            saved.currentQuestionIndex + 1
+          }. You have answered ${saved.answers.length} of ${
+            totalQuestionsRef.current
+          } questions.`
+        );
+      } else {
+        // Same attempt with blank answers: the attempt deadline still applies
+        await clearLocalAnswers(examRef.current?.id);
+        autosaveEnabledRef.current = true;
+        await speechService.speak(
+          `Starting over with no answers. ${EXAM_INSTRUCTIONS}`
+        );
+      }
+
+      await readCurrentQuestion();
+      hasReadFirstQuestionRef.current = true;
+      isInitializingRef.current = false;
+
+      setTimeout(async () => {
         if (
-          currentQuestion?.type === "multiple-choice" &&
-          currentQuestion.options
+          screenContextService.getContext() === "EXAM" &&
+          !speechService.isListening &&
+          !speechService.isSpeaking
         ) {
-          // Match patterns like "option a", "option b", "a", "b", etc.
-          // Prioritize matches at the END of the command (user's actual input, not TTS output)
-          let selectedLetter = null;
-
-          // First, try to find standalone commands at the end (most reliable)
-          const endPatterns = [
-            /\b(?:select|choose|pick)\s+(?:option\s+)?([a-d])\s*$/i,
-            /\b(?:option\s+)?([a-d])\s*$/i,
-          ];
-
-          for (const pattern of endPatterns) {
-            const match = command.match(pattern);
-            if (match) {
-              selectedLetter = match[1].toUpperCase();
-              break;
-            }
-          }
+          await speechService.startListening();
+        }
+      }, 1000);
+    },
+    [readCurrentQuestion]
+  );
 
-          // If no end match, try to find a match in the last 15 characters
-          if (!selectedLetter) {
-            const lastPart = command.slice(-15);
-            const lastMatch = lastPart.match(/\b(?:option\s+)?([a-d])\b/i);
-            if (lastMatch) {
-              selectedLetter = lastMatch[1].toUpperCase();
-            }
-          }
+  // Handle the spoken answer to the resume prompt
+  const handleResumeChoice = useCallback(
+    async (transcript) => {
+      const choice = voiceCommandRegistry.match(
+        transcript,
+        EXAM_RESUME_CHOICE_GRAMMAR
+      );
 
-          // If still no match, use the last occurrence (fallback)
-          if (!selectedLetter) {
-            const allMatches = [
-              ...command.matchAll(/\b(?:option\s+)?([a-d])\b/gi),
-            ];
-            if (allMatches && allMatches.length > 0) {
-              selectedLetter =
-                allMatches[allMatches.length - 1][1].toUpperCase();
-            }
-          }
+      if (!choice) {
+        await speechService.speak(
+          "Say resume to continue where you left off, or start over to begin again."
+        );
+        return;
+      }
+
+      await applyResumeChoice(choice.id === "resume");
+    },
+    [applyResumeChoice]
+  );
+
+  // Break time left in this attempt, in seconds
+  const getBreakSecondsLeft = () => {
+    const allowance = (accommodationRef.current?.maxBreakMinutes || 0) * 60;
+    const currentBreak = breakStartedAtRef.current
+      ? Math.round((Date.now() - breakStartedAtRef.current) / 1000)
+      : 0;
+    return Math.max(0, allowance - breakSecondsUsedRef.current - currentBreak);
+  };
+
+  // Spoken summary of the student's time arrangements, or an empty string
+  const getArrangementsMessage = () => {
+    const accommodation = accommodationRef.current;
+    if (!accommodation) return "";
+
+    let message = "";
+    if (accommodation.extraTimeMultiplier > 1) {
+      message += ` Your time includes ${Math.round(
+        (accommodation.extraTimeMultiplier - 1) * 100
+      )} percent extra time.`;
+    }
+    if (accommodation.restBreaksAllowed) {
+      message +=
+        " Say pause for a break to stop the clock for a rest break.";
+    }
+    return message;
+  };
+
+  // Stop the clock for a rest break, if the student's arrangements allow it
+  const startBreak = useCallback(async () => {
+    if (!accommodationRef.current?.restBreaksAllowed) {
+      await speechService.speak(
+        "Rest breaks are not part of your exam arrangements, so the clock keeps running. Please ask your examiner if you need help."
+      );
+      return;
+    }
+
+    const secondsLeft = getBreakSecondsLeft();
+    if (secondsLeft <= 0) {
+      await speechService.speak(
+        "You have used all of your break time for this exam. The clock keeps running."
+      );
+      return;
+    }
+
+    breakStartedAtRef.current = Date.now();
+    isOnBreakRef.current = true;
+    setIsOnBreak(true);
+    console.log("[ExamPage] Rest break started");
+
+    await speechService.speak(
+      `Break started. The exam clock is stopped. You have ${formatTimeForSpeech(
+        secondsLeft
+      )} of break time. Say resume exam when you are ready to continue.`
+    );
+  }, []);
+
+  // Restart the clock, moving the attempt deadline back by the break length
+  const endBreak = useCallback(async (breakTimeUsedUp = false) => {
+    if (!isOnBreakRef.current) return;
+
+    const breakSeconds = Math.round(
+      (Date.now() - breakStartedAtRef.current) / 1000
+    );
+    isOnBreakRef.current = false;
+    breakStartedAtRef.current = null;
+    breakSecondsUsedRef.current += breakSeconds;
+    setIsOnBreak(false);
+    console.log("[ExamPage] Rest break ended after", breakSeconds, "seconds");
+
+    if (deadlineRef.current) {
+      deadlineRef.current += breakSeconds * 1000;
+      extendAttemptDeadline(
+        attemptIdRef.current,
+        deadlineRef.current,
+        breakSecondsUsedRef.current
+      ).catch((error) =>
+        console.warn("[ExamPage] Could not extend attempt deadline:", error)
+      );
+    }
+
+    await speechService.speak(
+      `${
+        breakTimeUsedUp ? "Your break time is used up." : "Break over."
+      } The exam clock has restarted. You have ${formatTimeForSpeech(
+        timeRemainingRef.current
+      )} remaining. You are on question ${currentQuestionIndexRef.current + 1}.`
+    );
+  }, []);
+
+  // While on a break, only resume and break time requests are accepted
+  const handleBreakCommand = useCallback(
+    async (transcript) => {
+      const match = voiceCommandRegistry.match(transcript, EXAM_BREAK_GRAMMAR);
+
+      if (match?.id === "resume-break") {
+        await endBreak();
+      } else if (match?.id === "break-time") {
+        await speechService.speak(
+          `You have ${formatTimeForSpeech(
+            getBreakSecondsLeft()
+          )} of break time left.`
+        );
+      } else {
+        await speechService.speak(
+          "You are on a break and the exam clock is stopped. Say resume exam to continue."
+        );
+      }
+    },
+    [endBreak]
+  );
+
+  // End the break automatically once the break allowance runs out
+  useEffect(() => {
+    if (!isOnBreak) return;
+
+    const intervalId = setInterval(() => {
+      if (getBreakSecondsLeft() <= 0) {
+        clearInterval(intervalId);
+        endBreak(true);
+      }
+    }, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [isOnBreak, endBreak]);
+
+  // Flag or unflag the current question by voice
+  const handleFlagCommand = useCallback(async (flagged) => {
+    const question = currentQuestionRef.current;
+    if (!question) return;
+
+    const questionNumber = currentQuestionIndexRef.current + 1;
+    const isFlagged = flaggedIdsRef.current.includes(question.id);
+
+    if (flagged === isFlagged) {
+      await speechService.speak(
+        `Question ${questionNumber} is ${
+          flagged ? "already" : "not"
+        } flagged.`
+      );
+      return;
+    }
+
+    setQuestionFlag(question.id, flagged);
+    await speechService.speak(
+      flagged
+        ? `Question ${questionNumber} flagged for review.`
+        : `Flag removed from question ${questionNumber}.`
+    );
+  }, []);
+
+  // Read out which questions are flagged
+  const listFlagged = useCallback(async () => {
+    const flagged = getFlaggedIndexes();
+
+    if (flagged.length === 0) {
+      await speechService.speak("No questions are flagged.");
+      return;
+    }
+
+    const label = flagged.length === 1 ? "question" : "questions";
+    await speechService.speak(
+      `${flagged.length} flagged ${label}: ${formatQuestionList(flagged)}.`
+    );
+  }, []);
+
+  // Ask the final yes/no submit confirmation
+  const askSubmitConfirmation = useCallback(async () => {
+    isWaitingForConfirmationRef.current = true;
+    await speechService.speak(
+      "Are you sure you want to submit the exam? Say yes to confirm or no to cancel."
+    );
+    // Start listening after confirmation prompt to wait for yes/no response
+    setTimeout(async () => {
+      if (
+        screenContextService.getContext() === "EXAM" &&
+        !speechService.isListening &&
+        !speechService.isSpeaking
+      ) {
+        console.log("[ExamPage] Starting listening after confirmation prompt");
+        await speechService.startListening();
+      }
+    }, 1000);
+  }, []);
+
+  // Walk through flagged and unanswered questions in order
+  const startReviewPass = useCallback(async () => {
+    const queue = [
+      ...new Set([...getFlaggedIndexes(), ...getUnansweredIndexes()]),
+    ].sort((a, b) => a - b);
+
+    if (queue.length === 0) {
+      await askSubmitConfirmation();
+      return;
+    }
+
+    isReviewingRef.current = true;
+    reviewQueueRef.current = queue;
+    reviewPositionRef.current = 0;
 
-          if (selectedLetter) {
-            const optionIndex = selectedLetter.charCodeAt(0) - 65; // A=0, B=1, C=2, D=3
+    await speechService.speak(
+      `Starting review of ${queue.length} question${
+        queue.length === 1 ? "" : "s"
+      }. Say next to move to the next one, or stop review to finish.`
+    );
+    await goToQuestion(queue[0]);
+  }, [askSubmitConfirmation, goToQuestion]);
+
+  // Finish the review pass and go on to the submit confirmation
+  const endReviewPass = useCallback(
+    async (completed) => {
+      isReviewingRef.current = false;
+      reviewQueueRef.current = [];
+      reviewPositionRef.current = 0;
+
+      if (completed) {
+        await speechService.speak("Review complete.");
+        await askSubmitConfirmation();
+      } else {
+        await speechService.speak(
+          "Review ended. Say submit when you are ready."
+        );
+      }
+    },
+    [askSubmitConfirmation]
+  );
+
+  // Move to the next question in the review pass
+  const advanceReviewPass = useCallback(async () => {
+    const nextPosition = reviewPositionRef.current + 1;
+
+    if (nextPosition >= reviewQueueRef.current.length) {
+      await endReviewPass(true);
+      return;
+    }
+
+    reviewPositionRef.current = nextPosition;
+    await goToQuestion(reviewQueueRef.current[nextPosition]);
+  }, [endReviewPass, goToQuestion]);
+
+  // Handle the answer to "review flagged and unanswered questions?"
+  const handleReviewChoice = useCallback(
+    async (transcript) => {
+      const choice = voiceCommandRegistry.match(
+        transcript,
+        EXAM_REVIEW_CHOICE_GRAMMAR
+      );
+
+      if (!choice) {
+        await speechService.speak(
+          "Say review to go through them, submit anyway to continue, or cancel to return to the exam."
+        );
+        return;
+      }
+
+      isWaitingForReviewChoiceRef.current = false;
+
+      if (choice.id === "review-start") {
+        await startReviewPass();
+      } else if (choice.id === "review-skip") {
+        await askSubmitConfirmation();
+      } else {
+        await speechService.speak("Returning to the exam.");
+      }
+    },
+    [startReviewPass, askSubmitConfirmation]
+  );
+
+  // Get the saved written answer text for a question
+  const getAnswerText = (questionId) => {
+    return (
+      answersRef.current.find((entry) => entry.questionId === questionId)
+        ?.answer ?? ""
+    );
+  };
+
+  // Check whether the student answers a question by dictating text
+  const isTextEntryQuestion = (question) =>
+    question?.type === "written" || question?.type === "numeric";
+
+  // How to answer a question by voice, for when the student uses the wrong command
+  const getAnswerHint = (question) => {
+    if (question?.type === "true-false") {
+      return "This is a true or false question. Say true or false.";
+    }
+    if (question?.type === "multiple-select") {
+      return "This question can have more than one correct option. Say select followed by the letters, for example select A and C.";
+    }
+    if (question?.type === "fill-blank") {
+      return "This is a fill in the blank question. Say blank, the blank number, then your answer. For example, blank 1 Paris.";
+    }
+    if (question?.type === "multiple-choice") {
+      return "This is a multiple choice question. Say the option letter to answer.";
+    }
+    return "This question has no options. Say start answer to dictate your answer.";
+  };
+
+  // Spoken form of an answer: selected options by letter, blanks by number, or the text itself
+  const describeAnswer = (question, answer) => {
+    if (question.type === "fill-blank") {
+      return Array.from(
+        { length: countBlanks(question.question) },
+        (_, index) =>
+          `Blank ${index + 1}: ${
+            String(answer?.[index] ?? "").trim() || "empty"
+          }`
+      ).join(". ");
+    }
+    if (question.type === "multiple-select" && Array.isArray(answer)) {
+      return answer
+        .map(
+          (option) =>
+            `${getOptionLetter(question.options.indexOf(option))}, ${option}`
+        )
+        .join(", and ");
+    }
+    return formatAnswer(answer, question.type);
+  };
+
+  // Read the captured answer back to the student
+  const readBackAnswer = useCallback(async (prefix = "") => {
+    const question = currentQuestionRef.current;
+    const answer = question ? getAnswerText(question.id) : "";
+    const intro = prefix ? `${prefix} ` : "";
+
+    if (!isAnswered(answer)) {
+      await speechService.speak(`${intro}Your answer is empty.`);
+      return;
+    }
+
+    await speechService.speak(
+      `${intro}Your answer is: ${describeAnswer(question, answer)}`
+    );
+  }, []);
+
+  // Select options by letter
+  // On multiple select questions the letters are added to the selection, or taken
+  // out of it with mode "remove"; other questions keep a single option
+  const selectOptions = useCallback(
+    async (question, letters, isLastQuestion, mode = "add") => {
+      const options = question.options || [];
+      const indexes = letters.map((letter) => letter.charCodeAt(0) - 65);
+
+      if (indexes.some((index) => index < 0 || index >= options.length)) {
+        // Invalid option letter
+        const valid = options.map((_, index) => getOptionLetter(index));
+        await speechService.speak(
+          `Invalid option. Please choose ${valid
+            .slice(0, -1)
+            .join(", ")}, or ${valid[valid.length - 1]}.`
+        );
+        return;
+      }
+
+      const nextStep = isLastQuestion
+        ? "This is the last question. Say submit to finish the exam."
+        : "Say next question to continue.";
+
+      if (question.type !== "multiple-select") {
+        if (mode === "remove" || indexes.length > 1) {
+          await speechService.speak(
+            "Only one option can be selected for this question. Say a single letter to choose your answer."
+          );
+          return;
+        }
+        const selectedOption = options[indexes[0]];
+        if (saveAnswerRef.current) {
+          saveAnswerRef.current(selectedOption);
+        }
+        await speechService.speak(
+          question.type === "true-false"
+            ? `${selectedOption} selected. ${nextStep}`
+            : `Option ${letters[0]} selected: ${selectedOption}. ${nextStep}`
+        );
+        return;
+      }
+
+      const current = getAnswerText(question.id);
+      const selected = new Set(Array.isArray(current) ? current : []);
+      indexes.forEach((index) =>
+        mode === "remove"
+          ? selected.delete(options[index])
+          : selected.add(options[index])
+      );
+      // Keep the selection in the order the options are shown
+      const updated = options.filter((option) => selected.has(option));
+      if (saveAnswerRef.current) {
+        saveAnswerRef.current(updated);
+      }
+
+      await speechService.speak(
+        updated.length > 0
+          ? `Selected: ${describeAnswer(
+              question,
+              updated
+            )}. Say remove and a letter to deselect an option. ${nextStep}`
+          : "No options selected. Say select followed by the letters to choose your answers."
+      );
+    },
+    []
+  );
+
+  // Fill one blank of a fill-in-the-blank question; empty text clears it
+  const fillBlank = useCallback(async (question, blankNumber, text) => {
+    const blankCount = countBlanks(question.question);
+    if (blankNumber < 1 || blankNumber > blankCount) {
+      await speechService.speak(
+        `There is no blank ${blankNumber}. This question has ${blankCount} ${
+          blankCount === 1 ? "blank" : "blanks"
+        }.`
+      );
+      return;
+    }
+
+    const current = getAnswerText(question.id);
+    const updated = Array.from({ length: blankCount }, (_, index) =>
+      Array.isArray(current) ? current[index] ?? "" : ""
+    );
+    updated[blankNumber - 1] = text;
+    if (saveAnswerRef.current) {
+      saveAnswerRef.current(updated);
+    }
+
+    if (!text) {
+      await speechService.speak(`Blank ${blankNumber} cleared.`);
+      return;
+    }
+    const remaining = updated.filter((part) => !String(part).trim()).length;
+    await speechService.speak(
+      `Blank ${blankNumber}: ${text}. ${
+        remaining > 0
+          ? `${remaining} ${remaining === 1 ? "blank" : "blanks"} left.`
+          : "All blanks filled."
+      }`
+    );
+  }, []);
+
+  // Start dictating a written answer
+  // mode "replace-all" starts a new answer, "append" adds to the existing one
+  const startDictation = useCallback(async (mode) => {
+    const question = currentQuestionRef.current;
+    if (!question) return;
+
+    const hasAnswer = !!getAnswerText(question.id);
+    isDictatingRef.current = true;
+    dictationEditRef.current = hasAnswer ? mode : "append";
+    setIsDictating(true);
+
+    let message = "Dictation started. Speak your answer.";
+    if (hasAnswer && mode === "replace-all") {
+      message =
+        "Dictation started. What you say will replace your existing answer. Say append instead to add to it.";
+    } else if (hasAnswer) {
+      message = "Dictation started. What you say will be added to your answer.";
+    }
+    await speechService.speak(
+      `${message} Say stop answer when you are finished.`
+    );
+  }, []);
+
+  // Stop dictating and read back what was captured
+  const stopDictation = useCallback(async () => {
+    isDictatingRef.current = false;
+    dictationEditRef.current = "append";
+    setIsDictating(false);
+    await readBackAnswer("Dictation stopped.");
+  }, [readBackAnswer]);
+
+  // Clear the written answer for the current question
+  const handleClearAnswer = useCallback(async () => {
+    if (clearAnswerRef.current) {
+      clearAnswerRef.current();
+    }
+    dictationEditRef.current = "append";
+    let message = "Answer cleared.";
+    if (isDictatingRef.current) {
+      message = "Answer cleared. Keep speaking, or say stop answer.";
+    } else if (isTextEntryQuestion(currentQuestionRef.current)) {
+      message = "Answer cleared. Say start answer to dictate a new one.";
+    }
+    await speechService.speak(message);
+  }, []);
+
+  // Handle speech while dictating a written answer
+  // Only whole editing phrases are commands; everything else is answer text
+  const handleDictation = useCallback(
+    async (transcript) => {
+      const question = currentQuestionRef.current;
+      if (!question) return;
+
+      const match = voiceCommandRegistry.match(
+        transcript,
+        EXAM_DICTATION_GRAMMAR
+      );
+
+      if (match?.id === "stop-answer") {
+        await stopDictation();
+        return;
+      }
+
+      if (match?.id === "read-answer") {
+        await readBackAnswer();
+        return;
+      }
+
+      if (match?.id === "clear-answer") {
+        await handleClearAnswer();
+        return;
+      }
+
+      if (match?.id === "replace-last-sentence") {
+        if (splitSentences(getAnswerText(question.id)).length === 0) {
+          await speechService.speak("There is no sentence to replace yet.");
+          return;
+        }
+        dictationEditRef.current = "replace-last";
+        await speechService.speak("Say the new sentence.");
+        return;
+      }
+
+      const currentText = getAnswerText(question.id);
+      let updatedText;
+      if (dictationEditRef.current === "replace-last") {
+        updatedText = replaceLastSentence(currentText, transcript);
+      } else if (dictationEditRef.current === "replace-all") {
+        updatedText = appendSentence("", transcript);
+      } else {
+        updatedText = appendSentence(currentText, transcript);
+      }
+      dictationEditRef.current = "append";
+
+      console.log("[ExamPage] Dictated text captured:", updatedText);
+      if (saveAnswerRef.current) {
+        saveAnswerRef.current(updatedText);
+      }
+    },
+    [stopDictation, readBackAnswer, handleClearAnswer]
+  );
+
+  // Handle voice commands for EXAM context
+  const handleVoiceCommand = useCallback(
+    async (transcript) => {
+      console.log(
+        "[ExamPage] handleVoiceCommand called with transcript:",
+        transcript
+      );
+
+      if (isProcessingCommandRef.current) {
+        console.log("[ExamPage] Already processing command, ignoring");
+        return;
+      }
+
+      if (!transcript || typeof transcript !== "string") {
+        console.log("[ExamPage] Invalid transcript:", transcript);
+        return;
+      }
+
+      const command = transcript.toLowerCase().trim();
+      console.log(
+        "[ExamPage] Voice command received:",
+        command,
+        "Context:",
+        screenContextService.getContext()
+      );
+
+      // Check if we're in EXAM context
+      if (screenContextService.getContext() !== "EXAM") {
+        console.log(
+          "[ExamPage] Not in EXAM context, ignoring command. Current context:",
+          screenContextService.getContext()
+        );
+        return;
+      }
+
+      // Handle confirmation commands if waiting for submit confirmation
+      if (isWaitingForConfirmationRef.current) {
+        const confirmation = voiceCommandRegistry.match(
+          transcript,
+          EXAM_CONFIRM_GRAMMAR
+        );
+
+        if (confirmation?.id === "confirm-yes") {
+          isProcessingCommandRef.current = true;
+          await speechService.stopListening();
+          await speechService.speak("Submitting exam.");
+          isWaitingForConfirmationRef.current = false;
+          await submitExamAnswers();
+          return;
+        } else if (confirmation?.id === "confirm-no") {
+          isProcessingCommandRef.current = true;
+          await speechService.stopListening();
+          await speechService.speak("Returning to current question.");
+          isWaitingForConfirmationRef.current = false;
+          // Re-read current question
+          setTimeout(async () => {
+            await readCurrentQuestion();
+            // Start listening after question is read
+            setTimeout(async () => {
+              if (
+                screenContextService.getContext() === "EXAM" &&
+                !speechService.isListening &&
+                !speechService.isSpeaking
+              ) {
+                console.log(
+                  "[ExamPage] Starting listening after canceling submit"
+                );
+                await speechService.startListening();
+              }
+            }, 1000);
+          }, 500);
+          isProcessingCommandRef.current = false;
+          return;
+        }
+      }
+
+      isProcessingCommandRef.current = true;
+
+      try {
+        // Stop listening before processing
+        await speechService.stopListening();
 
-            console.log(
-              "[ExamPage] Option match found - letter:",
-              selectedLetter,
-              "index:",
-              optionIndex,
-              "from command:",
-              command
-            );
+        const currentExam = examRef.current || exam;
+        const currentIndex = currentQuestionIndexRef.current;
+        const currentQuestion = currentExam?.questions?.[currentIndex];
+        const totalQuestions =
+          totalQuestionsRef.current || currentExam?.questions?.length || 0;
+        const isLastQuestion = currentIndex === totalQuestions - 1;
 
-            if (
-              optionIndex >= 0 &&
-              optionIndex < currentQuestion.options.length
-            ) {
-              const selectedOption = currentQuestion.options[optionIndex];
-              // Save the answer using the ref to ensure we have the latest function
-              if (saveAnswerRef.current) {
-                saveAnswerRef.current(selectedOption);
-              } else {
-                saveAnswer(selectedOption);
-              }
+        // Waiting for the student to choose whether to resume a saved attempt
+        if (isWaitingForResumeChoiceRef.current) {
+          await handleResumeChoice(transcript);
+          return;
+        }
 
-              // Check if this is the last question
-              const isLastQuestion = currentIndex === totalQuestions - 1;
+        // On a rest break the clock is stopped until the student resumes
+        if (isOnBreakRef.current) {
+          await handleBreakCommand(transcript);
+          return;
+        }
 
-              if (isLastQuestion) {
-                // On last question, inform user to submit after selecting answer
-                await speechService.speak(
-                  `Option ${selectedLetter} selected: ${selectedOption}. This is the last question. Say submit to finish the exam.`
-                );
-              } else {
-                // For non-last questions, prompt to go to next question
-                await speechService.speak(
-                  `Option ${selectedLetter} selected: ${selectedOption}. Say next question to continue.`
-                );
-              }
+        // Waiting for the student to choose whether to review before submitting
+        if (isWaitingForReviewChoiceRef.current) {
+          await handleReviewChoice(transcript);
+          return;
+        }
 
-              isProcessingCommandRef.current = false;
-              setTimeout(async () => {
-                if (
-                  screenContextService.getContext() === "EXAM" &&
-                  !speechService.isSpeaking
-                ) {
-                  await speechService.startListening();
-                }
-              }, 1500);
-              return;
-            } else {
-              // Invalid option letter
-              await speechService.speak(
-                `Invalid option. Please choose A, B, C, or D.`
-              );
-              isProcessingCommandRef.current = false;
-              setTimeout(async () => {
-                if (
-                  screenContextService.getContext() === "EXAM" &&
-                  !speechService.isSpeaking
-                ) {
-                  await speechService.startListening();
-                }
-              }, 1500);
-              return;
-            }
-          }
+        // While dictating, speech goes into the written answer
+        if (isDictatingRef.current) {
+          await handleDictation(transcript);
+          return;
         }
 
-        // Handle navigation and control commands (use includes for more flexible matching)
+        const match = voiceCommandRegistry.match(transcript, "EXAM");
+        const commandId = match?.id;
+        const isTextEntry = isTextEntryQuestion(currentQuestion);
+        const hasOptions =
+          !!currentQuestion?.options &&
+          ["multiple-choice", "true-false", "multiple-select"].includes(
+            currentQuestion.type
+          );
+
         console.log(
           "[ExamPage] Processing command:",
-          command,
+          commandId,
           "isLastQuestion:",
           isLastQuestion
         );
 
-        if (command.includes("next")) {
-          console.log("[ExamPage] Next command detected");
+        if (
+          ["select-option", "select-options", "deselect-option"].includes(
+            commandId
+          )
+        ) {
+          if (!hasOptions) {
+            await speechService.speak(getAnswerHint(currentQuestion));
+          } else {
+            await selectOptions(
+              currentQuestion,
+              match.slots.choices || [match.slots.letter],
+              isLastQuestion,
+              commandId === "deselect-option" ? "remove" : "add"
+            );
+          }
+        } else if (commandId === "answer-true" || commandId === "answer-false") {
+          if (currentQuestion?.type !== "true-false") {
+            await speechService.speak(getAnswerHint(currentQuestion));
+          } else {
+            await selectOptions(
+              currentQuestion,
+              [commandId === "answer-true" ? "A" : "B"],
+              isLastQuestion
+            );
+          }
+        } else if (commandId === "fill-blank" || commandId === "clear-blank") {
+          if (currentQuestion?.type !== "fill-blank") {
+            await speechService.speak(getAnswerHint(currentQuestion));
+          } else {
+            await fillBlank(
+              currentQuestion,
+              match.slots.number,
+              commandId === "fill-blank" ? match.slots.text : ""
+            );
+          }
+        } else if (
+          ["start-answer", "append-answer", "replace-last-sentence"].includes(
+            commandId
+          ) &&
+          !isTextEntry
+        ) {
+          await speechService.speak(getAnswerHint(currentQuestion));
+        } else if (commandId === "start-answer") {
+          await startDictation("replace-all");
+        } else if (commandId === "append-answer") {
+          await startDictation("append");
+        } else if (commandId === "clear-answer") {
+          await handleClearAnswer();
+        } else if (commandId === "read-answer") {
+          await readBackAnswer();
+        } else if (commandId === "replace-last-sentence") {
+          await startDictation("append");
+          await handleDictation(transcript);
+        } else if (commandId === "next" && isReviewingRef.current) {
+          await advanceReviewPass();
+        } else if (commandId === "stop-review") {
+          if (isReviewingRef.current) {
+            await endReviewPass(false);
+          } else {
+            await speechService.speak("You are not reviewing questions.");
+          }
+        } else if (commandId === "read-passage") {
+          await readSectionContent("passage");
+        } else if (commandId === "read-paragraph") {
+          await readSectionContent("paragraph", match.slots.number);
+        } else if (commandId === "read-section") {
+          await readSectionContent("instructions");
+        } else if (commandId === "flag-question") {
+          await handleFlagCommand(true);
+        } else if (commandId === "unflag-question") {
+          await handleFlagCommand(false);
+        } else if (commandId === "list-flagged") {
+          await listFlagged();
+        } else if (commandId === "next") {
           if (isLastQuestion) {
             await speechService.speak(
               "You are on the last question. Please select an answer, then say submit to finish the exam."
             );
           } else {
-            console.log("[ExamPage] Calling handleNextQuestion");
             await handleNextQuestion();
           }
-        } else if (command.includes("previous") || command.includes("back")) {
-          console.log("[ExamPage] Previous command detected");
+        } else if (commandId === "previous") {
           await handlePreviousQuestion();
-        } else if (
-          command.includes("repeat") ||
-          command.includes("read") ||
-          command.includes("again")
-        ) {
-          console.log("[ExamPage] Repeat command detected");
+        } else if (commandId === "repeat") {
           await readCurrentQuestion();
-        } else if (command.includes("submit") || command.includes("finish")) {
-          console.log("[ExamPage] Submit command detected");
+        } else if (commandId === "go-to-question") {
+          await goToQuestion(match.slots.number - 1);
+        } else if (commandId === "first-question") {
+          await goToQuestion(0);
+        } else if (commandId === "last-question") {
+          await goToQuestion(totalQuestions - 1);
+        } else if (commandId === "next-unanswered") {
+          await goToNextUnanswered();
+        } else if (commandId === "list-unanswered") {
+          await listUnanswered();
+        } else if (commandId === "answered-count") {
+          await announceAnsweredCount();
+        } else if (commandId === "time-remaining") {
+          await speechService.speak(
+            `You have ${formatTimeForSpeech(
+              timeRemainingRef.current
+            )} remaining.`
+          );
+        } else if (commandId === "pause-break") {
+          await startBreak();
+        } else if (commandId === "submit") {
           await handleSubmitCommand();
-        } else if (
-          command.includes("exit") ||
-          command.includes("quit") ||
-          command.includes("leave")
-        ) {
-          console.log("[ExamPage] Exit command detected");
+        } else if (commandId === "exit") {
           await handleExitCommand();
         } else {
           // Unrecognized command
@@ -877,7 +2487,9 @@ const ExamPage = ({ route, navigation }) => {
         if (!isWaitingForConfirmationRef.current) {
           setTimeout(async () => {
             if (screenContextService.getContext() === "EXAM") {
-              await speechService.startListening();
+              await speechService.startListening(
+                isDictatingRef.current ? DICTATION_LISTENING_OPTIONS : {}
+              );
             }
           }, 500);
         }
@@ -885,9 +2497,27 @@ const ExamPage = ({ route, navigation }) => {
     },
     [
       exam,
-      saveAnswer,
+      selectOptions,
+      fillBlank,
+      handleDictation,
+      startDictation,
+      readBackAnswer,
+      handleClearAnswer,
       handleNextQuestion,
       handlePreviousQuestion,
+      goToQuestion,
+      goToNextUnanswered,
+      handleResumeChoice,
+      handleBreakCommand,
+      startBreak,
+      handleReviewChoice,
+      advanceReviewPass,
+      endReviewPass,
+      handleFlagCommand,
+      listFlagged,
+      listUnanswered,
+      announceAnsweredCount,
+      readSectionContent,
       readCurrentQuestion,
       handleSubmitCommand,
       handleExitCommand,
@@ -896,23 +2526,40 @@ const ExamPage = ({ route, navigation }) => {
   );
 
   // Handle submit command
+  // Flagged and unanswered questions are announced first, with an offer to review them
   const handleSubmitCommand = useCallback(async () => {
-    isWaitingForConfirmationRef.current = true;
+    isReviewingRef.current = false;
+    const flagged = getFlaggedIndexes();
+    const unanswered = getUnansweredIndexes();
+
+    if (flagged.length === 0 && unanswered.length === 0) {
+      await askSubmitConfirmation();
+      return;
+    }
+
+    const parts = [];
+    if (flagged.length > 0) {
+      parts.push(
+        `${flagged.length} flagged question${
+          flagged.length === 1 ? "" : "s"
+        }: ${formatQuestionList(flagged)}`
+      );
+    }
+    if (unanswered.length > 0) {
+      parts.push(
+        `${unanswered.length} unanswered question${
+          unanswered.length === 1 ? "" : "s"
+        }: ${formatQuestionList(unanswered)}`
+      );
+    }
+
+    isWaitingForReviewChoiceRef.current = true;
     await speechService.speak(
-      "Are you sure you want to submit the exam? Say yes to confirm or no to cancel."
+      `Before you submit, you have ${parts.join(
+        ", and "
+      )}. Say review to go through them, submit anyway to continue, or cancel to return to the exam.`
     );
-    // Start listening after confirmation prompt to wait for yes/no response
-    setTimeout(async () => {
-      if (
-        screenContextService.getContext() === "EXAM" &&
-        !speechService.isListening &&
-        !speechService.isSpeaking
-      ) {
-        console.log("[ExamPage] Starting listening after confirmation prompt");
-        await speechService.startListening();
-      }
-    }, 1000);
-  }, []);
+  }, [askSubmitConfirmation]);
 
   // Handle exit command
   const handleExitCommand = useCallback(async () => {
@@ -926,6 +2573,22 @@ const ExamPage = ({ route, navigation }) => {
   const handleSpeechError = useCallback(async (error) => {
     console.error("[ExamPage] Speech error:", error);
 
+    if (isDictatingRef.current || isOnBreakRef.current) {
+      // Pauses are normal while composing an answer or resting, keep listening quietly
+      setTimeout(async () => {
+        if (
+          screenContextService.getContext() === "EXAM" &&
+          !speechService.isListening &&
+          !speechService.isSpeaking
+        ) {
+          await speechService.startListening(
+            isDictatingRef.current ? DICTATION_LISTENING_OPTIONS : undefined
+          );
+        }
+      }, 1000);
+      return;
+    }
+
     if (error.type === "silence_timeout") {
       await speechService.speak(
         "Please say a command. For example, say next or repeat."
@@ -1008,7 +2671,9 @@ const ExamPage = ({ route, navigation }) => {
                 screenContextService.getContext() === "EXAM"
               ) {
                 console.log("[ExamPage] Starting listening after speech ended");
-                await speechService.startListening();
+                await speechService.startListening(
+                  isDictatingRef.current ? DICTATION_LISTENING_OPTIONS : {}
+                );
               }
             }, 500);
           }
@@ -1019,15 +2684,43 @@ const ExamPage = ({ route, navigation }) => {
         // Set EXAM context
         screenContextService.setContext("EXAM");
 
+        // Time ran out on the saved attempt: submit what was saved here
+        if (mounted && expiredProgressRef.current) {
+          const saved = expiredProgressRef.current;
+          expiredProgressRef.current = null;
+          restoreProgress(saved);
+          await speechService.speak(
+            "The time for your attempt in progress has run out. Submitting the answers saved on this device."
+          );
+          submitExamAnswersRef.current?.();
+          return;
+        }
+
+        // Offer to resume a saved attempt before reading anything else
+        if (mounted && isWaitingForResumeChoiceRef.current) {
+          isInitializingRef.current = true;
+          hasReadFirstQuestionRef.current = false;
+          await promptResume();
+          return;
+        }
+
         // Welcome message and instructions
         if (mounted) {
           // Mark that we're initializing to prevent the effect from running
           isInitializingRef.current = true;
           hasReadFirstQuestionRef.current = false;
 
-          await speechService.speak(
-            "The exam has started. Say next to go to the next question. Say repeat to hear the question again. Say submit to submit the exam. Say exit to leave the exam."
-          );
+          if (isContinuingAttemptRef.current) {
+            await speechService.speak(
+              `You are continuing an attempt that is already in progress. ${formatTimeForSpeech(
+                timeRemainingRef.current
+              )} remaining. ${EXAM_INSTRUCTIONS}${getArrangementsMessage()}`
+            );
+          } else {
+            await speechService.speak(
+              `The exam has started. ${EXAM_INSTRUCTIONS}${getArrangementsMessage()}`
+            );
+          }
 
           // Read first question after welcome message
           setTimeout(async () => {
@@ -1116,12 +2809,25 @@ const ExamPage = ({ route, navigation }) => {
     return () => {
       mounted = false;
     };
-  }, [exam, handleVoiceCommand, handleSpeechError, readCurrentQuestion]);
+  }, [
+    exam,
+    handleVoiceCommand,
+    handleSpeechError,
+    readCurrentQuestion,
+    promptResume,
+  ]);
 
   // Track if we've read the first question
   const hasReadFirstQuestionRef = useRef(false);
   const isInitializingRef = useRef(false);
 
+  // Leave dictation mode when moving to another question
+  useEffect(() => {
+    isDictatingRef.current = false;
+    dictationEditRef.current = "append";
+    setIsDictating(false);
+  }, [currentQuestionIndex]);
+
   // Read question when it changes (but not on initial load)
   useEffect(() => {
     // Don't run if we're still initializing
@@ -1195,8 +2901,9 @@ const ExamPage = ({ route, navigation }) => {
           </View>
 
           <Text style={styles.modalText}>
-            Are you sure you want to exit the exam? Your progress will be lost
-            and you won't be able to resume.
+            Are you sure you want to exit the exam? Your answers are saved on
+            this device, so you can resume this exam later. The exam timer
+            keeps running while you are away.
           </Text>
 
           <View style={styles.modalActions}>
@@ -1226,6 +2933,80 @@ const ExamPage = ({ route, navigation }) => {
     </Modal>
   );
 
+  const BreakModal = () => (
+    <Modal
+      visible={isOnBreak}
+      transparent
+      animationType="fade"
+      onRequestClose={() => endBreak()}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>On a Break</Text>
+          </View>
+
+          <Text style={styles.modalText}>
+            The exam clock is stopped. Say "resume exam" or tap below when you
+            are ready to continue.
+          </Text>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={[globalStyles.button, styles.modalButton]}
+              onPress={() => endBreak()}
+              activeOpacity={0.8}
+              accessibilityLabel="Resume exam"
+            >
+              <Text style={globalStyles.buttonText}>Resume Exam</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  const ResumeModal = () => (
+    <Modal
+      visible={!!resumePrompt}
+      transparent
+      animationType="fade"
+      onRequestClose={() => applyResumeChoice(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Resume Exam?</Text>
+          </View>
+
+          <Text style={styles.modalText}>
+            {resumePrompt ? describeSavedProgress(resumePrompt) : ""}
+          </Text>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={[globalStyles.buttonSecondary, styles.modalButton]}
+              onPress={() => applyResumeChoice(false)}
+              activeOpacity={0.8}
+              accessibilityLabel="Start over"
+            >
+              <Text style={globalStyles.buttonTextSecondary}>Start Over</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[globalStyles.button, styles.modalButton]}
+              onPress={() => applyResumeChoice(true)}
+              activeOpacity={0.8}
+              accessibilityLabel="Resume where you left off"
+            >
+              <Text style={globalStyles.buttonText}>Resume</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
   if (showExitConfirm) {
     return <ExitConfirmModal />;
   }
@@ -1395,6 +3176,33 @@ const ExamPage = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Section: title, choice rule, instructions and passage */}
+        {currentSection && (
+          <View style={[globalStyles.card, styles.sectionCard]}>
+            <Text style={styles.sectionTitle}>{currentSection.title}</Text>
+            {currentSectionRule ? (
+              <Text style={styles.sectionRule}>
+                {currentSectionRule.charAt(0).toUpperCase() +
+                  currentSectionRule.slice(1)}
+              </Text>
+            ) : null}
+            {currentSection.instructions ? (
+              <Text style={styles.sectionInstructions}>
+                {currentSection.instructions}
+              </Text>
+            ) : null}
+            {splitParagraphs(currentSection.passage).map((paragraph, index) => (
+              <Text
+                key={index}
+                style={styles.passageText}
+                accessibilityLabel={`Paragraph ${index + 1}. ${paragraph}`}
+              >
+                {paragraph}
+              </Text>
+            ))}
+          </View>
+        )}
+
         {/* Question card */}
         <View style={[globalStyles.card, styles.questionCard]}>
           <View style={styles.questionHeader}>
@@ -1402,16 +3210,56 @@ const ExamPage = ({ route, navigation }) => {
               Question {currentQuestionIndex + 1}: {currentQuestion.question}
             </Text>
 
+            <TouchableOpacity
+              style={[
+                styles.flagButton,
+                flaggedIds.includes(currentQuestion.id) &&
+                  styles.flagButtonActive,
+              ]}
+              onPress={() =>
+                setQuestionFlag(
+                  currentQuestion.id,
+                  !flaggedIds.includes(currentQuestion.id)
+                )
+              }
+              activeOpacity={0.7}
+              accessibilityRole="switch"
+              accessibilityState={{
+                checked: flaggedIds.includes(currentQuestion.id),
+              }}
+              accessibilityLabel="Flag question for review"
+            >
+              <Text style={styles.flagIcon}>🚩</Text>
+              <Text style={styles.flagText}>
+                {flaggedIds.includes(currentQuestion.id)
+                  ? "Flagged for review"
+                  : "Flag for review"}
+              </Text>
+            </TouchableOpacity>
+
             {/* TTS/STT removed - listening banner deleted */}
 
             {/* TTS/STT removed - speech action buttons deleted */}
           </View>
 
           <View style={styles.questionContent}>
-            {currentQuestion.type === "multiple-choice" ? (
+            {["multiple-choice", "true-false", "multiple-select"].includes(
+              currentQuestion.type
+            ) ? (
               <View style={styles.optionsContainer}>
+                {currentQuestion.type === "multiple-select" && (
+                  <Text style={styles.writtenLabel}>
+                    Select all that apply
+                  </Text>
+                )}
                 {currentQuestion.options?.map((option, index) => {
-                  const selected = getCurrentAnswer() === option;
+                  const isMultiSelect =
+                    currentQuestion.type === "multiple-select";
+                  const currentAnswer = getCurrentAnswer();
+                  const selected = isMultiSelect
+                    ? Array.isArray(currentAnswer) &&
+                      currentAnswer.includes(option)
+                    : currentAnswer === option;
                   return (
                     <TouchableOpacity
                       key={option}
@@ -1419,16 +3267,30 @@ const ExamPage = ({ route, navigation }) => {
                         styles.optionButton,
                         selected && styles.selectedOption,
                       ]}
-                      onPress={() => saveAnswer(option)}
+                      onPress={() =>
+                        isMultiSelect ? toggleOption(option) : saveAnswer(option)
+                      }
                       activeOpacity={0.7}
+                      accessibilityRole={isMultiSelect ? "checkbox" : "radio"}
+                      accessibilityState={
+                        isMultiSelect ? { checked: selected } : { selected }
+                      }
                     >
                       <View
                         style={[
                           styles.radioButton,
+                          isMultiSelect && styles.checkbox,
                           selected && styles.selectedRadio,
                         ]}
                       >
-                        {selected && <View style={styles.radioInner} />}
+                        {selected && (
+                          <View
+                            style={[
+                              styles.radioInner,
+                              isMultiSelect && styles.checkboxInner,
+                            ]}
+                          />
+                        )}
                       </View>
                       <Text
                         style={[
@@ -1436,36 +3298,95 @@ const ExamPage = ({ route, navigation }) => {
                           selected && styles.selectedOptionText,
                         ]}
                       >
-                        {String.fromCharCode(65 + index)}. {option}
+                        {getOptionLetter(index)}. {option}
                       </Text>
                     </TouchableOpacity>
                   );
                 })}
               </View>
+            ) : currentQuestion.type === "fill-blank" ? (
+              <View style={styles.writtenContainer}>
+                {Array.from(
+                  { length: countBlanks(currentQuestion.question) },
+                  (_, index) => {
+                    const currentAnswer = getCurrentAnswer();
+                    return (
+                      <View key={index} style={styles.blankRow}>
+                        <Text style={styles.writtenLabel}>
+                          Blank {index + 1}:
+                        </Text>
+                        <TextInput
+                          style={[styles.writtenInput, styles.blankInput]}
+                          placeholder={`Answer for blank ${index + 1}`}
+                          placeholderTextColor={
+                            AppColors.textLight || "#9ca3af"
+                          }
+                          value={
+                            Array.isArray(currentAnswer)
+                              ? currentAnswer[index] ?? ""
+                              : ""
+                          }
+                          onChangeText={(text) => updateBlank(index, text)}
+                          accessibilityLabel={`Answer for blank ${index + 1}`}
+                        />
+                      </View>
+                    );
+                  }
+                )}
+                <View style={styles.voiceHint}>
+                  <Text style={styles.hintIcon}>💡</Text>
+                  <Text style={styles.hintText}>
+                    Say "blank 1" followed by your answer to fill a blank, or
+                    "clear blank 1" to empty it. Say "read answer" to hear
+                    all your blanks.
+                  </Text>
+                </View>
+              </View>
             ) : (
               <View style={styles.writtenContainer}>
+                {isDictating && (
+                  <View style={styles.listeningBanner}>
+                    <Text style={styles.listeningBannerIcon}>🎙️</Text>
+                    <Text style={styles.listeningBannerText}>
+                      Dictating - say "stop answer" when finished
+                    </Text>
+                  </View>
+                )}
                 <Text style={styles.writtenLabel}>Your Answer:</Text>
-                <TextInput
-                  style={styles.writtenInput}
-                  placeholder="Type your answer here..."
-                  placeholderTextColor={AppColors.textLight || "#9ca3af"}
-                  value={getCurrentAnswer()}
-                  onChangeText={saveAnswer}
-                  multiline
-                  numberOfLines={6}
-                  textAlignVertical="top"
-                />
+                {currentQuestion.type === "numeric" ? (
+                  <TextInput
+                    style={[styles.writtenInput, styles.blankInput]}
+                    placeholder="A number and its unit, e.g. 9.8 m/s"
+                    placeholderTextColor={AppColors.textLight || "#9ca3af"}
+                    value={getCurrentAnswer()}
+                    onChangeText={saveAnswer}
+                    accessibilityLabel="Numeric answer"
+                  />
+                ) : (
+                  <TextInput
+                    style={styles.writtenInput}
+                    placeholder="Type your answer here..."
+                    placeholderTextColor={AppColors.textLight || "#9ca3af"}
+                    value={getCurrentAnswer()}
+                    onChangeText={saveAnswer}
+                    multiline
+                    numberOfLines={6}
+                    textAlignVertical="top"
+                  />
+                )}
                 <View style={styles.voiceHint}>
                   <Text style={styles.hintIcon}>💡</Text>
                   <Text style={styles.hintText}>
-                    Voice commands: "next", "previous", "read", "time",
-                    "submit", or say your answer.
+                    Say "start answer" to dictate, "stop answer" to finish.
+                    Edit with "append", "clear answer", "replace last
+                    sentence" or "read answer". Other commands: "next",
+                    "previous", "read", "time", "submit".
                   </Text>
                 </View>
               </View>
             )}
 
-            {!!getCurrentAnswer() && (
+            {isAnswered(getCurrentAnswer()) && (
               <View style={styles.savedIndicator}>
                 <Text style={styles.checkIcon}>✅</Text>
                 <Text style={styles.savedText}>Answer saved</Text>
@@ -1477,8 +3398,27 @@ const ExamPage = ({ route, navigation }) => {
               <View style={styles.voiceHint}>
                 <Text style={styles.hintIcon}>🎤</Text>
                 <Text style={styles.hintText}>
-                  Say "A", "B", "C", or "D" to select. Say "next" for next
-                  question, "read" to repeat.
+                  Say the option letter, such as "A" or "B", to select. Say
+                  "next" for next question, "read" to repeat, "time" for time
+                  left.
+                </Text>
+              </View>
+            )}
+            {currentQuestion.type === "true-false" && (
+              <View style={styles.voiceHint}>
+                <Text style={styles.hintIcon}>🎤</Text>
+                <Text style={styles.hintText}>
+                  Say "true" or "false" to answer. Say "next" for next
+                  question, "read" to repeat, "time" for time left.
+                </Text>
+              </View>
+            )}
+            {currentQuestion.type === "multiple-select" && (
+              <View style={styles.voiceHint}>
+                <Text style={styles.hintIcon}>🎤</Text>
+                <Text style={styles.hintText}>
+                  Say "select A and C" to choose options and "remove C" to
+                  deselect one. Say "read answer" to hear your selection.
                 </Text>
               </View>
             )}
@@ -1566,6 +3506,7 @@ const ExamPage = ({ route, navigation }) => {
             {exam.questions.map((question, index) => {
               const isCurrent = index === currentQuestionIndex;
               const isAnswered = answeredIds.has(question.id);
+              const isFlagged = flaggedIds.includes(question.id);
 
               return (
                 <TouchableOpacity
@@ -1574,9 +3515,19 @@ const ExamPage = ({ route, navigation }) => {
                     styles.navigatorButton,
                     isCurrent && styles.currentQuestion,
                     isAnswered && !isCurrent && styles.answeredQuestion,
+                    isFlagged && !isCurrent && styles.flaggedQuestion,
                   ]}
                   onPress={() => setCurrentQuestionIndex(index)}
                   activeOpacity={0.7}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Question ${index + 1}, ${
+                    isAnswered ? "answered" : "not answered"
+                  }${isFlagged ? ", flagged" : ""}${
+                    isCurrent ? ", current question" : ""
+                  }`}
+                  accessibilityHint={`Say go to question ${
+                    index + 1
+                  } to open it by voice`}
                 >
                   <Text
                     style={[
@@ -1605,9 +3556,16 @@ const ExamPage = ({ route, navigation }) => {
               <View style={[styles.legendBox, styles.currentLegend]} />
               <Text style={styles.legendText}>Current</Text>
             </View>
+            <View style={styles.legendItem}>
+              <View style={[styles.legendBox, styles.flaggedLegend]} />
+              <Text style={styles.legendText}>Flagged</Text>
+            </View>
           </View>
         </View>
       </ScrollView>
+
+      <ResumeModal />
+      <BreakModal />
     </SafeAreaView>
   );
 };
@@ -1762,6 +3720,36 @@ const styles = StyleSheet.create({
     color: AppColors.textDark || "#1f2937",
     flex: 1,
   },
+  sectionCard: {
+    padding: 20,
+    marginBottom: 20,
+    borderLeftWidth: 4,
+    borderLeftColor: AppColors.primary || "#064c91",
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: AppColors.textDark || "#1f2937",
+    marginBottom: 6,
+  },
+  sectionRule: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: AppColors.primary || "#064c91",
+    marginBottom: 6,
+  },
+  sectionInstructions: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: AppColors.textMedium || "#4b5563",
+    marginBottom: 8,
+  },
+  passageText: {
+    fontSize: 16,
+    lineHeight: 26,
+    color: AppColors.textDark || "#1f2937",
+    marginTop: 8,
+  },
   questionCard: {
     padding: 20,
     marginBottom: 20,
@@ -1776,6 +3764,31 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     marginBottom: 16,
   },
+  flagButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: AppColors.border || "#e5e7eb",
+    backgroundColor: AppColors.white || "#ffffff",
+    minHeight: 44,
+  },
+  flagButtonActive: {
+    borderColor: AppColors.warning || "#f59e0b",
+    backgroundColor: AppColors.warningLight || "#fef3c7",
+  },
+  flagIcon: {
+    fontSize: 16,
+    marginRight: 6,
+  },
+  flagText: {
+    fontSize: 14,
+    fontWeight: "500",
+    color: AppColors.textDark || "#1f2937",
+  },
   questionActions: {
     flexDirection: "row",
     gap: 12,
@@ -1916,6 +3929,19 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     backgroundColor: AppColors.primary || "#3b82f6",
   },
+  checkbox: {
+    borderRadius: 4,
+  },
+  checkboxInner: {
+    borderRadius: 2,
+  },
+  blankRow: {
+    gap: 6,
+  },
+  blankInput: {
+    minHeight: 0,
+    paddingVertical: 12,
+  },
   optionText: {
     fontSize: 16,
     color: AppColors.textDark || "#1f2937",
@@ -2098,6 +4124,10 @@ const styles = StyleSheet.create({
     borderColor: AppColors.success || "#22c55e",
     backgroundColor: AppColors.successLight || "#f0fff4",
   },
+  flaggedQuestion: {
+    borderColor: AppColors.warning || "#f59e0b",
+    borderStyle: "dashed",
+  },
   navigatorButtonText: {
     fontSize: 16,
     fontWeight: "600",
@@ -2139,6 +4169,11 @@ const styles = StyleSheet.create({
     backgroundColor: AppColors.primary || "#3b82f6",
     borderColor: AppColors.primary || "#3b82f6",
   },
+  flaggedLegend: {
+    borderColor: AppColors.warning || "#f59e0b",
+    borderStyle: "dashed",
+    backgroundColor: AppColors.white || "#ffffff",
+  },
   legendText: {
     fontSize: 12,
     color: AppColors.textMedium || "#6b7280",
@@ -24,7 +24,7 @@ import {
   getActiveExams,
   getLatestSubmission,
   canAttemptExam,
-  getAttemptCount,
+  getAttemptStatus,
 } from "../../services/examService";
 import { useAuth } from "../../context/AuthContext";
 import {
@@ -33,13 +33,82 @@ import {
   checkNetworkStatus,
   syncPendingSubmissions,
   getPendingSubmissionCount,
+  getLocalAnswers,
 } from "../../services/offlineService";
 import { submitExam } from "../../services/examService";
 import speechService from "../../services/speechService";
 import screenContextService from "../../services/screenContextService";
+import voiceCommandRegistry from "../../services/voiceCommandService";
+import {
+  getStudentAccommodation,
+  getAllowedAttempts,
+} from "../../services/accommodationService";
+import {
+  toDate,
+  getExamAvailability,
+  getAvailabilityMessage,
+  formatDateTimeLabel,
+} from "../../utils/schedule";
+import { formatScoreChange } from "../../utils/grading";
+import {
+  getUnreadNotifications,
+  markNotificationsRead,
+} from "../../services/notificationService";
 
 const { width: screenWidth } = Dimensions.get("window");
 
+const HOME_VOICE_COMMANDS = [
+  {
+    id: "list-exams",
+    phrases: [
+      "list exams",
+      "list exam",
+      "list all exams",
+      "available exams",
+      "what exams are available",
+    ],
+  },
+  {
+    id: "select-exam",
+    phrases: [
+      "begin exam {number}",
+      "begin exam number {number}",
+      "start exam {number}",
+      "start exam number {number}",
+      "select exam {number}",
+      "select exam number {number}",
+      "open exam {number}",
+      "exam {number}",
+      "exam number {number}",
+    ],
+  },
+  {
+    id: "select-exam-missing-number",
+    phrases: ["begin exam", "start exam", "select exam"],
+  },
+  {
+    id: "read-last-result",
+    phrases: ["read my last result", "my last result", "last result"],
+  },
+  {
+    id: "my-results",
+    phrases: ["my results", "show my results", "open my results", "results"],
+  },
+  {
+    id: "dismiss-notices",
+    phrases: ["dismiss", "dismiss notices", "clear notices", "got it"],
+  },
+  { id: "repeat", phrases: ["repeat", "repeat that", "say again"] },
+  { id: "exit", phrases: ["exit", "exit app", "quit"] },
+];
+
+// What a result notice says, on screen and aloud
+const describeResultNotice = (notice) =>
+  `Your result for ${notice.examTitle || "an exam"} was regraded from ${formatScoreChange(
+    notice.before,
+    notice.after
+  )}.${notice.reason ? ` ${notice.reason}` : ""}`;
+
 const HomePage = ({ navigation }) => {
   const { user, logout } = useAuth();
   const userName = useMemo(() => {
@@ -53,12 +122,15 @@ const HomePage = ({ navigation }) => {
   const [isOffline, setIsOffline] = useState(false);
   const [pendingCount, setPendingCount] = useState(0);
   const [focusedExamIndex, setFocusedExamIndex] = useState(0);
+  // Unread messages about regraded results
+  const [notices, setNotices] = useState([]);
 
   // Use ref to prevent multiple concurrent loads
   const isLoadingRef = useRef(false);
   const hasLoadedRef = useRef(false);
   const examsRef = useRef([]);
   const focusedExamIndexRef = useRef(0);
+  const noticesRef = useRef([]);
 
   // Speech service refs
   const speechInitializedRef = useRef(false);
@@ -99,15 +171,17 @@ const HomePage = ({ navigation }) => {
 
       // Sync pending submissions if online
       if (online && pending > 0) {
-        await syncPendingSubmissions(submitExam);
-        setPendingCount(0);
+        const { failed } = await syncPendingSubmissions(submitExam);
+        setPendingCount(failed);
       }
 
       console.log("[HomePage] Loading exams...");
       let active;
 
       if (online) {
-        active = await getActiveExams();
+        // Closed exams are kept until attempts are checked: an attempt in
+        // progress runs to its own deadline, whatever the exam window says
+        active = await getActiveExams({ includeClosed: true });
         // Cache for offline use
         if (active && active.length > 0) {
           await cacheExams(active);
@@ -119,6 +193,22 @@ const HomePage = ({ navigation }) => {
 
       if (!isMounted) return;
 
+      // Alternative attempt limits from the student's accommodations
+      const accommodation = online
+        ? await getStudentAccommodation(user.uid)
+        : null;
+
+      // Results regraded since the student was last here
+      if (online) {
+        try {
+          const unread = await getUnreadNotifications(user.uid);
+          noticesRef.current = unread;
+          setNotices(unread);
+        } catch (noticeError) {
+          console.warn("[HomePage] Failed to load notices:", noticeError);
+        }
+      }
+
       // Check submissions and attempts for each exam
       const normalized = await Promise.all(
         (active || []).map(async (e) => {
@@ -131,14 +221,24 @@ const HomePage = ({ navigation }) => {
           let submission = null;
           let attemptInfo = {
             attemptsUsed: 0,
-            maxAttempts: e.maxAttempts || 1,
+            maxAttempts: getAllowedAttempts(e.maxAttempts, accommodation),
+            inProgress: false,
           };
 
           try {
             submission = await getLatestSubmission(e.id, user.uid);
-            // Get attempt count
-            const attempts = await getAttemptCount(e.id, user.uid);
-            attemptInfo.attemptsUsed = attempts;
+            // Answers saved on this device can still be submitted after time runs out
+            const saved = await getLocalAnswers(e.id);
+            if (saved?.attemptId && (!saved.studentId || saved.studentId === user.uid)) {
+              attemptInfo.savedAttemptId = saved.attemptId;
+            }
+            const { attemptsUsed, activeAttempt } = await getAttemptStatus(
+              e.id,
+              user.uid,
+              attemptInfo.savedAttemptId
+            );
+            attemptInfo.attemptsUsed = attemptsUsed;
+            attemptInfo.inProgress = !!activeAttempt;
           } catch (submissionError) {
             console.warn(
               `Failed to check submission for exam ${e.id}:`,
@@ -146,8 +246,10 @@ const HomePage = ({ navigation }) => {
             );
           }
 
+          // An attempt in progress can still be continued
           const isCompleted =
-            attemptInfo.attemptsUsed >= attemptInfo.maxAttempts;
+            attemptInfo.attemptsUsed >= attemptInfo.maxAttempts &&
+            !attemptInfo.inProgress;
           const score = submission?.overallScore || null;
           const submissionId = submission?.id || null;
 
@@ -156,11 +258,11 @@ const HomePage = ({ navigation }) => {
             title: e.title || "Untitled Exam",
             subject: e.subject || "General",
             duration: e.duration || 60,
-            maxAttempts: e.maxAttempts || 1,
+            maxAttempts: attemptInfo.maxAttempts,
             attemptsUsed: attemptInfo.attemptsUsed,
             attemptsRemaining: Math.max(
               0,
-              (e.maxAttempts || 1) - attemptInfo.attemptsUsed
+              attemptInfo.maxAttempts - attemptInfo.attemptsUsed
             ),
             questions: Array.isArray(e.questions)
               ? e.questions.length
@@ -169,6 +271,10 @@ const HomePage = ({ navigation }) => {
             difficulty: e.difficulty || "medium",
             completed: isCompleted,
             hasAttempted: attemptInfo.attemptsUsed > 0,
+            inProgress: attemptInfo.inProgress,
+            savedAttemptId: attemptInfo.savedAttemptId || null,
+            opensAt: toDate(e.opensAt),
+            closesAt: toDate(e.closesAt),
             score: score,
             submissionId: submissionId,
           };
@@ -176,10 +282,13 @@ const HomePage = ({ navigation }) => {
       );
 
       if (!isMounted) return;
-      setExams(normalized);
-      examsRef.current = normalized; // Update ref
+      const listed = normalized.filter(
+        (exam) => exam.inProgress || getExamAvailability(exam) !== "closed"
+      );
+      setExams(listed);
+      examsRef.current = listed; // Update ref
       // Reset focused exam index when exams load
-      if (normalized.length > 0) {
+      if (listed.length > 0) {
         focusedExamIndexRef.current = 0;
         setFocusedExamIndex(0);
       }
@@ -192,13 +301,15 @@ const HomePage = ({ navigation }) => {
         const cached = await getCachedExams();
         if (cached.length > 0) {
           setExams(
-            cached.map((e) => ({
-              ...e,
-              attemptsUsed: 0,
-              attemptsRemaining: e.maxAttempts || 1,
-              completed: false,
-              hasAttempted: false,
-            }))
+            cached
+              .filter((e) => getExamAvailability(e) !== "closed")
+              .map((e) => ({
+                ...e,
+                attemptsUsed: 0,
+                attemptsRemaining: e.maxAttempts || 1,
+                completed: false,
+                hasAttempted: false,
+              }))
           );
           setError("Offline mode - showing cached exams");
         } else {
@@ -221,6 +332,11 @@ const HomePage = ({ navigation }) => {
     }
   }, [user?.uid, loadExams]);
 
+  // Register voice commands for this screen
+  useEffect(() => {
+    return voiceCommandRegistry.register("HOME", HOME_VOICE_COMMANDS);
+  }, []);
+
   // Handle voice commands for HOME context
   const handleVoiceCommand = useCallback(
     async (transcript) => {
@@ -248,28 +364,31 @@ const HomePage = ({ navigation }) => {
         await speechService.stopListening();
 
         // Handle commands
-        if (command.includes("list exams") || command === "list exam") {
+        const match = voiceCommandRegistry.match(transcript, "HOME");
+        const commandId = match?.id;
+
+        if (commandId === "list-exams") {
           await handleListExams();
-        } else if (
-          command.includes("select exam number") ||
-          command.includes("begin exam")
-        ) {
-          // Extract number from command - supports "begin exam X" (primary) and "select exam number X" (legacy)
-          let match = command.match(/select exam number (\d+)/);
-          if (!match) {
-            match = command.match(/begin exam (\d+)/);
-          }
-          if (match && match[1]) {
-            const examNumber = parseInt(match[1], 10);
-            await handleSelectExam(examNumber);
+        } else if (commandId === "select-exam") {
+          await handleSelectExam(match.slots.number);
+        } else if (commandId === "select-exam-missing-number") {
+          await speechService.speak(
+            "Please say begin exam followed by the exam number. For example, begin exam 1."
+          );
+        } else if (commandId === "my-results") {
+          navigation?.navigate("MyResults");
+        } else if (commandId === "read-last-result") {
+          navigation?.navigate("MyResults", { announce: "latest" });
+        } else if (commandId === "dismiss-notices") {
+          if (noticesRef.current.length > 0) {
+            await handleDismissNotices();
+            await speechService.speak("Notice cleared.");
           } else {
-            await speechService.speak(
-              "Please say begin exam followed by the exam number. For example, begin exam 1."
-            );
+            await speechService.speak("There are no notices to clear.");
           }
-        } else if (command === "repeat") {
+        } else if (commandId === "repeat") {
           await handleRepeat();
-        } else if (command === "exit") {
+        } else if (commandId === "exit") {
           await handleExit();
         } else {
           // Unrecognized command
@@ -292,7 +411,14 @@ const HomePage = ({ navigation }) => {
         }, 500);
       }
     },
-    [handleListExams, handleSelectExam, handleRepeat, handleExit]
+    [
+      handleListExams,
+      handleSelectExam,
+      handleDismissNotices,
+      handleRepeat,
+      handleExit,
+      navigation,
+    ]
   );
 
   // Handle list exams command
@@ -307,6 +433,12 @@ const HomePage = ({ navigation }) => {
     let message = "Available exams are: ";
     currentExams.forEach((exam, index) => {
       message += `Exam ${index + 1}: ${exam.title}. `;
+      const availabilityMessage = exam.inProgress
+        ? "You have an attempt in progress."
+        : getAvailabilityMessage(exam);
+      if (availabilityMessage) {
+        message += `${availabilityMessage} `;
+      }
     });
     message +=
       "Say begin exam followed by the exam number to start. For example, begin exam 1.";
@@ -340,8 +472,22 @@ const HomePage = ({ navigation }) => {
         return;
       }
 
+      // Not open yet or already closed, e.g. "This exam opens on Tuesday at 9 AM."
+      // An attempt in progress can be continued until its own deadline
+      const availabilityMessage = getAvailabilityMessage(selectedExam);
+      if (availabilityMessage && !selectedExam.inProgress) {
+        await speechService.speak(
+          `${selectedExam.title}. ${availabilityMessage}`
+        );
+        return;
+      }
+
       try {
-        const eligibility = await canAttemptExam(selectedExam.id, user.uid);
+        const eligibility = await canAttemptExam(
+          selectedExam.id,
+          user.uid,
+          selectedExam.savedAttemptId
+        );
 
         if (!eligibility.canAttempt) {
           await speechService.speak(
@@ -370,15 +516,34 @@ const HomePage = ({ navigation }) => {
     [user, navigation]
   );
 
+  // Result notices are read before the welcome message until dismissed
+  const getWelcomeMessage = () => {
+    const welcome = "Welcome. You are on the home screen. Say list exams to hear available exams. Say begin exam followed by the number to start an exam. For example, begin exam 1. Say my results to hear your past results.";
+    if (noticesRef.current.length === 0) return welcome;
+    return `${noticesRef.current
+      .map(describeResultNotice)
+      .join(" ")} Say dismiss to clear this notice. ${welcome}`;
+  };
+
+  const handleDismissNotices = useCallback(async () => {
+    const ids = noticesRef.current.map((notice) => notice.id);
+    if (ids.length === 0) return;
+    noticesRef.current = [];
+    setNotices([]);
+    try {
+      await markNotificationsRead(ids);
+    } catch (error) {
+      console.error("[HomePage] Error dismissing notices:", error);
+    }
+  }, []);
+
   // Handle repeat command
   const handleRepeat = useCallback(async () => {
     const lastMessage = speechService.getLastSpokenMessage();
     if (lastMessage) {
       await speechService.speak(lastMessage);
     } else {
-      await speechService.speak(
-        "Welcome. You are on the home screen. Say list exams to hear available exams. Say begin exam followed by the number to start an exam. For example, begin exam 1."
-      );
+      await speechService.speak(getWelcomeMessage());
     }
   }, []);
 
@@ -441,9 +606,7 @@ const HomePage = ({ navigation }) => {
 
         // Welcome message
         if (mounted) {
-          await speechService.speak(
-            "Welcome. You are on the home screen. Say list exams to hear available exams. Say begin exam followed by the number to start an exam. For example, begin exam 1."
-          );
+          await speechService.speak(getWelcomeMessage());
         }
       } catch (error) {
         console.error("[HomePage] Error initializing speech:", error);
@@ -486,9 +649,7 @@ const HomePage = ({ navigation }) => {
             !speechService.isSpeaking &&
             screenContextService.getContext() === "HOME"
           ) {
-            await speechService.speak(
-              "Welcome. You are on the home screen. Say list exams to hear available exams. Say begin exam followed by the number to start an exam. For example, begin exam 1."
-            );
+            await speechService.speak(getWelcomeMessage());
             // Start listening after welcome message
             setTimeout(async () => {
               if (
@@ -532,7 +693,11 @@ const HomePage = ({ navigation }) => {
     }
 
     try {
-      const eligibility = await canAttemptExam(exam.id, user.uid);
+      const eligibility = await canAttemptExam(
+        exam.id,
+        user.uid,
+        exam.savedAttemptId
+      );
 
       if (!eligibility.canAttempt) {
         Alert.alert("Cannot Start Exam", eligibility.message, [{ text: "OK" }]);
@@ -686,9 +851,24 @@ const HomePage = ({ navigation }) => {
                   style={styles.detailIcon}
                 />
                 <Text style={styles.detailText}>
-                  Available since {formatDate(exam.createdAt)}
+                  {exam.opensAt
+                    ? `Opens ${formatDateTimeLabel(exam.opensAt)}`
+                    : `Available since ${formatDate(exam.createdAt)}`}
                 </Text>
               </View>
+              {exam.closesAt && (
+                <View style={styles.detailRow}>
+                  <FontAwesome
+                    name="calendar-times-o"
+                    size={16}
+                    color={AppColors.primary}
+                    style={styles.detailIcon}
+                  />
+                  <Text style={styles.detailText}>
+                    Closes {formatDateTimeLabel(exam.closesAt)}
+                  </Text>
+                </View>
+              )}
             </View>
 
             {/* Previous Score */}
@@ -763,6 +943,8 @@ const HomePage = ({ navigation }) => {
             >
               {exam.completed
                 ? "No Attempts Left"
+                : exam.inProgress
+                ? "Continue Exam"
                 : exam.hasAttempted
                 ? "Retry Exam"
                 : "Start Exam"}
@@ -870,6 +1052,20 @@ const HomePage = ({ navigation }) => {
             </Text>
           </View>
           <View style={styles.headerButtons}>
+            <TouchableOpacity
+              style={styles.settingsButton}
+              onPress={() => navigation?.navigate("MyResults")}
+              activeOpacity={0.7}
+              accessibilityLabel="My Results"
+              accessibilityRole="button"
+              accessibilityHint="Double tap to see all your past results"
+            >
+              <FontAwesome
+                name="line-chart"
+                size={18}
+                color={AppColors.primary || "#3b82f6"}
+              />
+            </TouchableOpacity>
             <TouchableOpacity
               style={styles.settingsButton}
               onPress={() => navigation?.navigate("AccessibilitySettings")}
@@ -986,6 +1182,37 @@ const HomePage = ({ navigation }) => {
           </Text>
         </View>
 
+        {/* Regraded results */}
+        {notices.length > 0 && (
+          <View
+            style={[styles.accessibilityAlert, styles.noticeAlert]}
+            accessible
+            accessibilityRole="alert"
+          >
+            <FontAwesome
+              name="bell"
+              size={20}
+              color={AppColors.warning || "#f59e0b"}
+              style={styles.alertIcon}
+            />
+            <View style={{ flex: 1 }}>
+              {notices.map((notice) => (
+                <Text key={notice.id} style={styles.alertText}>
+                  {describeResultNotice(notice)}
+                </Text>
+              ))}
+              <TouchableOpacity
+                style={styles.noticeDismiss}
+                onPress={handleDismissNotices}
+                accessibilityRole="button"
+                accessibilityLabel="Dismiss result notices"
+              >
+                <Text style={styles.noticeDismissText}>Dismiss</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         {/* Voice Navigation Indicator */}
         {/* TTS/STT removed - voice indicator removed */}
 
@@ -1135,6 +1362,24 @@ const styles = StyleSheet.create({
     marginRight: 12,
     marginTop: 2,
   },
+  noticeAlert: {
+    backgroundColor: AppColors.warningLight || "#fef3c7",
+    borderLeftColor: AppColors.warning || "#f59e0b",
+  },
+  noticeDismiss: {
+    alignSelf: "flex-start",
+    marginTop: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: AppColors.warning || "#f59e0b",
+  },
+  noticeDismissText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: AppColors.textDark || "#1a202c",
+  },
   alertText: {
     fontSize: 16,
     lineHeight: 24,
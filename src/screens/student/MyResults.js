@@ -0,0 +1,601 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Feather } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+
+import { AppColors } from '../../constants/AppColors';
+import { globalStyles } from '../../constants/GlobalStyles';
+import { useAuth } from '../../context/AuthContext';
+import { getStudentSubmissions } from '../../services/examService';
+import speechService from '../../services/speechService';
+import screenContextService from '../../services/screenContextService';
+import voiceCommandRegistry from '../../services/voiceCommandService';
+import { formatDateTimeLabel } from '../../utils/schedule';
+import {
+  summarizeResults,
+  describeTrend,
+  describeResultForSpeech,
+  describeSummaryForSpeech,
+  RESULTS_VOICE_COMMANDS,
+} from '../../utils/resultsHistory';
+
+// Results read out by "list results" before asking the student to say a number
+const SPOKEN_LIST_LIMIT = 5;
+
+const RESULTS_HELP =
+  'Say read my last result, list results, or read result followed by a number. Say open result followed by a number to review it. Say go back to return home.';
+
+const TREND_ICONS = {
+  up: 'trending-up',
+  down: 'trending-down',
+  steady: 'minus',
+};
+
+const MyResults = ({ route, navigation }) => {
+  const { user } = useAuth();
+  // "latest" reads the newest result as soon as the screen opens
+  const announce = route?.params?.announce;
+
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const summary = useMemo(() => summarizeResults(submissions), [submissions]);
+  const summaryRef = useRef(summary);
+  summaryRef.current = summary;
+  const isProcessingCommandRef = useRef(false);
+
+  // Register voice commands for this screen
+  useEffect(() => {
+    return voiceCommandRegistry.register('RESULTS', RESULTS_VOICE_COMMANDS);
+  }, []);
+
+  const getScoreColor = (score) => {
+    if (score >= 90) return AppColors.success;
+    if (score >= 80) return AppColors.primary;
+    if (score >= 70) return AppColors.warning;
+    return AppColors.error;
+  };
+
+  const getTrendColor = (trend) =>
+    trend?.direction === 'up'
+      ? AppColors.success
+      : trend?.direction === 'down'
+      ? AppColors.error
+      : AppColors.textMedium;
+
+  const openResult = useCallback(
+    (result) => {
+      navigation?.navigate('ViewResults', {
+        examId: result.examId,
+        submissionId: result.id,
+        examTitle: result.examTitle,
+      });
+    },
+    [navigation]
+  );
+
+  const goBack = useCallback(() => {
+    navigation?.navigate('HomePage');
+  }, [navigation]);
+
+  // Find a result by the number the student said, or explain which numbers exist
+  const getNumberedResult = async (number) => {
+    const { results } = summaryRef.current;
+    if (number >= 1 && number <= results.length) return results[number - 1];
+    await speechService.speak(
+      results.length === 0
+        ? 'You have no exam results yet.'
+        : `Result ${number} does not exist. Please say a number from 1 to ${results.length}.`
+    );
+    return null;
+  };
+
+  const handleListResults = async () => {
+    const { results } = summaryRef.current;
+    if (results.length === 0) {
+      await speechService.speak('You have no exam results yet.');
+      return;
+    }
+    const message = results
+      .slice(0, SPOKEN_LIST_LIMIT)
+      .map(
+        (result, index) =>
+          `Result ${index + 1}: ${result.examTitle}, ${result.score} percent.`
+      )
+      .join(' ');
+    const more =
+      results.length > SPOKEN_LIST_LIMIT
+        ? ` There are ${results.length - SPOKEN_LIST_LIMIT} older results. Say read result followed by a number to hear any of them.`
+        : ' Say read result followed by a number for more detail.';
+    await speechService.speak(`${message}${more}`);
+  };
+
+  const handleVoiceCommand = useCallback(
+    async (transcript) => {
+      if (isProcessingCommandRef.current) return;
+      if (!transcript || typeof transcript !== 'string' || !transcript.trim()) return;
+      if (screenContextService.getContext() !== 'RESULTS') return;
+
+      isProcessingCommandRef.current = true;
+      try {
+        await speechService.stopListening();
+
+        const match = voiceCommandRegistry.match(transcript, 'RESULTS');
+        const commandId = match?.id;
+
+        if (commandId === 'read-last') {
+          const [latest] = summaryRef.current.results;
+          await speechService.speak(
+            latest
+              ? `Your last result: ${describeResultForSpeech(latest)}`
+              : 'You have no exam results yet.'
+          );
+        } else if (commandId === 'read-result') {
+          const result = await getNumberedResult(match.slots.number);
+          if (result) {
+            await speechService.speak(
+              `Result ${match.slots.number}: ${describeResultForSpeech(result)}`
+            );
+          }
+        } else if (commandId === 'open-result') {
+          const result = await getNumberedResult(match.slots.number);
+          if (result) {
+            await speechService.speak(`Opening ${result.examTitle}.`);
+            openResult(result);
+            return;
+          }
+        } else if (commandId === 'list-results') {
+          await handleListResults();
+        } else if (commandId === 'read-summary') {
+          await speechService.speak(describeSummaryForSpeech(summaryRef.current));
+        } else if (commandId === 'repeat') {
+          await speechService.speak(speechService.getLastSpokenMessage() || RESULTS_HELP);
+        } else if (commandId === 'go-back') {
+          goBack();
+          return;
+        } else {
+          await speechService.speak(
+            `Sorry, I did not understand that command. ${RESULTS_HELP}`
+          );
+        }
+      } catch (err) {
+        console.error('[MyResults] Error handling voice command:', err);
+        await speechService.speak('Sorry, an error occurred. Please try again.');
+      } finally {
+        isProcessingCommandRef.current = false;
+      }
+
+      // Listen for the next command
+      setTimeout(async () => {
+        if (screenContextService.getContext() === 'RESULTS') {
+          await speechService.startListening();
+        }
+      }, 500);
+    },
+    [openResult, goBack]
+  );
+
+  const handleSpeechError = useCallback((speechError) => {
+    console.error('[MyResults] Speech error:', speechError);
+  }, []);
+
+  const loadResults = useCallback(async () => {
+    if (!user?.uid) {
+      setLoading(false);
+      return null;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getStudentSubmissions(user.uid);
+      setSubmissions(data);
+      return summarizeResults(data);
+    } catch (err) {
+      console.error('[MyResults] Error loading results:', err);
+      setError('Your results could not be loaded. Check your connection and try again.');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.uid]);
+
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      screenContextService.setContext('RESULTS');
+
+      const start = async () => {
+        const loaded = await loadResults();
+        if (!active) return;
+
+        speechService.setOnRecognitionResult(handleVoiceCommand);
+        speechService.setOnRecognitionError(handleSpeechError);
+
+        let message;
+        if (!loaded) {
+          message = 'Your results could not be loaded. Say go back to return home.';
+        } else if (loaded.results.length === 0) {
+          message = 'My Results. You have no exam results yet. Say go back to return home.';
+        } else if (announce === 'latest') {
+          message = `Your last result: ${describeResultForSpeech(loaded.results[0])} ${RESULTS_HELP}`;
+        } else {
+          message = `My Results. ${describeSummaryForSpeech(loaded)} ${RESULTS_HELP}`;
+        }
+        await speechService.speak(message);
+
+        setTimeout(async () => {
+          if (
+            active &&
+            !speechService.isListening &&
+            screenContextService.getContext() === 'RESULTS'
+          ) {
+            await speechService.startListening();
+          }
+        }, 500);
+      };
+      start();
+
+      return () => {
+        active = false;
+        speechService.stopListening();
+        speechService.stopSpeaking();
+      };
+    }, [loadResults, handleVoiceCommand, handleSpeechError, announce])
+  );
+
+  const renderSummaryCard = () => (
+    <View style={[globalStyles.card, styles.card]}>
+      <Text style={styles.sectionTitle}>Overview</Text>
+      <View style={styles.statRow}>
+        <View style={styles.statItem}>
+          <Text style={styles.statValue}>{summary.results.length}</Text>
+          <Text style={styles.statLabel}>Exams Taken</Text>
+        </View>
+        <View style={styles.statItem}>
+          <Text style={[styles.statValue, { color: getScoreColor(summary.average) }]}>
+            {summary.average}%
+          </Text>
+          <Text style={styles.statLabel}>Average Score</Text>
+        </View>
+        <View style={styles.statItem}>
+          <Feather
+            name={TREND_ICONS[summary.trend?.direction] || 'minus'}
+            size={26}
+            color={getTrendColor(summary.trend)}
+          />
+          <Text style={styles.statLabel}>
+            {summary.trend ? describeTrend(summary.trend) : 'Not enough results yet'}
+          </Text>
+        </View>
+      </View>
+      {/* Recent scores, oldest on the left */}
+      <View
+        style={styles.chart}
+        accessible
+        accessibilityLabel={`Recent scores: ${summary.results
+          .slice(0, 10)
+          .reverse()
+          .map((result) => `${result.score} percent`)
+          .join(', ')}`}
+      >
+        {summary.results
+          .slice(0, 10)
+          .reverse()
+          .map((result) => (
+            <View key={result.id} style={styles.chartColumn}>
+              <View
+                style={[
+                  styles.chartBar,
+                  {
+                    height: `${Math.max(result.score, 4)}%`,
+                    backgroundColor: getScoreColor(result.score),
+                  },
+                ]}
+              />
+            </View>
+          ))}
+      </View>
+    </View>
+  );
+
+  const renderSubjectsCard = () => (
+    <View style={[globalStyles.card, styles.card]}>
+      <Text style={styles.sectionTitle}>By Subject</Text>
+      {summary.subjects.map((subject) => (
+        <View
+          key={subject.subject}
+          style={styles.subjectRow}
+          accessible
+          accessibilityLabel={`${subject.subject}: average ${subject.average} percent over ${subject.count} exams${
+            subject.trend ? `, ${describeTrend(subject.trend)}` : ''
+          }`}
+        >
+          <View style={{ flex: 1 }}>
+            <Text style={styles.subjectName}>{subject.subject}</Text>
+            <Text style={styles.subjectHint}>
+              {subject.count} {subject.count === 1 ? 'exam' : 'exams'} · best {subject.best}%
+            </Text>
+          </View>
+          {subject.trend && (
+            <Feather
+              name={TREND_ICONS[subject.trend.direction]}
+              size={18}
+              color={getTrendColor(subject.trend)}
+            />
+          )}
+          <Text style={[styles.subjectAverage, { color: getScoreColor(subject.average) }]}>
+            {subject.average}%
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderResult = (result, index) => (
+    <TouchableOpacity
+      key={result.id}
+      style={[globalStyles.card, styles.card, styles.resultCard]}
+      onPress={() => openResult(result)}
+      activeOpacity={0.85}
+      accessibilityRole="button"
+      accessibilityLabel={`Result ${index + 1}. ${describeResultForSpeech(result)}`}
+      accessibilityHint="Opens the full results"
+    >
+      <View style={styles.resultNumber}>
+        <Text style={styles.resultNumberText}>{index + 1}</Text>
+      </View>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.resultTitle}>{result.examTitle}</Text>
+        <Text style={styles.resultMeta}>
+          {result.subject}
+          {result.submittedAt ? ` · ${formatDateTimeLabel(result.submittedAt)}` : ''}
+        </Text>
+        {result.pending && <Text style={styles.pendingText}>Awaiting review</Text>}
+      </View>
+      <View style={{ alignItems: 'flex-end' }}>
+        <Text style={[styles.resultScore, { color: getScoreColor(result.score) }]}>
+          {result.score}%
+        </Text>
+        {result.grade ? <Text style={styles.resultGrade}>{result.grade}</Text> : null}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={[globalStyles.safeContainer, styles.safeContainer]}>
+      <ScrollView
+        contentContainerStyle={[globalStyles.scrollContainer, styles.scroll]}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.headerRow}>
+          <TouchableOpacity
+            style={[styles.iconButton, styles.outlineButton]}
+            onPress={goBack}
+            activeOpacity={0.8}
+          >
+            <Feather name="arrow-left" size={20} color={AppColors.primary} />
+            <Text style={[styles.buttonLabel, { color: AppColors.primary }]}>
+              Back to Exams
+            </Text>
+          </TouchableOpacity>
+          <Text style={styles.screenTitle}>My Results</Text>
+        </View>
+
+        {loading ? (
+          <View style={styles.centered}>
+            <ActivityIndicator size="large" color={AppColors.primary} />
+            <Text style={[globalStyles.bodyText, { marginTop: 16 }]}>Loading results...</Text>
+          </View>
+        ) : error ? (
+          <View style={[globalStyles.card, styles.card]}>
+            <Text style={[globalStyles.bodyText, { color: AppColors.error }]}>{error}</Text>
+            <TouchableOpacity
+              style={[globalStyles.button, { marginTop: 12 }]}
+              onPress={loadResults}
+            >
+              <Text style={globalStyles.buttonText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        ) : summary.results.length === 0 ? (
+          <View style={styles.centered}>
+            <Feather name="award" size={48} color={AppColors.textLight} />
+            <Text style={styles.emptyTitle}>No results yet</Text>
+            <Text style={styles.emptyText}>
+              Your results will appear here after you submit an exam.
+            </Text>
+          </View>
+        ) : (
+          <>
+            {renderSummaryCard()}
+            {renderSubjectsCard()}
+            <Text style={[styles.sectionTitle, styles.listTitle]}>All Results</Text>
+            {summary.results.map(renderResult)}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default MyResults;
+
+const styles = StyleSheet.create({
+  safeContainer: {
+    backgroundColor: AppColors.background,
+  },
+  scroll: {
+    paddingBottom: 48,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    marginBottom: 20,
+  },
+  iconButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    gap: 8,
+  },
+  outlineButton: {
+    borderWidth: 1,
+    borderColor: AppColors.primary,
+    backgroundColor: AppColors.white,
+  },
+  buttonLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  screenTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: AppColors.textDark,
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: AppColors.textDark,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: AppColors.textMedium,
+    textAlign: 'center',
+  },
+  card: {
+    marginVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: AppColors.textDark,
+    marginBottom: 16,
+  },
+  listTitle: {
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  statRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  statItem: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 6,
+  },
+  statValue: {
+    fontSize: 26,
+    fontWeight: '700',
+    color: AppColors.textDark,
+  },
+  statLabel: {
+    fontSize: 14,
+    color: AppColors.textMedium,
+    textAlign: 'center',
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 80,
+    gap: 6,
+    marginTop: 20,
+    paddingTop: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: AppColors.border,
+  },
+  chartColumn: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+  },
+  chartBar: {
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+  },
+  subjectRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: AppColors.border,
+  },
+  subjectName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: AppColors.textDark,
+  },
+  subjectHint: {
+    fontSize: 13,
+    color: AppColors.textMedium,
+    marginTop: 2,
+  },
+  subjectAverage: {
+    fontSize: 18,
+    fontWeight: '700',
+    minWidth: 52,
+    textAlign: 'right',
+  },
+  resultCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  resultNumber: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: AppColors.lightPrimary,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  resultNumberText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: AppColors.primary,
+  },
+  resultTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: AppColors.textDark,
+  },
+  resultMeta: {
+    fontSize: 13,
+    color: AppColors.textMedium,
+    marginTop: 2,
+  },
+  pendingText: {
+    fontSize: 13,
+    color: AppColors.warning,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  resultScore: {
+    fontSize: 22,
+    fontWeight: '700',
+  },
+  resultGrade: {
+    fontSize: 14,
+    color: AppColors.textMedium,
+    fontWeight: '600',
+  },
+});
@@ -13,7 +13,23 @@ import { Feather } from '@expo/vector-icons';
 
 import { AppColors } from '../../constants/AppColors';
 import { globalStyles } from '../../constants/GlobalStyles';
-import { getExam, getSubmission } from '../../services/examService';
+import {
+  getExamAtVersion,
+  getSubmission,
+  getSubmissionQuestions,
+} from '../../services/examService';
+import { formatMarks } from '../../utils/grading';
+import { getGrade } from '../../utils/gradeScheme';
+import {
+  toExamQuestion,
+  isChoiceType,
+  formatAnswer,
+  getOptionLetter,
+} from '../../utils/questionTypes';
+import { resolveGradeScheme } from '../../services/settingsService';
+import { shareReport } from '../../services/reportService';
+import { useAuth } from '../../context/AuthContext';
+import { buildResultReportHtml, getReportFileName } from '../../utils/resultReport';
 
 const ResultScreen = ({ route, navigation }) => {
   const examId = route?.params?.examId;
@@ -25,39 +41,14 @@ const ResultScreen = ({ route, navigation }) => {
   const [error, setError] = useState(null);
   const [exam, setExam] = useState(null);
   const [submission, setSubmission] = useState(null);
+  const [gradeScheme, setGradeScheme] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const { user } = useAuth();
 
   // Transform Firebase questions to ViewResults format
   const transformQuestions = (firebaseQuestions) => {
     if (!Array.isArray(firebaseQuestions)) return [];
-    
-    return firebaseQuestions.map((q, index) => {
-      const questionType = q.type?.toLowerCase();
-      const isMultipleChoice = 
-        questionType === 'multiple choice' || 
-        questionType === 'multiple-choice' ||
-        (q.options && Array.isArray(q.options));
-      
-      if (isMultipleChoice && q.options) {
-        const correctAnswer = q.correctIndex !== undefined && q.options[q.correctIndex]
-          ? q.options[q.correctIndex]
-          : q.correctAnswer || q.options[0];
-        
-        return {
-          id: q.id || `q${index + 1}`,
-          question: q.text || q.question || '',
-          type: 'multiple-choice',
-          options: q.options || [],
-          correctAnswer,
-        };
-      } else {
-        return {
-          id: q.id || `q${index + 1}`,
-          question: q.text || q.question || '',
-          type: 'written',
-          expectedAnswer: q.expectedAnswer || q.correctAnswer || null,
-        };
-      }
-    });
+    return firebaseQuestions.map(toExamQuestion);
   };
 
   // Load exam and submission data
@@ -73,15 +64,14 @@ const ResultScreen = ({ route, navigation }) => {
       setError(null);
       
       try {
-        // Load exam data
-        const examData = await getExam(examId);
-        setExam(examData);
-        
         // Load submission if submissionId provided
-        if (submissionId) {
-          const submissionData = await getSubmission(submissionId);
-          setSubmission(submissionData);
-        }
+        const submissionData = submissionId ? await getSubmission(submissionId) : null;
+
+        // Load the exam as it was when the student took it
+        const examData = await getExamAtVersion(examId, submissionData?.examVersion);
+        setExam(examData);
+        setGradeScheme(await resolveGradeScheme(examData));
+        setSubmission(submissionData);
       } catch (err) {
         console.error('Error loading results:', err);
         setError(err?.message || 'Failed to load results');
@@ -93,11 +83,13 @@ const ResultScreen = ({ route, navigation }) => {
     loadData();
   }, [examId, submissionId]);
 
-  // Get questions and graded results
+  // Get questions and graded results (the questions this student was given)
   const questions = useMemo(() => {
     if (!exam?.questions) return [];
-    return transformQuestions(exam.questions);
-  }, [exam]);
+    return transformQuestions(
+      getSubmissionQuestions(exam, submission?.questionIds)
+    );
+  }, [exam, submission]);
 
   const gradedQuestions = useMemo(() => {
     if (!submission?.gradingResults?.gradedQuestions) return [];
@@ -112,17 +104,32 @@ const ResultScreen = ({ route, navigation }) => {
   const totalQuestions = questions.length;
   const answeredQuestions = submission?.answers?.length || 0;
   
-  const multipleChoiceQuestions = questions.filter(
-    (q) => q.type === 'multiple-choice'
+  const multipleChoiceQuestions = questions.filter((q) => isChoiceType(q.type));
+  const shortAnswerQuestions = questions.filter(
+    (q) => q.type === 'fill-blank' || q.type === 'numeric'
   );
   const writtenQuestions = questions.filter((q) => q.type === 'written');
 
   // Get scores from graded results
   const mcScore = gradingSummary?.multipleChoiceScore || 0;
   const writtenScore = gradingSummary?.writtenScore || 0; // Now auto-graded
+  const shortAnswerScore = gradingSummary?.shortAnswerScore || 0;
+  const shortAnswerCorrect = gradingSummary?.shortAnswerCorrect || 0;
   const overallScore = gradingSummary?.overallScore || 0;
   const correctAnswers = gradingSummary?.multipleChoiceCorrect || 0;
   const writtenCorrect = gradingSummary?.writtenCorrect || 0;
+  const awaitingReview = submission?.status === 'pending';
+  // Submissions graded before grade schemes existed have no stored grade
+  const grade = gradingSummary?.grade ?? getGrade(overallScore, gradeScheme);
+  const totalMarks = gradingSummary?.totalScore || 0;
+  const totalPossibleMarks = gradingSummary?.totalPossible || 0;
+  const getSectionMarks = (sectionId) => {
+    const section = gradingSummary?.sections?.find((s) => s.id === sectionId);
+    return section ? formatMarks(section.marksAwarded, section.marksPossible) : null;
+  };
+  const mcMarks = getSectionMarks('multiple-choice');
+  const writtenMarks = getSectionMarks('written');
+  const shortAnswerMarks = getSectionMarks('short-answer');
 
   // Get answer map for UI
   const uniqueAnswered = useMemo(() => {
@@ -143,14 +150,6 @@ const ResultScreen = ({ route, navigation }) => {
     return AppColors.error;
   };
 
-  const getGrade = (score) => {
-    if (score >= 90) return 'A';
-    if (score >= 80) return 'B';
-    if (score >= 70) return 'C';
-    if (score >= 60) return 'D';
-    return 'F';
-  };
-
   const getPerformanceMessage = (score) => {
     if (score >= 90) return 'Excellent work! You have mastered this material.';
     if (score >= 80) return 'Great job! Your understanding is strong.';
@@ -171,11 +170,11 @@ const ResultScreen = ({ route, navigation }) => {
       return userAnswer ? 'answered' : 'unanswered';
     }
 
-    if (question.type === 'multiple-choice') {
+    if (isChoiceType(question.type)) {
       return gradedQuestion.isCorrect ? 'correct' : 'incorrect';
     }
     
-    // Written questions - now auto-graded
+    // Written questions stay pending until the examiner has reviewed them
     if (gradedQuestion.requiresManualGrading || gradedQuestion.graded === false) {
       return 'pending';
     }
@@ -188,17 +187,62 @@ const ResultScreen = ({ route, navigation }) => {
 
   const handleReadResults = async () => {
     const writtenScoreText = `${writtenScore} percent`;
-    const summary = `Exam completed. Overall score: ${overallScore} percent. Grade: ${getGrade(
-      overallScore
-    )}. ${getPerformanceMessage(overallScore)} You answered ${answeredQuestions} of ${totalQuestions} questions. Multiple choice score: ${mcScore} percent. Written questions score: ${writtenScoreText}.`;
+    const summary = `Exam completed. You scored ${totalMarks} out of ${totalPossibleMarks} marks. Overall score: ${overallScore} percent. Grade: ${grade}. ${getPerformanceMessage(overallScore)} You answered ${answeredQuestions} of ${totalQuestions} questions. Multiple choice score: ${mcScore} percent.${
+      shortAnswerQuestions.length > 0
+        ? ` Short answer score: ${shortAnswerScore} percent.`
+        : ''
+    } Written questions score: ${writtenScoreText}.${
+      awaitingReview
+        ? ' Your written answers are awaiting review by your examiner, so this score may change.'
+        : ''
+    }`;
 
     // TTS removed - no speech functionality
   };
 
+  const downloadReport = async (format) => {
+    const studentName = user?.displayName || user?.name || user?.email || 'Student';
+    const title = examTitle || exam?.title;
+    setDownloading(true);
+    try {
+      const { uri, shared } = await shareReport(
+        {
+          html: buildResultReportHtml({
+            exam,
+            questions: getSubmissionQuestions(exam, submission?.questionIds),
+            submission,
+            studentName,
+            grade,
+          }),
+          fileName: getReportFileName(title, studentName),
+          title: `${title} result report`,
+        },
+        format
+      );
+      if (!shared) {
+        Alert.alert('Report Saved', `Sharing isn't available on this device. The report was saved as ${uri}`);
+      }
+    } catch (err) {
+      console.error('Error creating report:', err);
+      Alert.alert('Error', 'Failed to create the report. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   const handleDownloadResults = () => {
+    if (!submission) {
+      Alert.alert('No Results', 'There is no submission to make a report from.');
+      return;
+    }
     Alert.alert(
-      'Coming Soon',
-      'The downloadable report feature will be added in a future release.'
+      'Download Report',
+      'PDF is best for printing. The web page works with screen readers and can be opened in any browser.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Web Page', onPress: () => downloadReport('html') },
+        { text: 'PDF', onPress: () => downloadReport('pdf') },
+      ]
     );
   };
 
@@ -222,6 +266,27 @@ const ResultScreen = ({ route, navigation }) => {
     );
   };
 
+  // Which rubric points an auto-graded written answer matched
+  const RubricItems = ({ items }) => (
+    <View style={styles.rubricList}>
+      {items.map((item) => (
+        <View key={item.term} style={styles.rubricRow}>
+          <Feather
+            name={item.matched ? 'check-circle' : 'x-circle'}
+            size={16}
+            color={item.matched ? AppColors.success : AppColors.error}
+          />
+          <Text style={styles.rubricText}>
+            {item.term}
+            {item.matched && item.matchedText && item.matchedText !== item.term
+              ? ` (you said "${item.matchedText}")`
+              : ''}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
   const ProgressBar = ({ value }) => (
     <View style={styles.progressOuter}>
       <View style={[styles.progressInner, { width: `${value}%` }]} />
@@ -288,9 +353,31 @@ const ResultScreen = ({ route, navigation }) => {
           return (
             <View key={question.id} style={[globalStyles.card, styles.card]}>
               <View style={styles.cardHeader}>
-                <Text style={styles.questionTitle}>
-                  Question {index + 1}: {question.question}
-                </Text>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.questionTitle}>
+                    Question {index + 1}: {question.question}
+                  </Text>
+                  {(() => {
+                    const gradedQuestion = gradedQuestions.find(
+                      (gq) => gq.questionId === question.id
+                    );
+                    return gradedQuestion?.marks !== undefined ? (
+                      <>
+                        <Text style={styles.questionMarks}>
+                          {formatMarks(gradedQuestion.marksAwarded, gradedQuestion.marks)}
+                          {gradedQuestion.negativeMarks > 0
+                            ? ` · −${gradedQuestion.negativeMarks} for a wrong answer`
+                            : ''}
+                        </Text>
+                        {gradedQuestion.notCounted && (
+                          <Text style={styles.questionMarks}>
+                            Not counted: only your best answers in this section count
+                          </Text>
+                        )}
+                      </>
+                    ) : null;
+                  })()}
+                </View>
                 <ResultBadge
                   status={status}
                   label={
@@ -307,11 +394,17 @@ const ResultScreen = ({ route, navigation }) => {
                 />
               </View>
 
-              {question.type === 'multiple-choice' ? (
+              {isChoiceType(question.type) ? (
                 <View style={styles.optionsGroup}>
                   {question.options?.map((option, optionIndex) => {
-                    const isCorrect = option === question.correctAnswer;
-                    const isUser = option === userAnswer?.answer;
+                    const isMultiSelect = question.type === 'multiple-select';
+                    const isCorrect = isMultiSelect
+                      ? question.correctAnswers.includes(option)
+                      : option === question.correctAnswer;
+                    const isUser = isMultiSelect
+                      ? Array.isArray(userAnswer?.answer) &&
+                        userAnswer.answer.includes(option)
+                      : option === userAnswer?.answer;
                     return (
                       <View
                         key={option}
@@ -322,12 +415,15 @@ const ResultScreen = ({ route, navigation }) => {
                         ]}
                       >
                         <Text style={styles.optionLabel}>
-                          {String.fromCharCode(65 + optionIndex)}. {option}
+                          {getOptionLetter(optionIndex)}. {option}
                         </Text>
                         <View style={styles.badgeRow}>
                           {isCorrect && (
                             <ResultBadge status="correct" label="Correct Answer" />
                           )}
+                          {isMultiSelect && isUser && isCorrect && (
+                            <ResultBadge status="answered" label="Your Answer" />
+                          )}
                           {isUser && !isCorrect && (
                             <ResultBadge
                               status="incorrect"
@@ -338,13 +434,24 @@ const ResultScreen = ({ route, navigation }) => {
                       </View>
                     );
                   })}
+                  {question.type === 'multiple-select' &&
+                    (() => {
+                      const gradedQuestion = gradedQuestions.find(
+                        (gq) => gq.questionId === question.id
+                      );
+                      return gradedQuestion?.feedback ? (
+                        <View style={styles.infoBox}>
+                          <Text style={styles.infoText}>{gradedQuestion.feedback}</Text>
+                        </View>
+                      ) : null;
+                    })()}
                 </View>
               ) : (
                 <View style={styles.writtenBlock}>
                   <Text style={styles.sectionLabel}>Your Answer:</Text>
                   <View style={styles.answerBox}>
                     <Text style={styles.answerText}>
-                      {userAnswer?.answer || 'No answer provided'}
+                      {formatAnswer(userAnswer?.answer, question.type) || 'No answer provided'}
                     </Text>
                   </View>
 
@@ -353,6 +460,16 @@ const ResultScreen = ({ route, navigation }) => {
                       (gq) => gq.questionId === question.id
                     );
                     const isGraded = gradedQuestion?.graded && gradedQuestion?.isCorrect !== null;
+
+                    if (gradedQuestion?.requiresManualGrading) {
+                      return (
+                        <View style={styles.infoBox}>
+                          <Text style={styles.infoText}>
+                            Awaiting review by your examiner
+                          </Text>
+                        </View>
+                      );
+                    }
                     
                     if (isGraded && gradedQuestion.correctAnswer) {
                       return (
@@ -360,14 +477,20 @@ const ResultScreen = ({ route, navigation }) => {
                           <Text style={styles.sectionLabel}>Expected Answer:</Text>
                           <View style={styles.answerBox}>
                             <Text style={styles.answerText}>
-                              {gradedQuestion.correctAnswer}
+                              {formatAnswer(gradedQuestion.correctAnswer, question.type)}
                             </Text>
                           </View>
                           <View style={styles.infoBox}>
                             <Text style={styles.infoText}>
-                              {gradedQuestion.feedback || 'Auto-graded'}
+                              {gradedQuestion.manuallyGraded
+                                ? `Examiner feedback: ${gradedQuestion.feedback}`
+                                : gradedQuestion.feedback || 'Auto-graded'}
                             </Text>
                           </View>
+                          {!gradedQuestion.manuallyGraded &&
+                            gradedQuestion.rubricItems?.length > 0 && (
+                              <RubricItems items={gradedQuestion.rubricItems} />
+                            )}
                         </>
                       );
                     }
@@ -432,10 +555,20 @@ const ResultScreen = ({ route, navigation }) => {
             >
               {overallScore}%
             </Text>
-            <Text style={styles.gradeText}>Grade: {getGrade(overallScore)}</Text>
+            {totalPossibleMarks > 0 && (
+              <Text style={styles.gradeText}>
+                {formatMarks(totalMarks, totalPossibleMarks)}
+              </Text>
+            )}
+            <Text style={styles.gradeText}>Grade: {grade}</Text>
             <Text style={styles.performanceMessage}>
               {getPerformanceMessage(overallScore)}
             </Text>
+            {awaitingReview && (
+              <Text style={styles.performanceMessage}>
+                Your written answers are awaiting review, so this score may change.
+              </Text>
+            )}
           </View>
 
           <View style={styles.actionRow}>
@@ -457,12 +590,17 @@ const ResultScreen = ({ route, navigation }) => {
                 styles.secondaryButton,
               ]}
               onPress={handleDownloadResults}
+              disabled={downloading}
               activeOpacity={0.85}
             >
               <View style={styles.buttonContent}>
-                <Feather name="download" size={18} color={AppColors.primary} />
+                {downloading ? (
+                  <ActivityIndicator size="small" color={AppColors.primary} />
+                ) : (
+                  <Feather name="download" size={18} color={AppColors.primary} />
+                )}
                 <Text style={globalStyles.buttonTextSecondary}>
-                  Download Report
+                  {downloading ? 'Preparing...' : 'Download Report'}
                 </Text>
               </View>
             </TouchableOpacity>
@@ -517,9 +655,31 @@ const ResultScreen = ({ route, navigation }) => {
             <ProgressBar value={mcScore} />
             <Text style={styles.breakdownHint}>
               {correctAnswers} correct out of {multipleChoiceQuestions.length} questions
+              {mcMarks ? ` · ${mcMarks}` : ''}
             </Text>
           </View>
 
+          {shortAnswerQuestions.length > 0 && (
+            <View style={styles.breakdownRow}>
+              <View style={styles.breakdownHeader}>
+                <Text style={styles.breakdownLabel}>Short Answer</Text>
+                <Text
+                  style={[
+                    styles.breakdownScore,
+                    { color: getScoreColor(shortAnswerScore) },
+                  ]}
+                >
+                  {shortAnswerScore}%
+                </Text>
+              </View>
+              <ProgressBar value={shortAnswerScore} />
+              <Text style={styles.breakdownHint}>
+                {shortAnswerCorrect} correct out of {shortAnswerQuestions.length} fill-in-the-blank and numeric questions
+                {shortAnswerMarks ? ` · ${shortAnswerMarks}` : ''}
+              </Text>
+            </View>
+          )}
+
           <View style={styles.breakdownRow}>
             <View style={styles.breakdownHeader}>
               <Text style={styles.breakdownLabel}>Written Questions</Text>
@@ -534,7 +694,9 @@ const ResultScreen = ({ route, navigation }) => {
             </View>
             <ProgressBar value={writtenScore} />
               <Text style={styles.breakdownHint}>
-                {writtenQuestions.length} questions · {writtenCorrect} correct · Auto-graded
+                {writtenQuestions.length} questions · {writtenCorrect} correct
+                {writtenMarks ? ` · ${writtenMarks}` : ''}
+                {awaitingReview ? ' · Awaiting review' : ''}
               </Text>
           </View>
         </View>
@@ -704,6 +866,11 @@ const styles = StyleSheet.create({
     fontSize: 42,
     fontWeight: '800',
   },
+  questionMarks: {
+    fontSize: 13,
+    color: AppColors.textLight,
+    marginTop: 4,
+  },
   gradeText: {
     fontSize: 24,
     fontWeight: '600',
@@ -914,4 +1081,17 @@ const styles = StyleSheet.create({
     color: AppColors.info,
     fontSize: 14,
   },
+  rubricList: {
+    gap: 6,
+  },
+  rubricRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  rubricText: {
+    flex: 1,
+    fontSize: 14,
+    color: AppColors.textDark,
+  },
 });
\ No newline at end of file
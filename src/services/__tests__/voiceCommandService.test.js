@@ -0,0 +1,192 @@
+import {
+  tokenize,
+  parseNumber,
+  wordsToNumber,
+  voiceCommandRegistry,
+} from '../voiceCommandService';
+
+// Grammar in the shape the screens register, trimmed to what the transcripts below need
+const TEST_COMMANDS = [
+  {
+    id: 'select-option',
+    phrases: ['{letter}', 'option {letter}', 'select {letter}', 'answer {letter}'],
+  },
+  {
+    id: 'select-options',
+    phrases: ['{choices:letters}', 'select {choices:letters}'],
+  },
+  { id: 'answer-true', phrases: ['true', 'answer true'] },
+  {
+    id: 'go-to-question',
+    phrases: ['question {number}', 'go to question {number}', 'go to question number {number}'],
+  },
+  { id: 'next', phrases: ['next', 'next question'] },
+  { id: 'next-unanswered', phrases: ['next unanswered', 'next unanswered question'] },
+  { id: 'fill-blank', phrases: ['blank {number} {text}', 'blank {number} is {text}'] },
+  { id: 'strict', phrases: ['strict command'], minConfidence: 0.9 },
+];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  voiceCommandRegistry.register('TEST', TEST_COMMANDS);
+});
+
+afterAll(() => {
+  voiceCommandRegistry.clear('TEST');
+  console.log.mockRestore();
+});
+
+describe('tokenize', () => {
+  it('lowercases and strips punctuation', () => {
+    expect(tokenize('Go to Question 3, please!')).toEqual(['go', 'to', 'question', '3']);
+  });
+
+  it('drops apostrophes instead of splitting on them', () => {
+    expect(tokenize("What's next")).toEqual(['whats', 'next']);
+  });
+
+  it('removes filler phrases', () => {
+    expect(tokenize('um can you read the question')).toEqual(['read', 'question']);
+    expect(tokenize('I think my answer is C')).toEqual(['c']);
+  });
+
+  it('removes "the answer is" and "answer is"', () => {
+    expect(tokenize('the answer is b')).toEqual(['b']);
+    expect(tokenize('I think the answer is true')).toEqual(['true']);
+    expect(tokenize('answer is d')).toEqual(['d']);
+  });
+
+  it('keeps slot markers in patterns', () => {
+    expect(tokenize('select {choices:letters}')).toEqual(['select', '{choices:letters}']);
+  });
+
+  it('returns no tokens for empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize('um uh')).toEqual([]);
+  });
+});
+
+describe('parseNumber', () => {
+  it('reads digits and digit ordinals', () => {
+    expect(parseNumber(['12'])).toEqual([{ value: 12, length: 1 }]);
+    expect(parseNumber(['3rd', 'question'])).toEqual([{ value: 3, length: 1 }]);
+  });
+
+  it('reads number words', () => {
+    expect(parseNumber(['seven'])).toEqual([{ value: 7, length: 1 }]);
+    expect(parseNumber(['twenty', 'one'])[0]).toEqual({ value: 21, length: 2 });
+    expect(parseNumber(['one', 'hundred', 'and', 'five'])[0]).toEqual({ value: 105, length: 4 });
+  });
+
+  it('offers the shorter parse of a compound number too', () => {
+    expect(parseNumber(['twenty', 'one'])).toEqual([
+      { value: 21, length: 2 },
+      { value: 20, length: 1 },
+    ]);
+  });
+
+  it('reads ordinals', () => {
+    expect(parseNumber(['third'])).toEqual([{ value: 3, length: 1 }]);
+    expect(parseNumber(['twenty', 'first'])[0]).toEqual({ value: 21, length: 2 });
+  });
+
+  it('reads the "to" and "for" homophones as numbers', () => {
+    expect(parseNumber(['to'])).toEqual([{ value: 2, length: 1 }]);
+    expect(parseNumber(['too'])).toEqual([{ value: 2, length: 1 }]);
+    expect(parseNumber(['for'])).toEqual([{ value: 4, length: 1 }]);
+    expect(parseNumber(['won'])).toEqual([{ value: 1, length: 1 }]);
+  });
+
+  it('returns nothing for words that are not numbers', () => {
+    expect(parseNumber(['question'])).toEqual([]);
+    expect(parseNumber([])).toEqual([]);
+  });
+});
+
+describe('wordsToNumber', () => {
+  it('converts a whole phrase', () => {
+    expect(wordsToNumber('forty two')).toBe(42);
+    expect(wordsToNumber('7')).toBe(7);
+  });
+
+  it('returns null when the phrase is more than a number', () => {
+    expect(wordsToNumber('forty two apples')).toBeNull();
+  });
+});
+
+describe('voiceCommandRegistry.match', () => {
+  const match = (transcript) => voiceCommandRegistry.match(transcript, 'TEST');
+
+  it.each([
+    ['go to question three', 'go-to-question', { number: 3 }],
+    ['go to question to', 'go-to-question', { number: 2 }],
+    ['question for', 'go-to-question', { number: 4 }],
+    ['go to question number twenty one', 'go-to-question', { number: 21 }],
+    ['select bee', 'select-option', { letter: 'B' }],
+    ['the answer is b', 'select-option', { letter: 'B' }],
+    ['my answer is see', 'select-option', { letter: 'C' }],
+    ['select a and c', 'select-options', { choices: ['A', 'C'] }],
+    ['the answer is true', 'answer-true', {}],
+    ['blank two is Paris', 'fill-blank', { number: 2, text: 'Paris' }],
+  ])('matches "%s" to %s', (transcript, id, slots) => {
+    const result = match(transcript);
+    expect(result).toMatchObject({ id, slots, transcript });
+  });
+
+  it.each([
+    ['blank 1 is 3.5', '3.5'],
+    ['blank one is the cell wall', 'the cell wall'],
+    ['blank 2 it is raining', 'it is raining'],
+    ["blank three is don't know", "don't know"],
+    ['blank 1: the answer is 42', 'the answer is 42'],
+  ])('keeps the spoken text of "%s"', (transcript, text) => {
+    expect(match(transcript)).toMatchObject({ id: 'fill-blank', slots: { text } });
+  });
+
+  it('leaves filler words out of the text before the command', () => {
+    expect(match('um blank two is Paris').slots.text).toBe('Paris');
+  });
+
+  it('scores a full match at full confidence', () => {
+    expect(match('next question').confidence).toBe(1);
+  });
+
+  it('prefers the more specific pattern', () => {
+    expect(match('next unanswered question').id).toBe('next-unanswered');
+  });
+
+  it('matches a command at the end of leftover speech', () => {
+    const result = match('skip to next question');
+    expect(result.id).toBe('next');
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  it('rejects matches below the confidence threshold', () => {
+    expect(match('tell me a long story about the weather and then next')).toBeNull();
+    expect(match('something else entirely')).toBeNull();
+  });
+
+  it('applies a per-command and per-call threshold', () => {
+    expect(match('strict command now')).toBeNull();
+    expect(match('strict command').id).toBe('strict');
+    expect(voiceCommandRegistry.match('question three now', 'TEST', { minConfidence: 0.95 })).toBeNull();
+  });
+
+  it('limits matching to some commands', () => {
+    expect(voiceCommandRegistry.match('next', 'TEST', { only: ['answer-true'] })).toBeNull();
+  });
+
+  it('does not expose internal ranking fields', () => {
+    expect(Object.keys(match('next')).sort()).toEqual(
+      ['confidence', 'id', 'phrase', 'slots', 'transcript']
+    );
+  });
+
+  it('stops matching commands once unregistered', () => {
+    const unregister = voiceCommandRegistry.register('OTHER', [{ id: 'hello', phrases: ['hello'] }]);
+    expect(voiceCommandRegistry.match('hello', 'OTHER').id).toBe('hello');
+    unregister();
+    expect(voiceCommandRegistry.match('hello', 'OTHER')).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Accommodation Service
+ * Per-student exam access arrangements managed by examiners:
+ * extra time, supervised rest breaks and alternative attempt limits
+ */
+
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+
+const ACCOMMODATIONS_COLLECTION = 'accommodations';
+const USERS_COLLECTION = 'users';
+
+// Extra-time multipliers examiners can choose from (1 = no extra time)
+export const EXTRA_TIME_OPTIONS = [1, 1.25, 1.5, 2];
+
+export const DEFAULT_ACCOMMODATION = {
+  extraTimeMultiplier: 1,
+  restBreaksAllowed: false,
+  maxBreakMinutes: 0, // Total break time allowed per attempt
+  maxAttempts: null, // null = use the exam's own limit
+  notes: '',
+};
+
+/**
+ * Fill in defaults and clamp values from a stored profile
+ * @param {Object} data - Stored accommodation data
+ * @returns {Object} - Complete accommodation profile
+ */
+const normalizeAccommodation = (data = {}) => {
+  const multiplier = Number(data.extraTimeMultiplier);
+  const maxBreakMinutes = Number(data.maxBreakMinutes);
+  const maxAttempts = Number(data.maxAttempts);
+
+  return {
+    ...DEFAULT_ACCOMMODATION,
+    ...data,
+    extraTimeMultiplier: multiplier >= 1 ? multiplier : 1,
+    restBreaksAllowed: !!data.restBreaksAllowed && maxBreakMinutes > 0,
+    maxBreakMinutes: maxBreakMinutes > 0 ? maxBreakMinutes : 0,
+    maxAttempts: maxAttempts > 0 ? maxAttempts : null,
+  };
+};
+
+/**
+ * Get a student's accommodation profile
+ * Students without one get the defaults (no adjustments)
+ * @param {string} studentId - UID of the student
+ * @returns {Promise<Object>} - Accommodation profile
+ */
+export const getStudentAccommodation = async (studentId) => {
+  try {
+    const docSnap = await getDoc(doc(db, ACCOMMODATIONS_COLLECTION, studentId));
+    return docSnap.exists()
+      ? normalizeAccommodation(docSnap.data())
+      : { ...DEFAULT_ACCOMMODATION };
+  } catch (error) {
+    console.error('[Accommodations] Error getting accommodation:', error);
+    return { ...DEFAULT_ACCOMMODATION };
+  }
+};
+
+/**
+ * Save a student's accommodation profile
+ * @param {string} studentId - UID of the student
+ * @param {Object} profile - { extraTimeMultiplier, restBreaksAllowed, maxBreakMinutes, maxAttempts, notes }
+ * @param {string} examinerId - UID of the examiner making the change
+ * @returns {Promise<Object>} - The saved profile
+ */
+export const saveStudentAccommodation = async (studentId, profile, examinerId) => {
+  try {
+    const accommodation = normalizeAccommodation(profile);
+    await setDoc(doc(db, ACCOMMODATIONS_COLLECTION, studentId), {
+      ...accommodation,
+      studentId,
+      updatedBy: examinerId,
+      updatedAt: serverTimestamp(),
+    });
+    console.log('[Accommodations] Saved accommodation for:', studentId);
+    return accommodation;
+  } catch (error) {
+    console.error('[Accommodations] Error saving accommodation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all students with their accommodation profiles
+ * @returns {Promise<Array>} - [{ id, name, email, accommodation }] sorted by name
+ */
+export const getStudentsWithAccommodations = async () => {
+  try {
+    const studentsQuery = query(
+      collection(db, USERS_COLLECTION),
+      where('role', '==', 'student')
+    );
+    const [studentsSnapshot, accommodationsSnapshot] = await Promise.all([
+      getDocs(studentsQuery),
+      getDocs(collection(db, ACCOMMODATIONS_COLLECTION)),
+    ]);
+
+    const accommodations = {};
+    accommodationsSnapshot.docs.forEach((docSnap) => {
+      accommodations[docSnap.id] = normalizeAccommodation(docSnap.data());
+    });
+
+    return studentsSnapshot.docs
+      .map((docSnap) => {
+        const data = docSnap.data();
+        return {
+          id: docSnap.id,
+          name:
+            data.name ||
+            [data.firstName, data.lastName].filter(Boolean).join(' ') ||
+            data.email ||
+            'Unknown Student',
+          email: data.email || '',
+          accommodation: accommodations[docSnap.id] || { ...DEFAULT_ACCOMMODATION },
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('[Accommodations] Error getting students:', error);
+    throw error;
+  }
+};
+
+/**
+ * Exam duration with the student's extra time applied
+ * @param {number} durationMinutes - The exam's duration
+ * @param {Object} accommodation - Accommodation profile
+ * @returns {number} - Adjusted duration in whole minutes
+ */
+export const getAdjustedDuration = (durationMinutes, accommodation) => {
+  const multiplier = accommodation?.extraTimeMultiplier || 1;
+  return Math.round(durationMinutes * multiplier);
+};
+
+/**
+ * Attempt limit for a student, preferring an alternative limit from their profile
+ * @param {number} examMaxAttempts - The exam's own limit
+ * @param {Object} accommodation - Accommodation profile
+ * @returns {number} - Attempts allowed
+ */
+export const getAllowedAttempts = (examMaxAttempts, accommodation) => {
+  return accommodation?.maxAttempts || examMaxAttempts || 1;
+};
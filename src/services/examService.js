@@ -3,6 +3,7 @@ import {
   collection,
   doc,
   addDoc,
+  setDoc,
   updateDoc,
   deleteDoc,
   getDoc,
@@ -10,15 +11,83 @@ import {
   query,
   where,
   orderBy,
+  limit,
+  writeBatch,
   serverTimestamp,
+  Timestamp,
 } from "firebase/firestore";
+import {
+  toDate,
+  validateSchedule,
+  getExamAvailability,
+  getAvailabilityMessage,
+} from "../utils/schedule";
+import {
+  getStudentAccommodation,
+  getAllowedAttempts,
+} from "./accommodationService";
+import {
+  gradeExam,
+  applyManualGrades,
+  getScoreSnapshot,
+  isScoreChanged,
+} from "../utils/grading";
+import { resolveGradeScheme } from "./settingsService";
+import { addNotificationToBatch } from "./notificationService";
+import { validateGradeScheme } from "../utils/gradeScheme";
+import { getQuestionTypeId, toExamQuestion } from "../utils/questionTypes";
+import {
+  validateSections,
+  orderQuestionsBySection,
+} from "../utils/examSections";
+import {
+  drawQuestions,
+  validateDrawRules,
+  countDrawnQuestions,
+  toExamQuestionFromBank,
+  createSeededRandom,
+} from "../utils/questionBank";
+import {
+  VERSIONED_FIELDS,
+  getExamVersionNumber,
+  withQuestionIds,
+  createVersionSnapshot,
+  hasVersionChanges,
+} from "../utils/examVersions";
 
 const EXAMS_COLLECTION = "exams";
 const EXAM_SUBMISSIONS_COLLECTION = "examSubmissions";
+const EXAM_ATTEMPTS_COLLECTION = "examAttempts";
+const EXAM_VERSIONS_COLLECTION = "examVersions";
+const REGRADE_AUDITS_COLLECTION = "regradeAudits";
+
+// Firestore allows 500 writes per batch
+const BATCH_WRITE_LIMIT = 450;
+
+// Earlier versions are stored as "<examId>_v<version>"
+const getVersionDocId = (examId, version) => `${examId}_v${version}`;
+
+/**
+ * Drop exams whose availability window has closed
+ * Upcoming exams stay listed so students can hear when they open
+ * @param {Array} exams - Active exams
+ * @returns {Array} - Exams that are open or upcoming
+ */
+const withoutClosedExams = (exams) =>
+  exams.filter((exam) => getExamAvailability(exam) !== "closed");
+
+/**
+ * Generate an ID for a new exam attempt
+ * Generated on the device so retried and queued submissions of the same attempt share one document
+ * @returns {string} - Attempt ID, also used as the submission document ID
+ */
+export const createAttemptId = () => {
+  return doc(collection(db, EXAM_SUBMISSIONS_COLLECTION)).id;
+};
 
 /**
  * Create a new exam with questions
- * @param {Object} examData - Exam data containing title, subject, duration, and questions
+ * @param {Object} examData - Exam data containing title, subject, duration, questions and optional opensAt / closesAt
  * @param {string} examinerId - UID of the examiner creating the exam
  * @returns {Promise<string>} - Document ID of the created exam
  */
@@ -27,11 +96,33 @@ export const createExam = async (examData, examinerId) => {
     // Validate questions array
     const questions = examData.questions || [];
     const questionCount = questions.length;
+    const drawRules = examData.drawRules || [];
 
-    if (questionCount === 0) {
+    if (questionCount === 0 && drawRules.length === 0) {
       throw new Error("Cannot create exam without questions");
     }
 
+    const drawRulesError = validateDrawRules(drawRules, examData.questionPool);
+    if (drawRulesError) {
+      throw new Error(drawRulesError);
+    }
+
+    const scheduleError = validateSchedule(examData.opensAt, examData.closesAt);
+    if (scheduleError) {
+      throw new Error(scheduleError);
+    }
+
+    const gradeSchemeError =
+      examData.gradeScheme && validateGradeScheme(examData.gradeScheme);
+    if (gradeSchemeError) {
+      throw new Error(gradeSchemeError);
+    }
+
+    const sectionsError = validateSections(examData.sections, questions);
+    if (sectionsError) {
+      throw new Error(sectionsError);
+    }
+
     console.log(`[examService] Creating exam with ${questionCount} questions`);
     console.log(
       "[examService] Question types:",
@@ -45,12 +136,18 @@ export const createExam = async (examData, examinerId) => {
       maxAttempts: examData.maxAttempts || 1,
       shuffleQuestions: examData.shuffleQuestions || false,
       shuffleOptions: examData.shuffleOptions || false,
+      opensAt: toDate(examData.opensAt), // null = available as soon as active
+      closesAt: toDate(examData.closesAt), // null = no closing time
+      gradeScheme: examData.gradeScheme || null, // null = school default
+      sections: examData.sections || [], // Questions refer to these by sectionId
       questions: questions, // Store all questions
+      drawRules, // Each student also gets questions drawn from questionPool by these rules
+      questionPool: drawRules.length > 0 ? examData.questionPool : [],
       examinerId,
       status: "draft", // draft, active, inactive
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
-      totalQuestions: questionCount,
+      totalQuestions: questionCount + countDrawnQuestions(drawRules),
     };
 
     console.log("[examService] Exam document structure:", {
@@ -189,10 +286,12 @@ export const getExamsByExaminer = async (examinerId) => {
 };
 
 /**
- * Get all active exams
+ * Get all active exams that haven't closed
+ * @param {Object} options - { includeClosed } - also return closed exams, e.g. to find attempts still in progress
  * @returns {Promise<Array>} - Array of active exam objects
  */
-export const getActiveExams = async () => {
+export const getActiveExams = async ({ includeClosed = false } = {}) => {
+  const listed = (exams) => (includeClosed ? exams : withoutClosedExams(exams));
   try {
     // Try query with orderBy first (requires index)
     try {
@@ -203,10 +302,12 @@ export const getActiveExams = async () => {
       );
       const querySnapshot = await getDocs(q);
 
-      return querySnapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      return listed(
+        querySnapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }))
+      );
     } catch (indexError) {
       // If index error, fallback to query without orderBy and sort in JavaScript
       const isIndexError =
@@ -249,7 +350,7 @@ export const getActiveExams = async () => {
         }));
 
         // Sort by createdAt in JavaScript (newest first)
-        return exams.sort((a, b) => {
+        return listed(exams).sort((a, b) => {
           if (!a.createdAt || !b.createdAt) return 0;
           try {
             const aTime = a.createdAt.toDate
@@ -275,18 +376,76 @@ export const getActiveExams = async () => {
 
 /**
  * Update an exam
+ * Once students have started or submitted the exam, changes to its questions, sections
+ * or draw rules create a new version; the previous one is kept for their submissions
  * @param {string} examId - Document ID of the exam
  * @param {Object} updates - Object containing fields to update
- * @returns {Promise<void>}
+ * @returns {Promise<number>} - The exam's version after the update
  */
 export const updateExam = async (examId, updates) => {
   try {
+    if ("opensAt" in updates || "closesAt" in updates) {
+      const scheduleError = validateSchedule(updates.opensAt, updates.closesAt);
+      if (scheduleError) {
+        throw new Error(scheduleError);
+      }
+    }
+
+    const gradeSchemeError =
+      updates.gradeScheme && validateGradeScheme(updates.gradeScheme);
+    if (gradeSchemeError) {
+      throw new Error(gradeSchemeError);
+    }
+
+    if ("drawRules" in updates) {
+      const drawRulesError = validateDrawRules(
+        updates.drawRules,
+        updates.questionPool
+      );
+      if (drawRulesError) {
+        throw new Error(drawRulesError);
+      }
+    }
+
+    if ("sections" in updates) {
+      const sectionsError = validateSections(
+        updates.sections,
+        updates.questions || []
+      );
+      if (sectionsError) {
+        throw new Error(sectionsError);
+      }
+    }
+
     const docRef = doc(db, EXAMS_COLLECTION, examId);
-    await updateDoc(docRef, {
+    const exam = await getExam(examId);
+    const version = getExamVersionNumber(exam);
+    const createsVersion =
+      hasVersionChanges(exam, updates) && (await isExamInUse(examId));
+
+    const batch = writeBatch(db);
+    if (createsVersion) {
+      batch.set(doc(db, EXAM_VERSIONS_COLLECTION, getVersionDocId(examId, version)), {
+        examId,
+        ...createVersionSnapshot(exam),
+        replacedAt: serverTimestamp(),
+      });
+    }
+    batch.update(docRef, {
       ...updates,
+      ...(createsVersion
+        ? { version: version + 1, versionCreatedAt: serverTimestamp() }
+        : {}),
       updatedAt: serverTimestamp(),
     });
-    console.log("Exam updated:", examId);
+    await batch.commit();
+
+    console.log(
+      "Exam updated:",
+      examId,
+      createsVersion ? `new version ${version + 1}` : `version ${version}`
+    );
+    return createsVersion ? version + 1 : version;
   } catch (error) {
     console.error("Error updating exam:", error);
     throw error;
@@ -295,25 +454,112 @@ export const updateExam = async (examId, updates) => {
 
 /**
  * Update exam questions
+ * Versioned like any other update, so submitted students keep the questions they took
  * @param {string} examId - Document ID of the exam
  * @param {Array} questions - Updated questions array
- * @returns {Promise<void>}
+ * @returns {Promise<number>} - The exam's version after the update
  */
 export const updateExamQuestions = async (examId, questions) => {
   try {
-    const docRef = doc(db, EXAMS_COLLECTION, examId);
-    await updateDoc(docRef, {
+    const exam = await getExam(examId);
+    const version = await updateExam(examId, {
       questions,
-      totalQuestions: questions.length,
-      updatedAt: serverTimestamp(),
+      totalQuestions: questions.length + countDrawnQuestions(exam.drawRules),
     });
     console.log("Exam questions updated:", examId);
+    return version;
   } catch (error) {
     console.error("Error updating exam questions:", error);
     throw error;
   }
 };
 
+/**
+ * Check whether any student has started or submitted an exam
+ * @param {string} examId - Document ID of the exam
+ * @returns {Promise<boolean>}
+ */
+export const isExamInUse = async (examId) => {
+  try {
+    const [submissions, attempts] = await Promise.all([
+      getDocs(
+        query(
+          collection(db, EXAM_SUBMISSIONS_COLLECTION),
+          where("examId", "==", examId),
+          limit(1)
+        )
+      ),
+      getDocs(
+        query(
+          collection(db, EXAM_ATTEMPTS_COLLECTION),
+          where("examId", "==", examId),
+          limit(1)
+        )
+      ),
+    ]);
+    return !submissions.empty || !attempts.empty;
+  } catch (error) {
+    console.error("[examService] Error checking exam usage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get every version of an exam, oldest first
+ * @param {string} examId - Document ID of the exam
+ * @returns {Promise<Array>} - Versions { version, questions, sections, drawRules, questionPool, createdAt, replacedAt, current }
+ */
+export const getExamVersions = async (examId) => {
+  try {
+    const [exam, querySnapshot] = await Promise.all([
+      getExam(examId),
+      getDocs(
+        query(
+          collection(db, EXAM_VERSIONS_COLLECTION),
+          where("examId", "==", examId)
+        )
+      ),
+    ]);
+
+    const earlier = querySnapshot.docs
+      .map((docSnap) => ({ ...docSnap.data(), current: false }))
+      .sort((a, b) => a.version - b.version);
+    return [...earlier, { ...createVersionSnapshot(exam), current: true }];
+  } catch (error) {
+    console.error("[examService] Error getting exam versions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get an exam as it was at a version, e.g. the version a submission was made against
+ * @param {string} examId - Document ID of the exam
+ * @param {number} version - Version number; missing = the current version
+ * @returns {Promise<Object>} - Exam with that version's questions, sections and draws
+ */
+export const getExamAtVersion = async (examId, version) => {
+  const exam = await getExam(examId);
+  if (!version || version === getExamVersionNumber(exam)) return exam;
+
+  try {
+    const docSnap = await getDoc(
+      doc(db, EXAM_VERSIONS_COLLECTION, getVersionDocId(examId, version))
+    );
+    if (!docSnap.exists()) {
+      console.warn("[examService] Exam version not found, using current:", version);
+      return exam;
+    }
+    const snapshot = docSnap.data();
+    const content = Object.fromEntries(
+      VERSIONED_FIELDS.map((field) => [field, snapshot[field]])
+    );
+    return { ...exam, ...content, version };
+  } catch (error) {
+    console.error("[examService] Error getting exam version:", error);
+    throw error;
+  }
+};
+
 /**
  * Change exam status (active, inactive, draft)
  * @param {string} examId - Document ID of the exam
@@ -383,13 +629,15 @@ export const getQuestionByIndex = async (examId, questionIndex) => {
  * @param {string} studentId - UID of the student
  * @param {Array} answers - Array of student answers
  * @param {Object} gradingResults - Grading results from gradeExam function
+ * @param {Object} options - Optional extras: { attemptId, flaggedQuestionIds, questionIds, examVersion }
  * @returns {Promise<string>} - Document ID of the submission
  */
 export const submitExam = async (
   examId,
   studentId,
   answers,
-  gradingResults
+  gradingResults,
+  options = {}
 ) => {
   try {
     console.log("[examService] ========== SUBMITTING TO FIREBASE ==========");
@@ -414,14 +662,33 @@ export const submitExam = async (
       });
     }
 
+    // The attempt ID is the document ID, so resubmitting an attempt can't create a duplicate
+    const attemptId = options.attemptId || createAttemptId();
+    const submissionRef = doc(db, EXAM_SUBMISSIONS_COLLECTION, attemptId);
+
+    const existing = await getDoc(submissionRef);
+    if (existing.exists()) {
+      console.log(
+        "[examService] Attempt already submitted, keeping existing submission:",
+        attemptId
+      );
+      return attemptId;
+    }
+
     const exam = await getExam(examId);
 
     const submissionDoc = {
+      attemptId,
       examId,
       examTitle: exam.title || "Untitled Exam",
       examSubject: exam.subject || "General",
       studentId,
       answers: answers || [],
+      flaggedQuestions: options.flaggedQuestionIds || [],
+      // The questions this student got, in order (draws and shuffles differ per student)
+      ...(options.questionIds ? { questionIds: options.questionIds } : {}),
+      // The version the student took; later edits to the exam create new versions
+      examVersion: options.examVersion ?? getExamVersionNumber(exam),
       gradingResults: gradingResults || {},
       overallScore: gradingResults?.summary?.overallScore || 0,
       multipleChoiceScore: gradingResults?.summary?.multipleChoiceScore || 0,
@@ -431,8 +698,8 @@ export const submitExam = async (
         gradingResults?.summary?.pendingManualGrading > 0
           ? "pending"
           : "graded",
-      // 'pending' = has written questions awaiting manual grading
-      // 'graded' = fully graded (only multiple choice)
+      // 'pending' = has written answers awaiting examiner review
+      // 'graded' = fully graded (multiple choice only, or reviewed by the examiner)
     };
 
     console.log("[examService] Submission document to save:", {
@@ -444,17 +711,28 @@ export const submitExam = async (
       overallScore: submissionDoc.overallScore,
     });
 
-    const docRef = await addDoc(
-      collection(db, EXAM_SUBMISSIONS_COLLECTION),
-      submissionDoc
+    await setDoc(submissionRef, submissionDoc);
+
+    // Close the attempt record (merge in case the attempt started offline)
+    await setDoc(
+      doc(db, EXAM_ATTEMPTS_COLLECTION, attemptId),
+      {
+        attemptId,
+        examId,
+        studentId,
+        status: "submitted",
+        submittedAt: serverTimestamp(),
+      },
+      { merge: true }
     );
+
     console.log(
       "[examService] Exam submitted successfully to Firebase with ID:",
-      docRef.id
+      attemptId
     );
     console.log("[examService] ===========================================");
 
-    return docRef.id;
+    return attemptId;
   } catch (error) {
     console.error("[examService] Error submitting exam:", error);
     console.error("[examService] Error details:", {
@@ -543,6 +821,290 @@ export const getExamSubmissions = async (examId) => {
   }
 };
 
+/**
+ * Save an examiner's marks and feedback for the written answers of a submission
+ * Recomputes the scores; the submission moves to "graded" once nothing is left to review
+ * @param {string} submissionId - Document ID of the submission
+ * @param {Object} manualGrades - Map of questionId to { score, feedback }, score from 0 to 1
+ * @param {string} examinerId - UID of the examiner
+ * @returns {Promise<Object>} - Updated submission fields
+ */
+export const saveManualGrades = async (
+  submissionId,
+  manualGrades,
+  examinerId
+) => {
+  try {
+    const submission = await getSubmission(submissionId);
+    // Submissions graded before grade schemes existed use the exam's current scheme
+    const gradeScheme =
+      submission.gradingResults?.gradeScheme ??
+      (await resolveGradeScheme(await getExam(submission.examId)));
+    const gradingResults = applyManualGrades(
+      { ...submission.gradingResults, gradeScheme },
+      manualGrades
+    );
+    const summary = gradingResults.summary;
+
+    const updates = {
+      gradingResults,
+      overallScore: summary.overallScore,
+      multipleChoiceScore: summary.multipleChoiceScore,
+      writtenScore: summary.writtenQuestions > 0 ? summary.writtenScore : null,
+      status: summary.pendingManualGrading > 0 ? "pending" : "graded",
+      gradedBy: examinerId,
+      gradedAt: serverTimestamp(),
+    };
+
+    await updateDoc(
+      doc(db, EXAM_SUBMISSIONS_COLLECTION, submissionId),
+      updates
+    );
+    console.log(
+      "[examService] Manual grades saved:",
+      submissionId,
+      updates.status
+    );
+    return updates;
+  } catch (error) {
+    console.error("[examService] Error saving manual grades:", error);
+    throw error;
+  }
+};
+
+/**
+ * Regrade a submission against a later version of its exam
+ * The student keeps the questions they were given, with the corrected answer key;
+ * questions removed since are dropped and an examiner's marks for written answers stand
+ * @param {Object} submission - Submission with answers and gradingResults
+ * @param {Object} fromExam - Exam at the version the submission was graded against
+ * @param {Object} toExam - Exam at the version to regrade against
+ * @param {Object|null} gradeScheme - Grade scheme for the letter grade
+ * @returns {Object} - { gradingResults, questionIds }
+ */
+const regradeAgainstVersion = (submission, fromExam, toExam, gradeScheme) => {
+  const taken = getSubmissionQuestions(fromExam, submission.questionIds);
+  const corrected = getSubmissionQuestions(
+    toExam,
+    taken.map((q) => q.id)
+  );
+
+  const writtenIds = new Set(
+    corrected
+      .filter((q) => getQuestionTypeId(q.type) === "written")
+      .map((q) => q.id)
+  );
+  const manualGrades = {};
+  (submission.gradingResults?.gradedQuestions || []).forEach((graded) => {
+    if (graded.manuallyGraded && writtenIds.has(graded.questionId)) {
+      manualGrades[graded.questionId] = {
+        score: graded.score,
+        feedback: graded.feedback,
+      };
+    }
+  });
+
+  return {
+    gradingResults: applyManualGrades(
+      gradeExam(
+        corrected.map(toExamQuestion),
+        submission.answers || [],
+        gradeScheme,
+        toExam.sections
+      ),
+      manualGrades
+    ),
+    questionIds: corrected.map((q) => q.id),
+  };
+};
+
+/**
+ * Work out what regrading an exam's submissions with its current answer key would change
+ * Nothing is saved; pass the preview to applyRegrade
+ * @param {string} examId - Document ID of the exam
+ * @param {Object} options - Optional { fromVersion } to regrade only the submissions made against that version
+ * @returns {Promise<Object>} - { examId, examTitle, examVersion, results }
+ *   results: [{ submissionId, studentId, fromVersion, before, after, changed, gradingResults, questionIds }]
+ */
+export const previewRegrade = async (examId, options = {}) => {
+  try {
+    const [exam, submissions] = await Promise.all([
+      getExam(examId),
+      getExamSubmissions(examId),
+    ]);
+    const examVersion = getExamVersionNumber(exam);
+    // Submissions graded before grade schemes existed use the exam's current scheme
+    const currentScheme = await resolveGradeScheme(exam);
+    const versions = new Map([[examVersion, exam]]);
+
+    const results = [];
+    for (const submission of submissions) {
+      const fromVersion = submission.examVersion || 1;
+      if (options.fromVersion && fromVersion !== options.fromVersion) continue;
+      if (!versions.has(fromVersion)) {
+        versions.set(fromVersion, await getExamAtVersion(examId, fromVersion));
+      }
+
+      const { gradingResults, questionIds } = regradeAgainstVersion(
+        submission,
+        versions.get(fromVersion),
+        exam,
+        submission.gradingResults?.gradeScheme ?? currentScheme
+      );
+      const before = getScoreSnapshot(submission.gradingResults);
+      const after = getScoreSnapshot(gradingResults);
+      results.push({
+        submissionId: submission.id,
+        studentId: submission.studentId,
+        fromVersion,
+        before,
+        after,
+        changed: isScoreChanged(before, after),
+        gradingResults,
+        questionIds,
+      });
+    }
+
+    return {
+      examId,
+      examTitle: exam.title || "Untitled Exam",
+      examVersion,
+      results,
+    };
+  } catch (error) {
+    console.error("[examService] Error previewing regrade:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save writes in batches of at most BATCH_WRITE_LIMIT
+ * @param {Array<Function>} writes - Functions that add one write to a batch
+ * @returns {Promise<void>}
+ */
+const commitWrites = async (writes) => {
+  for (let i = 0; i < writes.length; i += BATCH_WRITE_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_WRITE_LIMIT).forEach((write) => write(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Save a regrade worked out by previewRegrade
+ * Updates the submissions whose results change or that move to the current version,
+ * notifies the students whose score or grade changed, then writes an audit entry
+ * @param {Object} preview - Result of previewRegrade
+ * @param {string} examinerId - UID of the examiner
+ * @param {string} reason - What was corrected; kept in the audit and shown to students
+ * @returns {Promise<Object>} - { auditId, regraded, notified }
+ */
+export const applyRegrade = async (preview, examinerId, reason = "") => {
+  try {
+    const regraded = preview.results.filter(
+      (result) => result.changed || result.fromVersion !== preview.examVersion
+    );
+    const changed = preview.results.filter((result) => result.changed);
+    if (regraded.length === 0) {
+      return { auditId: null, regraded: 0, notified: 0 };
+    }
+
+    const auditRef = doc(collection(db, REGRADE_AUDITS_COLLECTION));
+    const writes = [
+      ...regraded.map((result) => (batch) => {
+        const summary = result.gradingResults.summary;
+        batch.update(doc(db, EXAM_SUBMISSIONS_COLLECTION, result.submissionId), {
+          gradingResults: result.gradingResults,
+          questionIds: result.questionIds,
+          overallScore: summary.overallScore,
+          multipleChoiceScore: summary.multipleChoiceScore,
+          writtenScore: summary.writtenQuestions > 0 ? summary.writtenScore : null,
+          status: summary.pendingManualGrading > 0 ? "pending" : "graded",
+          examVersion: preview.examVersion,
+          regradedFromVersion: result.fromVersion,
+          regradeAuditId: auditRef.id,
+          regradedBy: examinerId,
+          regradedAt: serverTimestamp(),
+        });
+      }),
+      ...changed.map((result) => (batch) =>
+        addNotificationToBatch(batch, {
+          studentId: result.studentId,
+          type: "regrade",
+          examId: preview.examId,
+          examTitle: preview.examTitle,
+          submissionId: result.submissionId,
+          before: result.before,
+          after: result.after,
+          reason: reason.trim(),
+        })
+      ),
+      // Last, so a regrade that fails part way never has an audit claiming it finished
+      (batch) =>
+        batch.set(auditRef, {
+          examId: preview.examId,
+          examTitle: preview.examTitle,
+          examVersion: preview.examVersion,
+          examinerId,
+          reason: reason.trim(),
+          submissionCount: preview.results.length,
+          regradedCount: regraded.length,
+          changedCount: changed.length,
+          changes: changed.map(
+            ({ submissionId, studentId, fromVersion, before, after }) => ({
+              submissionId,
+              studentId,
+              fromVersion,
+              before,
+              after,
+            })
+          ),
+          createdAt: serverTimestamp(),
+        }),
+    ];
+    await commitWrites(writes);
+
+    console.log("[examService] Regrade saved:", auditRef.id, {
+      regraded: regraded.length,
+      changed: changed.length,
+    });
+    return {
+      auditId: auditRef.id,
+      regraded: regraded.length,
+      notified: changed.length,
+    };
+  } catch (error) {
+    console.error("[examService] Error saving regrade:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the regrade audit entries for an exam
+ * @param {string} examId - Document ID of the exam
+ * @returns {Promise<Array>} - Audit entries with id, newest first
+ */
+export const getRegradeAudits = async (examId) => {
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collection(db, REGRADE_AUDITS_COLLECTION),
+        where("examId", "==", examId)
+      )
+    );
+    // Sort in memory to avoid needing a composite index
+    return querySnapshot.docs
+      .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+      .sort(
+        (a, b) =>
+          (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0)
+      );
+  } catch (error) {
+    console.error("[examService] Error getting regrade audits:", error);
+    throw error;
+  }
+};
+
 /**
  * Get all submissions by a specific student
  * @param {string} studentId - UID of the student
@@ -669,39 +1231,285 @@ export const getLatestSubmission = async (examId, studentId) => {
 // ATTEMPT LIMITS (for blind users with voice feedback)
 // ============================================
 
+/**
+ * Convert an attempt document to a plain object with millisecond times
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} - Attempt with id, startedAt and deadline in ms
+ */
+const toAttempt = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    startedAt: data.startedAt?.toMillis ? data.startedAt.toMillis() : null,
+    deadline: data.deadline?.toMillis ? data.deadline.toMillis() : null,
+  };
+};
+
+/**
+ * Record attempts whose deadline has passed without a submission as abandoned
+ * Failures are only logged; the attempt is still treated as abandoned
+ * @param {Object} attempt - Attempt from toAttempt
+ * @returns {Promise<Object>} - The attempt, abandoned if its time has run out
+ */
+const expireAttempt = async (attempt) => {
+  if (attempt.status !== "started" || !attempt.deadline || attempt.deadline > Date.now()) {
+    return attempt;
+  }
+  try {
+    await abandonExamAttempt(attempt.id);
+  } catch (error) {
+    console.warn("[examService] Could not record expired attempt:", attempt.id);
+  }
+  return { ...attempt, status: "abandoned" };
+};
+
+/**
+ * Get all attempt records for a student on an exam
+ * Attempts that ran out of time are recorded as abandoned here, so they stop counting as in progress
+ * @param {string} examId - Document ID of the exam
+ * @param {string} studentId - UID of the student
+ * @returns {Promise<Array>} - Attempts, newest first
+ */
+export const getStudentAttempts = async (examId, studentId) => {
+  const q = query(
+    collection(db, EXAM_ATTEMPTS_COLLECTION),
+    where("examId", "==", examId),
+    where("studentId", "==", studentId)
+  );
+  const querySnapshot = await getDocs(q);
+  const attempts = await Promise.all(querySnapshot.docs.map(toAttempt).map(expireAttempt));
+
+  // Sort in memory to avoid needing a composite index
+  return attempts.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+};
+
+/**
+ * The attempt in progress, or the abandoned one answers were saved for on this device
+ * @param {Array} attempts - Attempts from getStudentAttempts
+ * @param {string|null} savedAttemptId - Attempt the device has saved answers for
+ * @returns {Object|null} - Attempt, or null
+ */
+const findActiveAttempt = (attempts, savedAttemptId) =>
+  attempts.find((attempt) => attempt.status === "started") ||
+  attempts.find(
+    (attempt) => attempt.id === savedAttemptId && attempt.status === "abandoned"
+  ) ||
+  null;
+
+/**
+ * Get the attempt a student can go back to
+ * That is the attempt in progress, or the one answers were saved for on this device:
+ * those answers can still be submitted after its time has run out
+ * @param {string} examId - Document ID of the exam
+ * @param {string} studentId - UID of the student
+ * @param {string|null} savedAttemptId - Attempt the device has saved answers for
+ * @returns {Promise<Object|null>} - { id, status, startedAt, deadline, ... } or null
+ */
+export const getActiveAttempt = async (examId, studentId, savedAttemptId = null) =>
+  findActiveAttempt(await getStudentAttempts(examId, studentId), savedAttemptId);
+
+/**
+ * Record that a student has started an exam
+ * The deadline is fixed here so restarting the app can't reset the timer
+ * @param {string} attemptId - Client-generated attempt ID
+ * @param {string} examId - Document ID of the exam
+ * @param {string} studentId - UID of the student
+ * @param {number} durationMinutes - The exam's own duration
+ * @param {*} closesAt - Optional exam closing time; the exam's own time never runs past it
+ * @param {number} extraMinutes - Extra time from an accommodation, added after the closing time cap
+ *   so a student who starts close to closing still gets all of it
+ * @returns {Promise<Object>} - The new attempt with startedAt and deadline in ms
+ */
+export const startExamAttempt = async (
+  attemptId,
+  examId,
+  studentId,
+  durationMinutes,
+  closesAt = null,
+  extraMinutes = 0
+) => {
+  try {
+    const startedAt = Date.now();
+    const closingTime = toDate(closesAt);
+    const deadline =
+      Math.min(
+        startedAt + durationMinutes * 60 * 1000,
+        closingTime ? closingTime.getTime() : Infinity
+      ) +
+      extraMinutes * 60 * 1000;
+
+    await setDoc(doc(db, EXAM_ATTEMPTS_COLLECTION, attemptId), {
+      attemptId,
+      examId,
+      studentId,
+      status: "started",
+      startedAt: Timestamp.fromMillis(startedAt),
+      deadline: Timestamp.fromMillis(deadline),
+      createdAt: serverTimestamp(),
+    });
+
+    console.log("[examService] Attempt started:", attemptId);
+    return {
+      id: attemptId,
+      attemptId,
+      examId,
+      studentId,
+      status: "started",
+      startedAt,
+      deadline,
+    };
+  } catch (error) {
+    console.error("[examService] Error starting attempt:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an attempt as abandoned (its deadline passed without a submission)
+ * Answers saved on the device for it can still be submitted
+ * @param {string} attemptId - Attempt ID
+ * @returns {Promise<void>}
+ */
+export const abandonExamAttempt = async (attemptId) => {
+  try {
+    await updateDoc(doc(db, EXAM_ATTEMPTS_COLLECTION, attemptId), {
+      status: "abandoned",
+      abandonedAt: serverTimestamp(),
+    });
+    console.log("[examService] Attempt abandoned:", attemptId);
+  } catch (error) {
+    console.error("[examService] Error abandoning attempt:", error);
+    throw error;
+  }
+};
+
+/**
+ * Push an attempt's deadline back after a rest break
+ * @param {string} attemptId - Attempt ID
+ * @param {number} deadline - New deadline (ms)
+ * @param {number} breakSecondsUsed - Total break time taken so far in this attempt
+ * @returns {Promise<void>}
+ */
+export const extendAttemptDeadline = async (
+  attemptId,
+  deadline,
+  breakSecondsUsed
+) => {
+  try {
+    await updateDoc(doc(db, EXAM_ATTEMPTS_COLLECTION, attemptId), {
+      deadline: Timestamp.fromMillis(deadline),
+      breakSecondsUsed,
+    });
+    console.log("[examService] Attempt deadline extended:", attemptId);
+  } catch (error) {
+    console.error("[examService] Error extending attempt deadline:", error);
+    throw error;
+  }
+};
+
+/**
+ * Count attempts together with submissions made before attempts were recorded
+ * @param {string} examId - Document ID of the exam
+ * @param {string} studentId - UID of the student
+ * @param {Array} attempts - Attempts from getStudentAttempts
+ * @returns {Promise<number>} - Number of attempts used
+ */
+const countAttempts = async (examId, studentId, attempts) => {
+  const q = query(
+    collection(db, EXAM_SUBMISSIONS_COLLECTION),
+    where("examId", "==", examId),
+    where("studentId", "==", studentId)
+  );
+  const querySnapshot = await getDocs(q);
+
+  // Submission IDs match attempt IDs, so count the union
+  const attemptIds = new Set(attempts.map((attempt) => attempt.id));
+  querySnapshot.docs.forEach((docSnap) => attemptIds.add(docSnap.id));
+  return attemptIds.size;
+};
+
 /**
  * Get attempt count for a student on an exam
+ * Counts every started attempt, plus older submissions made before attempts were recorded
  * @param {string} examId - Document ID of the exam
  * @param {string} studentId - UID of the student
  * @returns {Promise<number>} - Number of attempts used
  */
 export const getAttemptCount = async (examId, studentId) => {
   try {
-    const q = query(
-      collection(db, EXAM_SUBMISSIONS_COLLECTION),
-      where("examId", "==", examId),
-      where("studentId", "==", studentId)
-    );
-    const querySnapshot = await getDocs(q);
-    return querySnapshot.size;
+    const attempts = await getStudentAttempts(examId, studentId);
+    return await countAttempts(examId, studentId, attempts);
   } catch (error) {
     console.error("[examService] Error getting attempt count:", error);
     return 0;
   }
 };
 
+/**
+ * Attempts used and the attempt a student can go back to, from one read of their attempts
+ * Same results as getAttemptCount and getActiveAttempt, without reading and expiring attempts twice
+ * @param {string} examId - Document ID of the exam
+ * @param {string} studentId - UID of the student
+ * @param {string|null} savedAttemptId - Attempt the device has saved answers for
+ * @returns {Promise<Object>} - { attemptsUsed, activeAttempt }
+ */
+export const getAttemptStatus = async (examId, studentId, savedAttemptId = null) => {
+  const attempts = await getStudentAttempts(examId, studentId);
+  return {
+    attemptsUsed: await countAttempts(examId, studentId, attempts),
+    activeAttempt: findActiveAttempt(attempts, savedAttemptId),
+  };
+};
+
 /**
  * Check if student can attempt exam
  * Returns eligibility info with voice-friendly message
  * @param {string} examId - Document ID of the exam
  * @param {string} studentId - UID of the student
- * @returns {Promise<Object>} - { canAttempt, attemptsUsed, maxAttempts, message }
+ * @param {string|null} savedAttemptId - Attempt the device has saved answers for
+ * @returns {Promise<Object>} - { canAttempt, attemptsUsed, maxAttempts, remaining, activeAttempt, message }
  */
-export const canAttemptExam = async (examId, studentId) => {
+export const canAttemptExam = async (examId, studentId, savedAttemptId = null) => {
   try {
     const exam = await getExam(examId);
-    const maxAttempts = exam.maxAttempts || 1; // Default: 1 attempt
-    const attemptsUsed = await getAttemptCount(examId, studentId);
+    const accommodation = await getStudentAccommodation(studentId);
+    // Default: 1 attempt, unless the student has an alternative limit
+    const maxAttempts = getAllowedAttempts(exam.maxAttempts, accommodation);
+    const { attemptsUsed, activeAttempt } = await getAttemptStatus(
+      examId,
+      studentId,
+      savedAttemptId
+    );
+
+    // An unfinished attempt can always be reopened: to continue it before the
+    // deadline, or to submit answers saved on the device after it
+    if (activeAttempt) {
+      return {
+        canAttempt: true,
+        attemptsUsed,
+        maxAttempts,
+        remaining: Math.max(maxAttempts - attemptsUsed, 0),
+        activeAttempt,
+        message:
+          activeAttempt.deadline > Date.now()
+            ? "You have an attempt in progress. You can continue it."
+            : "Your attempt in progress has run out of time. Opening the exam will submit any answers saved on this device.",
+      };
+    }
+
+    // Outside the availability window, e.g. "This exam opens on Tuesday at 9 AM."
+    const availabilityMessage = getAvailabilityMessage(exam);
+    if (availabilityMessage) {
+      return {
+        canAttempt: false,
+        attemptsUsed,
+        maxAttempts,
+        remaining: Math.max(maxAttempts - attemptsUsed, 0),
+        activeAttempt: null,
+        message: availabilityMessage,
+      };
+    }
 
     const canAttempt = attemptsUsed < maxAttempts;
     const remaining = maxAttempts - attemptsUsed;
@@ -729,6 +1537,7 @@ export const canAttemptExam = async (examId, studentId) => {
       attemptsUsed,
       maxAttempts,
       remaining: canAttempt ? remaining : 0,
+      activeAttempt: null,
       message,
     };
   } catch (error) {
@@ -750,43 +1559,83 @@ export const canAttemptExam = async (examId, studentId) => {
 /**
  * Shuffle array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number source (defaults to Math.random)
  * @returns {Array} - Shuffled array (new array, original unchanged)
  */
-const shuffleArray = (array) => {
+const shuffleArray = (array, random = Math.random) => {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 };
 
 /**
- * Get exam with randomized questions if enabled
- * @param {string} examId - Document ID of the exam
- * @returns {Promise<Object>} - Exam with potentially shuffled questions/options
+ * Questions a student gets: the exam's own questions plus any drawn from its question pool,
+ * shuffled if enabled
+ * With a seed the result is the same every time, so a student who reopens an attempt
+ * sees the same questions in the same order
+ * @param {Object} exam - Exam as stored in Firestore, with id
+ * @param {string} seed - Optional seed, e.g. the attempt ID so each retake gets a new draw
+ * @returns {Object} - Exam with its questions for this student
  */
-export const getExamWithRandomization = async (examId) => {
-  const exam = await getExam(examId);
-
-  if (!exam) return null;
+export const randomizeExam = (exam, seed = null) => {
+  const random = seed ? createSeededRandom(`${exam.id}:${seed}`) : Math.random;
 
-  let questions = [...(exam.questions || [])];
+  // Ids follow the stored order so answers still match their questions after shuffling
+  let questions = withQuestionIds(exam.questions);
   let wasShuffled = false;
 
-  // Shuffle questions if enabled
+  // Per-student draws go after the questions outside sections
+  if (exam.drawRules?.length) {
+    const { entries, shortfalls } = drawQuestions(
+      exam.questionPool || [],
+      exam.drawRules,
+      random
+    );
+    if (shortfalls.length > 0) {
+      console.warn("[examService] Question pool ran short:", shortfalls);
+    }
+    questions = orderQuestionsBySection(
+      [...questions, ...entries.map(toExamQuestionFromBank)],
+      exam.sections
+    );
+  }
+
+  // Shuffle questions if enabled, keeping each section's questions together
   if (exam.shuffleQuestions) {
-    questions = shuffleArray(questions);
+    const groupIds = [...new Set(questions.map((q) => q.sectionId || null))];
+    questions = groupIds.flatMap((sectionId) =>
+      shuffleArray(
+        questions.filter((q) => (q.sectionId || null) === sectionId),
+        random
+      )
+    );
     wasShuffled = true;
   }
 
-  // Shuffle MCQ options if enabled
+  // Shuffle MCQ options if enabled (True / False keeps its order)
   if (exam.shuffleOptions) {
     questions = questions.map((q) => {
-      if (
-        (q.type === "Multiple Choice" || q.type === "multiple-choice") &&
-        q.options
-      ) {
+      const typeId = getQuestionTypeId(q.type);
+      if (typeId === "multiple-select" && q.options) {
+        const correctAnswers = (q.correctIndexes || []).map(
+          (index) => q.options[index]
+        );
+        const shuffledOptions = shuffleArray([...q.options], random);
+
+        return {
+          ...q,
+          options: shuffledOptions,
+          correctIndexes: correctAnswers
+            .map((answer) => shuffledOptions.indexOf(answer))
+            .sort((a, b) => a - b),
+          correctAnswers, // Keep for grading
+        };
+      }
+
+      if (typeId === "multiple-choice" && q.options) {
         // Get the correct answer text before shuffling
         const correctAnswer =
           q.correctIndex !== undefined
@@ -794,7 +1643,7 @@ export const getExamWithRandomization = async (examId) => {
             : q.correctAnswer;
 
         // Shuffle options
-        const shuffledOptions = shuffleArray([...q.options]);
+        const shuffledOptions = shuffleArray([...q.options], random);
 
         // Find new correct index after shuffle
         const newCorrectIndex = shuffledOptions.indexOf(correctAnswer);
@@ -817,3 +1666,36 @@ export const getExamWithRandomization = async (examId) => {
     wasShuffled, // Flag for voice announcement
   };
 };
+
+/**
+ * The questions a student was given, from the ids stored with their submission
+ * @param {Object} exam - Exam as stored in Firestore
+ * @param {Array<string>} questionIds - Submission questionIds; submissions without them used the exam's questions
+ * @returns {Array} - Stored questions with ids, in the order the student saw them
+ */
+export const getSubmissionQuestions = (exam, questionIds) => {
+  const examQuestions = withQuestionIds(exam?.questions);
+  if (!Array.isArray(questionIds)) return examQuestions;
+
+  const byId = new Map(
+    [
+      ...examQuestions,
+      ...(exam.questionPool || []).map(toExamQuestionFromBank),
+    ].map((q) => [q.id, q])
+  );
+  return questionIds.map((id) => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Get exam with randomized questions if enabled
+ * @param {string} examId - Document ID of the exam
+ * @param {string} seed - Optional seed for a repeatable draw and order, e.g. the attempt ID
+ * @returns {Promise<Object>} - Exam with potentially drawn and shuffled questions/options
+ */
+export const getExamWithRandomization = async (examId, seed = null) => {
+  const exam = await getExam(examId);
+
+  if (!exam) return null;
+
+  return randomizeExam(exam, seed);
+};
@@ -0,0 +1,79 @@
+/**
+ * Notification Service
+ * Messages for students about changes to their results, shown the next time
+ * they open the home screen
+ */
+
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+/**
+ * Add a notification to a write batch, so it's saved together with the change it describes
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} notification - { studentId, type, ... }
+ * @returns {void}
+ */
+export const addNotificationToBatch = (batch, notification) => {
+  batch.set(doc(collection(db, NOTIFICATIONS_COLLECTION)), {
+    ...notification,
+    read: false,
+    createdAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Get a student's unread notifications
+ * @param {string} studentId - UID of the student
+ * @returns {Promise<Array>} - Notifications with id, oldest first
+ */
+export const getUnreadNotifications = async (studentId) => {
+  try {
+    const notificationsQuery = query(
+      collection(db, NOTIFICATIONS_COLLECTION),
+      where('studentId', '==', studentId),
+      where('read', '==', false)
+    );
+    const querySnapshot = await getDocs(notificationsQuery);
+
+    // Sort in memory to avoid needing a composite index
+    return querySnapshot.docs
+      .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+      .sort(
+        (a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0)
+      );
+  } catch (error) {
+    console.error('[Notifications] Error getting notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark notifications as read
+ * @param {Array<string>} notificationIds - Notification IDs
+ * @returns {Promise<void>}
+ */
+export const markNotificationsRead = async (notificationIds) => {
+  try {
+    const batch = writeBatch(db);
+    notificationIds.forEach((notificationId) => {
+      batch.update(doc(db, NOTIFICATIONS_COLLECTION, notificationId), {
+        read: true,
+        readAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  } catch (error) {
+    console.error('[Notifications] Error marking notifications read:', error);
+    throw error;
+  }
+};
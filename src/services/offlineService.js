@@ -10,6 +10,14 @@ const CACHED_EXAMS_KEY = 'cached_exams';
 const PENDING_SUBMISSIONS_KEY = 'pending_submissions';
 const OFFLINE_ANSWERS_KEY = 'offline_answers_';
 
+// How long to wait for Firestore before treating a submission as offline
+const SUBMIT_TIMEOUT_MS = 20000;
+
+// Firestore error codes that mean the server could not be reached
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'timeout'];
+
+let isSyncing = false;
+
 /**
  * Check network status by trying to reach a reliable endpoint
  * @param {boolean} announce - Whether to announce status via TTS
@@ -100,13 +108,18 @@ export const getCachedExams = async () => {
  * @param {string} examId - Exam document ID
  * @param {Array} answers - Array of answer objects
  * @param {number} currentQuestionIndex - Current question index for resume
+ * @param {Object} state - Extra attempt state: { attemptId, flaggedQuestionIds, timeRemaining, studentId }
  */
-export const saveAnswersLocally = async (examId, answers, currentQuestionIndex = 0) => {
+export const saveAnswersLocally = async (examId, answers, currentQuestionIndex = 0, state = {}) => {
   try {
     const key = OFFLINE_ANSWERS_KEY + examId;
     await AsyncStorage.setItem(key, JSON.stringify({
       answers,
       currentQuestionIndex,
+      attemptId: state.attemptId || null,
+      flaggedQuestionIds: state.flaggedQuestionIds || [],
+      timeRemaining: state.timeRemaining ?? null,
+      studentId: state.studentId || null,
       savedAt: new Date().toISOString(),
     }));
     console.log('[Offline] Auto-saved', answers.length, 'answers at question', currentQuestionIndex + 1);
@@ -118,7 +131,7 @@ export const saveAnswersLocally = async (examId, answers, currentQuestionIndex =
 /**
  * Get locally saved answers (for resume)
  * @param {string} examId - Exam document ID
- * @returns {Promise<Object|null>} - { answers, currentQuestionIndex, savedAt } or null
+ * @returns {Promise<Object|null>} - { answers, currentQuestionIndex, attemptId, flaggedQuestionIds, timeRemaining, studentId, savedAt } or null
  */
 export const getLocalAnswers = async (examId) => {
   try {
@@ -154,22 +167,28 @@ export const clearLocalAnswers = async (examId) => {
  * @param {string} studentId - Student UID
  * @param {Array} answers - Array of answer objects
  * @param {Object} gradingResults - Grading results
+ * @param {Object} options - Extra submission options passed on to submitExam when syncing, including attemptId
  * @returns {Promise<boolean>} - True if queued successfully
  */
-export const queueSubmission = async (examId, studentId, answers, gradingResults) => {
+export const queueSubmission = async (examId, studentId, answers, gradingResults, options = {}) => {
   try {
     const pending = await getPendingSubmissions();
+    const attemptId = options.attemptId || null;
+
+    // Same attempt = same submission (older queue entries have no attempt ID)
+    const isSameAttempt = (p) =>
+      attemptId
+        ? p.attemptId === attemptId
+        : !p.attemptId && p.examId === examId && p.studentId === studentId;
     
     // Check if already queued (prevent duplicates)
-    const alreadyQueued = pending.some(
-      (p) => p.examId === examId && p.studentId === studentId
-    );
+    const alreadyQueued = pending.some(isSameAttempt);
     
     if (alreadyQueued) {
       // Update existing queued submission
       const updated = pending.map((p) => {
-        if (p.examId === examId && p.studentId === studentId) {
-          return { ...p, answers, gradingResults, queuedAt: new Date().toISOString() };
+        if (isSameAttempt(p)) {
+          return { ...p, answers, gradingResults, options, queuedAt: new Date().toISOString() };
         }
         return p;
       });
@@ -177,10 +196,12 @@ export const queueSubmission = async (examId, studentId, answers, gradingResults
     } else {
       // Add new queued submission
       pending.push({
+        attemptId,
         examId,
         studentId,
         answers,
         gradingResults,
+        options,
         queuedAt: new Date().toISOString(),
       });
       await AsyncStorage.setItem(PENDING_SUBMISSIONS_KEY, JSON.stringify(pending));
@@ -222,6 +243,20 @@ export const getPendingSubmissionCount = async () => {
  * @returns {Promise<{ synced: number, failed: number }>}
  */
 export const syncPendingSubmissions = async (submitFunction) => {
+  // A reconnect and a HomePage load can both trigger a sync
+  if (isSyncing) {
+    return { synced: 0, failed: 0 };
+  }
+  isSyncing = true;
+
+  try {
+    return await syncQueue(submitFunction);
+  } finally {
+    isSyncing = false;
+  }
+};
+
+const syncQueue = async (submitFunction) => {
   const pending = await getPendingSubmissions();
   
   if (pending.length === 0) {
@@ -233,11 +268,14 @@ export const syncPendingSubmissions = async (submitFunction) => {
   
   for (const submission of pending) {
     try {
-      await submitFunction(
-        submission.examId,
-        submission.studentId,
-        submission.answers,
-        submission.gradingResults
+      await withTimeout(
+        submitFunction(
+          submission.examId,
+          submission.studentId,
+          submission.answers,
+          submission.gradingResults,
+          submission.options || {}
+        )
       );
       synced++;
       
@@ -249,12 +287,99 @@ export const syncPendingSubmissions = async (submitFunction) => {
     }
   }
   
-  // Save only failed ones back
-  await AsyncStorage.setItem(PENDING_SUBMISSIONS_KEY, JSON.stringify(failed));
+  // Save only failed ones back, keeping anything queued while syncing
+  const queuedDuringSync = (await getPendingSubmissions()).filter(
+    (p) =>
+      !pending.some(
+        (s) =>
+          s.queuedAt === p.queuedAt &&
+          s.examId === p.examId &&
+          s.attemptId === p.attemptId
+      )
+  );
+  await AsyncStorage.setItem(
+    PENDING_SUBMISSIONS_KEY,
+    JSON.stringify([...failed, ...queuedDuringSync])
+  );
   
   return { synced, failed: failed.length };
 };
 
+/**
+ * Check whether an error means Firestore could not be reached
+ * @param {Error} error - Error thrown by a Firestore call
+ * @returns {boolean} - True for network errors
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+  return /offline|network/i.test(error.message || '');
+};
+
+/**
+ * Reject if a Firestore write hasn't finished in time
+ * Firestore keeps offline writes pending instead of failing them
+ * @param {Promise} promise - The pending write
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} - Resolves with the write result
+ */
+const withTimeout = (promise, ms = SUBMIT_TIMEOUT_MS) => {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new Error('Submission timed out');
+      error.code = 'timeout';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+};
+
+/**
+ * Submit an exam, or queue it on the device when Firestore can't be reached
+ * @param {Function} submitFunction - The submitExam function from examService
+ * @param {string} examId - Exam document ID
+ * @param {string} studentId - Student UID
+ * @param {Array} answers - Array of answer objects
+ * @param {Object} gradingResults - Grading results
+ * @param {Object} options - Extra submission options
+ * @returns {Promise<{ submissionId: string|null, queued: boolean }>}
+ */
+export const submitOrQueue = async (
+  submitFunction,
+  examId,
+  studentId,
+  answers,
+  gradingResults,
+  options = {}
+) => {
+  const online = await checkNetworkStatus(false);
+
+  if (online) {
+    try {
+      const submissionId = await withTimeout(
+        submitFunction(examId, studentId, answers, gradingResults, options)
+      );
+      return { submissionId, queued: false };
+    } catch (error) {
+      // Anything other than a connection problem is a real failure
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      console.log('[Offline] Submission failed with a network error:', error.message);
+    }
+  }
+
+  const queued = await queueSubmission(examId, studentId, answers, gradingResults, options);
+  if (!queued) {
+    throw new Error('Could not save the submission on this device');
+  }
+
+  console.log('[Offline] Submission queued for exam:', examId);
+  return { submissionId: null, queued: true };
+};
+
 /**
  * Clear all offline data (for logout)
  */
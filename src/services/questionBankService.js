@@ -0,0 +1,138 @@
+/**
+ * Question Bank Service
+ * Each examiner's reusable questions, tagged by subject, topic and difficulty
+ */
+
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { createBankEntry, validateBankDetails } from '../utils/questionBank';
+
+const QUESTION_BANK_COLLECTION = 'questionBank';
+
+/**
+ * Convert a bank document to a plain object with millisecond times
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} - Entry with id and updatedAt in ms
+ */
+const toBankEntry = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    tags: data.tags || [],
+    createdAt: data.createdAt?.toMillis ? data.createdAt.toMillis() : null,
+    updatedAt: data.updatedAt?.toMillis ? data.updatedAt.toMillis() : null,
+  };
+};
+
+/**
+ * Save questions to an examiner's bank with the same tags
+ * @param {Array} questions - Stored exam questions
+ * @param {Object} details - { subject, topic, difficulty, tags }
+ * @param {string} examinerId - UID of the examiner
+ * @returns {Promise<Array<string>>} - Ids of the new bank entries
+ */
+export const addToQuestionBank = async (questions, details, examinerId) => {
+  try {
+    const detailsError = validateBankDetails(details);
+    if (detailsError) {
+      throw new Error(detailsError);
+    }
+
+    const batch = writeBatch(db);
+    const ids = questions.map((question) => {
+      const entryRef = doc(collection(db, QUESTION_BANK_COLLECTION));
+      batch.set(entryRef, {
+        ...createBankEntry(question, details),
+        examinerId,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      return entryRef.id;
+    });
+    await batch.commit();
+
+    console.log('[QuestionBank] Added questions:', ids.length);
+    return ids;
+  } catch (error) {
+    console.error('[QuestionBank] Error adding questions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an examiner's question bank
+ * @param {string} examinerId - UID of the examiner
+ * @returns {Promise<Array>} - Entries { id, question, subject, topic, difficulty, tags }, most recently updated first
+ */
+export const getQuestionBank = async (examinerId) => {
+  try {
+    const bankQuery = query(
+      collection(db, QUESTION_BANK_COLLECTION),
+      where('examinerId', '==', examinerId)
+    );
+    const querySnapshot = await getDocs(bankQuery);
+
+    // Sort in memory to avoid needing a composite index
+    return querySnapshot.docs
+      .map(toBankEntry)
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  } catch (error) {
+    console.error('[QuestionBank] Error getting question bank:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change a bank question's tags
+ * @param {string} entryId - Bank entry ID
+ * @param {Object} details - { subject, topic, difficulty, tags }
+ * @returns {Promise<void>}
+ */
+export const updateBankQuestionDetails = async (entryId, details) => {
+  try {
+    const detailsError = validateBankDetails(details);
+    if (detailsError) {
+      throw new Error(detailsError);
+    }
+
+    const { subject, topic, difficulty, tags } = createBankEntry({}, details);
+    await updateDoc(doc(db, QUESTION_BANK_COLLECTION, entryId), {
+      subject,
+      topic,
+      difficulty,
+      tags,
+      updatedAt: serverTimestamp(),
+    });
+    console.log('[QuestionBank] Updated question:', entryId);
+  } catch (error) {
+    console.error('[QuestionBank] Error updating question:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a question from the bank
+ * Exams that already use it keep their own copy
+ * @param {string} entryId - Bank entry ID
+ * @returns {Promise<void>}
+ */
+export const deleteBankQuestion = async (entryId) => {
+  try {
+    await deleteDoc(doc(db, QUESTION_BANK_COLLECTION, entryId));
+    console.log('[QuestionBank] Deleted question:', entryId);
+  } catch (error) {
+    console.error('[QuestionBank] Error deleting question:', error);
+    throw error;
+  }
+};
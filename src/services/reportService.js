@@ -0,0 +1,103 @@
+/**
+ * Report Service
+ * Saves report HTML as a PDF or web page, and exported data (research CSV or JSON,
+ * exam packages), then opens the share sheet so students and examiners can keep, print or send them
+ */
+
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
+
+export const REPORT_FORMATS = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf', UTI: 'com.adobe.pdf' },
+  html: { extension: 'html', mimeType: 'text/html', UTI: 'public.html' },
+  csv: { extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  json: { extension: 'json', mimeType: 'application/json', UTI: 'public.json' },
+};
+
+/**
+ * Create an empty file in the cache, replacing any earlier one
+ * @param {string} fileName - File name without extension
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {File}
+ */
+const cacheFile = (fileName, format) => {
+  const file = new File(Paths.cache, `${fileName}.${REPORT_FORMATS[format].extension}`);
+  if (file.exists) file.delete();
+  return file;
+};
+
+/**
+ * Open the share sheet for a saved file
+ * @param {File} file - Saved file
+ * @param {string} format - Key of REPORT_FORMATS
+ * @param {string} title - Share dialog title
+ * @returns {Promise<Object>} - { uri, shared } - shared is false when sharing isn't available on the device
+ */
+const shareFile = async (file, format, title) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    return { uri: file.uri, shared: false };
+  }
+  await Sharing.shareAsync(file.uri, {
+    mimeType: REPORT_FORMATS[format].mimeType,
+    UTI: REPORT_FORMATS[format].UTI,
+    dialogTitle: title,
+  });
+  return { uri: file.uri, shared: true };
+};
+
+/**
+ * Save a report to the cache
+ * @param {string} html - Report HTML
+ * @param {string} fileName - File name without extension
+ * @param {string} format - 'pdf' or 'html'
+ * @returns {Promise<File>} - Saved file
+ */
+const saveReport = async (html, fileName, format) => {
+  const file = cacheFile(fileName, format);
+
+  if (format === 'pdf') {
+    // Printed to a generated name; move it so the shared file has a readable one
+    const { uri } = await Print.printToFileAsync({ html });
+    new File(uri).move(file);
+  } else {
+    file.create();
+    file.write(html);
+  }
+  return file;
+};
+
+/**
+ * Save a report and open the share sheet
+ * @param {Object} report - { html, fileName, title }
+ * @param {string} format - 'pdf' or 'html'
+ * @returns {Promise<Object>} - { uri, shared } - shared is false when sharing isn't available on the device
+ */
+export const shareReport = async ({ html, fileName, title }, format = 'pdf') => {
+  try {
+    const file = await saveReport(html, fileName, format);
+    return await shareFile(file, format, title);
+  } catch (error) {
+    console.error('[Reports] Error sharing report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save exported data and open the share sheet
+ * Used for research data and exam packages
+ * @param {Object} data - { content, fileName, title } - content is the CSV or JSON text
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object>} - { uri, shared }
+ */
+export const shareDataExport = async ({ content, fileName, title }, format = 'csv') => {
+  try {
+    const file = cacheFile(fileName, format);
+    file.create();
+    file.write(content);
+    return await shareFile(file, format, title);
+  } catch (error) {
+    console.error('[Reports] Error sharing data export:', error);
+    throw error;
+  }
+};
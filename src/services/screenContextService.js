@@ -6,7 +6,7 @@
 
 class ScreenContextService {
   constructor() {
-    this.currentScreenContext = null; // "HOME" | "EXAM" | null
+    this.currentScreenContext = null; // "HOME" | "EXAM" | "RESULTS" | null
     this.listeners = [];
   }
 
@@ -14,7 +14,7 @@ class ScreenContextService {
    * Set the current screen context
    */
   setContext(context) {
-    if (context !== 'HOME' && context !== 'EXAM' && context !== null) {
+    if (context !== 'HOME' && context !== 'EXAM' && context !== 'RESULTS' && context !== null) {
       console.warn('[ScreenContext] Invalid context:', context);
       return;
     }
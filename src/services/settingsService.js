@@ -0,0 +1,75 @@
+/**
+ * Settings Service
+ * School-wide settings shared by all examiners, such as the default grade scheme
+ */
+
+import { db } from '../config/firebase';
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { DEFAULT_GRADE_SCHEME, validateGradeScheme } from '../utils/gradeScheme';
+
+const SETTINGS_COLLECTION = 'settings';
+const SCHOOL_SETTINGS_ID = 'school';
+
+/**
+ * Get the school settings
+ * Falls back to the built-in defaults when nothing has been saved or the read fails
+ * @returns {Promise<Object>} - { defaultGradeScheme }
+ */
+export const getSchoolSettings = async () => {
+  try {
+    const docSnap = await getDoc(doc(db, SETTINGS_COLLECTION, SCHOOL_SETTINGS_ID));
+    const data = docSnap.exists() ? docSnap.data() : {};
+    return {
+      ...data,
+      defaultGradeScheme:
+        data.defaultGradeScheme && !validateGradeScheme(data.defaultGradeScheme)
+          ? data.defaultGradeScheme
+          : DEFAULT_GRADE_SCHEME,
+    };
+  } catch (error) {
+    console.error('[Settings] Error getting school settings:', error);
+    return { defaultGradeScheme: DEFAULT_GRADE_SCHEME };
+  }
+};
+
+/**
+ * Save the grade scheme used by exams that don't define their own
+ * @param {Object} scheme - Grade scheme
+ * @param {string} examinerId - UID of the examiner making the change
+ * @returns {Promise<void>}
+ */
+export const saveDefaultGradeScheme = async (scheme, examinerId) => {
+  const schemeError = validateGradeScheme(scheme);
+  if (schemeError) {
+    throw new Error(schemeError);
+  }
+
+  try {
+    await setDoc(
+      doc(db, SETTINGS_COLLECTION, SCHOOL_SETTINGS_ID),
+      {
+        defaultGradeScheme: scheme,
+        updatedBy: examinerId,
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    );
+    console.log('[Settings] Default grade scheme saved:', scheme.id);
+  } catch (error) {
+    console.error('[Settings] Error saving default grade scheme:', error);
+    throw error;
+  }
+};
+
+/**
+ * The grade scheme an exam is graded with: its own, or the school default
+ * @param {Object} exam - Exam with optional gradeScheme
+ * @returns {Promise<Object>} - Grade scheme
+ */
+export const resolveGradeScheme = async (exam) => {
+  if (exam?.gradeScheme && !validateGradeScheme(exam.gradeScheme)) {
+    return exam.gradeScheme;
+  }
+  const settings = await getSchoolSettings();
+  return settings.defaultGradeScheme;
+};
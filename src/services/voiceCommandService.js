@@ -0,0 +1,490 @@
+/**
+ * Voice Command Service
+ * Declarative voice command registry and grammar matcher
+ * Screens register their commands per screen context instead of string-matching transcripts
+ * Pure JavaScript - no React Native dependencies
+ */
+
+// Filler phrases removed from transcripts and patterns before matching
+const FILLER_PHRASES = [
+  'could you',
+  'can you',
+  'i want to',
+  'i would like to',
+  'i think',
+  'my answer is',
+  'the answer is',
+  'answer is',
+  'it is',
+  'please',
+  'okay',
+  'ok',
+  'um',
+  'uh',
+  'er',
+  'its',
+  'lets',
+  'the',
+];
+
+// Confidence multiplier by where the pattern sits in the transcript
+// End matches rank above start matches: the recognizer may pick up the tail of TTS output first
+const ANCHOR_WEIGHTS = {
+  full: 1,
+  end: 0.9,
+  start: 0.85,
+  middle: 0.7,
+};
+
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+const UNITS = {
+  zero: 0,
+  oh: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+};
+
+const TENS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+
+const ORDINALS = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10,
+  eleventh: 11,
+  twelfth: 12,
+  thirteenth: 13,
+  fourteenth: 14,
+  fifteenth: 15,
+  sixteenth: 16,
+  seventeenth: 17,
+  eighteenth: 18,
+  nineteenth: 19,
+  twentieth: 20,
+  thirtieth: 30,
+  fortieth: 40,
+  fiftieth: 50,
+};
+
+// Words the recognizer commonly returns instead of a spoken digit
+// Only used where a number slot is expected
+const NUMBER_HOMOPHONES = {
+  won: 1,
+  to: 2,
+  too: 2,
+  for: 4,
+  fore: 4,
+  ate: 8,
+};
+
+// Spoken forms of option letters A-H
+const LETTER_WORDS = {
+  a: 'A',
+  ay: 'A',
+  eh: 'A',
+  b: 'B',
+  be: 'B',
+  bee: 'B',
+  c: 'C',
+  see: 'C',
+  sea: 'C',
+  d: 'D',
+  dee: 'D',
+  e: 'E',
+  f: 'F',
+  ef: 'F',
+  eff: 'F',
+  g: 'G',
+  gee: 'G',
+  h: 'H',
+  aitch: 'H',
+};
+
+/**
+ * Normalize text for matching, keeping where each token came from
+ * Lowercases, strips punctuation and filler phrases
+ * @param {string} text - Raw transcript or pattern
+ * @returns {Array<Object>} - Tokens { token, start, end }, with start and end offsets into text
+ */
+const tokenizeWithSpans = (text) => {
+  const source = String(text || '');
+  let tokens = [];
+  for (const word of source.matchAll(/[\w{}:']+/g)) {
+    const lowered = word[0].toLowerCase().replace(/'/g, '');
+    // Keep {slot} markers from patterns, strip stray braces and colons otherwise
+    const token = /^\{\w+(:\w+)?\}$/.test(lowered)
+      ? lowered
+      : lowered.replace(/[{}:]/g, '');
+    if (token.length > 0) {
+      tokens.push({ token, start: word.index, end: word.index + word[0].length });
+    }
+  }
+
+  FILLER_PHRASES.forEach((filler) => {
+    const words = filler.split(' ');
+    const findFiller = () =>
+      tokens.findIndex((_, index) =>
+        words.every((word, offset) => tokens[index + offset]?.token === word)
+      );
+    for (let index = findFiller(); index >= 0; index = findFiller()) {
+      tokens = [...tokens.slice(0, index), ...tokens.slice(index + words.length)];
+    }
+  });
+
+  return tokens;
+};
+
+/**
+ * Normalize text for matching: lowercase, strip punctuation and filler phrases
+ * @param {string} text - Raw transcript or pattern
+ * @returns {Array<string>} - Array of tokens
+ */
+export const tokenize = (text) => tokenizeWithSpans(text).map(({ token }) => token);
+
+/**
+ * Parse a number from the start of a token list
+ * Supports digits ("12", "3rd"), number words ("twenty one"), ordinals ("third")
+ * and common recognizer homophones ("to", "for")
+ * @param {Array<string>} tokens - Tokens to read from
+ * @returns {Array<Object>} - Possible parses { value, length }, longest first
+ */
+export const parseNumber = (tokens) => {
+  const parses = [];
+  const first = tokens[0];
+  if (!first) return parses;
+
+  const digitMatch = first.match(/^(\d+)(st|nd|rd|th)?$/);
+  if (digitMatch) {
+    return [{ value: parseInt(digitMatch[1], 10), length: 1 }];
+  }
+
+  if (ORDINALS[first] !== undefined) {
+    return [{ value: ORDINALS[first], length: 1 }];
+  }
+
+  if (NUMBER_HOMOPHONES[first] !== undefined) {
+    return [{ value: NUMBER_HOMOPHONES[first], length: 1 }];
+  }
+
+  // "hundred" may follow a unit word: "one hundred", "one hundred and five"
+  let value = null;
+  let length = 0;
+
+  if (UNITS[first] !== undefined) {
+    value = UNITS[first];
+    length = 1;
+    if (tokens[1] === 'hundred') {
+      value *= 100;
+      length = 2;
+      parses.unshift({ value, length });
+      const rest = tokens[2] === 'and' ? tokens.slice(3) : tokens.slice(2);
+      const offset = tokens[2] === 'and' ? 3 : 2;
+      const remainder = parseNumber(rest).filter((p) => p.value < 100);
+      if (remainder.length > 0) {
+        parses.unshift({
+          value: value + remainder[0].value,
+          length: offset + remainder[0].length,
+        });
+      }
+      return parses;
+    }
+    return [{ value, length }];
+  }
+
+  if (TENS[first] !== undefined) {
+    value = TENS[first];
+    parses.unshift({ value, length: 1 });
+    const second = tokens[1];
+    if (second && UNITS[second] !== undefined && UNITS[second] < 10) {
+      parses.unshift({ value: value + UNITS[second], length: 2 });
+    } else if (second && ORDINALS[second] !== undefined && ORDINALS[second] < 10) {
+      parses.unshift({ value: value + ORDINALS[second], length: 2 });
+    }
+  }
+
+  return parses;
+};
+
+/**
+ * Convert a spoken number phrase to an integer
+ * @param {string} text - e.g. "twelve", "twenty one", "3"
+ * @returns {number|null} - Parsed number or null if the whole phrase is not a number
+ */
+export const wordsToNumber = (text) => {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter((t) => t.length > 0);
+
+  const parse = parseNumber(tokens).find((p) => p.length === tokens.length);
+  return parse ? parse.value : null;
+};
+
+/**
+ * Compile a phrase pattern into literal and slot elements
+ * "go to question {number}", "select {choice:letter}" or "select {choices:letters}"
+ * @param {string} phrase - Pattern string
+ * @returns {Array<Object>} - Elements { literal } or { slot, type }
+ */
+const compilePhrase = (phrase) => {
+  return tokenize(phrase).map((token) => {
+    const slotMatch = token.match(/^\{(\w+)(?::(\w+))?\}$/);
+    if (slotMatch) {
+      return { slot: slotMatch[1], type: slotMatch[2] || slotMatch[1] };
+    }
+    return { literal: token };
+  });
+};
+
+/**
+ * Find every way the compiled pattern matches tokens starting at a position
+ * Free text slots take the words as spoken, from the end of the word before them,
+ * so punctuation and filler words inside the answer are kept ("3.5", "the cell wall")
+ * @param {Array<Object>} elements - Compiled pattern
+ * @param {Object} source - { text, tokens, spans }: the raw transcript, its tokens and their spans
+ * @param {number} position - Index to start matching at
+ * @param {number|null} previousEnd - Offset in text where the last matched token ended, null before any
+ * @returns {Array<Object>} - Matches { end, slots }
+ */
+const matchAt = (elements, source, position, previousEnd = null) => {
+  if (elements.length === 0) {
+    return [{ end: position, slots: {} }];
+  }
+
+  const { tokens, spans } = source;
+  const [element, ...rest] = elements;
+  const results = [];
+
+  const continueWith = (length, slotValue) => {
+    const lastEnd = spans[position + length - 1].end;
+    matchAt(rest, source, position + length, lastEnd).forEach((match) => {
+      results.push({
+        end: match.end,
+        slots: element.slot
+          ? { ...match.slots, [element.slot]: slotValue }
+          : match.slots,
+      });
+    });
+  };
+
+  if (element.literal) {
+    if (tokens[position] === element.literal) {
+      continueWith(1);
+    }
+    return results;
+  }
+
+  if (element.type === 'number') {
+    parseNumber(tokens.slice(position)).forEach((parse) => {
+      continueWith(parse.length, parse.value);
+    });
+    return results;
+  }
+
+  if (element.type === 'letter') {
+    const letter = LETTER_WORDS[tokens[position]];
+    if (letter) {
+      continueWith(1, letter);
+    }
+    return results;
+  }
+
+  if (element.type === 'letters') {
+    // Two or more letters, optionally joined by "and": "A and C", "B D", "A C and E"
+    const letters = [];
+    let length = 0;
+    while (position + length < tokens.length) {
+      const token = tokens[position + length];
+      if (LETTER_WORDS[token]) {
+        letters.push(LETTER_WORDS[token]);
+        length++;
+        if (letters.length >= 2) {
+          continueWith(length, [...letters]);
+        }
+      } else if (token === 'and' && letters.length > 0) {
+        length++;
+      } else {
+        break;
+      }
+    }
+    return results;
+  }
+
+  if (element.type === 'text') {
+    // Free text takes as many tokens as possible, at least one
+    const from = previousEnd ?? spans[position].start;
+    for (let length = tokens.length - position; length >= 1; length--) {
+      const spoken = source.text.slice(from, spans[position + length - 1].end);
+      continueWith(length, spoken.replace(/^[\s,;:]+/, '').trim());
+    }
+    return results;
+  }
+
+  console.warn('[VoiceCommands] Unknown slot type:', element.type);
+  return results;
+};
+
+class VoiceCommandRegistry {
+  constructor() {
+    this.commandsByContext = {};
+    this.minConfidence = DEFAULT_MIN_CONFIDENCE;
+  }
+
+  /**
+   * Register commands for a screen context
+   * @param {string} context - Screen context, e.g. "HOME" or "EXAM"
+   * @param {Array<Object>} commands - { id, phrases, minConfidence? }
+   * @returns {Function} - Unregister function
+   */
+  register(context, commands) {
+    const compiled = commands.map((command) => {
+      if (!command.id || !Array.isArray(command.phrases)) {
+        throw new Error('Voice commands need an id and a phrases array');
+      }
+      return {
+        ...command,
+        patterns: command.phrases.map((phrase) => ({
+          phrase,
+          elements: compilePhrase(phrase),
+        })),
+      };
+    });
+
+    const ids = compiled.map((command) => command.id);
+    const existing = (this.commandsByContext[context] || []).filter(
+      (command) => !ids.includes(command.id)
+    );
+    this.commandsByContext[context] = [...existing, ...compiled];
+
+    // Return unregister function
+    return () => {
+      this.commandsByContext[context] = (
+        this.commandsByContext[context] || []
+      ).filter((command) => !compiled.includes(command));
+    };
+  }
+
+  /**
+   * Get the commands registered for a context
+   */
+  getCommands(context) {
+    return this.commandsByContext[context] || [];
+  }
+
+  /**
+   * Remove all commands for a context (or every context)
+   */
+  clear(context) {
+    if (context === undefined) {
+      this.commandsByContext = {};
+    } else {
+      delete this.commandsByContext[context];
+    }
+  }
+
+  /**
+   * Match a transcript against the commands of a context
+   * @param {string} transcript - Recognized speech
+   * @param {string} context - Screen context to match in
+   * @param {Object} options - { minConfidence, only } where only limits matching to some command ids
+   * @returns {Object|null} - { id, confidence, slots, phrase, transcript } or null if nothing matched
+   */
+  match(transcript, context, options = {}) {
+    const spans = tokenizeWithSpans(transcript);
+    const tokens = spans.map(({ token }) => token);
+    if (tokens.length === 0) return null;
+    const source = { text: String(transcript), tokens, spans };
+
+    let best = null;
+    let bestPatternLength = 0;
+
+    this.getCommands(context).forEach((command) => {
+      if (options.only && !options.only.includes(command.id)) return;
+
+      const minConfidence =
+        options.minConfidence ?? command.minConfidence ?? this.minConfidence;
+
+      command.patterns.forEach(({ phrase, elements }) => {
+        if (elements.length === 0) return;
+
+        for (let start = 0; start < tokens.length; start++) {
+          matchAt(elements, source, start).forEach(({ end, slots }) => {
+            const atStart = start === 0;
+            const atEnd = end === tokens.length;
+            let anchor = 'middle';
+            if (atStart && atEnd) anchor = 'full';
+            else if (atEnd) anchor = 'end';
+            else if (atStart) anchor = 'start';
+
+            const coverage = (end - start) / tokens.length;
+            const confidence =
+              Math.round(coverage * ANCHOR_WEIGHTS[anchor] * 100) / 100;
+
+            if (confidence < minConfidence) return;
+
+            // Prefer higher confidence, then the more specific (longer) pattern
+            if (
+              !best ||
+              confidence > best.confidence ||
+              (confidence === best.confidence &&
+                elements.length > bestPatternLength)
+            ) {
+              best = { id: command.id, confidence, slots, phrase, transcript };
+              bestPatternLength = elements.length;
+            }
+          });
+        }
+      });
+    });
+
+    if (!best) {
+      console.log('[VoiceCommands] No command matched in', context, ':', transcript);
+      return null;
+    }
+
+    console.log('[VoiceCommands] Matched', best.id, 'in', context, {
+      confidence: best.confidence,
+      slots: best.slots,
+    });
+    return best;
+  }
+}
+
+// Export singleton instance
+export const voiceCommandRegistry = new VoiceCommandRegistry();
+export default voiceCommandRegistry;
@@ -0,0 +1,49 @@
+import { buildExport, toCsv } from "../dataExport";
+
+const columns = [
+  { key: "answer", type: "text", value: (row) => row.answer },
+  { key: "score", type: "number", value: (row) => row.score },
+];
+
+// Data lines of a CSV export, without the byte order mark and header
+const csvLines = (content) => content.replace(/^\uFEFF/, "").split("\r\n").slice(1, -1);
+
+describe("toCsv", () => {
+  it.each([
+    ["=1+1", "'=1+1"],
+    ["+44 20 7946 0000", "'+44 20 7946 0000"],
+    ["-2", "'-2"],
+    ["@SUM(A1:A2)", "'@SUM(A1:A2)"],
+    ["\tcmd", "'\tcmd"],
+    ["\rcmd", "\"'\rcmd\""],
+    ['=HYPERLINK("http://example.com")', "\"'=HYPERLINK(\"\"http://example.com\"\")\""],
+  ])("escapes the text cell %p", (answer, cell) => {
+    expect(csvLines(toCsv([{ answer, score: 1 }], columns))).toEqual([`${cell},1`]);
+  });
+
+  it("leaves other text and number columns as they are", () => {
+    expect(csvLines(toCsv([{ answer: "Paris, France", score: -0.5 }], columns))).toEqual([
+      '"Paris, France",-0.5',
+    ]);
+  });
+});
+
+describe("buildExport", () => {
+  it("escapes formulas in CSV text columns only", () => {
+    const { content } = buildExport(
+      "submissions",
+      { submissions: [{ id: "s1", examTitle: "=cmd|' /C calc'!A0", examVersion: 2 }] },
+      "csv"
+    );
+    expect(csvLines(content)[0]).toMatch(/^s1,,'=cmd\|' \/C calc'!A0,,2,/);
+  });
+
+  it("keeps JSON values as they are", () => {
+    const { content } = buildExport(
+      "submissions",
+      { submissions: [{ id: "s1", examTitle: "=1+1" }] },
+      "json"
+    );
+    expect(JSON.parse(content).rows[0].exam_title).toBe("=1+1");
+  });
+});
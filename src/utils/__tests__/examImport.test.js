@@ -0,0 +1,58 @@
+import { buildImportedQuestion, importQuestions } from "../examImport";
+
+const choiceQuestion = (options, answer, type = "Multiple Choice") =>
+  buildImportedQuestion({ text: "Pick one", type, options, answer });
+
+describe("buildImportedQuestion - choice answers", () => {
+  it("reads letters, numbers and option text", () => {
+    expect(choiceQuestion("Paris|Rome|Oslo", "B").question.correctIndex).toBe(1);
+    expect(choiceQuestion("Paris|Rome|Oslo", "3").question.correctIndex).toBe(2);
+    expect(choiceQuestion("Paris|Rome|Oslo", "rome").question.correctIndex).toBe(1);
+  });
+
+  it("matches the text of numeric options before their position", () => {
+    expect(choiceQuestion("5|10|15|20", "15").question.correctIndex).toBe(2);
+    expect(choiceQuestion("5|10|15|20", 20).question.correctIndex).toBe(3);
+  });
+
+  it("accepts a number that is both an option's text and its position", () => {
+    expect(choiceQuestion("1|2|3|4", "2").question.correctIndex).toBe(1);
+  });
+
+  it("still reads letters for numeric options", () => {
+    expect(choiceQuestion("3|4|6|9", "B").question.correctIndex).toBe(1);
+  });
+
+  it("reports an answer that could be one option's text or another's number", () => {
+    expect(choiceQuestion("3|4|6|9", "4")).toEqual({
+      error: 'The correct answer "4" could be option D or the option "4"; give the option letter instead',
+    });
+  });
+
+  it("reports an answer that could be one option's text or another's letter", () => {
+    expect(choiceQuestion("C|A|B", "A").error).toMatch(/could be option A or the option "A"/);
+  });
+
+  it("reads numeric options in multiple select answers", () => {
+    expect(choiceQuestion("5|10|15|20", "10|20", "Multiple Select").question.correctIndexes).toEqual(
+      [1, 3]
+    );
+  });
+
+  it("reports an answer that matches no option", () => {
+    expect(choiceQuestion("5|10|15|20", "25").error).toBe(
+      'The correct answer "25" doesn\'t match any option'
+    );
+  });
+});
+
+describe("importQuestions - CSV", () => {
+  it("keys the right numeric option", () => {
+    const result = importQuestions(
+      "text,type,options,answer\nWhich is prime?,Multiple Choice,4|6|9|11,11\n",
+      "questions.csv"
+    );
+    expect(result.problems).toEqual([]);
+    expect(result.questions[0].correctIndex).toBe(3);
+  });
+});
@@ -0,0 +1,91 @@
+import { EXAM_PACKAGE_VERSION, createExamPackage, readExamPackage } from "../examPackage";
+
+const question = (text) => ({
+  type: "Multiple Choice",
+  text,
+  options: ["Yes", "No"],
+  correctIndex: 0,
+  marks: 1,
+});
+
+const poolEntry = (id, difficulty) => ({
+  id,
+  subject: "Mathematics",
+  topic: "Algebra",
+  difficulty,
+  tags: [],
+  question: question(`Pool question ${id}`),
+});
+
+const exam = (fields) => ({
+  id: "exam-1",
+  title: "Algebra Quiz",
+  subject: "Mathematics",
+  duration: 30,
+  maxAttempts: 1,
+  questions: [],
+  ...fields,
+});
+
+const questionPool = [poolEntry("p1", "easy"), poolEntry("p2", "easy"), poolEntry("p3", "hard")];
+
+describe("exam packages with draw rules", () => {
+  it("round-trips an exam made only of drawn questions", () => {
+    const drawRules = [{ count: 2, difficulty: "easy" }];
+    const result = readExamPackage(createExamPackage(exam({ drawRules, questionPool })));
+
+    expect(result.fatalError).toBeNull();
+    expect(result.questions).toEqual([]);
+    expect(result.exam.drawRules).toEqual(drawRules);
+    expect(result.exam.questionPool.map((entry) => entry.id)).toEqual(["p1", "p2", "p3"]);
+  });
+
+  it("keeps the draw rules of a mixed exam", () => {
+    const drawRules = [{ count: 1, difficulty: "hard" }];
+    const result = readExamPackage(
+      createExamPackage(exam({ questions: [question("Is 2 even?")], drawRules, questionPool }))
+    );
+
+    expect(result.fatalError).toBeNull();
+    expect(result.questions).toHaveLength(1);
+    expect(result.exam.drawRules).toEqual(drawRules);
+  });
+
+  it("rejects draw rules the pool can't fill", () => {
+    const examPackage = createExamPackage(
+      exam({ drawRules: [{ count: 2, difficulty: "hard" }], questionPool })
+    );
+    const result = readExamPackage(examPackage);
+
+    expect(result.fatalError).not.toBeNull();
+    expect(result.problems).toEqual([
+      { label: "Draw rules", message: expect.stringContaining("1 available") },
+    ]);
+  });
+
+  it("rejects invalid pool questions", () => {
+    const examPackage = createExamPackage(
+      exam({ drawRules: [{ count: 1 }], questionPool: [{ ...poolEntry("p1"), question: {} }] })
+    );
+
+    expect(readExamPackage(examPackage).problems[0].label).toBe("Pool question 1");
+  });
+
+  it("still rejects a package with no questions and no draw rules", () => {
+    expect(readExamPackage(createExamPackage(exam())).problems).toEqual([
+      { label: "Questions", message: "The package has no questions" },
+    ]);
+  });
+
+  it("upgrades version 2 packages without draw rules", () => {
+    const examPackage = createExamPackage(exam({ questions: [question("Is 2 even?")] }));
+    delete examPackage.exam.drawRules;
+    delete examPackage.exam.questionPool;
+    const result = readExamPackage({ ...examPackage, formatVersion: 2 });
+
+    expect(result.fatalError).toBeNull();
+    expect(result.examPackage).toEqual({ formatVersion: EXAM_PACKAGE_VERSION, migratedFrom: 2 });
+    expect(result.exam.drawRules).toEqual([]);
+    expect(result.exam.questionPool).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { gradeQuestion } from "../grading";
+import { parseNumericAnswer } from "../questionTypes";
+
+const numericQuestion = (value, unit = "", tolerance = 0) => ({
+  id: "q1",
+  type: "Numeric",
+  numeric: { value, tolerance, unit, unitAliases: [] },
+});
+
+describe("parseNumericAnswer", () => {
+  it.each([
+    ["9.8 m/s", 9.8, "m/s"],
+    ["1,250 people", 1250, "people"],
+    ["minus 4 degrees", -4, "degrees"],
+    ["9 point 8", 9.8, ""],
+    [".5", 0.5, ""],
+    ["-.5", -0.5, ""],
+    ["negative .25 kg", -0.25, "kg"],
+  ])("reads %p", (text, value, unit) => {
+    expect(parseNumericAnswer(text)).toEqual({ value, unit });
+  });
+
+  it("returns no value without a number", () => {
+    expect(parseNumericAnswer("about half")).toEqual({ value: null, unit: "" });
+  });
+});
+
+describe("gradeQuestion - numeric", () => {
+  it("accepts a decimal without a leading zero", () => {
+    expect(gradeQuestion(numericQuestion(0.5), ".5")).toMatchObject({ isCorrect: true, score: 1 });
+    expect(gradeQuestion(numericQuestion(-0.5), "-.5")).toMatchObject({
+      isCorrect: true,
+      score: 1,
+    });
+  });
+
+  it("does not read a leading-dot decimal as a whole number", () => {
+    expect(gradeQuestion(numericQuestion(5), ".5")).toMatchObject({ isCorrect: false, score: 0 });
+    expect(gradeQuestion(numericQuestion(0.5), "-.5")).toMatchObject({
+      isCorrect: false,
+      score: 0,
+    });
+  });
+
+  it("accepts answers inside the tolerance", () => {
+    expect(gradeQuestion(numericQuestion(9.8, "", 0.1), "9.75").isCorrect).toBe(true);
+    expect(gradeQuestion(numericQuestion(9.8, "", 0.1), "9.6").isCorrect).toBe(false);
+  });
+
+  it("gives half marks for the right value with the wrong unit", () => {
+    expect(gradeQuestion(numericQuestion(0.5, "kg"), ".5 g")).toMatchObject({
+      isCorrect: false,
+      score: 0.5,
+    });
+    expect(gradeQuestion(numericQuestion(0.5, "kg"), ".5 kg").score).toBe(1);
+  });
+});
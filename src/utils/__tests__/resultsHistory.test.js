@@ -0,0 +1,30 @@
+import voiceCommandRegistry from "../../services/voiceCommandService";
+import { RESULTS_VOICE_COMMANDS } from "../resultsHistory";
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  voiceCommandRegistry.register("RESULTS", RESULTS_VOICE_COMMANDS);
+});
+
+afterAll(() => {
+  voiceCommandRegistry.clear("RESULTS");
+  console.log.mockRestore();
+});
+
+describe("RESULTS_VOICE_COMMANDS", () => {
+  it.each([
+    ["read my last result", "read-last", {}],
+    ["latest result", "read-last", {}],
+    ["read result two", "read-result", { number: 2 }],
+    ["result number 3", "read-result", { number: 3 }],
+    ["open result one", "open-result", { number: 1 }],
+    ["review result 4", "open-result", { number: 4 }],
+    ["list my results", "list-results", {}],
+    ["how am I doing", "read-summary", {}],
+    ["read summary", "read-summary", {}],
+    ["say again", "repeat", {}],
+    ["go back", "go-back", {}],
+  ])('matches "%s" to %s', (transcript, id, slots) => {
+    expect(voiceCommandRegistry.match(transcript, "RESULTS")).toMatchObject({ id, slots });
+  });
+});
@@ -0,0 +1,597 @@
+/**
+ * Data export utility functions
+ * Turns submissions, evaluation sessions and usability surveys into flat tables
+ * for analysis in SPSS or Excel, as CSV or JSON
+ * Every column is defined once here, with the description exported in the codebook
+ */
+
+import { toDate } from "./schedule";
+import { getQuestionTypeId, isAnswered } from "./questionTypes";
+
+const iso = (value) => toDate(value)?.toISOString() || "";
+const flag = (value) => (value ? 1 : 0);
+// Blank rather than 0 when a value was never recorded, so it reads as missing in SPSS
+const optional = (value) => (value === null || value === undefined ? "" : value);
+// Multiple select and fill-in-the-blank answers keep one part per option or blank
+const answerText = (answer) =>
+  Array.isArray(answer) ? answer.map((part) => String(part ?? "").trim()).join(" | ") : String(answer ?? "");
+
+const SUBMISSION_COLUMNS = [
+  { key: "submission_id", type: "text", description: "Submission ID", value: (s) => s.id },
+  { key: "exam_id", type: "text", description: "Exam ID", value: (s) => s.examId },
+  { key: "exam_title", type: "text", description: "Exam title", value: (s) => s.examTitle },
+  { key: "exam_subject", type: "text", description: "Exam subject", value: (s) => s.examSubject },
+  {
+    key: "exam_version",
+    type: "number",
+    description: "Version of the exam the submission is marked against",
+    value: (s) => s.examVersion || 1,
+  },
+  { key: "student_id", type: "text", description: "Student user ID", value: (s) => s.studentId },
+  {
+    key: "student_name",
+    type: "text",
+    description: "Student name (blank unless names were included in the export)",
+    value: (s) => s.studentName,
+  },
+  {
+    key: "submitted_at",
+    type: "datetime",
+    description: "When the exam was submitted (ISO 8601, UTC)",
+    value: (s) => iso(s.submittedAt),
+  },
+  {
+    key: "status",
+    type: "text",
+    description: "graded, or pending while written answers wait for the examiner",
+    value: (s) => s.status,
+  },
+  {
+    key: "overall_score",
+    type: "number",
+    description: "Overall score, 0-100",
+    value: (s) => s.gradingResults?.summary?.overallScore ?? s.overallScore ?? "",
+  },
+  {
+    key: "marks_awarded",
+    type: "number",
+    description: "Marks awarded",
+    value: (s) => optional(s.gradingResults?.summary?.totalScore),
+  },
+  {
+    key: "marks_possible",
+    type: "number",
+    description: "Marks available",
+    value: (s) => optional(s.gradingResults?.summary?.totalPossible),
+  },
+  { key: "grade", type: "text", description: "Grade", value: (s) => s.gradingResults?.summary?.grade },
+  {
+    key: "multiple_choice_score",
+    type: "number",
+    description: "Multiple choice, true/false and multiple select score, 0-100",
+    value: (s) => optional(s.gradingResults?.summary?.multipleChoiceScore),
+  },
+  {
+    key: "short_answer_score",
+    type: "number",
+    description: "Fill in the blank and numeric score, 0-100",
+    value: (s) => optional(s.gradingResults?.summary?.shortAnswerScore),
+  },
+  {
+    key: "written_score",
+    type: "number",
+    description: "Written answer score, 0-100",
+    value: (s) => optional(s.gradingResults?.summary?.writtenScore),
+  },
+  {
+    key: "answered_questions",
+    type: "number",
+    description: "Questions answered",
+    value: (s) => optional(s.gradingResults?.summary?.answeredQuestions),
+  },
+  {
+    key: "total_questions",
+    type: "number",
+    description: "Questions the student was given",
+    value: (s) => optional(s.gradingResults?.summary?.totalQuestions),
+  },
+  {
+    key: "regraded",
+    type: "0/1",
+    description: "1 if the submission has been regraded",
+    value: (s) => flag(s.regradedAt),
+  },
+];
+
+const QUESTION_RESPONSE_COLUMNS = [
+  { key: "submission_id", type: "text", description: "Submission ID", value: (r) => r.submission.id },
+  { key: "exam_id", type: "text", description: "Exam ID", value: (r) => r.submission.examId },
+  { key: "student_id", type: "text", description: "Student user ID", value: (r) => r.submission.studentId },
+  {
+    key: "question_id",
+    type: "text",
+    description: "Question ID, the same across students and versions",
+    value: (r) => r.question.questionId,
+  },
+  {
+    key: "question_number",
+    type: "number",
+    description: "Position of the question in this student's exam, from 1",
+    value: (r) => r.index + 1,
+  },
+  {
+    key: "question_type",
+    type: "text",
+    description:
+      "multiple-choice, true-false, multiple-select, fill-blank, numeric or written",
+    value: (r) => getQuestionTypeId(r.question.questionType) || r.question.questionType,
+  },
+  {
+    key: "section_id",
+    type: "text",
+    description: "Exam section ID (blank when the exam has no sections)",
+    value: (r) => r.question.sectionId,
+  },
+  {
+    key: "answer",
+    type: "text",
+    description: "The student's answer; the parts of multiple select and fill in the blank answers are separated by \" | \"",
+    value: (r) => answerText(r.question.studentAnswer),
+  },
+  {
+    key: "answered",
+    type: "0/1",
+    description: "1 if the question was answered",
+    value: (r) => flag(isAnswered(r.question.studentAnswer)),
+  },
+  {
+    key: "correct",
+    type: "0/1",
+    description: "1 if fully correct, 0 if not, blank while awaiting manual grading",
+    value: (r) =>
+      r.question.isCorrect === null || r.question.isCorrect === undefined
+        ? ""
+        : flag(r.question.isCorrect),
+  },
+  {
+    key: "marks_awarded",
+    type: "number",
+    description: "Marks awarded for the question",
+    value: (r) => optional(r.question.marksAwarded),
+  },
+  {
+    key: "marks_possible",
+    type: "number",
+    description: "Marks the question is worth",
+    value: (r) => optional(r.question.marks),
+  },
+  {
+    key: "counted",
+    type: "0/1",
+    description: "0 if left out by an \"answer N of M\" section rule",
+    value: (r) => flag(!r.question.notCounted),
+  },
+  {
+    key: "manually_graded",
+    type: "0/1",
+    description: "1 if the examiner marked the answer",
+    value: (r) => flag(r.question.manuallyGraded),
+  },
+];
+
+const SESSION_COLUMNS = [
+  { key: "session_id", type: "text", description: "Evaluation session ID", value: (s) => s.id },
+  { key: "exam_id", type: "text", description: "Exam ID", value: (s) => s.examId },
+  { key: "exam_title", type: "text", description: "Exam title", value: (s) => s.examTitle },
+  { key: "student_id", type: "text", description: "Student user ID", value: (s) => s.studentId },
+  {
+    key: "status",
+    type: "text",
+    description: "in_progress, completed or abandoned",
+    value: (s) => s.status,
+  },
+  {
+    key: "start_time",
+    type: "datetime",
+    description: "When the exam was opened (ISO 8601, UTC)",
+    value: (s) => iso(s.startTime || s.createdAt),
+  },
+  {
+    key: "end_time",
+    type: "datetime",
+    description: "When the session ended (ISO 8601, UTC)",
+    value: (s) => iso(s.endTime),
+  },
+  {
+    key: "duration_seconds",
+    type: "number",
+    description: "Time from opening to finishing the exam, in seconds",
+    value: (s) => optional(s.totalDurationSeconds),
+  },
+  {
+    key: "total_questions",
+    type: "number",
+    description: "Questions in the exam",
+    value: (s) => optional(s.totalQuestions),
+  },
+  {
+    key: "completed_questions",
+    type: "number",
+    description: "Questions answered",
+    value: (s) => optional(s.completedQuestions),
+  },
+  {
+    key: "voice_commands",
+    type: "number",
+    description: "Voice commands used",
+    value: (s) => optional(s.totalVoiceCommands),
+  },
+  {
+    key: "read_aloud_requests",
+    type: "number",
+    description: "Times a question was read aloud on request",
+    value: (s) => optional(s.totalReadAloudRequests),
+  },
+  {
+    key: "voice_answers",
+    type: "number",
+    description: "Answers attempted by voice",
+    value: (s) => optional(s.totalVoiceAnswers),
+  },
+  {
+    key: "voice_retries",
+    type: "number",
+    description: "Voice answers or commands that were not recognised",
+    value: (s) => optional(s.totalVoiceRetries),
+  },
+  {
+    key: "used_voice_navigation",
+    type: "0/1",
+    description: "1 if voice navigation was used",
+    value: (s) => flag(s.accessibilityFeaturesUsed?.voiceNavigation),
+  },
+  {
+    key: "used_voice_answers",
+    type: "0/1",
+    description: "1 if any answer was given by voice",
+    value: (s) => flag(s.accessibilityFeaturesUsed?.voiceAnswers),
+  },
+  {
+    key: "used_read_aloud",
+    type: "0/1",
+    description: "1 if read aloud was used",
+    value: (s) => flag(s.accessibilityFeaturesUsed?.readAloud),
+  },
+  {
+    key: "used_auto_read",
+    type: "0/1",
+    description: "1 if questions were read automatically",
+    value: (s) => flag(s.accessibilityFeaturesUsed?.autoReadQuestions),
+  },
+  {
+    key: "exam_score",
+    type: "number",
+    description: "Overall exam score, 0-100 (blank if not submitted)",
+    value: (s) => optional(s.examScore),
+  },
+  { key: "platform", type: "text", description: "Device platform", value: (s) => s.platform },
+];
+
+const QUESTION_METRIC_COLUMNS = [
+  { key: "session_id", type: "text", description: "Evaluation session ID", value: (r) => r.session.id },
+  { key: "exam_id", type: "text", description: "Exam ID", value: (r) => r.session.examId },
+  { key: "student_id", type: "text", description: "Student user ID", value: (r) => r.session.studentId },
+  {
+    key: "question_index",
+    type: "number",
+    description: "Position of the question in the exam, from 0",
+    value: (r) => optional(r.metric.questionIndex),
+  },
+  {
+    key: "question_type",
+    type: "text",
+    description: "Question type",
+    value: (r) => getQuestionTypeId(r.metric.questionType) || r.metric.questionType,
+  },
+  {
+    key: "time_spent_seconds",
+    type: "number",
+    description: "Time spent on the question, in seconds",
+    value: (r) => optional(r.metric.timeSpentSeconds),
+  },
+  {
+    key: "read_aloud_count",
+    type: "number",
+    description: "Times the question was read aloud on request",
+    value: (r) => optional(r.metric.readAloudCount),
+  },
+  {
+    key: "voice_answer_attempts",
+    type: "number",
+    description: "Answers attempted by voice",
+    value: (r) => optional(r.metric.voiceAnswerAttempts),
+  },
+  {
+    key: "voice_retries",
+    type: "number",
+    description: "Voice answers that were not recognised",
+    value: (r) => optional(r.metric.voiceRetries),
+  },
+  {
+    key: "answer_method",
+    type: "text",
+    description: "voice, touch or typed (blank if not answered)",
+    value: (r) => r.metric.answerMethod,
+  },
+  {
+    key: "was_answered",
+    type: "0/1",
+    description: "1 if the question was answered",
+    value: (r) => flag(r.metric.wasAnswered),
+  },
+  {
+    key: "started_at",
+    type: "datetime",
+    description: "When the student reached the question (ISO 8601, UTC)",
+    value: (r) => iso(r.metric.startedAt),
+  },
+  {
+    key: "answered_at",
+    type: "datetime",
+    description: "When the student left the question (ISO 8601, UTC)",
+    value: (r) => iso(r.metric.answeredAt),
+  },
+];
+
+const SURVEY_ITEMS = [
+  ["q1_easy_to_use", "The system was easy to use"],
+  ["q2_voice_commands_clear", "Voice commands were easy to understand"],
+  ["q3_tts_clear", "The read-aloud feature was clear"],
+  ["q4_stt_accurate", "The system understood my voice well"],
+  ["q5_independent", "I could complete the exam independently"],
+  ["q6_prefer_over_scribe", "I prefer this system over using a scribe"],
+  ["q7_reduced_stress", "The system reduced my exam stress"],
+  ["q8_would_use_again", "I would use this system again"],
+];
+
+const SURVEY_COLUMNS = [
+  { key: "survey_id", type: "text", description: "Survey ID", value: (s) => s.id },
+  {
+    key: "session_id",
+    type: "text",
+    description: "Evaluation session ID, to join with the sessions export",
+    value: (s) => s.sessionId,
+  },
+  { key: "exam_id", type: "text", description: "Exam ID", value: (s) => s.examId },
+  { key: "student_id", type: "text", description: "Student user ID", value: (s) => s.studentId },
+  {
+    key: "completed_at",
+    type: "datetime",
+    description: "When the survey was completed (ISO 8601, UTC)",
+    value: (s) => iso(s.completedAt),
+  },
+  ...SURVEY_ITEMS.map(([key, statement]) => ({
+    key,
+    type: "1-5",
+    description: `"${statement}" (1 = strongly disagree, 5 = strongly agree; blank if skipped)`,
+    value: (s) => s.responses?.[key] || "",
+  })),
+  {
+    key: "q9_what_worked",
+    type: "text",
+    description: "What worked well?",
+    value: (s) => s.responses?.q9_what_worked,
+  },
+  {
+    key: "q10_improvements",
+    type: "text",
+    description: "What could be improved?",
+    value: (s) => s.responses?.q10_improvements,
+  },
+  {
+    key: "sus_score",
+    type: "number",
+    description: "Usability score, 0-100, from the average of the answered 1-5 items",
+    value: (s) => optional(s.susScore),
+  },
+  {
+    key: "exam_duration_minutes",
+    type: "number",
+    description: "Exam duration in minutes",
+    value: (s) => optional(s.examDurationMinutes),
+  },
+];
+
+/**
+ * Datasets that can be exported
+ * rows() turns the loaded data { submissions, sessions, surveys } into one object per row
+ */
+export const EXPORT_DATASETS = {
+  submissions: {
+    label: "Submissions",
+    description: "One row per submission",
+    columns: SUBMISSION_COLUMNS,
+    rows: (data) => data.submissions,
+  },
+  responses: {
+    label: "Question Responses",
+    description: "One row per question per submission",
+    columns: QUESTION_RESPONSE_COLUMNS,
+    rows: (data) =>
+      data.submissions.flatMap((submission) =>
+        (submission.gradingResults?.gradedQuestions || []).map((question, index) => ({
+          submission,
+          question,
+          index,
+        }))
+      ),
+  },
+  sessions: {
+    label: "Evaluation Sessions",
+    description: "One row per exam session",
+    columns: SESSION_COLUMNS,
+    rows: (data) => data.sessions,
+  },
+  questionMetrics: {
+    label: "Question Metrics",
+    description: "One row per question per evaluation session",
+    columns: QUESTION_METRIC_COLUMNS,
+    rows: (data) =>
+      data.sessions.flatMap((session) =>
+        (session.questionMetrics || []).map((metric) => ({ session, metric }))
+      ),
+  },
+  surveys: {
+    label: "Usability Surveys",
+    description: "One row per survey",
+    columns: SURVEY_COLUMNS,
+    rows: (data) => data.surveys,
+  },
+};
+
+// Date ranges offered on the export screen; days null = no limit
+export const EXPORT_DATE_RANGES = [
+  { id: "all", label: "All Time", days: null },
+  { id: "7", label: "Last 7 Days", days: 7 },
+  { id: "30", label: "Last 30 Days", days: 30 },
+  { id: "90", label: "Last 90 Days", days: 90 },
+];
+
+/**
+ * Start and end of the days a date range covers
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Object} - { from, to } from midnight on the first day to the end of the last
+ */
+export const toDayRange = (from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+  return { from: start, to: end };
+};
+
+/**
+ * Date range for one of EXPORT_DATE_RANGES
+ * @param {number|null} days - Days back, including today
+ * @param {Date} now - Current time
+ * @returns {Object} - { from, to }, both null for all time
+ */
+export const getPresetDateRange = (days, now = new Date()) => {
+  if (!days) return { from: null, to: null };
+  const from = new Date(now);
+  from.setDate(from.getDate() - (days - 1));
+  return toDayRange(from, now);
+};
+
+/**
+ * Keep the records for the chosen exams inside the date range
+ * @param {Array} records - Submissions, sessions or surveys
+ * @param {Object} filters - { examIds, from, to }; examIds null = any exam, from/to null = open-ended
+ * @param {Function} getDate - Returns the record's date
+ * @returns {Array}
+ */
+export const filterRecords = (records, { examIds = null, from = null, to = null }, getDate) =>
+  (records || []).filter((record) => {
+    if (examIds && !examIds.includes(record.examId)) return false;
+    if (!from && !to) return true;
+    const date = toDate(getDate(record));
+    if (!date) return false;
+    return (!from || date >= from) && (!to || date <= to);
+  });
+
+// Spreadsheets run text cells starting with these as formulas, so such cells get a leading '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value, type) => {
+  const cell = String(value ?? "");
+  const text = type === "text" && FORMULA_START.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows as CSV with a header row of column keys
+ * Starts with a byte order mark so Excel opens it as UTF-8; text that looks like a formula is escaped
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column definitions
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) =>
+  "﻿" +
+  [
+    columns.map((column) => column.key).join(","),
+    ...rows.map((row) => columns.map((column) => escapeCsv(column.value(row), column.type)).join(",")),
+  ].join("\r\n") +
+  "\r\n";
+
+/**
+ * Build an export file for a dataset
+ * @param {string} datasetId - Key of EXPORT_DATASETS
+ * @param {Object} data - { submissions, sessions, surveys }, already filtered
+ * @param {string} format - "csv" or "json"
+ * @param {Object} filters - Filters used, described in JSON exports { exam, from, to }
+ * @returns {Object} - { content, rowCount }
+ */
+export const buildExport = (datasetId, data, format, filters = {}) => {
+  const dataset = EXPORT_DATASETS[datasetId];
+  const rows = dataset.rows(data);
+  if (format === "csv") {
+    return { content: toCsv(rows, dataset.columns), rowCount: rows.length };
+  }
+
+  const content = JSON.stringify(
+    {
+      dataset: datasetId,
+      description: dataset.description,
+      exportedAt: new Date().toISOString(),
+      filters: {
+        exam: filters.exam || "All exams",
+        from: filters.from ? filters.from.toISOString() : null,
+        to: filters.to ? filters.to.toISOString() : null,
+      },
+      // Missing values are null
+      columns: dataset.columns.map(({ key, type, description }) => ({ key, type, description })),
+      rows: rows.map((row) =>
+        Object.fromEntries(
+          dataset.columns.map((column) => {
+            const value = column.value(row);
+            return [column.key, value === "" || value === undefined ? null : value];
+          })
+        )
+      ),
+    },
+    null,
+    2
+  );
+  return { content, rowCount: rows.length };
+};
+
+/**
+ * Codebook of every exported column, for importing into SPSS or Excel
+ * @returns {string} - CSV with dataset, column, type and description
+ */
+export const buildCodebookCsv = () =>
+  toCsv(
+    Object.entries(EXPORT_DATASETS).flatMap(([datasetId, dataset]) =>
+      dataset.columns.map((column) => ({ datasetId, ...column }))
+    ),
+    [
+      { key: "dataset", type: "text", value: (row) => row.datasetId },
+      { key: "column", type: "text", value: (row) => row.key },
+      { key: "type", type: "text", value: (row) => row.type },
+      { key: "description", type: "text", value: (row) => row.description },
+    ]
+  );
+
+/**
+ * File name for an export, without extension
+ * @param {string} datasetId - Key of EXPORT_DATASETS
+ * @param {string} examTitle - Exam title, or empty for all exams
+ * @param {Date} now - Export time
+ * @returns {string} - e.g. "biology-quiz-responses-2026-10-19"
+ */
+export const getExportFileName = (datasetId, examTitle, now = new Date()) =>
+  `${examTitle || "all-exams"} ${datasetId} ${now.toISOString().slice(0, 10)}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
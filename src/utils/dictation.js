@@ -0,0 +1,66 @@
+/**
+ * Dictation utility functions
+ * Builds and edits written answers from spoken sentences
+ */
+
+/**
+ * Split answer text into sentences
+ * @param {string} text - The answer text
+ * @returns {Array<string>} - Array of trimmed sentences (with their punctuation)
+ */
+export const splitSentences = (text) => {
+  if (!text || typeof text !== "string") return [];
+
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [];
+  return sentences.map((s) => s.trim()).filter((s) => s.length > 0);
+};
+
+/**
+ * Turn a raw speech transcript into a sentence
+ * Speech recognition returns lowercase text without punctuation
+ * @param {string} transcript - The recognized speech
+ * @returns {string} - Capitalized sentence ending with punctuation
+ */
+export const toSentence = (transcript) => {
+  const text = String(transcript || "")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (!text) return "";
+
+  const capitalized = text.charAt(0).toUpperCase() + text.slice(1);
+  return /[.!?]$/.test(capitalized) ? capitalized : `${capitalized}.`;
+};
+
+/**
+ * Append a dictated sentence to an existing answer
+ * @param {string} answer - The current answer text
+ * @param {string} transcript - The recognized speech to add
+ * @returns {string} - Updated answer text
+ */
+export const appendSentence = (answer, transcript) => {
+  const sentence = toSentence(transcript);
+  if (!sentence) return answer || "";
+
+  const existing = String(answer || "").trim();
+  return existing ? `${existing} ${sentence}` : sentence;
+};
+
+/**
+ * Remove the last sentence from an answer
+ * @param {string} answer - The current answer text
+ * @returns {string} - Answer text without its last sentence
+ */
+export const removeLastSentence = (answer) => {
+  const sentences = splitSentences(answer);
+  return sentences.slice(0, -1).join(" ");
+};
+
+/**
+ * Replace the last sentence of an answer with a new dictated sentence
+ * @param {string} answer - The current answer text
+ * @param {string} transcript - The recognized speech to use instead
+ * @returns {string} - Updated answer text
+ */
+export const replaceLastSentence = (answer, transcript) => {
+  return appendSentence(removeLastSentence(answer), transcript);
+};
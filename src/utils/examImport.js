@@ -0,0 +1,657 @@
+/**
+ * Exam import utility functions
+ * Reads question banks from JSON, CSV or plain text files into exam questions,
+ * and reports the rows that can't be imported
+ */
+
+import {
+  getQuestionTypeId,
+  isChoiceType,
+  getOptionLetter,
+  createQuestion,
+  validateQuestion,
+} from "./questionTypes";
+import { isExamPackage, readExamPackage } from "./examPackage";
+
+export const IMPORT_FORMATS = {
+  json: "JSON",
+  csv: "CSV",
+  text: "Plain Text",
+};
+
+// Other names for the question types, as they appear in spreadsheets and question banks
+const TYPE_ALIASES = {
+  mc: "multiple-choice",
+  mcq: "multiple-choice",
+  choice: "multiple-choice",
+  "single choice": "multiple-choice",
+  tf: "true-false",
+  "t/f": "true-false",
+  "true/false": "true-false",
+  "true false": "true-false",
+  boolean: "true-false",
+  ms: "multiple-select",
+  msq: "multiple-select",
+  "multi select": "multiple-select",
+  "multiple answer": "multiple-select",
+  "select all": "multiple-select",
+  checkbox: "multiple-select",
+  fill: "fill-blank",
+  blank: "fill-blank",
+  "fill blank": "fill-blank",
+  "fill in the blank": "fill-blank",
+  "fill in the blanks": "fill-blank",
+  cloze: "fill-blank",
+  number: "numeric",
+  numerical: "numeric",
+  calculation: "numeric",
+  essay: "written",
+  "short answer": "written",
+  "long answer": "written",
+  open: "written",
+  text: "written",
+};
+
+// CSV header names for each column, compared without case, spaces or punctuation
+const CSV_COLUMNS = {
+  text: ["question", "text", "questiontext", "prompt"],
+  type: ["type", "questiontype"],
+  options: ["options", "choices", "answers"],
+  answer: ["answer", "correct", "correctanswer", "correctanswers", "key"],
+  marks: ["marks", "mark", "points", "score"],
+  negativeMarks: ["negativemarks", "negative", "penalty"],
+  tolerance: ["tolerance"],
+  unit: ["unit", "units"],
+};
+
+// "Key: value" lines in plain text files
+const TEXT_FIELDS = {
+  answer: ["answer", "answers", "ans", "correct", "correct answer", "key"],
+  type: ["type", "question type"],
+  marks: ["marks", "mark", "points"],
+  negativeMarks: ["negative", "negative marks", "penalty"],
+  tolerance: ["tolerance"],
+  unit: ["unit", "units"],
+};
+
+const EXAM_FIELDS = ["title", "subject", "duration"];
+
+const OPTION_LINE_PATTERN = /^\(?([a-h])[).:]\s+(.+)$/i;
+const QUESTION_NUMBER_PATTERN = /^(?:q(?:uestion)?\s*)?\d+\s*[).:-]\s*|^q(?:uestion)?\s*[:.-]\s*/i;
+const LETTER_LIST_PATTERN = /^[a-h](?:\s*(?:,|;|\||&|\band\b)\s*[a-h]|\s+[a-h])*$/i;
+const NUMERIC_ANSWER_PATTERN = /^(-?\d+(?:\.\d+)?)\s*(?:(?:±|\+\/-|\+-)\s*(\d+(?:\.\d+)?))?\s*([^\d\s].*)?$/;
+
+/**
+ * Type id for an imported type name, e.g. "MCQ" -> "multiple-choice"
+ * @param {string} type - Type as written in the file
+ * @returns {string|null} - Type id, or null for unknown types
+ */
+export const resolveImportType = (type) => {
+  const normalized = String(type || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ");
+  return (
+    getQuestionTypeId(type) ||
+    getQuestionTypeId(normalized.replace(/ /g, "-")) ||
+    TYPE_ALIASES[normalized] ||
+    null
+  );
+};
+
+/**
+ * Guess the file format from its name, then its content
+ * @param {string} text - File content
+ * @param {string} fileName - File name, if known
+ * @returns {string} - "json", "csv" or "text"
+ */
+export const detectImportFormat = (text, fileName = "") => {
+  const extension = String(fileName).toLowerCase().split(".").pop();
+  if (extension === "json") return "json";
+  if (extension === "csv" || extension === "tsv") return "csv";
+  if (extension === "txt") return "text";
+
+  const trimmed = String(text || "").trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  const header = trimmed.split("\n")[0].toLowerCase();
+  if (/[,;\t]/.test(header) && /\bquestion\b|\btext\b|\bprompt\b/.test(header)) {
+    return "csv";
+  }
+  return "text";
+};
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with delimiters, doubled quotes and line breaks
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Object>} - Rows { line, cells }, line = file line the row starts on
+ */
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== "")) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      cell = "";
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Split a list cell, e.g. "Paris | Rome" -> ["Paris", "Rome"]
+ * @param {string|Array} value - Cell value or array from JSON
+ * @returns {Array<string>} - Items
+ */
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split("|"))
+    .map((item) => String(item ?? "").trim())
+    .filter((item) => item.length > 0);
+
+/**
+ * Letters of an answer written as a letter list, e.g. "A, C" or "A and C" -> ["A", "C"]
+ * @param {string} text - Answer
+ * @returns {Array<string>|null} - Letters, or null if the answer isn't a letter list
+ */
+const parseLetterList = (text) =>
+  LETTER_LIST_PATTERN.test(text)
+    ? text.replace(/\band\b/gi, " ").match(/[a-h]/gi)
+    : null;
+
+/**
+ * Indexes of the correct options from an answer given as letters, numbers or option text
+ * Option text wins over a letter or number, so "15" picks the option "15" among 5, 10, 15, 20;
+ * an answer that is one option's text and another option's letter or number is a problem
+ * @param {Array<string>} options - Options
+ * @param {string|Array|number} answer - e.g. "B", "A, C", "2", "Paris" or ["A", "C"]
+ * @returns {Object} - { indexes } or { error }
+ */
+const resolveCorrectIndexes = (options, answer) => {
+  // { index }, with -1 when nothing matches, or { error } when the answer is ambiguous
+  const findOption = (value) => {
+    const text = String(value ?? "").trim();
+    const textIndex = options.findIndex(
+      (option) => option.toLowerCase() === text.toLowerCase()
+    );
+    let position = -1;
+    if (/^[a-h]$/i.test(text)) {
+      position = text.toUpperCase().charCodeAt(0) - 65;
+    } else if (/^\d+$/.test(text)) {
+      position = Number(text) - 1;
+    }
+    if (position >= options.length) position = -1;
+
+    if (textIndex >= 0 && position >= 0 && textIndex !== position) {
+      const other = /^\d+$/.test(text) ? "letter" : "number";
+      return {
+        error: `The correct answer "${text}" could be option ${getOptionLetter(position)} or the option "${options[textIndex]}"; give the option ${other} instead`,
+      };
+    }
+    return { index: textIndex >= 0 ? textIndex : position };
+  };
+
+  let parts;
+  if (Array.isArray(answer)) {
+    parts = answer;
+  } else if (typeof answer === "number") {
+    parts = [String(answer)];
+  } else {
+    const text = String(answer ?? "").trim();
+    if (!text) return { error: "The correct answer is missing" };
+    // "A, C" or "A and C"; otherwise the whole answer may be an option's text
+    if (parseLetterList(text)) {
+      parts = parseLetterList(text);
+    } else if (findOption(text).index !== -1) {
+      parts = [text];
+    } else {
+      parts = text.split("|");
+    }
+  }
+
+  const indexes = [];
+  for (const part of parts) {
+    const { index, error } = findOption(part);
+    if (error) return { error };
+    if (index < 0) {
+      return {
+        error: `The correct answer "${String(part).trim()}" doesn't match any option`,
+      };
+    }
+    if (!indexes.includes(index)) indexes.push(index);
+  }
+  if (indexes.length === 0) return { error: "The correct answer is missing" };
+  return { indexes: indexes.sort((a, b) => a - b) };
+};
+
+/**
+ * Type for a row without one: options make it a choice question, then the answer decides
+ * @param {Object} raw - Raw row
+ * @returns {string} - Type id
+ */
+const inferType = (raw) => {
+  const answer = Array.isArray(raw.answer)
+    ? raw.answer
+    : String(raw.answer ?? "").trim();
+  if (raw.options.length > 0) {
+    const multiple = Array.isArray(answer)
+      ? answer.length > 1
+      : (parseLetterList(answer) || []).length > 1;
+    return multiple ? "multiple-select" : "multiple-choice";
+  }
+  if (/___/.test(raw.text)) return "fill-blank";
+  if (!Array.isArray(answer) && /^(true|false)$/i.test(answer)) return "true-false";
+  if (!Array.isArray(answer) && NUMERIC_ANSWER_PATTERN.test(answer)) return "numeric";
+  return "written";
+};
+
+/**
+ * Turn a raw row into an exam question
+ * @param {Object} raw - { text, type, options, answer, marks, negativeMarks, tolerance, unit }
+ * @returns {Object} - { question } or { error }
+ */
+export const buildImportedQuestion = (raw) => {
+  const text = String(raw.text ?? "").trim();
+  if (!text) {
+    return { error: "The question text is missing" };
+  }
+
+  const options = splitList(raw.options);
+  const typeId = String(raw.type ?? "").trim()
+    ? resolveImportType(raw.type)
+    : inferType({ ...raw, text, options });
+  if (!typeId) {
+    return { error: `Unknown question type "${raw.type}"` };
+  }
+
+  const marksText = String(raw.marks ?? "").trim();
+  const marks = marksText === "" ? 1 : Number(marksText);
+  if (!Number.isFinite(marks) || marks <= 0) {
+    return { error: `Marks must be a number greater than zero, not "${marksText}"` };
+  }
+  const negativeText = String(raw.negativeMarks ?? "").trim();
+  const negativeMarks = negativeText === "" ? 0 : Number(negativeText);
+  if (!Number.isFinite(negativeMarks) || negativeMarks < 0) {
+    return { error: "Negative marks must be zero or a positive number" };
+  }
+
+  if (typeId === "written") {
+    const expectedAnswer = String(raw.answer ?? "").trim();
+    if (!expectedAnswer) {
+      return { error: "Written answers need an expected answer" };
+    }
+    return {
+      question: { type: "Written Answer", text, expectedAnswer, marks },
+    };
+  }
+
+  const input = {
+    options: [],
+    correctIndexes: [],
+    blankAnswersText: "",
+    numericValue: "",
+    numericTolerance: "",
+    numericUnit: "",
+    numericUnitAliasesText: "",
+  };
+
+  if (typeId === "true-false") {
+    const answer = String(raw.answer ?? "").trim().toLowerCase();
+    if (["true", "t", "yes", "a"].includes(answer)) {
+      input.correctIndexes = [0];
+    } else if (["false", "f", "no", "b"].includes(answer)) {
+      input.correctIndexes = [1];
+    } else {
+      return { error: "True / false questions need the answer True or False" };
+    }
+  } else if (isChoiceType(typeId)) {
+    const { indexes, error } = resolveCorrectIndexes(options, raw.answer);
+    if (error) return { error };
+    if (typeId === "multiple-choice" && indexes.length > 1) {
+      return {
+        error: "Multiple choice questions have one correct answer; use the type Multiple Select for more",
+      };
+    }
+    input.options = options;
+    input.correctIndexes = indexes;
+  } else if (typeId === "fill-blank") {
+    // One entry per blank; "/" separates accepted alternatives
+    input.blankAnswersText = splitList(raw.answer).join("\n");
+  } else if (typeId === "numeric") {
+    const match = String(raw.answer ?? "").trim().match(NUMERIC_ANSWER_PATTERN);
+    if (!match) {
+      return { error: `The numeric answer "${raw.answer ?? ""}" isn't a number` };
+    }
+    input.numericValue = match[1];
+    input.numericTolerance = String(raw.tolerance ?? "").trim() || match[2] || "";
+    input.numericUnit = String(raw.unit ?? "").trim() || (match[3] || "").trim();
+  }
+
+  const question = createQuestion(typeId, text, input);
+  const questionError = validateQuestion(question);
+  if (questionError) {
+    return { error: questionError };
+  }
+  return {
+    question: {
+      ...question,
+      marks,
+      ...(isChoiceType(typeId) ? { negativeMarks } : {}),
+    },
+  };
+};
+
+/**
+ * Read a JSON question bank: an array of questions, or { title, subject, duration, questions }
+ * Answers can be given as answer, correctAnswer, correctAnswers, correctIndex or correctIndexes
+ * @param {*} data - Parsed file content
+ * @returns {Object} - { exam, rows } where rows are { label, raw }
+ */
+const parseJsonImport = (data) => {
+  const questions = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(questions)) {
+    throw new Error('The JSON file needs a "questions" array');
+  }
+
+  const toAnswer = (q) => {
+    if (q.answer !== undefined) return q.answer;
+    if (q.correctAnswers !== undefined) return q.correctAnswers;
+    if (q.correctAnswer !== undefined) return q.correctAnswer;
+    if (q.expectedAnswer !== undefined) return q.expectedAnswer;
+    if (Array.isArray(q.correctIndexes)) return q.correctIndexes.map(getOptionLetter);
+    if (Number.isInteger(q.correctIndex)) return getOptionLetter(q.correctIndex);
+    if (Array.isArray(q.blanks)) {
+      return q.blanks.map((blank) => (blank.answers || []).join(" / "));
+    }
+    if (q.numeric) return String(q.numeric.value ?? "");
+    return "";
+  };
+
+  return {
+    exam: Array.isArray(data) ? {} : data,
+    rows: questions.map((q, index) => ({
+      label: `Question ${index + 1}`,
+      raw:
+        q && typeof q === "object"
+          ? {
+              text: q.question ?? q.text,
+              type: q.type,
+              options: q.options || [],
+              answer: toAnswer(q),
+              marks: q.marks,
+              negativeMarks: q.negativeMarks,
+              tolerance: q.tolerance ?? q.numeric?.tolerance,
+              unit: q.unit ?? q.numeric?.unit,
+            }
+          : { text: "" },
+    })),
+  };
+};
+
+/**
+ * Read a CSV question bank with a header row
+ * Options go in one "options" cell separated by |, or in columns "A" to "H" / "Option A" to "Option H"
+ * @param {string} text - File content
+ * @returns {Object} - { exam, rows } where rows are { label, raw }
+ */
+const parseCsvImport = (text) => {
+  const headerLine = text.split("\n")[0];
+  const delimiter = ["\t", ";", ","].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length
+      ? candidate
+      : best
+  );
+  const [header, ...rows] = parseCsvRows(text, delimiter);
+  if (!header) {
+    throw new Error("The CSV file is empty");
+  }
+
+  const keys = header.cells.map((cell) =>
+    cell.toLowerCase().replace(/[^a-z]/g, "")
+  );
+  const columnOf = (field) =>
+    keys.findIndex((key) => CSV_COLUMNS[field].includes(key));
+  const columns = Object.keys(CSV_COLUMNS).reduce(
+    (found, field) => ({ ...found, [field]: columnOf(field) }),
+    {}
+  );
+  if (columns.text < 0) {
+    throw new Error('The CSV header needs a "question" column');
+  }
+  const optionColumns = keys
+    .map((key, index) => ({ letter: key.replace(/^option/, ""), index }))
+    .filter(({ letter }) => /^[a-h]$/.test(letter))
+    .sort((a, b) => a.letter.localeCompare(b.letter))
+    .map(({ index }) => index);
+
+  const cellOf = (cells, field) =>
+    columns[field] >= 0 ? (cells[columns[field]] ?? "").trim() : "";
+
+  return {
+    exam: {},
+    rows: rows.map(({ line, cells }) => ({
+      label: `Row ${line}`,
+      raw: {
+        text: cellOf(cells, "text"),
+        type: cellOf(cells, "type"),
+        options:
+          optionColumns.length > 0
+            ? optionColumns.map((index) => (cells[index] ?? "").trim())
+            : cellOf(cells, "options"),
+        answer: cellOf(cells, "answer"),
+        marks: cellOf(cells, "marks"),
+        negativeMarks: cellOf(cells, "negativeMarks"),
+        tolerance: cellOf(cells, "tolerance"),
+        unit: cellOf(cells, "unit"),
+      },
+    })),
+  };
+};
+
+/**
+ * Read a plain text question bank: one question per block, blocks separated by blank lines
+ *
+ *   1. What is the capital of France?
+ *   A) Paris
+ *   B) Rome
+ *   Answer: A
+ *   Marks: 2
+ *
+ * An optional first block of "Title:", "Subject:" and "Duration:" lines sets the exam details
+ * @param {string} text - File content
+ * @returns {Object} - { exam, rows } where rows are { label, raw }
+ */
+const parseTextImport = (text) => {
+  const exam = {};
+  const rows = [];
+  let block = [];
+
+  const fieldOf = (line) => {
+    const match = line.match(/^([a-z ]+?)\s*:\s*(.*)$/i);
+    if (!match) return null;
+    const key = match[1].trim().toLowerCase();
+    const field =
+      Object.keys(TEXT_FIELDS).find((name) => TEXT_FIELDS[name].includes(key)) ||
+      (EXAM_FIELDS.includes(key) ? key : null);
+    return field ? { field, value: match[2].trim() } : null;
+  };
+
+  const endBlock = () => {
+    if (block.length === 0) return;
+    const lines = block;
+    block = [];
+
+    // Exam details block
+    const fields = lines.map(({ content }) => fieldOf(content));
+    if (
+      rows.length === 0 &&
+      fields.every((field) => field && EXAM_FIELDS.includes(field.field))
+    ) {
+      fields.forEach(({ field, value }) => {
+        exam[field] = value;
+      });
+      return;
+    }
+
+    const raw = { text: "", type: "", options: [], answer: "" };
+    lines.forEach(({ content }, index) => {
+      const field = fieldOf(content);
+      const option = content.match(OPTION_LINE_PATTERN);
+      if (field && !EXAM_FIELDS.includes(field.field)) {
+        raw[field.field] = field.value;
+      } else if (option && raw.text) {
+        raw.options.push(option[2].trim());
+      } else if (raw.options.length === 0 && !raw.answer) {
+        const part = index === 0 ? content.replace(QUESTION_NUMBER_PATTERN, "") : content;
+        raw.text = raw.text ? `${raw.text} ${part}` : part;
+      }
+    });
+    rows.push({
+      label: `Question ${rows.length + 1} (line ${lines[0].line})`,
+      raw,
+    });
+  };
+
+  text.split("\n").forEach((line, index) => {
+    const content = line.trim();
+    if (content) {
+      block.push({ line: index + 1, content });
+    } else {
+      endBlock();
+    }
+  });
+  endBlock();
+
+  return { exam, rows };
+};
+
+/**
+ * Read a question bank file into exam questions
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {Object} - { format, exam: { title, subject, duration }, questions, problems: [{ label, message }], rowCount, fatalError },
+ *   plus examPackage { formatVersion, migratedFrom } for exam packages, whose exam also has its settings and sections
+ */
+export const importQuestions = (text, fileName = "") => {
+  const content = String(text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const format = detectImportFormat(content, fileName);
+  const result = {
+    format,
+    exam: { title: "", subject: "", duration: null },
+    questions: [],
+    problems: [],
+    rowCount: 0,
+    fatalError: null,
+  };
+
+  if (!content.trim()) {
+    return { ...result, fatalError: "The file is empty" };
+  }
+
+  let parsed;
+  try {
+    if (format === "json") {
+      const data = JSON.parse(content);
+      // Exam packages exported from Manage Exams carry the whole exam, not just questions
+      if (isExamPackage(data)) {
+        return { ...result, ...readExamPackage(data) };
+      }
+      parsed = parseJsonImport(data);
+    } else if (format === "csv") {
+      parsed = parseCsvImport(content);
+    } else {
+      parsed = parseTextImport(content);
+    }
+  } catch (error) {
+    const message =
+      error instanceof SyntaxError
+        ? `The file isn't valid JSON: ${error.message}`
+        : error.message;
+    return { ...result, fatalError: message };
+  }
+
+  parsed.rows.forEach(({ label, raw }) => {
+    const { question, error } = buildImportedQuestion(raw);
+    if (error) {
+      result.problems.push({ label, message: error });
+    } else {
+      result.questions.push(question);
+    }
+  });
+
+  const duration = Number(parsed.exam.duration);
+  return {
+    ...result,
+    exam: {
+      title: String(parsed.exam.title || "").trim(),
+      subject: String(parsed.exam.subject || "").trim(),
+      duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    },
+    rowCount: parsed.rows.length,
+    fatalError:
+      parsed.rows.length === 0 ? "No questions were found in the file" : null,
+  };
+};
+
+// Short examples shown on the import screen
+export const IMPORT_EXAMPLES = {
+  json: `{
+  "title": "Geography Quiz",
+  "questions": [
+    { "question": "Capital of France?", "type": "Multiple Choice",
+      "options": ["Paris", "Rome"], "answer": "A", "marks": 2 },
+    { "question": "The sun is a star.", "answer": "True" }
+  ]
+}`,
+  csv: `question,type,options,answer,marks
+Capital of France?,Multiple Choice,Paris | Rome | Madrid,A,2
+Pick the even numbers,Multiple Select,2 | 3 | 4,"A, C",2
+g = ___ m/s²,Fill in the Blank,,9.8 / 9.81,1`,
+  text: `Title: Geography Quiz
+
+1. Capital of France?
+A) Paris
+B) Rome
+Answer: A
+Marks: 2
+
+2. How far is it from Lusaka to Ndola?
+Answer: 320 ± 10 km
+Type: Numeric`,
+};
@@ -0,0 +1,326 @@
+/**
+ * Exam package utility functions
+ * An exam package is a versioned JSON copy of an exam (questions, settings,
+ * sections, written-answer rubrics and draw rules with their question pool) for
+ * backups and moving exams between schools or Firebase projects
+ */
+
+import {
+  getQuestionTypeId,
+  validateQuestion,
+  pickQuestionFields,
+} from "./questionTypes";
+import { validateGradeScheme } from "./gradeScheme";
+import { validateSections } from "./examSections";
+import { validateDrawRules } from "./questionBank";
+
+export const EXAM_PACKAGE_FORMAT = "examassistant-exam";
+
+// Bump when the package layout changes, and add a migration from the previous version
+export const EXAM_PACKAGE_VERSION = 3;
+
+/**
+ * Build a package from a stored exam
+ * Ids, status, schedule and submissions stay behind; the copy starts as a draft
+ * @param {Object} exam - Exam as stored in Firestore
+ * @returns {Object} - { format, formatVersion, exportedAt, exam }
+ */
+export const createExamPackage = (exam) => ({
+  format: EXAM_PACKAGE_FORMAT,
+  formatVersion: EXAM_PACKAGE_VERSION,
+  exportedAt: new Date().toISOString(),
+  exam: {
+    title: exam.title || "",
+    subject: exam.subject || "",
+    duration: exam.duration || 60,
+    settings: {
+      maxAttempts: exam.maxAttempts || 1,
+      shuffleQuestions: !!exam.shuffleQuestions,
+      shuffleOptions: !!exam.shuffleOptions,
+      gradeScheme: exam.gradeScheme || null,
+    },
+    sections: exam.sections || [],
+    questions: (exam.questions || []).map(pickQuestionFields),
+    drawRules: exam.drawRules || [],
+    questionPool: exam.drawRules?.length
+      ? (exam.questionPool || []).map((entry) => ({
+          ...entry,
+          question: pickQuestionFields(entry.question || {}),
+        }))
+      : [],
+  },
+});
+
+/**
+ * File name for an exported package, without the .json extension, e.g. "biology-mock-exam.exam"
+ * @param {Object} exam - Exam
+ * @returns {string} - File name
+ */
+export const getExamPackageFileName = (exam) => {
+  const slug = String(exam?.title || "exam")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "exam"}.exam`;
+};
+
+/**
+ * Check whether parsed JSON is an exam package rather than a question bank
+ * @param {*} data - Parsed JSON
+ * @returns {boolean}
+ */
+export const isExamPackage = (data) =>
+  !!data && typeof data === "object" && data.format === EXAM_PACKAGE_FORMAT;
+
+// Upgrades from each version to the next, keyed by the version they upgrade from
+const MIGRATIONS = {
+  // Version 1 kept the settings on the exam itself and had no sections or grade scheme;
+  // questions without a type were multiple choice when they had options, and had 1 mark by default
+  1: (examPackage) => {
+    const { maxAttempts, shuffleQuestions, shuffleOptions, questions, ...exam } =
+      examPackage.exam || {};
+    return {
+      ...examPackage,
+      formatVersion: 2,
+      exam: {
+        ...exam,
+        settings: {
+          maxAttempts: maxAttempts || 1,
+          shuffleQuestions: !!shuffleQuestions,
+          shuffleOptions: !!shuffleOptions,
+          gradeScheme: null,
+        },
+        sections: [],
+        questions: Array.isArray(questions)
+          ? questions.map((question) => ({
+              ...question,
+              type:
+                question.type ||
+                (Array.isArray(question.options) ? "Multiple Choice" : "Written Answer"),
+              marks: question.marks ?? 1,
+            }))
+          : questions,
+      },
+    };
+  },
+  // Version 2 had no draw rules, so every student got the listed questions
+  2: (examPackage) => ({
+    ...examPackage,
+    formatVersion: 3,
+    exam: { ...examPackage.exam, drawRules: [], questionPool: [] },
+  }),
+};
+
+/**
+ * Upgrade a package to the current version
+ * @param {Object} examPackage - Package of any supported version
+ * @returns {Object} - Package at EXAM_PACKAGE_VERSION
+ */
+export const migrateExamPackage = (examPackage) => {
+  let migrated = examPackage;
+  while (migrated.formatVersion < EXAM_PACKAGE_VERSION) {
+    migrated = MIGRATIONS[migrated.formatVersion](migrated);
+  }
+  return migrated;
+};
+
+/**
+ * Check one packaged question
+ * @param {Object} question - Packaged question
+ * @param {Set<string>} sectionIds - Ids of the package's sections
+ * @returns {string|null} - Error message, or null if the question is valid
+ */
+const validatePackageQuestion = (question, sectionIds) => {
+  if (!question || typeof question !== "object") {
+    return "The question is not an object";
+  }
+  if (typeof question.text !== "string" || !question.text.trim()) {
+    return "The question has no text";
+  }
+  const typeId = getQuestionTypeId(question.type);
+  if (!typeId) {
+    return `Unknown question type "${question.type}"`;
+  }
+  if (typeId === "written") {
+    if (question.grading !== undefined && typeof question.grading !== "object") {
+      return "The grading rubric must be an object";
+    }
+  } else {
+    const error = validateQuestion(question);
+    if (error) return error;
+  }
+  if (!(Number(question.marks) > 0)) {
+    return "Marks must be a number above zero";
+  }
+  if (
+    question.negativeMarks !== undefined &&
+    !(Number(question.negativeMarks) >= 0)
+  ) {
+    return "Negative marks must be zero or more";
+  }
+  if (question.sectionId && !sectionIds.has(question.sectionId)) {
+    return `The question belongs to a section that isn't in the package ("${question.sectionId}")`;
+  }
+  return null;
+};
+
+/**
+ * Check a current-version package against the package schema
+ * @param {Object} examPackage - Package at EXAM_PACKAGE_VERSION
+ * @returns {Array<Object>} - Problems { label, message }, empty if the package is valid
+ */
+export const validateExamPackage = (examPackage) => {
+  const problems = [];
+  const report = (label, message) => problems.push({ label, message });
+  const exam = examPackage?.exam;
+
+  if (!exam || typeof exam !== "object") {
+    report("Package", 'The package has no "exam" object');
+    return problems;
+  }
+  if (typeof exam.title !== "string" || !exam.title.trim()) {
+    report("Exam", "The exam has no title");
+  }
+  if (typeof exam.subject !== "string") {
+    report("Exam", "The subject must be text");
+  }
+  if (!(Number(exam.duration) > 0)) {
+    report("Exam", "The duration must be a number of minutes above zero");
+  }
+
+  const settings = exam.settings;
+  if (!settings || typeof settings !== "object") {
+    report("Settings", 'The exam has no "settings" object');
+  } else {
+    if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+      report("Settings", "Maximum attempts must be a whole number of at least 1");
+    }
+    const schemeError =
+      settings.gradeScheme && validateGradeScheme(settings.gradeScheme);
+    if (schemeError) {
+      report("Grade scheme", schemeError);
+    }
+  }
+
+  if (!Array.isArray(exam.sections)) {
+    report("Sections", "Sections must be a list");
+  }
+  const sections = Array.isArray(exam.sections) ? exam.sections : [];
+  const sectionIds = new Set(sections.map((section) => section?.id));
+  if (sectionIds.size !== sections.length || sectionIds.has(undefined)) {
+    report("Sections", "Every section needs its own id");
+  }
+
+  if (!Array.isArray(exam.drawRules)) {
+    report("Draw rules", "Draw rules must be a list");
+  }
+  if (!Array.isArray(exam.questionPool)) {
+    report("Question pool", "The question pool must be a list");
+  }
+  const drawRules = Array.isArray(exam.drawRules) ? exam.drawRules : [];
+  const questionPool = Array.isArray(exam.questionPool) ? exam.questionPool : [];
+
+  if (!Array.isArray(exam.questions)) {
+    report("Questions", "Questions must be a list");
+    return problems;
+  }
+  if (exam.questions.length === 0 && drawRules.length === 0) {
+    report("Questions", "The package has no questions");
+    return problems;
+  }
+  exam.questions.forEach((question, index) => {
+    const error = validatePackageQuestion(question, sectionIds);
+    if (error) report(`Question ${index + 1}`, error);
+  });
+
+  // Drawn questions are never in a section
+  const poolIds = new Set(questionPool.map((entry) => entry?.id));
+  if (poolIds.size !== questionPool.length || poolIds.has(undefined)) {
+    report("Question pool", "Every pool question needs its own id");
+  }
+  questionPool.forEach((entry, index) => {
+    const error = validatePackageQuestion(entry?.question, new Set());
+    if (error) report(`Pool question ${index + 1}`, error);
+  });
+  drawRules.forEach((rule, index) => {
+    if (!rule || typeof rule !== "object") {
+      report(`Draw rule ${index + 1}`, "The rule is not an object");
+    }
+  });
+
+  if (problems.length === 0) {
+    const sectionsError = validateSections(sections, exam.questions);
+    if (sectionsError) report("Sections", sectionsError);
+    const drawRulesError = validateDrawRules(drawRules, questionPool);
+    if (drawRulesError) report("Draw rules", drawRulesError);
+  }
+  return problems;
+};
+
+/**
+ * Read a parsed exam package into the exam to create, upgrading older versions first
+ * Packages are imported whole, so any problem stops the import
+ * @param {Object} data - Parsed package JSON
+ * @returns {Object} - { exam, questions, problems, rowCount, fatalError, examPackage: { formatVersion, migratedFrom } },
+ *   with the exam's draw rules and question pool on exam
+ */
+export const readExamPackage = (data) => {
+  const formatVersion = Number(data.formatVersion);
+  const result = {
+    exam: { title: "", subject: "", duration: null },
+    questions: [],
+    problems: [],
+    rowCount: Array.isArray(data.exam?.questions) ? data.exam.questions.length : 0,
+    fatalError: null,
+    examPackage: { formatVersion, migratedFrom: null },
+  };
+
+  if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+    return { ...result, fatalError: "The exam package has no valid format version" };
+  }
+  if (formatVersion > EXAM_PACKAGE_VERSION) {
+    return {
+      ...result,
+      fatalError: `The exam package is version ${formatVersion}, made by a newer version of the app. Update the app to import it.`,
+    };
+  }
+
+  const migrated = migrateExamPackage(data);
+  const problems = validateExamPackage(migrated);
+  const examPackage = {
+    formatVersion: EXAM_PACKAGE_VERSION,
+    migratedFrom: formatVersion < EXAM_PACKAGE_VERSION ? formatVersion : null,
+  };
+  if (problems.length > 0) {
+    return {
+      ...result,
+      problems,
+      examPackage,
+      fatalError: "The exam package has problems and can't be imported. Fix them and export the exam again.",
+    };
+  }
+
+  const { settings, sections, questions, drawRules, questionPool, title, subject, duration } =
+    migrated.exam;
+  return {
+    ...result,
+    exam: {
+      title: title.trim(),
+      subject: subject.trim(),
+      duration: Number(duration),
+      maxAttempts: settings.maxAttempts,
+      shuffleQuestions: !!settings.shuffleQuestions,
+      shuffleOptions: !!settings.shuffleOptions,
+      gradeScheme: settings.gradeScheme || null,
+      sections,
+      drawRules,
+      questionPool: drawRules.length > 0 ? questionPool : [],
+    },
+    questions: questions.map((question) => ({
+      ...pickQuestionFields(question),
+      text: question.text.trim(),
+      marks: Number(question.marks),
+    })),
+    examPackage,
+  };
+};
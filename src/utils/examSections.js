@@ -0,0 +1,170 @@
+/**
+ * Exam section utility functions
+ * Sections group questions under a title, instructions, an optional shared
+ * passage and an optional "answer N of M" choice rule
+ */
+
+/**
+ * Build a section from the examiner's input
+ * @param {Object} input - { title, instructions, passage, answerCount } as typed
+ * @param {string} id - Section id, e.g. "s1"
+ * @returns {Object} - { id, title, instructions, passage, answerCount }, answerCount null = answer all
+ */
+export const createSection = (input, id) => {
+  const answerCount = String(input?.answerCount ?? "").trim();
+  return {
+    id,
+    title: (input?.title || "").trim(),
+    instructions: (input?.instructions || "").trim(),
+    passage: (input?.passage || "").trim(),
+    answerCount: answerCount === "" ? null : Number(answerCount),
+  };
+};
+
+/**
+ * An id not used by any of the sections, e.g. "s3"
+ * @param {Array} sections - Existing sections
+ * @returns {string} - Section id
+ */
+export const createSectionId = (sections) => {
+  const used = new Set((sections || []).map((section) => section.id));
+  let n = (sections || []).length + 1;
+  while (used.has(`s${n}`)) n++;
+  return `s${n}`;
+};
+
+/**
+ * Questions that belong to a section
+ * @param {Array} questions - Exam questions
+ * @param {string} sectionId - Section id
+ * @returns {Array} - Questions in the section, in exam order
+ */
+export const getSectionQuestions = (questions, sectionId) =>
+  (questions || []).filter((question) => question.sectionId === sectionId);
+
+/**
+ * Section a question belongs to
+ * @param {Array} sections - Exam sections
+ * @param {Object} question - Question with optional sectionId
+ * @returns {Object|null} - Section, or null for questions outside any section
+ */
+export const getQuestionSection = (sections, question) =>
+  (question?.sectionId &&
+    (sections || []).find((section) => section.id === question.sectionId)) ||
+  null;
+
+/**
+ * Whether a section lets students choose which questions to answer
+ * @param {Object} section - Section
+ * @param {number} questionCount - Number of questions in the section
+ * @returns {boolean}
+ */
+export const hasAnswerChoice = (section, questionCount) =>
+  Number.isInteger(section?.answerCount) &&
+  section.answerCount < questionCount;
+
+/**
+ * Check a section against the questions assigned to it
+ * @param {Object} section - Section
+ * @param {number} questionCount - Number of questions in the section
+ * @returns {string|null} - Error message, or null if the section is valid
+ */
+export const validateSection = (section, questionCount) => {
+  if (!section?.title) {
+    return "Every section needs a title";
+  }
+  if (section.answerCount === null || section.answerCount === undefined) {
+    return null;
+  }
+  if (!Number.isInteger(section.answerCount) || section.answerCount < 1) {
+    return `${section.title}: the number of questions to answer must be a whole number of at least 1`;
+  }
+  if (questionCount > 0 && section.answerCount > questionCount) {
+    return `${section.title}: students can't answer ${section.answerCount} questions when the section has ${questionCount}`;
+  }
+  return null;
+};
+
+/**
+ * Check every section of an exam
+ * @param {Array} sections - Exam sections
+ * @param {Array} questions - Exam questions
+ * @returns {string|null} - First error message, or null if all sections are valid
+ */
+export const validateSections = (sections, questions) => {
+  for (const section of sections || []) {
+    const questionCount = getSectionQuestions(questions, section.id).length;
+    const error = validateSection(section, questionCount);
+    if (error) return error;
+    if (questionCount === 0) {
+      return `${section.title} has no questions`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Order questions so each section's questions are together, in section order
+ * Questions outside any section come first; order within a section is kept
+ * @param {Array} questions - Exam questions
+ * @param {Array} sections - Exam sections
+ * @returns {Array} - Reordered questions
+ */
+export const orderQuestionsBySection = (questions, sections) => {
+  const sectionIds = (sections || []).map((section) => section.id);
+  const rank = (question) => sectionIds.indexOf(question.sectionId);
+  return (questions || [])
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => rank(a.question) - rank(b.question) || a.index - b.index)
+    .map(({ question }) => question);
+};
+
+/**
+ * The section's choice rule as read to students, e.g. "answer any 3 of the 5 questions"
+ * @param {Object} section - Section
+ * @param {number} questionCount - Number of questions in the section
+ * @returns {string} - Rule, or an empty string when every question must be answered
+ */
+export const describeAnswerRule = (section, questionCount) =>
+  hasAnswerChoice(section, questionCount)
+    ? `answer any ${section.answerCount} of the ${questionCount} questions`
+    : "";
+
+/**
+ * Split a passage into paragraphs on blank lines (or single line breaks when there are none)
+ * @param {string} passage - Passage text
+ * @returns {Array<string>} - Paragraphs
+ */
+export const splitParagraphs = (passage) => {
+  const text = (passage || "").trim();
+  if (!text) return [];
+  const separator = /\n\s*\n/.test(text) ? /\n\s*\n/ : /\n/;
+  return text
+    .split(separator)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+};
+
+/**
+ * Section as announced when a student enters it,
+ * e.g. "Section B, answer any 3 of the 5 questions. Read the passage carefully."
+ * @param {Object} section - Section
+ * @param {number} questionCount - Number of questions in the section
+ * @returns {string} - Announcement
+ */
+export const describeSection = (section, questionCount) => {
+  const rule = describeAnswerRule(section, questionCount);
+  const parts = [rule ? `${section.title}, ${rule}.` : `${section.title}.`];
+  if (section.instructions) {
+    parts.push(section.instructions);
+  }
+  const paragraphCount = splitParagraphs(section.passage).length;
+  if (paragraphCount > 0) {
+    parts.push(
+      `This section has a passage of ${paragraphCount} ${
+        paragraphCount === 1 ? "paragraph" : "paragraphs"
+      }. Say read passage to hear it, or read paragraph followed by a number.`
+    );
+  }
+  return parts.join(" ");
+};
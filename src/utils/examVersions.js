@@ -0,0 +1,236 @@
+/**
+ * Exam version utility functions
+ * Once students have taken an exam, changes to its questions are saved as a new
+ * version; submissions stay pinned to the version they took, so their marks and
+ * review don't change behind their backs
+ */
+
+import { describeCorrectAnswer } from "./questionTypes";
+
+// Exam fields that make up a version; the rest (title, schedule, status...) can change freely
+export const VERSIONED_FIELDS = ["questions", "sections", "drawRules", "questionPool"];
+
+// Question fields compared between versions, with the label shown to examiners
+const QUESTION_FIELD_LABELS = [
+  { label: "Question text", fields: ["text"] },
+  { label: "Question type", fields: ["type"] },
+  { label: "Options", fields: ["options"] },
+  {
+    label: "Correct answer",
+    fields: ["correctIndex", "correctIndexes", "blanks", "numeric", "expectedAnswer"],
+  },
+  { label: "Marking rubric", fields: ["grading"] },
+  { label: "Marks", fields: ["marks", "negativeMarks"] },
+  { label: "Section", fields: ["sectionId"] },
+];
+
+// Changes that can change a student's marks
+const GRADING_LABELS = ["Question type", "Options", "Correct answer", "Marking rubric", "Marks"];
+
+const SECTION_FIELD_LABELS = [
+  { label: "Title", fields: ["title"] },
+  { label: "Instructions", fields: ["instructions"] },
+  { label: "Passage", fields: ["passage"] },
+  { label: "Answer rule", fields: ["answerCount"] },
+];
+
+/**
+ * Version number of a stored exam; exams saved before versioning are version 1
+ * @param {Object} exam - Exam or version snapshot
+ * @returns {number}
+ */
+export const getExamVersionNumber = (exam) => exam?.version || 1;
+
+/**
+ * Compare two stored values, ignoring key order and missing vs undefined fields
+ * Firestore doesn't keep the key order objects were written in
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isSameValue(item, b[index]))
+    );
+  }
+  if (typeof a === "object" && typeof b === "object") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => isSameValue(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * Questions with their ids; questions saved without one use their position ("q3"),
+ * the same id students' answers were saved under
+ * @param {Array} questions - Stored questions
+ * @returns {Array} - Questions with id
+ */
+export const withQuestionIds = (questions) =>
+  (questions || []).map((question, index) => ({
+    ...question,
+    id: question.id || `q${index + 1}`,
+  }));
+
+/**
+ * The versioned content of an exam, to store when a newer version replaces it
+ * @param {Object} exam - Exam as stored in Firestore
+ * @returns {Object} - { version, questions, sections, drawRules, questionPool, createdAt }
+ */
+export const createVersionSnapshot = (exam) => ({
+  version: getExamVersionNumber(exam),
+  questions: withQuestionIds(exam.questions),
+  sections: exam.sections || [],
+  drawRules: exam.drawRules || [],
+  questionPool: exam.questionPool || [],
+  // When this version's content was first saved
+  createdAt: exam.versionCreatedAt || exam.createdAt || null,
+});
+
+// Questions saved by different screens differ in which defaults they write out
+const withDefaults = (question) => ({
+  ...question,
+  marks: Number(question.marks) || 1,
+  negativeMarks: Number(question.negativeMarks) || 0,
+  sectionId: question.sectionId || null,
+});
+
+const changedLabels = (before, after, fieldLabels) =>
+  fieldLabels
+    .filter(({ fields }) => fields.some((field) => !isSameValue(before[field], after[field])))
+    .map(({ label }) => label);
+
+/**
+ * Compare two versions of an exam, matching questions and sections by id
+ * @param {Object} older - Earlier version (snapshot or exam)
+ * @param {Object} newer - Later version (snapshot or exam)
+ * @returns {Object} - { questions, sections, drawRulesChanged, gradingChanged, counts: { added, removed, changed } }
+ *   questions: [{ id, status: "added" | "removed" | "changed", number, before, after, changes, affectsGrading }]
+ *   sections: [{ id, status, title, changes }]
+ */
+export const diffExamVersions = (older, newer) => {
+  const olderQuestions = withQuestionIds(older?.questions).map(withDefaults);
+  const newerQuestions = withQuestionIds(newer?.questions).map(withDefaults);
+  const olderById = new Map(olderQuestions.map((question) => [question.id, question]));
+  const newerIds = new Set(newerQuestions.map((question) => question.id));
+
+  const questions = [];
+  newerQuestions.forEach((after, index) => {
+    const before = olderById.get(after.id);
+    if (!before) {
+      questions.push({
+        id: after.id,
+        status: "added",
+        number: index + 1,
+        before: null,
+        after,
+        changes: [],
+        affectsGrading: true,
+      });
+      return;
+    }
+    const changes = changedLabels(before, after, QUESTION_FIELD_LABELS);
+    if (changes.length > 0) {
+      questions.push({
+        id: after.id,
+        status: "changed",
+        number: index + 1,
+        before,
+        after,
+        changes,
+        affectsGrading: changes.some((label) => GRADING_LABELS.includes(label)),
+      });
+    }
+  });
+  olderQuestions.forEach((before, index) => {
+    if (!newerIds.has(before.id)) {
+      questions.push({
+        id: before.id,
+        status: "removed",
+        number: index + 1,
+        before,
+        after: null,
+        changes: [],
+        affectsGrading: true,
+      });
+    }
+  });
+
+  const olderSections = new Map((older?.sections || []).map((section) => [section.id, section]));
+  const newerSectionIds = new Set((newer?.sections || []).map((section) => section.id));
+  const sections = [
+    ...(newer?.sections || [])
+      .map((after) => {
+        const before = olderSections.get(after.id);
+        if (!before) {
+          return { id: after.id, status: "added", title: after.title, changes: [] };
+        }
+        const changes = changedLabels(before, after, SECTION_FIELD_LABELS);
+        return changes.length > 0
+          ? { id: after.id, status: "changed", title: after.title, changes }
+          : null;
+      })
+      .filter(Boolean),
+    ...(older?.sections || [])
+      .filter((before) => !newerSectionIds.has(before.id))
+      .map((before) => ({ id: before.id, status: "removed", title: before.title, changes: [] })),
+  ];
+
+  const drawRulesChanged =
+    !isSameValue(older?.drawRules || [], newer?.drawRules || []) ||
+    !isSameValue(older?.questionPool || [], newer?.questionPool || []);
+  const count = (status) => questions.filter((change) => change.status === status).length;
+
+  return {
+    questions,
+    sections,
+    drawRulesChanged,
+    // Answer rules decide which answers count, so they can change marks too
+    gradingChanged:
+      drawRulesChanged ||
+      questions.some((change) => change.affectsGrading) ||
+      sections.some((change) => change.changes.includes("Answer rule")),
+    counts: { added: count("added"), removed: count("removed"), changed: count("changed") },
+  };
+};
+
+/**
+ * Check whether an update changes an exam's versioned content, including the order of questions
+ * @param {Object} exam - Exam as stored in Firestore
+ * @param {Object} updates - Fields about to be saved
+ * @returns {boolean}
+ */
+export const hasVersionChanges = (exam, updates) => {
+  const next = { ...exam };
+  VERSIONED_FIELDS.forEach((field) => {
+    if (field in updates) next[field] = updates[field];
+  });
+  const diff = diffExamVersions(exam, next);
+  const ids = (items) => (items || []).map((item) => item.id);
+  return (
+    diff.questions.length > 0 ||
+    diff.sections.length > 0 ||
+    diff.drawRulesChanged ||
+    !isSameValue(ids(withQuestionIds(exam.questions)), ids(withQuestionIds(next.questions))) ||
+    !isSameValue(ids(exam.sections), ids(next.sections))
+  );
+};
+
+/**
+ * One line describing a question's answer key, for before/after rows in the diff view
+ * @param {Object} question - Stored question
+ * @returns {string} - e.g. "Correct: B · 2 marks"
+ */
+export const describeAnswerKey = (question) => {
+  const marks = Number(question?.marks) || 1;
+  const answer =
+    describeCorrectAnswer(question) ||
+    (question?.expectedAnswer ? `Expected: ${question.expectedAnswer}` : "");
+  return [answer, `${marks} ${marks === 1 ? "mark" : "marks"}`].filter(Boolean).join(" · ");
+};
@@ -0,0 +1,117 @@
+/**
+ * Grade scheme utility functions
+ * Turns percentage scores into the grades of the exam's grade scheme
+ */
+
+// Built-in schemes examiners start from; cut-offs can be changed per exam
+export const GRADE_SCHEME_PRESETS = {
+  letter: {
+    id: "letter",
+    name: "A–F",
+    boundaries: [
+      { grade: "A", minScore: 90 },
+      { grade: "B", minScore: 80 },
+      { grade: "C", minScore: 70 },
+      { grade: "D", minScore: 60 },
+      { grade: "F", minScore: 0 },
+    ],
+  },
+  ecz: {
+    id: "ecz",
+    name: "ECZ",
+    boundaries: [
+      { grade: "Distinction", minScore: 75 },
+      { grade: "Merit", minScore: 65 },
+      { grade: "Credit", minScore: 55 },
+      { grade: "Pass", minScore: 40 },
+      { grade: "Fail", minScore: 0 },
+    ],
+  },
+};
+
+export const DEFAULT_GRADE_SCHEME = GRADE_SCHEME_PRESETS.letter;
+
+/**
+ * Check a grade scheme
+ * Cut-offs must be between 0 and 100, strictly decreasing, and the lowest grade must start at 0
+ * @param {Object} scheme - { id, name, boundaries: [{ grade, minScore }] }
+ * @returns {string|null} - Error message, or null if the scheme is valid
+ */
+export const validateGradeScheme = (scheme) => {
+  const boundaries = scheme?.boundaries;
+  if (!Array.isArray(boundaries) || boundaries.length === 0) {
+    return "The grade scheme needs at least one grade";
+  }
+
+  for (let i = 0; i < boundaries.length; i++) {
+    const { grade, minScore } = boundaries[i];
+    if (!grade || !String(grade).trim()) {
+      return "Every grade needs a name";
+    }
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      return `The cut-off for ${grade} must be between 0 and 100`;
+    }
+    if (i > 0 && minScore >= boundaries[i - 1].minScore) {
+      return `The cut-off for ${grade} must be below the cut-off for ${
+        boundaries[i - 1].grade
+      }`;
+    }
+  }
+
+  if (boundaries[boundaries.length - 1].minScore !== 0) {
+    return `The lowest grade (${
+      boundaries[boundaries.length - 1].grade
+    }) must start at 0`;
+  }
+  return null;
+};
+
+/**
+ * Copy a preset with the examiner's cut-offs
+ * @param {string} presetId - Key of GRADE_SCHEME_PRESETS
+ * @param {Array<string|number>} cutoffs - Minimum score for each grade, highest grade first
+ * @returns {Object} - Grade scheme
+ */
+export const createGradeScheme = (presetId, cutoffs) => {
+  const preset = GRADE_SCHEME_PRESETS[presetId] || DEFAULT_GRADE_SCHEME;
+  return {
+    id: preset.id,
+    name: preset.name,
+    boundaries: preset.boundaries.map((boundary, index) => ({
+      grade: boundary.grade,
+      minScore:
+        cutoffs?.[index] === undefined || cutoffs[index] === ""
+          ? boundary.minScore
+          : Number(cutoffs[index]),
+    })),
+  };
+};
+
+/**
+ * Grade for a percentage score
+ * Invalid or missing schemes fall back to the default A–F scheme
+ * @param {number} score - Percentage score
+ * @param {Object|null} scheme - Grade scheme
+ * @returns {string} - Grade, e.g. "B" or "Merit"
+ */
+export const getGrade = (score, scheme) => {
+  const gradeScheme =
+    scheme && !validateGradeScheme(scheme) ? scheme : DEFAULT_GRADE_SCHEME;
+  const boundary = gradeScheme.boundaries.find(
+    (b) => (Number(score) || 0) >= b.minScore
+  );
+  return boundary
+    ? boundary.grade
+    : gradeScheme.boundaries[gradeScheme.boundaries.length - 1].grade;
+};
+
+/**
+ * Short description of a scheme, e.g. "A 90+, B 80+, C 70+, D 60+, F"
+ * @param {Object} scheme - Grade scheme
+ * @returns {string} - Description
+ */
+export const describeGradeScheme = (scheme) => {
+  return (scheme?.boundaries || [])
+    .map((b) => (b.minScore > 0 ? `${b.grade} ${b.minScore}+` : b.grade))
+    .join(", ");
+};
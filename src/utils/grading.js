@@ -1,12 +1,398 @@
 /**
  * Grading utility functions
- * Handles automatic grading of exam answers
+ * Handles automatic grading of exam answers and examiner review of written answers
  */
 
+import { getGrade } from "./gradeScheme";
+import {
+  getQuestionTypeId,
+  isChoiceType,
+  isAnswered,
+  parseNumericAnswer,
+  normalizeUnit,
+  formatNumericAnswer,
+} from "./questionTypes";
+import { getSectionQuestions, hasAnswerChoice } from "./examSections";
+
+/**
+ * Mark an auto-graded written answer for examiner review
+ * The auto-score stays as a provisional score until the examiner confirms or overrides it
+ * @param {Object} result - Auto-grading result
+ * @returns {Object} - Result flagged for manual grading
+ */
+const forReview = (result) => ({
+  ...result,
+  autoScore: result.score,
+  autoFeedback: result.feedback,
+  requiresManualGrading: true,
+});
+
+/**
+ * Split an answer into comparable words
+ * @param {string} text - Answer or rubric text
+ * @param {Object} options - { caseSensitive, ignorePunctuation }
+ * @returns {Array<string>} - Words
+ */
+const tokenizeAnswer = (text, options) => {
+  let normalized = String(text || "").trim();
+  if (!options.caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+  if (options.ignorePunctuation) {
+    normalized = normalized.replace(/[^\w\s]/g, "");
+  }
+  return normalized.split(/\s+/).filter((word) => word.length > 0);
+};
+
+/**
+ * Check whether a phrase appears as whole words in an answer
+ * "the" matches "the sun" but not "there"
+ * @param {Array<string>} words - Answer words
+ * @param {Array<string>} phrase - Phrase words
+ * @returns {boolean}
+ */
+const containsPhrase = (words, phrase) => {
+  if (phrase.length === 0) return false;
+  for (let start = 0; start + phrase.length <= words.length; start++) {
+    if (phrase.every((word, offset) => words[start + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Read the first number in an answer, e.g. "9.8 metres per second" or "minus 4"
+ * @param {string} text - The answer
+ * @returns {number|null} - The number, or null if there is none
+ */
+const extractNumber = (text) => parseNumericAnswer(text).value;
+
+/**
+ * Score an answer against weighted rubric keywords
+ * @param {Array<string>} words - Answer words
+ * @param {Array<Object>} keywords - { term, synonyms, weight }
+ * @param {Object} options - { caseSensitive, ignorePunctuation }
+ * @returns {Object} - { isCorrect, score, feedback, rubricItems }
+ */
+const scoreRubric = (words, keywords, options) => {
+  const rubricItems = keywords.map((keyword) => {
+    const weight = Number(keyword.weight) > 0 ? Number(keyword.weight) : 1;
+    const phrases = [keyword.term, ...(keyword.synonyms || [])].filter(Boolean);
+    const matchedText =
+      phrases.find((phrase) =>
+        containsPhrase(words, tokenizeAnswer(phrase, options))
+      ) || null;
+    return { term: keyword.term, weight, matched: matchedText !== null, matchedText };
+  });
+
+  const totalWeight = rubricItems.reduce((sum, item) => sum + item.weight, 0);
+  const matchedWeight = rubricItems
+    .filter((item) => item.matched)
+    .reduce((sum, item) => sum + item.weight, 0);
+  const matchedCount = rubricItems.filter((item) => item.matched).length;
+  const score =
+    totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) / 100 : 0;
+
+  return {
+    isCorrect: score >= 0.5,
+    score,
+    feedback:
+      score >= 1
+        ? "Correct"
+        : `Matched ${matchedCount} of ${rubricItems.length} rubric points`,
+    rubricItems,
+  };
+};
+
+/**
+ * Grade a written answer with the question's grading config
+ * Numeric answers, accepted answers and examiner-defined rubrics give a final mark;
+ * the fallback (words of the expected answer) is flagged for examiner review
+ * @param {string} studentAnswer - The student's answer
+ * @param {string} expectedAnswer - The expected answer
+ * @param {Object} grading - { keywords, alternativeAnswers, numeric, caseSensitive, ignorePunctuation }
+ * @returns {Object} - Grading result including the rubric items that were matched
+ */
+const gradeWrittenAnswer = (studentAnswer, expectedAnswer, grading) => {
+  const options = {
+    caseSensitive: !!grading.caseSensitive,
+    ignorePunctuation: grading.ignorePunctuation !== false,
+  };
+  const base = {
+    graded: true,
+    correctAnswer: expectedAnswer || String(grading.numeric?.value ?? ""),
+  };
+
+  // Numeric answer within the tolerance
+  if (grading.numeric) {
+    const { value: expected, tolerance = 0 } = grading.numeric;
+    const value = extractNumber(studentAnswer);
+    // Small margin so floating point error doesn't fail answers on the boundary
+    const isCorrect =
+      value !== null && Math.abs(value - expected) <= tolerance + 1e-9;
+    const label = tolerance > 0 ? `${expected} ± ${tolerance}` : `${expected}`;
+    return {
+      ...base,
+      isCorrect,
+      score: isCorrect ? 1 : 0,
+      feedback: isCorrect
+        ? "Correct"
+        : value === null
+        ? "Incorrect - no number found in the answer"
+        : `Incorrect - expected ${label}`,
+      rubricItems: [
+        {
+          term: label,
+          weight: 1,
+          matched: isCorrect,
+          matchedText: value === null ? null : String(value),
+        },
+      ],
+    };
+  }
+
+  // The expected answer or an accepted alternative, word for word
+  const words = tokenizeAnswer(studentAnswer, options);
+  const acceptedAnswers = [
+    expectedAnswer,
+    ...(grading.alternativeAnswers || []),
+  ].filter(Boolean);
+  const acceptedAnswer = acceptedAnswers.find((answer) => {
+    const answerWords = tokenizeAnswer(answer, options);
+    return (
+      answerWords.length === words.length &&
+      containsPhrase(words, answerWords)
+    );
+  });
+  if (acceptedAnswer) {
+    return {
+      ...base,
+      isCorrect: true,
+      score: 1,
+      feedback:
+        acceptedAnswer === expectedAnswer
+          ? "Correct"
+          : "Correct (accepted alternative answer)",
+      rubricItems: [],
+    };
+  }
+
+  if (Array.isArray(grading.keywords) && grading.keywords.length > 0) {
+    return { ...base, ...scoreRubric(words, grading.keywords, options) };
+  }
+
+  // No rubric: each significant word of the expected answer is one point
+  const expectedWords = tokenizeAnswer(expectedAnswer, options).filter(
+    (word) => word.length > 3
+  );
+  const keywords = [...new Set(expectedWords)].map((term) => ({
+    term,
+    weight: 1,
+  }));
+  if (keywords.length === 0) {
+    return forReview({
+      ...base,
+      isCorrect: false,
+      score: 0,
+      feedback: "Incorrect",
+      rubricItems: [],
+    });
+  }
+  return forReview({ ...base, ...scoreRubric(words, keywords, options) });
+};
+
+/**
+ * Result for a question the examiner left without a correct answer
+ * @param {Object} question - The question
+ * @returns {Object} - Ungraded result
+ */
+const missingCorrectAnswer = (question) => {
+  console.warn(
+    "[grading] No correctAnswer found for question:",
+    question.id || question.questionId
+  );
+  return {
+    isCorrect: false,
+    score: 0,
+    feedback: "No correct answer defined",
+    graded: false,
+    correctAnswer: null,
+  };
+};
+
+/**
+ * Grade a multiple select answer
+ * Each correct option selected earns its share of the marks and each wrong option cancels one
+ * @param {Object} question - Question with correctAnswers (option texts)
+ * @param {Array<string>|string} studentAnswer - Selected option texts
+ * @returns {Object} - Grading result
+ */
+const gradeMultipleSelect = (question, studentAnswer) => {
+  const correctAnswers = (question.correctAnswers || []).map((answer) =>
+    String(answer).trim()
+  );
+  if (correctAnswers.length === 0) {
+    return missingCorrectAnswer(question);
+  }
+
+  const selected = [
+    ...new Set(
+      (Array.isArray(studentAnswer) ? studentAnswer : [studentAnswer])
+        .map((answer) => String(answer ?? "").trim())
+        .filter((answer) => answer.length > 0)
+    ),
+  ];
+  const correctSelected = selected.filter((answer) =>
+    correctAnswers.includes(answer)
+  ).length;
+  const wrongSelected = selected.length - correctSelected;
+  const isCorrect =
+    correctSelected === correctAnswers.length && wrongSelected === 0;
+  const score = isCorrect
+    ? 1
+    : Math.max(
+        0,
+        Math.round(
+          ((correctSelected - wrongSelected) / correctAnswers.length) * 100
+        ) / 100
+      );
+
+  let feedback = "Incorrect";
+  if (isCorrect) {
+    feedback = "Correct";
+  } else if (score > 0) {
+    feedback = `Partially correct - ${correctSelected} of ${
+      correctAnswers.length
+    } correct options selected${
+      wrongSelected > 0 ? `, ${wrongSelected} wrong` : ""
+    }`;
+  }
+
+  return {
+    isCorrect,
+    score,
+    feedback,
+    graded: true,
+    correctAnswer: correctAnswers,
+  };
+};
+
+/**
+ * Grade a fill-in-the-blank answer, one share of the marks per blank
+ * Blanks are compared word for word, ignoring case and punctuation
+ * @param {Object} question - Question with blanks [{ answers }]
+ * @param {Array<string>|string} studentAnswer - Answer for each blank
+ * @returns {Object} - Grading result with a rubric item per blank
+ */
+const gradeBlanks = (question, studentAnswer) => {
+  const blanks = question.blanks || [];
+  if (blanks.length === 0) {
+    return missingCorrectAnswer(question);
+  }
+
+  const answers = Array.isArray(studentAnswer) ? studentAnswer : [studentAnswer];
+  const options = { caseSensitive: false, ignorePunctuation: true };
+  const rubricItems = blanks.map((blank, index) => {
+    const words = tokenizeAnswer(answers[index], options).join(" ");
+    const matched =
+      words.length > 0 &&
+      (blank.answers || []).some(
+        (answer) => tokenizeAnswer(answer, options).join(" ") === words
+      );
+    return {
+      term: `Blank ${index + 1}: ${(blank.answers || [])[0] || ""}`,
+      weight: 1,
+      matched,
+      matchedText: null,
+    };
+  });
+
+  const matchedCount = rubricItems.filter((item) => item.matched).length;
+  const score = Math.round((matchedCount / blanks.length) * 100) / 100;
+  return {
+    isCorrect: matchedCount === blanks.length,
+    score,
+    feedback:
+      matchedCount === blanks.length
+        ? "Correct"
+        : `${matchedCount} of ${blanks.length} blanks correct`,
+    graded: true,
+    correctAnswer: blanks.map((blank) => (blank.answers || [])[0] || ""),
+    rubricItems,
+  };
+};
+
+/**
+ * Grade a numeric answer with an optional unit
+ * The right number with a missing or wrong unit earns half the marks
+ * @param {Object} question - Question with numeric { value, tolerance, unit, unitAliases }
+ * @param {string} studentAnswer - e.g. "9.8 m/s"
+ * @returns {Object} - Grading result with rubric items for the value and unit
+ */
+const gradeNumericAnswer = (question, studentAnswer) => {
+  const numeric = question.numeric;
+  if (!numeric || !Number.isFinite(numeric.value)) {
+    return missingCorrectAnswer(question);
+  }
+
+  const { value, unit } = parseNumericAnswer(studentAnswer);
+  const tolerance = numeric.tolerance || 0;
+  // Small margin so floating point error doesn't fail answers on the boundary
+  const valueCorrect =
+    value !== null && Math.abs(value - numeric.value) <= tolerance + 1e-9;
+  const acceptedUnits = [numeric.unit, ...(numeric.unitAliases || [])]
+    .filter(Boolean)
+    .map(normalizeUnit);
+  const unitCorrect =
+    acceptedUnits.length === 0 || acceptedUnits.includes(normalizeUnit(unit));
+
+  const label = formatNumericAnswer(numeric);
+  let score = 0;
+  let feedback = `Incorrect - expected ${label}`;
+  if (valueCorrect && unitCorrect) {
+    score = 1;
+    feedback = "Correct";
+  } else if (valueCorrect) {
+    score = 0.5;
+    feedback = unit
+      ? `Correct value, but the unit should be ${numeric.unit}`
+      : `Correct value, but the unit (${numeric.unit}) is missing`;
+  } else if (value === null) {
+    feedback = "Incorrect - no number found in the answer";
+  }
+
+  const rubricItems = [
+    {
+      term: tolerance > 0 ? `${numeric.value} ± ${tolerance}` : `${numeric.value}`,
+      weight: 1,
+      matched: valueCorrect,
+      matchedText: value === null ? null : String(value),
+    },
+  ];
+  if (numeric.unit) {
+    rubricItems.push({
+      term: numeric.unit,
+      weight: 1,
+      matched: unitCorrect,
+      matchedText: unit || null,
+    });
+  }
+
+  return {
+    isCorrect: score === 1,
+    score,
+    feedback,
+    graded: true,
+    correctAnswer: label,
+    rubricItems,
+  };
+};
+
 /**
  * Grade a single question
  * @param {Object} question - The question object with correct answer
- * @param {string} studentAnswer - The student's answer
+ * @param {string|Array<string>} studentAnswer - The student's answer (an array for multiple select and fill-in-the-blank)
  * @returns {Object} - Grading result { isCorrect, score, feedback }
  */
 export const gradeQuestion = (question, studentAnswer) => {
@@ -19,11 +405,10 @@ export const gradeQuestion = (question, studentAnswer) => {
     };
   }
 
-  // Multiple choice question grading
-  if (
-    question.type === "multiple-choice" ||
-    question.type === "Multiple Choice"
-  ) {
+  const typeId = getQuestionTypeId(question.type);
+
+  // Multiple choice and true/false question grading
+  if (typeId === "multiple-choice" || typeId === "true-false") {
     // First try to get correctAnswer directly
     let correctAnswer = question.correctAnswer;
 
@@ -39,21 +424,11 @@ export const gradeQuestion = (question, studentAnswer) => {
 
     // If still no correctAnswer, log warning
     if (!correctAnswer) {
-      console.warn(
-        "[grading] No correctAnswer found for question:",
-        question.id || question.questionId
-      );
-      return {
-        isCorrect: false,
-        score: 0,
-        feedback: "No correct answer defined",
-        graded: false,
-        correctAnswer: null,
-      };
+      return missingCorrectAnswer(question);
     }
 
     // Normalize both answers for comparison (trim and handle case if needed)
-    const normalizedStudentAnswer = (studentAnswer || "").trim();
+    const normalizedStudentAnswer = String(studentAnswer || "").trim();
     const normalizedCorrectAnswer = correctAnswer.trim();
 
     const isCorrect = normalizedStudentAnswer === normalizedCorrectAnswer;
@@ -74,12 +449,25 @@ export const gradeQuestion = (question, studentAnswer) => {
     };
   }
 
-  // Written answer - auto-grade by comparing with expected answer
-  if (question.type === "written" || question.type === "Written Answer") {
+  if (typeId === "multiple-select") {
+    return gradeMultipleSelect(question, studentAnswer);
+  }
+
+  if (typeId === "fill-blank") {
+    return gradeBlanks(question, studentAnswer);
+  }
+
+  if (typeId === "numeric") {
+    return gradeNumericAnswer(question, studentAnswer);
+  }
+
+  // Written answer - auto-grade with the question's grading config
+  if (typeId === "written") {
     const expectedAnswer =
       question.expectedAnswer || question.correctAnswer || "";
+    const grading = question.grading || {};
 
-    if (!expectedAnswer) {
+    if (!expectedAnswer && !grading.numeric) {
       // No expected answer provided, mark as pending manual grading
       return {
         isCorrect: null,
@@ -90,72 +478,7 @@ export const gradeQuestion = (question, studentAnswer) => {
       };
     }
 
-    // Normalize answers for comparison (trim, lowercase, remove extra spaces)
-    const normalizeText = (text) => {
-      return text
-        .trim()
-        .toLowerCase()
-        .replace(/\s+/g, " ") // Replace multiple spaces with single space
-        .replace(/[^\w\s]/g, ""); // Remove punctuation for comparison
-    };
-
-    const normalizedStudent = normalizeText(studentAnswer);
-    const normalizedExpected = normalizeText(expectedAnswer);
-
-    // Exact match
-    if (normalizedStudent === normalizedExpected) {
-      return {
-        isCorrect: true,
-        score: 1,
-        feedback: "Correct",
-        graded: true,
-        correctAnswer: expectedAnswer,
-      };
-    }
-
-    // Check for keyword matching (if answer contains key concepts from expected answer)
-    const expectedWords = normalizedExpected
-      .split(/\s+/)
-      .filter((w) => w.length > 3); // Words longer than 3 chars
-    const studentWords = normalizedStudent.split(/\s+/);
-
-    if (expectedWords.length > 0) {
-      const matchedWords = expectedWords.filter((word) =>
-        studentWords.some((sw) => sw.includes(word) || word.includes(sw))
-      );
-      const matchPercentage = matchedWords.length / expectedWords.length;
-
-      // If 70% or more keywords match, consider it correct
-      if (matchPercentage >= 0.7) {
-        return {
-          isCorrect: true,
-          score: 1,
-          feedback: "Correct (keyword match)",
-          graded: true,
-          correctAnswer: expectedAnswer,
-        };
-      }
-
-      // If 50-70% keywords match, give partial credit
-      if (matchPercentage >= 0.5) {
-        return {
-          isCorrect: true,
-          score: 0.7,
-          feedback: "Partially correct",
-          graded: true,
-          correctAnswer: expectedAnswer,
-        };
-      }
-    }
-
-    // No match found
-    return {
-      isCorrect: false,
-      score: 0,
-      feedback: "Incorrect",
-      graded: true,
-      correctAnswer: expectedAnswer,
-    };
+    return gradeWrittenAnswer(String(studentAnswer), expectedAnswer, grading);
   }
 
   // Unknown question type
@@ -167,13 +490,258 @@ export const gradeQuestion = (question, studentAnswer) => {
   };
 };
 
+/**
+ * Score summary section a question type counts towards
+ * @param {string} type - Question type
+ * @returns {string|null} - "multiple-choice", "short-answer", "written", or null for unknown types
+ */
+const getSectionId = (type) => {
+  const typeId = getQuestionTypeId(type);
+  if (isChoiceType(typeId)) return "multiple-choice";
+  if (typeId === "fill-blank" || typeId === "numeric") return "short-answer";
+  if (typeId === "written") return "written";
+  return null;
+};
+
+/**
+ * Marks a question is worth (default 1)
+ * @param {Object} question - Question or graded question
+ * @returns {number} - Marks
+ */
+export const getQuestionMarks = (question) => {
+  const marks = Number(question?.marks);
+  return marks > 0 ? marks : 1;
+};
+
+/**
+ * Marks deducted for a wrong multiple choice, true/false or multiple select answer (default 0)
+ * @param {Object} question - Question or graded question
+ * @returns {number} - Marks deducted
+ */
+export const getNegativeMarks = (question) => {
+  const negativeMarks = Number(question?.negativeMarks);
+  return negativeMarks > 0 ? negativeMarks : 0;
+};
+
+/**
+ * Marks awarded for a graded question
+ * Wrong choice answers with no partial credit lose the negative marks; unanswered questions score zero
+ * @param {Object} gradedQuestion - Graded question with marks, negativeMarks and score
+ * @returns {number} - Marks awarded (may be negative)
+ */
+const getMarksAwarded = (gradedQuestion) => {
+  const marks = getQuestionMarks(gradedQuestion);
+  if (
+    isChoiceType(gradedQuestion.questionType) &&
+    !gradedQuestion.isCorrect &&
+    !(gradedQuestion.score > 0)
+  ) {
+    return isAnswered(gradedQuestion.studentAnswer) && gradedQuestion.graded
+      ? -getNegativeMarks(gradedQuestion)
+      : 0;
+  }
+  if (gradedQuestion.score === null || gradedQuestion.score === undefined) {
+    return 0;
+  }
+  return Math.round(gradedQuestion.score * marks * 100) / 100;
+};
+
+/**
+ * Percentage of marks, never below zero
+ * @param {number} marksAwarded - Marks awarded
+ * @param {number} marksPossible - Marks available
+ * @returns {number} - Whole-number percentage
+ */
+const toPercentage = (marksAwarded, marksPossible) =>
+  marksPossible > 0
+    ? Math.max(0, Math.round((marksAwarded / marksPossible) * 100))
+    : 0;
+
+/**
+ * Round marks for display and storage, e.g. 14.5
+ * @param {number} marks - Marks
+ * @returns {number} - Marks rounded to two decimal places
+ */
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+/**
+ * Marks as shown to students and examiners
+ * @param {number} marksAwarded - Marks awarded
+ * @param {number} marksPossible - Marks available
+ * @returns {string} - e.g. "14 / 20 marks"
+ */
+export const formatMarks = (marksAwarded, marksPossible) =>
+  `${roundMarks(marksAwarded || 0)} / ${roundMarks(marksPossible || 0)} ${
+    marksPossible === 1 ? "mark" : "marks"
+  }`;
+
+/**
+ * Apply "answer N of M" section rules
+ * In a section with a choice rule only the N best-scoring questions count, preferring answered
+ * questions on a tie; the others are marked notCounted and left out of the totals
+ * @param {Array} gradedQuestions - Graded questions with sectionId and marksAwarded
+ * @param {Array} examSections - Sections { id, title, answerCount }
+ * @returns {Array} - Graded questions with notCounted set
+ */
+export const applyAnswerRules = (gradedQuestions, examSections) => {
+  const notCounted = new Set();
+  (examSections || []).forEach((section) => {
+    const sectionQuestions = getSectionQuestions(gradedQuestions, section.id);
+    if (!hasAnswerChoice(section, sectionQuestions.length)) return;
+
+    sectionQuestions
+      .map((gradedQuestion, index) => ({ gradedQuestion, index }))
+      .sort(
+        (a, b) =>
+          (b.gradedQuestion.marksAwarded ?? 0) -
+            (a.gradedQuestion.marksAwarded ?? 0) ||
+          Number(isAnswered(b.gradedQuestion.studentAnswer)) -
+            Number(isAnswered(a.gradedQuestion.studentAnswer)) ||
+          a.index - b.index
+      )
+      .slice(section.answerCount)
+      .forEach(({ gradedQuestion }) => notCounted.add(gradedQuestion.questionId));
+  });
+
+  return gradedQuestions.map((gradedQuestion) => ({
+    ...gradedQuestion,
+    notCounted: notCounted.has(gradedQuestion.questionId),
+  }));
+};
+
+/**
+ * Build the score summary from graded questions
+ * Used when an exam is first graded and again after manual grading
+ * @param {Array} gradedQuestions - Graded questions from gradeExam
+ * @param {number} answeredQuestions - Number of questions the student answered
+ * @param {Object|null} gradeScheme - Grade scheme for the letter grade (default A–F)
+ * @returns {Object} - Summary with marks, percentages per section, grade and pending manual grading count
+ */
+export const summarizeGrading = (
+  gradedQuestions,
+  answeredQuestions,
+  gradeScheme = null
+) => {
+  const sections = {
+    "multiple-choice": {
+      id: "multiple-choice",
+      title: "Multiple Choice",
+      questionCount: 0,
+      correctCount: 0,
+      marksAwarded: 0,
+      marksPossible: 0,
+    },
+    "short-answer": {
+      id: "short-answer",
+      title: "Short Answer",
+      questionCount: 0,
+      correctCount: 0,
+      marksAwarded: 0,
+      marksPossible: 0,
+    },
+    written: {
+      id: "written",
+      title: "Written Questions",
+      questionCount: 0,
+      correctCount: 0,
+      marksAwarded: 0,
+      marksPossible: 0,
+    },
+  };
+  let pendingManualGrading = 0;
+
+  gradedQuestions.forEach((gradedQuestion) => {
+    const section = sections[getSectionId(gradedQuestion.questionType)];
+    if (!section) return;
+    if (gradedQuestion.requiresManualGrading) {
+      pendingManualGrading++;
+    }
+    // Left out by an "answer N of M" rule
+    if (gradedQuestion.notCounted) return;
+
+    section.questionCount++;
+    section.marksPossible += getQuestionMarks(gradedQuestion);
+    // Provisional auto-scores count until the examiner overrides them
+    section.marksAwarded += gradedQuestion.marksAwarded ?? getMarksAwarded(gradedQuestion);
+    if (gradedQuestion.isCorrect) {
+      section.correctCount++;
+    }
+  });
+
+  const sectionList = Object.values(sections)
+    .filter((section) => section.questionCount > 0)
+    .map((section) => ({
+      ...section,
+      marksAwarded: roundMarks(section.marksAwarded),
+      marksPossible: roundMarks(section.marksPossible),
+      percentage: toPercentage(section.marksAwarded, section.marksPossible),
+    }));
+
+  const multipleChoice = sections["multiple-choice"];
+  const shortAnswer = sections["short-answer"];
+  const written = sections.written;
+  // Negative marking can't take the total below zero
+  const totalScore = roundMarks(
+    Math.max(
+      0,
+      Object.values(sections).reduce(
+        (sum, section) => sum + section.marksAwarded,
+        0
+      )
+    )
+  );
+  const totalPossible = roundMarks(
+    Object.values(sections).reduce(
+      (sum, section) => sum + section.marksPossible,
+      0
+    )
+  );
+
+  const overallScore = toPercentage(totalScore, totalPossible);
+
+  return {
+    totalQuestions: gradedQuestions.length,
+    answeredQuestions,
+    multipleChoiceQuestions: multipleChoice.questionCount,
+    multipleChoiceCorrect: multipleChoice.correctCount,
+    multipleChoiceScore: toPercentage(
+      multipleChoice.marksAwarded,
+      multipleChoice.marksPossible
+    ),
+    shortAnswerQuestions: shortAnswer.questionCount,
+    shortAnswerScore: toPercentage(
+      shortAnswer.marksAwarded,
+      shortAnswer.marksPossible
+    ),
+    shortAnswerCorrect: shortAnswer.correctCount,
+    writtenQuestions: written.questionCount,
+    writtenScore: toPercentage(written.marksAwarded, written.marksPossible),
+    writtenCorrect: written.correctCount,
+    overallScore,
+    grade: getGrade(overallScore, gradeScheme),
+    // Raw marks: totalScore out of totalPossible
+    totalScore,
+    totalPossible,
+    sections: sectionList,
+    gradedAutomatically: gradedQuestions.length - pendingManualGrading,
+    pendingManualGrading,
+  };
+};
+
 /**
  * Grade an entire exam submission
  * @param {Array} questions - Array of question objects from exam
  * @param {Array} answers - Array of student answers { questionId, answer }
+ * @param {Object|null} gradeScheme - The exam's grade scheme (default A–F)
+ * @param {Array} sections - The exam's sections, for "answer N of M" rules
  * @returns {Object} - Complete grading results
  */
-export const gradeExam = (questions, answers) => {
+export const gradeExam = (
+  questions,
+  answers,
+  gradeScheme = null,
+  sections = []
+) => {
   if (!Array.isArray(questions) || !Array.isArray(answers)) {
     throw new Error("Questions and answers must be arrays");
   }
@@ -186,15 +754,7 @@ export const gradeExam = (questions, answers) => {
     }
   });
 
-  const gradedQuestions = [];
-  let multipleChoiceCorrect = 0;
-  let multipleChoiceTotal = 0;
-  let writtenQuestionsTotal = 0;
-  let gradedWrittenQuestions = 0;
-  let totalScore = 0;
-  let totalPossible = 0;
-
-  questions.forEach((question, index) => {
+  const gradedQuestions = questions.map((question, index) => {
     const studentAnswer = answerMap.get(question.id || `q${index + 1}`);
     const gradeResult = gradeQuestion(question, studentAnswer);
 
@@ -202,71 +762,228 @@ export const gradeExam = (questions, answers) => {
       questionId: question.id || `q${index + 1}`,
       questionText: question.question || question.text || "",
       questionType: question.type,
+      sectionId: question.sectionId || null,
       studentAnswer: studentAnswer || "",
+      marks: getQuestionMarks(question),
+      negativeMarks: getNegativeMarks(question),
       ...gradeResult,
     };
+    return { ...gradedQuestion, marksAwarded: getMarksAwarded(gradedQuestion) };
+  });
 
-    gradedQuestions.push(gradedQuestion);
+  // Only the choice rules are needed to regrade later
+  const examSections = (sections || []).map((section) => ({
+    id: section.id,
+    title: section.title,
+    answerCount: section.answerCount ?? null,
+  }));
+  const countedQuestions = applyAnswerRules(gradedQuestions, examSections);
 
-    // Calculate scores
-    if (
-      question.type === "multiple-choice" ||
-      question.type === "Multiple Choice"
-    ) {
-      multipleChoiceTotal++;
-      totalPossible++;
-      if (gradeResult.isCorrect) {
-        multipleChoiceCorrect++;
-        totalScore++;
-      }
-    } else if (
-      question.type === "written" ||
-      question.type === "Written Answer"
-    ) {
-      writtenQuestionsTotal++;
-      totalPossible++;
-      // Written questions are now auto-graded
-      if (gradeResult.graded && gradeResult.isCorrect !== null) {
-        totalScore += gradeResult.score || 0;
-        if (gradeResult.isCorrect) {
-          gradedWrittenQuestions++;
-        }
-      }
+  return {
+    gradedQuestions: countedQuestions,
+    gradeScheme,
+    examSections,
+    summary: summarizeGrading(countedQuestions, answers.length, gradeScheme),
+  };
+};
+
+/**
+ * Apply an examiner's marks and feedback to written answers
+ * @param {Object} gradingResults - Stored grading results { gradedQuestions, summary }
+ * @param {Object} manualGrades - Map of questionId to { score, feedback }, score from 0 to 1 of the question's marks
+ * @returns {Object} - Updated grading results with the summary recomputed
+ */
+export const applyManualGrades = (gradingResults, manualGrades) => {
+  const gradedQuestions = (gradingResults?.gradedQuestions || []).map(
+    (gradedQuestion) => {
+      const manualGrade = manualGrades?.[gradedQuestion.questionId];
+      if (!manualGrade) return gradedQuestion;
+
+      const score = Math.min(1, Math.max(0, Number(manualGrade.score) || 0));
+      const regraded = {
+        ...gradedQuestion,
+        score,
+        isCorrect: score >= 0.5,
+        feedback:
+          manualGrade.feedback?.trim() ||
+          (score >= 1 ? "Correct" : score > 0 ? "Partially correct" : "Incorrect"),
+        graded: true,
+        requiresManualGrading: false,
+        manuallyGraded: true,
+      };
+      return { ...regraded, marksAwarded: getMarksAwarded(regraded) };
     }
-  });
+  );
+  // A regraded answer can change which questions count
+  const countedQuestions = applyAnswerRules(
+    gradedQuestions,
+    gradingResults?.examSections
+  );
 
-  // Calculate percentage scores
-  const multipleChoiceScore =
-    multipleChoiceTotal > 0
-      ? Math.round((multipleChoiceCorrect / multipleChoiceTotal) * 100)
-      : 0;
+  return {
+    ...gradingResults,
+    gradedQuestions: countedQuestions,
+    summary: summarizeGrading(
+      countedQuestions,
+      gradingResults?.summary?.answeredQuestions ?? 0,
+      gradingResults?.gradeScheme ?? null
+    ),
+  };
+};
 
-  // Written questions score (now auto-graded)
-  const writtenScore =
-    writtenQuestionsTotal > 0
-      ? Math.round((gradedWrittenQuestions / writtenQuestionsTotal) * 100)
-      : 0;
+/**
+ * The scores from grading results, to compare before and after a regrade
+ * @param {Object} gradingResults - Stored grading results
+ * @returns {Object} - { overallScore, totalScore, totalPossible, grade, pendingManualGrading }
+ */
+export const getScoreSnapshot = (gradingResults) => {
+  const summary = gradingResults?.summary || {};
+  return {
+    overallScore: summary.overallScore || 0,
+    totalScore: summary.totalScore || 0,
+    totalPossible: summary.totalPossible || 0,
+    grade: summary.grade || "",
+    pendingManualGrading: summary.pendingManualGrading || 0,
+  };
+};
 
-  // Overall score based on auto-graded questions only
-  const overallScore =
-    totalPossible > 0 ? Math.round((totalScore / totalPossible) * 100) : 0;
+/**
+ * Check whether a regrade changed a student's result
+ * @param {Object} before - Score snapshot before
+ * @param {Object} after - Score snapshot after
+ * @returns {boolean}
+ */
+export const isScoreChanged = (before, after) =>
+  before.totalScore !== after.totalScore ||
+  before.totalPossible !== after.totalPossible ||
+  before.overallScore !== after.overallScore ||
+  before.grade !== after.grade;
+
+/**
+ * A score change as shown to students and examiners
+ * @param {Object} before - Score snapshot before
+ * @param {Object} after - Score snapshot after
+ * @returns {string} - e.g. "60% (C) to 75% (B)"
+ */
+export const formatScoreChange = (before, after) => {
+  const format = (snapshot) =>
+    `${snapshot.overallScore}%${snapshot.grade ? ` (${snapshot.grade})` : ""}`;
+  return `${format(before)} to ${format(after)}`;
+};
+
+/**
+ * Parse rubric keywords typed by the examiner, one rubric point per line
+ * "photosynthesis / photo synthesis : 2" = keyword, accepted synonyms, weight (default 1)
+ * @param {string} text - Rubric text
+ * @returns {Array<Object>} - Keywords { term, synonyms, weight }
+ */
+export const parseRubricText = (text) => {
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      const weightMatch = line.match(/^(.*):\s*(\d+(?:\.\d+)?)$/);
+      const termsText = weightMatch ? weightMatch[1] : line;
+      const [term, ...synonyms] = termsText
+        .split("/")
+        .map((part) => part.trim())
+        .filter((part) => part.length > 0);
+      return {
+        term,
+        synonyms,
+        weight: weightMatch ? Number(weightMatch[2]) : 1,
+      };
+    })
+    .filter((keyword) => keyword.term);
+};
+
+/**
+ * Format rubric keywords back into the text the examiner edits
+ * @param {Array<Object>} keywords - Keywords { term, synonyms, weight }
+ * @returns {string} - Rubric text, one rubric point per line
+ */
+export const formatRubricText = (keywords) => {
+  return (keywords || [])
+    .map((keyword) => {
+      const terms = [keyword.term, ...(keyword.synonyms || [])].join(" / ");
+      return keyword.weight && keyword.weight !== 1
+        ? `${terms} : ${keyword.weight}`
+        : terms;
+    })
+    .join("\n");
+};
+
+/**
+ * Build a written question's grading config from the exam form
+ * @param {Object} input - { alternativeAnswersText, rubricText, numericAnswer, numericTolerance, caseSensitive, ignorePunctuation }
+ * @returns {Object|null} - Grading config, or null when only the defaults are used
+ */
+export const createGradingConfig = (input) => {
+  const alternativeAnswers = String(input.alternativeAnswersText || "")
+    .split("\n")
+    .map((answer) => answer.trim())
+    .filter((answer) => answer.length > 0);
+  const keywords = parseRubricText(input.rubricText);
+  const numericText = String(input.numericAnswer ?? "").trim();
+  const toleranceText = String(input.numericTolerance ?? "").trim();
+  const numeric = numericText
+    ? { value: Number(numericText), tolerance: Number(toleranceText || 0) }
+    : null;
+  const caseSensitive = !!input.caseSensitive;
+  const ignorePunctuation = input.ignorePunctuation !== false;
+
+  if (
+    alternativeAnswers.length === 0 &&
+    keywords.length === 0 &&
+    !numeric &&
+    !caseSensitive &&
+    ignorePunctuation
+  ) {
+    return null;
+  }
 
   return {
-    gradedQuestions,
-    summary: {
-      totalQuestions: questions.length,
-      answeredQuestions: answers.length,
-      multipleChoiceQuestions: multipleChoiceTotal,
-      multipleChoiceCorrect,
-      multipleChoiceScore,
-      writtenQuestions: writtenQuestionsTotal,
-      writtenScore,
-      writtenCorrect: gradedWrittenQuestions,
-      overallScore,
-      totalScore,
-      totalPossible,
-      gradedAutomatically: totalPossible,
-      pendingManualGrading: 0, // All questions are now auto-graded
-    },
+    alternativeAnswers,
+    keywords,
+    numeric,
+    caseSensitive,
+    ignorePunctuation,
   };
 };
+
+/**
+ * Check a grading config
+ * @param {Object|null} grading - Grading config
+ * @returns {string|null} - Error message, or null if the config is valid
+ */
+export const validateGradingConfig = (grading) => {
+  if (!grading?.numeric) return null;
+  if (!Number.isFinite(grading.numeric.value)) {
+    return "The numeric answer must be a number";
+  }
+  if (
+    !Number.isFinite(grading.numeric.tolerance) ||
+    grading.numeric.tolerance < 0
+  ) {
+    return "The tolerance must be zero or a positive number";
+  }
+  return null;
+};
+
+/**
+ * Form values for editing a question's grading config
+ * @param {Object|null} grading - Grading config
+ * @returns {Object} - { alternativeAnswersText, rubricText, numericAnswer, numericTolerance, caseSensitive, ignorePunctuation }
+ */
+export const getGradingInput = (grading) => ({
+  alternativeAnswersText: (grading?.alternativeAnswers || []).join("\n"),
+  rubricText: formatRubricText(grading?.keywords),
+  numericAnswer:
+    grading?.numeric?.value !== undefined ? String(grading.numeric.value) : "",
+  numericTolerance: grading?.numeric?.tolerance
+    ? String(grading.numeric.tolerance)
+    : "",
+  caseSensitive: !!grading?.caseSensitive,
+  ignorePunctuation: grading?.ignorePunctuation !== false,
+});
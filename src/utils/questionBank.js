@@ -0,0 +1,262 @@
+/**
+ * Question bank utility functions
+ * Bank entries are questions tagged by subject, topic and difficulty so they can be
+ * reused across exams, searched, and drawn at random by rule
+ */
+
+import { pickQuestionFields } from "./questionTypes";
+
+export const DIFFICULTY_LEVELS = ["easy", "medium", "hard"];
+
+// Question fields kept in the bank; the section belongs to the exam the question came from
+const pickBankQuestionFields = (question) => {
+  const fields = pickQuestionFields(question);
+  delete fields.sectionId;
+  return fields;
+};
+
+/**
+ * Split a comma-separated tag list, e.g. "Term 1, revision" -> ["term 1", "revision"]
+ * @param {string|Array} text - Tags as typed, or a list of tags
+ * @returns {Array<string>} - Lowercase tags without duplicates
+ */
+export const parseTags = (text) => {
+  const tags = Array.isArray(text) ? text : String(text || "").split(",");
+  return [
+    ...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)),
+  ];
+};
+
+/**
+ * Check the tags given to a bank question
+ * @param {Object} details - { subject, topic, difficulty, tags }
+ * @returns {string|null} - Error message, or null if the details are valid
+ */
+export const validateBankDetails = (details) => {
+  if (!String(details?.subject || "").trim()) {
+    return "Please enter the subject the question belongs to";
+  }
+  if (!DIFFICULTY_LEVELS.includes(details.difficulty)) {
+    return "Please choose a difficulty: easy, medium or hard";
+  }
+  return null;
+};
+
+/**
+ * Build a bank entry from an exam question and its tags
+ * @param {Object} question - Stored question
+ * @param {Object} details - { subject, topic, difficulty, tags }
+ * @returns {Object} - { question, subject, topic, difficulty, tags }
+ */
+export const createBankEntry = (question, details) => {
+  return {
+    question: pickBankQuestionFields(question),
+    subject: String(details.subject || "").trim(),
+    topic: String(details.topic || "").trim(),
+    difficulty: details.difficulty,
+    tags: parseTags(details.tags),
+  };
+};
+
+/**
+ * Exam question for a bank entry, with an id that stays the same in every exam that uses it
+ * @param {Object} entry - Bank entry with id
+ * @returns {Object} - Stored question with id "bank-<entry id>"
+ */
+export const toExamQuestionFromBank = (entry) => ({
+  ...entry.question,
+  id: `bank-${entry.id}`,
+});
+
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Search and filter bank entries
+ * Every search word must appear in the question, its options, topic or tags
+ * @param {Array} entries - Bank entries
+ * @param {Object} filters - { search, subject, topic, difficulty, tag }, empty = any
+ * @returns {Array} - Matching entries, in the order given
+ */
+export const filterBankQuestions = (entries, filters = {}) => {
+  const words = String(filters.search || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return (entries || []).filter((entry) => {
+    if (filters.subject && !sameText(entry.subject, filters.subject)) return false;
+    if (filters.topic && !sameText(entry.topic, filters.topic)) return false;
+    if (filters.difficulty && entry.difficulty !== filters.difficulty) return false;
+    if (filters.tag && !(entry.tags || []).includes(filters.tag)) return false;
+    if (words.length === 0) return true;
+    const haystack = [
+      entry.question?.text,
+      ...(entry.question?.options || []),
+      entry.question?.expectedAnswer,
+      entry.subject,
+      entry.topic,
+      ...(entry.tags || []),
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+};
+
+/**
+ * Subjects, topics and tags used in the bank, for filter chips
+ * @param {Array} entries - Bank entries
+ * @returns {Object} - { subjects, topics, tags }, each sorted
+ */
+export const getBankFacets = (entries) => {
+  const collect = (values) =>
+    [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    subjects: collect((entries || []).map((entry) => entry.subject)),
+    topics: collect((entries || []).map((entry) => entry.topic)),
+    tags: collect((entries || []).flatMap((entry) => entry.tags || [])),
+  };
+};
+
+/**
+ * Check whether a bank entry can be drawn by a rule
+ * @param {Object} entry - Bank entry
+ * @param {Object} rule - { count, subject, topic, difficulty, tag }, empty = any
+ * @returns {boolean}
+ */
+export const matchesDrawRule = (entry, rule) =>
+  filterBankQuestions([entry], {
+    subject: rule.subject,
+    topic: rule.topic,
+    difficulty: rule.difficulty,
+    tag: rule.tag,
+  }).length === 1;
+
+/**
+ * A rule as shown to examiners, e.g. "10 easy Algebra questions (Mathematics)"
+ * @param {Object} rule - { count, subject, topic, difficulty, tag }
+ * @returns {string} - Description
+ */
+export const describeDrawRule = (rule) => {
+  const kind = [rule.difficulty, rule.topic].filter(Boolean).join(" ");
+  const filters = [rule.subject, rule.tag && `tagged "${rule.tag}"`].filter(Boolean);
+  return `${rule.count} ${kind ? `${kind} ` : ""}question${rule.count === 1 ? "" : "s"}${
+    filters.length ? ` (${filters.join(", ")})` : ""
+  }`;
+};
+
+/**
+ * Random number generator that gives the same sequence for the same seed
+ * Used so a student sees the same draw and order every time they open an attempt
+ * @param {string} seed - Seed text, e.g. exam and attempt ids
+ * @returns {Function} - Returns numbers in [0, 1), like Math.random
+ */
+export const createSeededRandom = (seed) => {
+  let state = 1779033703 ^ String(seed).length;
+  for (let i = 0; i < String(seed).length; i++) {
+    state = Math.imul(state ^ String(seed).charCodeAt(i), 3432918353);
+    state = (state << 13) | (state >>> 19);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffleWith = (array, random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Draw bank entries at random by rule, never the same entry twice
+ * Narrow rules draw first, and each rule prefers entries the remaining rules can't use,
+ * so overlapping rules (e.g. "5 algebra" and "3 easy algebra") don't starve each other
+ * @param {Array} entries - Bank entries with id
+ * @param {Array} rules - Rules { count, subject, topic, difficulty, tag }
+ * @param {Function} random - Random number source, e.g. from createSeededRandom
+ * @returns {Object} - { entries, shortfalls: [{ rule, available }] }, entries in rule order
+ */
+export const drawQuestions = (entries, rules, random = Math.random) => {
+  const candidates = (rules || []).map((rule) =>
+    (entries || []).filter((entry) => matchesDrawRule(entry, rule))
+  );
+  const order = (rules || [])
+    .map((rule, index) => index)
+    .sort((a, b) => candidates[a].length - candidates[b].length || a - b);
+
+  const used = new Set();
+  const picks = [];
+  const shortfalls = [];
+  order.forEach((ruleIndex, position) => {
+    const rule = rules[ruleIndex];
+    const laterRules = order.slice(position + 1).map((index) => rules[index]);
+    const contention = (entry) =>
+      laterRules.filter((other) => matchesDrawRule(entry, other)).length;
+    const available = shuffleWith(
+      candidates[ruleIndex].filter((entry) => !used.has(entry.id)),
+      random
+    ).sort((a, b) => contention(a) - contention(b));
+    const picked = available.slice(0, rule.count);
+    picked.forEach((entry) => used.add(entry.id));
+    picks[ruleIndex] = picked;
+    if (picked.length < rule.count) {
+      shortfalls.push({ rule, available: available.length });
+    }
+  });
+
+  return { entries: picks.flat(), shortfalls };
+};
+
+/**
+ * Check draw rules against the bank
+ * @param {Array} rules - Rules { count, subject, topic, difficulty, tag }
+ * @param {Array} entries - Bank entries the rules draw from
+ * @returns {string|null} - Error message, or null if every rule can be filled
+ */
+export const validateDrawRules = (rules, entries) => {
+  for (const rule of rules || []) {
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      return "Each rule needs a number of questions of at least 1";
+    }
+  }
+  const { shortfalls } = drawQuestions(entries, rules);
+  if (shortfalls.length > 0) {
+    const { rule, available } = shortfalls[0];
+    return `Not enough questions in the bank for "${describeDrawRule(rule)}": ${available} available`;
+  }
+  return null;
+};
+
+/**
+ * Bank entries the rules can draw from, to store with an exam so draws don't depend on later bank edits
+ * @param {Array} entries - Bank entries
+ * @param {Array} rules - Draw rules
+ * @returns {Array} - Entries { id, subject, topic, difficulty, tags, question } matching at least one rule
+ */
+export const getDrawPool = (entries, rules) =>
+  (entries || [])
+    .filter((entry) => (rules || []).some((rule) => matchesDrawRule(entry, rule)))
+    .map(({ id, subject, topic, difficulty, tags, question }) => ({
+      id,
+      subject,
+      topic,
+      difficulty,
+      tags,
+      question,
+    }));
+
+/**
+ * Number of questions each student gets from the draw rules
+ * @param {Array} rules - Draw rules
+ * @returns {number}
+ */
+export const countDrawnQuestions = (rules) =>
+  (rules || []).reduce((sum, rule) => sum + (Number(rule.count) || 0), 0);
@@ -0,0 +1,488 @@
+/**
+ * Question type utility functions
+ * How each question type is authored, stored and shown to students
+ */
+
+// Stored type labels, as examiners pick them when authoring, keyed by type id
+export const QUESTION_TYPE_LABELS = {
+  "multiple-choice": "Multiple Choice",
+  "true-false": "True / False",
+  "multiple-select": "Multiple Select",
+  "fill-blank": "Fill in the Blank",
+  numeric: "Numeric",
+  written: "Written Answer",
+};
+
+export const QUESTION_TYPES = Object.values(QUESTION_TYPE_LABELS);
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 8;
+export const OPTION_LETTERS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+export const TRUE_FALSE_OPTIONS = ["True", "False"];
+
+// Three or more underscores in the question text mark a blank
+const BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * Type id for a stored type label or id, e.g. "Multiple Choice" -> "multiple-choice"
+ * @param {string} type - Question type
+ * @returns {string|null} - Type id, or null for unknown types
+ */
+export const getQuestionTypeId = (type) => {
+  const normalized = String(type || "").trim().toLowerCase();
+  return (
+    Object.keys(QUESTION_TYPE_LABELS).find(
+      (id) =>
+        id === normalized ||
+        QUESTION_TYPE_LABELS[id].toLowerCase() === normalized
+    ) || null
+  );
+};
+
+/**
+ * Check whether students answer a question type by choosing options
+ * These types can have negative marks for a wrong answer
+ * @param {string} type - Question type
+ * @returns {boolean}
+ */
+export const isChoiceType = (type) =>
+  ["multiple-choice", "true-false", "multiple-select"].includes(
+    getQuestionTypeId(type)
+  );
+
+/**
+ * Option letter for an index, e.g. 2 -> "C"
+ * @param {number} index - Option index
+ * @returns {string} - Letter
+ */
+export const getOptionLetter = (index) =>
+  OPTION_LETTERS[index] || String.fromCharCode(65 + index);
+
+/**
+ * Number of blanks in a fill-in-the-blank question
+ * @param {string} text - Question text
+ * @returns {number} - Blanks
+ */
+export const countBlanks = (text) =>
+  (String(text || "").match(BLANK_PATTERN) || []).length;
+
+/**
+ * Question text with each blank numbered, e.g. "The capital is blank 1."
+ * @param {string} text - Question text
+ * @returns {string} - Text for reading aloud
+ */
+export const numberBlanks = (text) => {
+  let blankNumber = 0;
+  return String(text || "").replace(
+    BLANK_PATTERN,
+    () => `blank ${++blankNumber}`
+  );
+};
+
+/**
+ * Read a numeric answer and the unit that follows it
+ * "9.8 m/s", ".5 kg", "minus 4 degrees", "nine point 8" with digits around "point"
+ * @param {string} text - The answer
+ * @returns {Object} - { value, unit } where value is null if there is no number
+ */
+export const parseNumericAnswer = (text) => {
+  const normalized = String(text || "")
+    .trim()
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")
+    .replace(/\b(minus|negative)\s+/gi, "-")
+    .replace(/(\d)\s+point\s+(\d)/gi, "$1.$2");
+  // Decimals may drop the leading zero: ".5", "-.5"
+  const match = normalized.match(/-?(?:\d+(?:\.\d+)?|\.\d+)/);
+  if (!match) {
+    return { value: null, unit: "" };
+  }
+  return {
+    value: parseFloat(match[0]),
+    unit: normalized.slice(match.index + match[0].length).trim(),
+  };
+};
+
+/**
+ * Normalize a unit for comparison: "M / S." -> "m/s"
+ * @param {string} unit - Unit text
+ * @returns {string} - Normalized unit
+ */
+export const normalizeUnit = (unit) =>
+  String(unit || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s*\/\s*/g, "/")
+    .replace(/\s+/g, " ")
+    .replace(/[.,;:!?]+$/, "");
+
+/**
+ * Expected numeric answer as shown to students, e.g. "9.8 ± 0.1 m/s"
+ * @param {Object} numeric - { value, tolerance, unit }
+ * @returns {string} - Label
+ */
+export const formatNumericAnswer = (numeric) => {
+  if (!numeric) return "";
+  const value =
+    numeric.tolerance > 0
+      ? `${numeric.value} ± ${numeric.tolerance}`
+      : `${numeric.value}`;
+  return numeric.unit ? `${value} ${numeric.unit}` : value;
+};
+
+/**
+ * Check whether an answer has any content
+ * Multiple select and fill-in-the-blank answers are arrays
+ * @param {string|Array} answer - Stored answer
+ * @returns {boolean}
+ */
+export const isAnswered = (answer) =>
+  Array.isArray(answer)
+    ? answer.some((part) => String(part ?? "").trim() !== "")
+    : String(answer ?? "").trim() !== "";
+
+/**
+ * Answer as text for results screens and read-back
+ * @param {string|Array} answer - Stored answer
+ * @param {string} type - Question type
+ * @returns {string} - e.g. "Paris, Rome" or "(1) Paris (2) —"
+ */
+export const formatAnswer = (answer, type) => {
+  if (!Array.isArray(answer)) {
+    return String(answer ?? "");
+  }
+  if (getQuestionTypeId(type) === "fill-blank") {
+    return answer
+      .map((part, index) => `(${index + 1}) ${String(part ?? "").trim() || "—"}`)
+      .join("  ");
+  }
+  return answer.filter((part) => String(part ?? "").trim() !== "").join(", ");
+};
+
+/**
+ * Drop empty options and move the correct indexes to match
+ * @param {Array<string>} options - Options as typed, may contain blanks
+ * @param {Array<number>} correctIndexes - Indexes of correct options
+ * @returns {Object} - { options, correctIndexes }
+ */
+const compactOptions = (options, correctIndexes) => {
+  const kept = [];
+  const indexMap = {};
+  (options || []).forEach((option, index) => {
+    const text = String(option ?? "").trim();
+    if (text) {
+      indexMap[index] = kept.length;
+      kept.push(text);
+    }
+  });
+  return {
+    options: kept,
+    correctIndexes: (correctIndexes || [])
+      .filter((index) => indexMap[index] !== undefined)
+      .map((index) => indexMap[index])
+      .sort((a, b) => a - b),
+  };
+};
+
+/**
+ * Parse the accepted answers for each blank, one blank per line
+ * "Paris / paris city" = answer and accepted alternatives
+ * @param {string} text - Blank answers text
+ * @returns {Array<Object>} - Blanks { answers }
+ */
+const parseBlankAnswers = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => ({
+      answers: line
+        .split("/")
+        .map((answer) => answer.trim())
+        .filter((answer) => answer.length > 0),
+    }));
+
+/**
+ * Build a question from the exam form
+ * Written answers are built by the form itself with their grading config
+ * @param {string} type - Question type
+ * @param {string} text - Question text
+ * @param {Object} input - Form values from getQuestionInput
+ * @returns {Object} - Question to store in the exam
+ */
+export const createQuestion = (type, text, input) => {
+  const typeId = getQuestionTypeId(type);
+  const question = {
+    type: QUESTION_TYPE_LABELS[typeId] || type,
+    text: String(text || "").trim(),
+  };
+
+  if (typeId === "true-false") {
+    return {
+      ...question,
+      options: TRUE_FALSE_OPTIONS,
+      correctIndex: input.correctIndexes?.[0] ?? null,
+    };
+  }
+
+  if (typeId === "multiple-choice" || typeId === "multiple-select") {
+    const { options, correctIndexes } = compactOptions(
+      input.options,
+      input.correctIndexes
+    );
+    return typeId === "multiple-choice"
+      ? { ...question, options, correctIndex: correctIndexes[0] ?? null }
+      : { ...question, options, correctIndexes };
+  }
+
+  if (typeId === "fill-blank") {
+    return { ...question, blanks: parseBlankAnswers(input.blankAnswersText) };
+  }
+
+  if (typeId === "numeric") {
+    const toleranceText = String(input.numericTolerance ?? "").trim();
+    return {
+      ...question,
+      numeric: {
+        value: Number(String(input.numericValue ?? "").trim() || NaN),
+        tolerance: Number(toleranceText || 0),
+        unit: String(input.numericUnit || "").trim(),
+        unitAliases: String(input.numericUnitAliasesText || "")
+          .split(",")
+          .map((unit) => unit.trim())
+          .filter((unit) => unit.length > 0),
+      },
+    };
+  }
+
+  return question;
+};
+
+/**
+ * Check a question built by createQuestion
+ * @param {Object} question - Question
+ * @returns {string|null} - Error message, or null if the question is valid
+ */
+export const validateQuestion = (question) => {
+  const typeId = getQuestionTypeId(question?.type);
+  if (!typeId) {
+    return "Unknown question type";
+  }
+
+  if (typeId === "multiple-choice" || typeId === "true-false") {
+    if ((question.options || []).length < MIN_OPTIONS) {
+      return "Please provide at least two answer options";
+    }
+    if (question.options.length > MAX_OPTIONS) {
+      return `A question can have at most ${MAX_OPTIONS} options`;
+    }
+    if (
+      !Number.isInteger(question.correctIndex) ||
+      !question.options[question.correctIndex]
+    ) {
+      return "Please select the correct answer";
+    }
+  }
+
+  if (typeId === "multiple-select") {
+    if ((question.options || []).length < MIN_OPTIONS) {
+      return "Please provide at least two answer options";
+    }
+    if (question.options.length > MAX_OPTIONS) {
+      return `A question can have at most ${MAX_OPTIONS} options`;
+    }
+    if (!(question.correctIndexes || []).length) {
+      return "Please select at least one correct answer";
+    }
+  }
+
+  if (typeId === "fill-blank") {
+    const blankCount = countBlanks(question.text);
+    if (blankCount === 0) {
+      return "Mark each blank in the question text with three underscores (___)";
+    }
+    const blanks = question.blanks || [];
+    if (blanks.length !== blankCount) {
+      return `The question has ${blankCount} blank${
+        blankCount === 1 ? "" : "s"
+      } but ${blanks.length} answer line${blanks.length === 1 ? "" : "s"}`;
+    }
+    if (blanks.some((blank) => !(blank.answers || []).length)) {
+      return "Every blank needs at least one accepted answer";
+    }
+  }
+
+  if (typeId === "numeric") {
+    const numeric = question.numeric || {};
+    if (!Number.isFinite(numeric.value)) {
+      return "The numeric answer must be a number";
+    }
+    if (!Number.isFinite(numeric.tolerance) || numeric.tolerance < 0) {
+      return "The tolerance must be zero or a positive number";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Form values for editing a question's answer
+ * @param {Object|null} question - Stored question
+ * @returns {Object} - { options, correctIndexes, blankAnswersText, numericValue, numericTolerance, numericUnit, numericUnitAliasesText }
+ */
+export const getQuestionInput = (question) => {
+  const options = [...(question?.options || [])];
+  while (options.length < 4) options.push("");
+
+  let correctIndexes = [];
+  if (Array.isArray(question?.correctIndexes)) {
+    correctIndexes = question.correctIndexes;
+  } else if (Number.isInteger(question?.correctIndex)) {
+    correctIndexes = [question.correctIndex];
+  }
+
+  const numeric = question?.numeric;
+  return {
+    options,
+    correctIndexes,
+    blankAnswersText: (question?.blanks || [])
+      .map((blank) => (blank.answers || []).join(" / "))
+      .join("\n"),
+    numericValue:
+      numeric?.value !== undefined ? String(numeric.value) : "",
+    numericTolerance: numeric?.tolerance ? String(numeric.tolerance) : "",
+    numericUnit: numeric?.unit || "",
+    numericUnitAliasesText: (numeric?.unitAliases || []).join(", "),
+  };
+};
+
+// Fields of a stored question; anything else on it (ids, shuffle leftovers) is not part of the question
+const STORED_QUESTION_FIELDS = [
+  "type",
+  "text",
+  "options",
+  "correctIndex",
+  "correctIndexes",
+  "blanks",
+  "numeric",
+  "expectedAnswer",
+  "grading",
+  "marks",
+  "negativeMarks",
+  "sectionId",
+];
+
+/**
+ * Copy of a stored question with only its question fields, e.g. for export or the question bank
+ * @param {Object} question - Stored question
+ * @returns {Object} - Question without ids or empty fields
+ */
+export const pickQuestionFields = (question) =>
+  STORED_QUESTION_FIELDS.reduce((picked, field) => {
+    if (question[field] !== undefined && question[field] !== null) {
+      picked[field] = question[field];
+    }
+    return picked;
+  }, {});
+
+/**
+ * Id for a question added to an existing exam
+ * Unlike position ids ("q3"), it can't match a different question from an earlier version
+ * @returns {string} - Question id, e.g. "q-lx3k9a2f"
+ */
+export const createQuestionId = () =>
+  `q-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Convert a stored question to the format the exam and results screens use
+ * @param {Object} q - Question as stored in Firestore
+ * @param {number} index - Position in the exam, used for questions without an id
+ * @returns {Object} - { id, question, type, marks, ... } with type as a type id
+ */
+export const toExamQuestion = (q, index) => {
+  // Older questions may have no type but still carry options
+  const typeId =
+    getQuestionTypeId(q.type) ||
+    (Array.isArray(q.options) ? "multiple-choice" : "written");
+  const question = {
+    id: q.id || `q${index + 1}`,
+    question: q.text || q.question || "",
+    type: typeId,
+    marks: q.marks,
+    sectionId: q.sectionId || null,
+  };
+
+  if (typeId === "multiple-choice" || typeId === "true-false") {
+    const options =
+      typeId === "true-false" && !q.options ? TRUE_FALSE_OPTIONS : q.options || [];
+    // Get correct answer from options array using correctIndex
+    const correctAnswer =
+      q.correctIndex !== undefined && options[q.correctIndex]
+        ? options[q.correctIndex]
+        : q.correctAnswer || options[0];
+    return {
+      ...question,
+      options,
+      correctAnswer,
+      negativeMarks: q.negativeMarks,
+    };
+  }
+
+  if (typeId === "multiple-select") {
+    const options = q.options || [];
+    return {
+      ...question,
+      options,
+      correctAnswers: Array.isArray(q.correctIndexes)
+        ? q.correctIndexes.map((i) => options[i]).filter(Boolean)
+        : q.correctAnswers || [],
+      negativeMarks: q.negativeMarks,
+    };
+  }
+
+  if (typeId === "fill-blank") {
+    return { ...question, blanks: q.blanks || [] };
+  }
+
+  if (typeId === "numeric") {
+    return { ...question, numeric: q.numeric || null };
+  }
+
+  // Written answer question
+  return {
+    ...question,
+    expectedAnswer: q.expectedAnswer || q.correctAnswer || null,
+    grading: q.grading || null,
+  };
+};
+
+/**
+ * Short description of a stored question's correct answer, e.g. "Correct: A, C"
+ * @param {Object} question - Stored question
+ * @returns {string} - Description, or an empty string for written answers
+ */
+export const describeCorrectAnswer = (question) => {
+  const typeId = getQuestionTypeId(question?.type);
+  if (
+    (typeId === "multiple-choice" || typeId === "true-false") &&
+    Number.isInteger(question.correctIndex)
+  ) {
+    return `Correct: ${
+      typeId === "true-false"
+        ? TRUE_FALSE_OPTIONS[question.correctIndex]
+        : getOptionLetter(question.correctIndex)
+    }`;
+  }
+  if (typeId === "multiple-select") {
+    return `Correct: ${(question.correctIndexes || [])
+      .map(getOptionLetter)
+      .join(", ")}`;
+  }
+  if (typeId === "fill-blank") {
+    const blankCount = (question.blanks || []).length;
+    return `${blankCount} ${blankCount === 1 ? "blank" : "blanks"}`;
+  }
+  if (typeId === "numeric") {
+    return `Answer: ${formatNumericAnswer(question.numeric)}`;
+  }
+  return "";
+};
@@ -0,0 +1,393 @@
+/**
+ * Result report utility functions
+ * Builds the HTML for a student's result report and an examiner's class report;
+ * the same HTML is shared as a web page or printed to PDF
+ * Reports use headings, captioned tables and text labels (never colour alone)
+ * so they read well with a screen reader
+ */
+
+import { formatMarks } from "./grading";
+import { getGrade } from "./gradeScheme";
+import {
+  toExamQuestion,
+  isChoiceType,
+  formatAnswer,
+  formatNumericAnswer,
+  getOptionLetter,
+} from "./questionTypes";
+import { formatDateTimeLabel } from "./schedule";
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text to show
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * File name for a report, without extension
+ * @param {string} title - Exam title
+ * @param {string} suffix - e.g. the student's name or "class-report"
+ * @returns {string} - e.g. "biology-quiz-jane-banda"
+ */
+export const getReportFileName = (title, suffix) => {
+  const slug = `${title || "exam"} ${suffix || "report"}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "report";
+};
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, Roboto, "Helvetica Neue", Arial, sans-serif; color: #1a202c; margin: 24px; line-height: 1.5; font-size: 14px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 28px 0 8px; border-bottom: 2px solid #064c91; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin: 0 0 6px; }
+  .meta { color: #4a5568; margin: 0 0 16px; }
+  dl.summary { display: flex; flex-wrap: wrap; gap: 12px; margin: 0; }
+  dl.summary div { border: 1px solid #cbd5e0; border-radius: 8px; padding: 8px 12px; min-width: 120px; }
+  dt { font-size: 12px; color: #4a5568; }
+  dd { margin: 0; font-size: 18px; font-weight: 700; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  caption { text-align: left; font-weight: 600; padding-bottom: 4px; }
+  th, td { border: 1px solid #cbd5e0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #edf2f7; }
+  ol.questions { padding-left: 0; list-style: none; }
+  ol.questions li { border: 1px solid #cbd5e0; border-radius: 8px; padding: 12px; margin-bottom: 12px; page-break-inside: avoid; }
+  .status { font-weight: 700; }
+  .status-correct { color: #276749; }
+  .status-incorrect { color: #c53030; }
+  .status-partial, .status-pending { color: #975a16; }
+  .note { color: #4a5568; font-style: italic; }
+  footer { margin-top: 32px; color: #4a5568; font-size: 12px; }
+`;
+
+const wrapDocument = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+<footer>Generated by ExamAssistant on ${escapeHtml(formatDateTimeLabel(new Date()))}</footer>
+</body>
+</html>`;
+
+const summaryItem = (label, value) =>
+  `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`;
+
+/**
+ * Correct answer of an exam question as text
+ * @param {Object} question - Question from toExamQuestion
+ * @returns {string}
+ */
+const describeExpectedAnswer = (question) => {
+  if (question.type === "multiple-choice" || question.type === "true-false") {
+    const index = question.options.indexOf(question.correctAnswer);
+    return index >= 0
+      ? `${getOptionLetter(index)}. ${question.correctAnswer}`
+      : question.correctAnswer || "";
+  }
+  if (question.type === "multiple-select") {
+    return question.correctAnswers
+      .map((answer) => `${getOptionLetter(question.options.indexOf(answer))}. ${answer}`)
+      .join(", ");
+  }
+  if (question.type === "fill-blank") {
+    return formatAnswer(
+      question.blanks.map((blank) => (blank.answers || []).join(" / ")),
+      "fill-blank"
+    );
+  }
+  if (question.type === "numeric") {
+    return formatNumericAnswer(question.numeric);
+  }
+  return question.expectedAnswer || "";
+};
+
+/**
+ * How a question went, as shown in the report
+ * @param {Object|undefined} graded - Graded question
+ * @returns {Object} - { id, label }
+ */
+const getQuestionStatus = (graded) => {
+  if (!graded || graded.studentAnswer === "" || graded.studentAnswer == null) {
+    return { id: "unanswered", label: "Not answered" };
+  }
+  if (graded.requiresManualGrading || graded.graded === false) {
+    return { id: "pending", label: "Awaiting review" };
+  }
+  if (graded.marksAwarded >= graded.marks && graded.isCorrect !== false) {
+    return { id: "correct", label: "Correct" };
+  }
+  if (graded.marksAwarded > 0) {
+    return { id: "partial", label: "Partly correct" };
+  }
+  return { id: "incorrect", label: "Incorrect" };
+};
+
+/**
+ * Build a student's result report
+ * @param {Object} params
+ * @param {Object} params.exam - Exam at the version the student took
+ * @param {Array} params.questions - Stored questions the student was given, in order
+ * @param {Object} params.submission - Submission with gradingResults and answers
+ * @param {string} params.studentName - Student's name
+ * @param {string} params.grade - Grade to show
+ * @returns {string} - HTML document
+ */
+export const buildResultReportHtml = ({ exam, questions, submission, studentName, grade }) => {
+  const summary = submission?.gradingResults?.summary || {};
+  const gradedById = new Map(
+    (submission?.gradingResults?.gradedQuestions || []).map((graded) => [
+      graded.questionId,
+      graded,
+    ])
+  );
+  const sectionTitles = new Map(
+    (exam?.sections || []).map((section) => [section.id, section.title])
+  );
+  const examTitle = exam?.title || submission?.examTitle || "Exam";
+  const pending = submission?.status === "pending";
+
+  const questionItems = (questions || [])
+    .map(toExamQuestion)
+    .map((question, index) => {
+      const graded = gradedById.get(question.id);
+      const status = getQuestionStatus(graded);
+      const answer = formatAnswer(graded?.studentAnswer, question.type);
+      const expected = describeExpectedAnswer(question);
+      const options = isChoiceType(question.type)
+        ? `<p>Options: ${question.options
+            .map((option, optionIndex) => `${getOptionLetter(optionIndex)}. ${escapeHtml(option)}`)
+            .join("; ")}</p>`
+        : "";
+      const feedback =
+        graded?.manuallyGraded && graded.feedback
+          ? `Examiner feedback: ${graded.feedback}`
+          : question.type === "written" && status.id !== "pending" && graded?.feedback
+          ? graded.feedback
+          : "";
+      const rubric = (graded?.rubricItems || []).length
+        ? `<p>Key points: ${graded.rubricItems
+            .map((item) => `${escapeHtml(item.term)} (${item.matched ? "covered" : "missed"})`)
+            .join(", ")}</p>`
+        : "";
+      const section = sectionTitles.get(question.sectionId);
+
+      return [
+        "<li>",
+        `<h3>Question ${index + 1}${
+          section ? ` <span class="note">(${escapeHtml(section)})</span>` : ""
+        }</h3>`,
+        `<p>${escapeHtml(question.question)}</p>`,
+        options,
+        `<p><strong>Your answer:</strong> ${escapeHtml(answer || "No answer")}</p>`,
+        expected && `<p><strong>Correct answer:</strong> ${escapeHtml(expected)}</p>`,
+        `<p><strong>Marks:</strong> ${escapeHtml(
+          formatMarks(graded?.marksAwarded || 0, graded?.marks ?? question.marks ?? 1)
+        )} · <span class="status status-${status.id}">${status.label}</span></p>`,
+        graded?.notCounted &&
+          `<p class="note">Not counted: only your best answers in this section count.</p>`,
+        feedback && `<p><strong>Feedback:</strong> ${escapeHtml(feedback)}</p>`,
+        rubric,
+        "</li>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    })
+    .join("\n");
+
+  const body = `<h1>${escapeHtml(examTitle)} — Result Report</h1>
+<p class="meta">${escapeHtml(studentName || "Student")}${
+    exam?.subject ? ` · ${escapeHtml(exam.subject)}` : ""
+  }${
+    submission?.submittedAt
+      ? ` · Submitted ${escapeHtml(formatDateTimeLabel(submission.submittedAt))}`
+      : ""
+  }</p>
+<section aria-labelledby="summary-heading">
+<h2 id="summary-heading">Summary</h2>
+<dl class="summary">
+${summaryItem("Score", `${summary.overallScore || 0}%`)}
+${summaryItem("Grade", grade || "—")}
+${summary.totalPossible ? summaryItem("Marks", formatMarks(summary.totalScore, summary.totalPossible)) : ""}
+${summaryItem("Answered", `${summary.answeredQuestions ?? submission?.answers?.length ?? 0} of ${(questions || []).length}`)}
+</dl>
+${pending ? `<p class="note">Some written answers are awaiting review by your examiner, so this score may change.</p>` : ""}
+</section>
+<section aria-labelledby="questions-heading">
+<h2 id="questions-heading">Questions</h2>
+<ol class="questions">
+${questionItems}
+</ol>
+</section>`;
+
+  return wrapDocument(`${examTitle} — ${studentName || "Result Report"}`, body);
+};
+
+// Submissions graded before grade schemes existed have no stored grade
+const getSubmissionGrade = (submission, gradeScheme) => {
+  const summary = submission.gradingResults?.summary || {};
+  return summary.grade ?? getGrade(summary.overallScore || 0, gradeScheme);
+};
+
+/**
+ * Class statistics for an exam's submissions
+ * @param {Array} submissions - Submissions with gradingResults
+ * @param {Object|null} gradeScheme - Exam's grade scheme, for submissions graded before grades were stored
+ * @returns {Object} - { count, average, highest, lowest, pending, grades, questions }
+ *   grades: [{ grade, count }], most common first
+ *   questions: [{ questionId, text, attempts, correct, averageMarks, marks }], in first-seen order
+ */
+export const summarizeClassResults = (submissions, gradeScheme = null) => {
+  const scores = submissions.map(
+    (submission) => submission.gradingResults?.summary?.overallScore || 0
+  );
+  const gradeCounts = new Map();
+  const questions = new Map();
+
+  submissions.forEach((submission) => {
+    const grade = getSubmissionGrade(submission, gradeScheme);
+    gradeCounts.set(grade, (gradeCounts.get(grade) || 0) + 1);
+
+    (submission.gradingResults?.gradedQuestions || []).forEach((graded) => {
+      if (!questions.has(graded.questionId)) {
+        questions.set(graded.questionId, {
+          questionId: graded.questionId,
+          text: graded.questionText || "",
+          attempts: 0,
+          correct: 0,
+          marksAwarded: 0,
+          marks: graded.marks ?? 1,
+        });
+      }
+      const stats = questions.get(graded.questionId);
+      stats.attempts += 1;
+      if (graded.isCorrect === true) stats.correct += 1;
+      stats.marksAwarded += graded.marksAwarded || 0;
+    });
+  });
+
+  return {
+    count: submissions.length,
+    average: scores.length
+      ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+      : 0,
+    highest: scores.length ? Math.max(...scores) : 0,
+    lowest: scores.length ? Math.min(...scores) : 0,
+    pending: submissions.filter((submission) => submission.status === "pending").length,
+    grades: [...gradeCounts.entries()]
+      .map(([grade, count]) => ({ grade, count }))
+      .sort((a, b) => b.count - a.count),
+    questions: [...questions.values()].map(({ marksAwarded, ...stats }) => ({
+      ...stats,
+      averageMarks: Math.round((marksAwarded / stats.attempts) * 100) / 100,
+    })),
+  };
+};
+
+/**
+ * Build an examiner's class report for an exam
+ * @param {Object} params
+ * @param {Object} params.exam - Exam
+ * @param {Array} params.submissions - Submissions with studentName
+ * @param {Object|null} params.gradeScheme - Exam's grade scheme
+ * @returns {string} - HTML document
+ */
+export const buildClassReportHtml = ({ exam, submissions, gradeScheme = null }) => {
+  const examTitle = exam?.title || "Exam";
+  const stats = summarizeClassResults(submissions, gradeScheme);
+  const sorted = [...submissions].sort((a, b) =>
+    String(a.studentName || "").localeCompare(String(b.studentName || ""))
+  );
+
+  const studentRows = sorted
+    .map((submission) => {
+      const summary = submission.gradingResults?.summary || {};
+      return `<tr>
+<th scope="row">${escapeHtml(submission.studentName || "Unknown Student")}</th>
+<td>${summary.overallScore || 0}%</td>
+<td>${escapeHtml(summary.totalPossible ? formatMarks(summary.totalScore, summary.totalPossible) : "—")}</td>
+<td>${escapeHtml(getSubmissionGrade(submission, gradeScheme))}</td>
+<td>${submission.status === "pending" ? "Needs grading" : "Graded"}</td>
+<td>${escapeHtml(formatDateTimeLabel(submission.submittedAt) || "—")}</td>
+</tr>`;
+    })
+    .join("\n");
+
+  const questionRows = stats.questions
+    .map(
+      (question, index) => `<tr>
+<th scope="row">${index + 1}</th>
+<td>${escapeHtml(question.text)}</td>
+<td>${question.attempts}</td>
+<td>${question.attempts ? Math.round((question.correct / question.attempts) * 100) : 0}%</td>
+<td>${escapeHtml(`${question.averageMarks} / ${question.marks}`)}</td>
+</tr>`
+    )
+    .join("\n");
+
+  const gradeRows = stats.grades
+    .map(
+      ({ grade, count }) =>
+        `<tr><th scope="row">${escapeHtml(grade)}</th><td>${count}</td></tr>`
+    )
+    .join("\n");
+
+  const body = `<h1>${escapeHtml(examTitle)} — Class Report</h1>
+<p class="meta">${exam?.subject ? `${escapeHtml(exam.subject)} · ` : ""}${stats.count} ${
+    stats.count === 1 ? "submission" : "submissions"
+  }</p>
+<section aria-labelledby="summary-heading">
+<h2 id="summary-heading">Summary</h2>
+<dl class="summary">
+${summaryItem("Submissions", stats.count)}
+${summaryItem("Average", `${stats.average}%`)}
+${summaryItem("Highest", `${stats.highest}%`)}
+${summaryItem("Lowest", `${stats.lowest}%`)}
+${summaryItem("Need grading", stats.pending)}
+</dl>
+${stats.pending > 0 ? `<p class="note">Scores for submissions that need grading may change.</p>` : ""}
+<table>
+<caption>Grade distribution</caption>
+<thead><tr><th scope="col">Grade</th><th scope="col">Students</th></tr></thead>
+<tbody>
+${gradeRows}
+</tbody>
+</table>
+</section>
+<section aria-labelledby="students-heading">
+<h2 id="students-heading">Students</h2>
+<table>
+<caption>Results by student, in alphabetical order</caption>
+<thead><tr><th scope="col">Student</th><th scope="col">Score</th><th scope="col">Marks</th><th scope="col">Grade</th><th scope="col">Status</th><th scope="col">Submitted</th></tr></thead>
+<tbody>
+${studentRows}
+</tbody>
+</table>
+</section>
+<section aria-labelledby="questions-heading">
+<h2 id="questions-heading">Questions</h2>
+<table>
+<caption>How the class did on each question</caption>
+<thead><tr><th scope="col">#</th><th scope="col">Question</th><th scope="col">Given to</th><th scope="col">Fully correct</th><th scope="col">Average marks</th></tr></thead>
+<tbody>
+${questionRows}
+</tbody>
+</table>
+</section>`;
+
+  return wrapDocument(`${examTitle} — Class Report`, body);
+};
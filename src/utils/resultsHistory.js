@@ -0,0 +1,178 @@
+/**
+ * Results history utility functions
+ * Summaries of a student's past submissions for the My Results screen,
+ * with spoken versions for reading them aloud
+ */
+
+import { toDate, formatSpokenDateTime } from "./schedule";
+
+// Recent results compared against the ones before them for the trend
+const TREND_WINDOW = 3;
+// Percentage points the average has to move before it counts as improving or slipping
+const TREND_THRESHOLD = 5;
+
+const average = (scores) =>
+  scores.length > 0
+    ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    : null;
+
+/**
+ * One past submission as listed in the results history
+ * @param {Object} submission - Submission as stored in Firestore
+ * @returns {Object} - { id, examId, examTitle, subject, score, grade, submittedAt, pending }
+ */
+export const toResultEntry = (submission) => ({
+  id: submission.id,
+  examId: submission.examId,
+  examTitle: submission.examTitle || "Untitled Exam",
+  subject: submission.examSubject || "General",
+  score: submission.overallScore || 0,
+  grade: submission.gradingResults?.summary?.grade || "",
+  submittedAt: toDate(submission.submittedAt),
+  // Written answers still waiting for the examiner
+  pending: submission.status === "pending",
+});
+
+/**
+ * Whether scores are going up, down or holding steady
+ * Compares the average of the latest few results with the few before them
+ * @param {Array<number>} scores - Scores, oldest first
+ * @returns {Object|null} - { direction: "up" | "down" | "steady", change }, or null with fewer than two results
+ */
+export const getScoreTrend = (scores) => {
+  if (scores.length < 2) return null;
+  const window = Math.min(TREND_WINDOW, Math.floor(scores.length / 2));
+  const recent = average(scores.slice(-window));
+  const earlier = average(scores.slice(-window * 2, -window));
+  const change = recent - earlier;
+  const direction =
+    change >= TREND_THRESHOLD ? "up" : change <= -TREND_THRESHOLD ? "down" : "steady";
+  return { direction, change };
+};
+
+/**
+ * Summarize a student's results
+ * @param {Array} submissions - Submissions as stored in Firestore
+ * @returns {Object} - { results, average, trend, subjects }
+ *   results: result entries, newest first
+ *   subjects: [{ subject, count, average, best, trend }], most taken first
+ */
+export const summarizeResults = (submissions) => {
+  const results = (submissions || [])
+    .map(toResultEntry)
+    .sort((a, b) => (b.submittedAt?.getTime() || 0) - (a.submittedAt?.getTime() || 0));
+  const oldestFirst = [...results].reverse();
+
+  const bySubject = new Map();
+  oldestFirst.forEach((result) => {
+    if (!bySubject.has(result.subject)) bySubject.set(result.subject, []);
+    bySubject.get(result.subject).push(result.score);
+  });
+  const subjects = [...bySubject.entries()]
+    .map(([subject, scores]) => ({
+      subject,
+      count: scores.length,
+      average: average(scores),
+      best: Math.max(...scores),
+      trend: getScoreTrend(scores),
+    }))
+    .sort((a, b) => b.count - a.count || a.subject.localeCompare(b.subject));
+
+  const scores = oldestFirst.map((result) => result.score);
+  return {
+    results,
+    average: average(scores),
+    trend: getScoreTrend(scores),
+    subjects,
+  };
+};
+
+const TREND_PHRASES = {
+  up: "improving",
+  down: "slipping",
+  steady: "holding steady",
+};
+
+/**
+ * A trend as a short phrase
+ * @param {Object|null} trend - Result of getScoreTrend
+ * @returns {string} - e.g. "improving, up 8 points", or "" without a trend
+ */
+export const describeTrend = (trend) => {
+  if (!trend) return "";
+  if (trend.direction === "steady") return TREND_PHRASES.steady;
+  const points = Math.abs(trend.change);
+  return `${TREND_PHRASES[trend.direction]}, ${trend.direction} ${points} ${
+    points === 1 ? "point" : "points"
+  }`;
+};
+
+/**
+ * A result read aloud
+ * @param {Object} result - Result entry
+ * @param {Date} now - Current time
+ * @returns {string} - e.g. "Biology Quiz, taken yesterday at 2 PM. You scored 75 percent, grade B."
+ */
+export const describeResultForSpeech = (result, now = new Date()) => {
+  const taken = result.submittedAt
+    ? `, taken ${formatSpokenDateTime(result.submittedAt, now)}`
+    : "";
+  const grade = result.grade ? `, grade ${result.grade}` : "";
+  const pending = result.pending
+    ? " Your written answers are still being marked, so this may change."
+    : "";
+  return `${result.examTitle}${taken}. You scored ${result.score} percent${grade}.${pending}`;
+};
+
+/**
+ * The results summary read aloud
+ * @param {Object} summary - Result of summarizeResults
+ * @returns {string}
+ */
+export const describeSummaryForSpeech = (summary) => {
+  const count = summary.results.length;
+  if (count === 0) return "You have no exam results yet.";
+
+  const trend = describeTrend(summary.trend);
+  const subjects = summary.subjects
+    .map(
+      (subject) =>
+        `${subject.subject}: ${subject.average} percent over ${subject.count} ${
+          subject.count === 1 ? "exam" : "exams"
+        }.`
+    )
+    .join(" ");
+  return `You have ${count} exam ${count === 1 ? "result" : "results"}, averaging ${
+    summary.average
+  } percent.${trend ? ` Your scores are ${trend}.` : ""} ${subjects}`;
+};
+
+// Voice commands for the My Results screen, registered under the RESULTS context
+export const RESULTS_VOICE_COMMANDS = [
+  {
+    id: "read-last",
+    phrases: ["read my last result", "my last result", "last result", "latest result"],
+  },
+  {
+    id: "read-result",
+    phrases: ["read result {number}", "result {number}", "result number {number}"],
+  },
+  {
+    id: "open-result",
+    phrases: ["open result {number}", "show result {number}", "review result {number}"],
+  },
+  { id: "list-results", phrases: ["list results", "list my results", "read all results"] },
+  {
+    id: "read-summary",
+    phrases: [
+      "read summary",
+      "my averages",
+      "subject averages",
+      "how am i doing",
+      "my results",
+      "read my results",
+    ],
+  },
+  { id: "repeat", phrases: ["repeat", "repeat that", "say again"] },
+  { id: "go-back", phrases: ["go back", "back", "go home", "home"] },
+];
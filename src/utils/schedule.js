@@ -0,0 +1,184 @@
+/**
+ * Exam scheduling utility functions
+ * Availability windows (opensAt / closesAt) and how they are spoken and shown
+ */
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a stored date to a Date
+ * Handles Firestore Timestamps, cached timestamps ({ seconds }), Dates, strings and numbers
+ * @param {*} value - The stored value
+ * @returns {Date|null} - Date, or null if there is no valid date
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value.seconds === "number") return new Date(value.seconds * 1000);
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Check an availability window
+ * @param {Date|null} opensAt - When the exam opens
+ * @param {Date|null} closesAt - When the exam closes
+ * @returns {string|null} - Error message, or null if the window is valid
+ */
+export const validateSchedule = (opensAt, closesAt) => {
+  const opens = toDate(opensAt);
+  const closes = toDate(closesAt);
+  if (opens && closes && closes.getTime() <= opens.getTime()) {
+    return "The closing time must be after the opening time";
+  }
+  return null;
+};
+
+/**
+ * Where an exam is in its availability window
+ * @param {Object} exam - Exam with optional opensAt / closesAt
+ * @param {Date} now - Current time
+ * @returns {string} - "upcoming", "open" or "closed"
+ */
+export const getExamAvailability = (exam, now = new Date()) => {
+  const opensAt = toDate(exam?.opensAt);
+  const closesAt = toDate(exam?.closesAt);
+
+  if (opensAt && now.getTime() < opensAt.getTime()) return "upcoming";
+  if (closesAt && now.getTime() >= closesAt.getTime()) return "closed";
+  return "open";
+};
+
+/**
+ * Spoken time of day, e.g. "9 AM" or "2:30 PM"
+ * @param {Date} date - The date
+ * @returns {string} - Time for speech
+ */
+const formatSpokenTime = (date) => {
+  const hours = date.getHours();
+  const minutes = date.getMinutes();
+  const period = hours < 12 ? "AM" : "PM";
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  return minutes === 0
+    ? `${hour12} ${period}`
+    : `${hour12}:${String(minutes).padStart(2, "0")} ${period}`;
+};
+
+/**
+ * Spoken date and time relative to now
+ * "today at 9 AM", "tomorrow at 2:30 PM", "Tuesday at 9 AM" or "Tuesday 3 November at 9 AM"
+ * @param {Date} date - The date
+ * @param {Date} now - Current time
+ * @returns {string} - Date and time for speech
+ */
+export const formatSpokenDateTime = (date, now = new Date()) => {
+  const startOfDay = (d) =>
+    new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  const dayDifference = Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+  const time = formatSpokenTime(date);
+
+  if (dayDifference === 0) return `today at ${time}`;
+  if (dayDifference === 1) return `tomorrow at ${time}`;
+  if (dayDifference === -1) return `yesterday at ${time}`;
+
+  const weekday = WEEKDAYS[date.getDay()];
+  if (dayDifference > 1 && dayDifference < 7) {
+    return `${weekday} at ${time}`;
+  }
+  return `${weekday} ${date.getDate()} ${MONTHS[date.getMonth()]} at ${time}`;
+};
+
+/**
+ * Spoken explanation of why an exam can't be started yet or any more
+ * @param {Object} exam - Exam with optional opensAt / closesAt
+ * @param {Date} now - Current time
+ * @returns {string|null} - e.g. "This exam opens on Tuesday at 9 AM.", or null when open
+ */
+export const getAvailabilityMessage = (exam, now = new Date()) => {
+  const availability = getExamAvailability(exam, now);
+  const opensAt = toDate(exam?.opensAt);
+  const closesAt = toDate(exam?.closesAt);
+
+  if (availability === "upcoming") {
+    const when = formatSpokenDateTime(opensAt, now);
+    return when.startsWith("today") || when.startsWith("tomorrow")
+      ? `This exam opens ${when}.`
+      : `This exam opens on ${when}.`;
+  }
+
+  if (availability === "closed") {
+    const when = formatSpokenDateTime(closesAt, now);
+    return when.startsWith("today") || when.startsWith("yesterday")
+      ? `This exam closed ${when}.`
+      : `This exam closed on ${when}.`;
+  }
+
+  return null;
+};
+
+/**
+ * Short on-screen label, e.g. "Tue 3 Nov 2026, 09:00"
+ * @param {*} value - Stored date value
+ * @returns {string} - Label, or an empty string when there is no date
+ */
+export const formatDateTimeLabel = (value) => {
+  const date = toDate(value);
+  if (!date) return "";
+
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${WEEKDAYS[date.getDay()].slice(0, 3)} ${date.getDate()} ${MONTHS[
+    date.getMonth()
+  ].slice(0, 3)} ${date.getFullYear()}, ${hours}:${minutes}`;
+};
+
+/**
+ * Move a date by whole days or minutes, for the schedule pickers
+ * @param {Date} date - The date to move
+ * @param {Object} change - { days, minutes }
+ * @returns {Date} - New date
+ */
+export const shiftDateTime = (date, { days = 0, minutes = 0 }) => {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  next.setMinutes(next.getMinutes() + minutes);
+  return next;
+};
+
+/**
+ * The next whole hour from now, used as the default opening time
+ * @param {Date} now - Current time
+ * @returns {Date} - Next whole hour
+ */
+export const nextWholeHour = (now = new Date()) => {
+  const next = new Date(now.getTime());
+  next.setHours(next.getHours() + 1, 0, 0, 0);
+  return next;
+};